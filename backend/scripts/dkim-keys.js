@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// ─────────────────────────────────────────────────────────────
+// Afwaah — DKIM key cache CLI
+// Manages the file-backed DKIM key cache used by EmailVerifier,
+// e.g. to prepare an air-gapped node or pin CI fixture keys.
+//
+//   npm run dkim-keys -- list
+//   npm run dkim-keys -- fetch   <domain> <selector>
+//   npm run dkim-keys -- from-eml <file.eml>
+//   npm run dkim-keys -- preload <domain> <selector> <record | @file>
+//   npm run dkim-keys -- remove  <domain> <selector>
+//
+// The cache file is AFWAAH_DKIM_CACHE, or dkim-keys.json in
+// AFWAAH_DATA_DIR (default ./orbitdb) — the same file the server
+// reads, so changes apply without a restart.
+// ─────────────────────────────────────────────────────────────
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { IDENTITY, STORAGE } from '../src/config.js';
+import { DkimKeyCache, DkimKeyResolver, dkimName } from '../src/identity/dkim-key-resolver.js';
+
+const file = process.env.AFWAAH_DKIM_CACHE
+  || join(process.env.AFWAAH_DATA_DIR || STORAGE.DATA_DIRECTORY, IDENTITY.DKIM_CACHE_FILE);
+const keys = new DkimKeyResolver({ cache: new DkimKeyCache({ file }) });
+keys.on('rotated', ({ name }) => console.log(`Key rotated for ${name} — previous record kept`));
+
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * Selectors and signing domains from every DKIM-Signature in an .eml.
+ */
+function signaturesIn(eml) {
+  const headers = eml.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+  return [...headers.matchAll(/^DKIM-Signature:(.*)$/gim)].map(([, value]) => ({
+    domain: value.match(/\bd=([^;\s]+)/)?.[1],
+    selector: value.match(/\bs=([^;\s]+)/)?.[1],
+  })).filter(sig => sig.domain && sig.selector);
+}
+
+async function main() {
+  switch (command) {
+    case 'list': {
+      const entries = keys.cache.list();
+      if (entries.length === 0) console.log(`No keys in ${file}`);
+      for (const e of entries) {
+        const state = e.fresh ? 'fresh' : 'stale';
+        console.log(`${e.name}  ${e.source}  ${state} until ${new Date(e.expiresAt).toISOString()}  rotations=${e.rotations}`);
+      }
+      break;
+    }
+    case 'fetch': {
+      const [domain, selector] = args;
+      await keys.fetch(domain, selector);
+      console.log(`Cached ${dkimName(domain, selector)} from DNS`);
+      break;
+    }
+    case 'from-eml': {
+      const sigs = signaturesIn(readFileSync(args[0], 'utf8'));
+      if (sigs.length === 0) throw new Error('No DKIM-Signature headers found');
+      for (const { domain, selector } of sigs) {
+        await keys.fetch(domain, selector);
+        console.log(`Cached ${dkimName(domain, selector)} from DNS`);
+      }
+      break;
+    }
+    case 'preload': {
+      const [domain, selector, value] = args;
+      if (!value) throw new Error('preload needs <domain> <selector> <record | @file>');
+      const record = value.startsWith('@') ? readFileSync(value.slice(1), 'utf8') : value;
+      keys.preload(domain, selector, record.trim());
+      console.log(`Pinned ${dkimName(domain, selector)}`);
+      break;
+    }
+    case 'remove': {
+      const [domain, selector] = args;
+      const removed = keys.cache.delete(dkimName(domain, selector));
+      console.log(removed ? `Removed ${dkimName(domain, selector)}` : 'No such key');
+      break;
+    }
+    default:
+      console.log('Usage: dkim-keys <list | fetch <domain> <selector> | from-eml <file> | preload <domain> <selector> <record|@file> | remove <domain> <selector>>');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Scoring simulator CLI
+// Tries scoring parameters against a synthetic population or a
+// recorded OpLog and compares them with the defaults, before a
+// change to config.js ships.
+//
+//   npm run simulate -- run      [--rumors N] [--honest N] [--lazy N] [--bots N]
+//                                [--contrarians N] [--seed N] [--set KEY=VALUE ...]
+//   npm run simulate -- backtest <oplog.json> [--set KEY=VALUE ...]
+//   npm run simulate -- params
+//
+// --set takes SCORING keys, e.g. --set CORRELATION_LAMBDA=20.
+// A backtest file is an OpLog array or a GET /api/state/oplog
+// response; its official proofs are used as the ground truth.
+// Add --json for the full report.
+// ─────────────────────────────────────────────────────────────
+
+import { readFileSync } from 'fs';
+import { SCORING } from '../src/config.js';
+import { ScoringSimulator, SIMULATION_PARAMS, VOTER_ROLES, generateScenario } from '../src/scoring/simulator.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+/**
+ * Split arguments into positionals, --flag values and --set overrides.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  const params = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (arg === '--json') {
+      flags.json = true;
+    } else if (arg === '--set') {
+      const [key, value] = (argv[++i] ?? '').split('=');
+      if (!key || value === undefined) throw new Error('--set needs KEY=VALUE');
+      params[key] = Number(value);
+    } else {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) throw new Error(`${arg} needs a number`);
+      flags[arg.slice(2)] = value;
+    }
+  }
+  return { positional, flags, params };
+}
+
+const pct = (x) => x === null ? 'n/a' : `${(x * 100).toFixed(1)}%`;
+const num = (x) => x === null ? 'n/a' : x.toFixed(2);
+
+function print(report) {
+  const { rumors, influence, reputation, baseline, changedOutcomes } = report;
+  const changed = Object.entries(report.params).filter(([key, value]) => value !== SCORING[key]);
+  console.log(`Parameters: ${changed.length ? changed.map(([k, v]) => `${k}=${v}`).join(' ') : 'defaults'}`);
+  console.log(`Rumors: ${rumors.finalized}/${rumors.total} finalized, ${rumors.withTruth} with known truth`);
+  console.log(`Accuracy: ${pct(rumors.accuracy)} (baseline ${pct(baseline.rumors.accuracy)})  ` +
+    `correct=${rumors.correct} wrong=${rumors.wrong} undecided=${rumors.undecided}`);
+  console.log(`Clustered votes: ${pct(influence.clusteredVoteShare)} of votes, ${pct(influence.clusteredWeightShare)} of weight ` +
+    `(baseline ${pct(baseline.influence.clusteredWeightShare)})`);
+
+  const roles = Object.keys(reputation.byRole);
+  if (roles.length > 0) {
+    console.log('\nrole          votes   weight  (baseline)  reputation mean  median  (baseline mean)');
+    for (const role of roles) {
+      const w = influence.byRole[role] ?? { voteShare: 0, weightShare: 0 };
+      const r = reputation.byRole[role];
+      console.log(`${role.padEnd(12)}  ${pct(w.voteShare).padStart(6)}  ${pct(w.weightShare).padStart(6)}  ` +
+        `(${pct(baseline.influence.byRole[role]?.weightShare ?? 0).padStart(6)})  ` +
+        `${num(r.mean).padStart(15)}  ${num(r.median).padStart(6)}  (${num(baseline.reputation.byRole[role]?.mean ?? null)})`);
+    }
+  } else {
+    const r = reputation.all;
+    console.log(`Reputation: mean ${num(r.mean)} median ${num(r.median)} min ${num(r.min)} max ${num(r.max)} ` +
+      `(baseline mean ${num(baseline.reputation.all.mean)})`);
+  }
+
+  console.log(`\nOutcomes changed vs defaults: ${changedOutcomes.length}`);
+  for (const c of changedOutcomes) console.log(`  ${c.rumorId}  ${c.baseline} → ${c.candidate}`);
+}
+
+async function main() {
+  const { positional, flags, params } = parseArgs(args);
+  switch (command) {
+    case 'run': {
+      const population = Object.fromEntries(VOTER_ROLES.filter(r => r in flags).map(r => [r, flags[r]]));
+      const scenario = generateScenario({
+        seed: flags.seed,
+        rumors: flags.rumors,
+        population,
+      });
+      const report = new ScoringSimulator(params).simulate(scenario);
+      flags.json ? console.log(JSON.stringify(report, null, 2)) : print(report);
+      break;
+    }
+    case 'backtest': {
+      if (!positional[0]) throw new Error('backtest needs <oplog.json>');
+      const exported = JSON.parse(readFileSync(positional[0], 'utf8'));
+      const report = new ScoringSimulator(params).backtest(exported);
+      flags.json ? console.log(JSON.stringify(report, null, 2)) : print(report);
+      break;
+    }
+    case 'params':
+      for (const key of SIMULATION_PARAMS) console.log(`${key}=${SCORING[key]}`);
+      break;
+    default:
+      console.log('Usage: simulate <run [--rumors N] [--honest N] [--lazy N] [--bots N] [--contrarians N] [--seed N] | backtest <oplog.json> | params> [--set KEY=VALUE ...] [--json]');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
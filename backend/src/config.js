@@ -8,6 +8,26 @@ export const IDENTITY = {
   ALLOWED_DOMAINS: [ 'student.nust.edu.pk', 'seecs.edu.pk'],
   // Accept last N Merkle roots (allows for propagation delay)
   ROOT_HISTORY_SIZE: 10,
+  // After a revocation, proofs against pre-revocation roots are
+  // accepted for this long (ms) before that epoch's roots expire
+  REVOCATION_GRACE: 10 * 60 * 1000,
+  // Official sources whose signed statements can resolve rumors.
+  // Each entry: { name, publicKey: [x, y] } (EdDSA key of a Semaphore identity).
+  // The server also reads AFWAAH_OFFICIAL_SOURCES (JSON array, same shape).
+  OFFICIAL_SOURCES: [],
+  // Registrars whose signed admissions (JOIN ops) add members to the
+  // group on every peer. Each entry: { name, publicKey: [x, y] }.
+  // The server also reads AFWAAH_REGISTRARS (JSON array, same shape)
+  // and always trusts its own registrar key.
+  REGISTRARS: [],
+  // The node's registrar identity file inside the data directory,
+  // created on first boot (AFWAAH_REGISTRAR_KEY takes precedence)
+  REGISTRAR_KEY_FILE: 'registrar.key',
+  // DKIM public keys are cached this long before DNS is asked again (ms)
+  DKIM_KEY_TTL: 24 * 60 * 60 * 1000,
+  // Key cache file inside the data directory (override with AFWAAH_DKIM_CACHE).
+  // Set AFWAAH_DKIM_OFFLINE=1 to verify only against cached/preloaded keys.
+  DKIM_CACHE_FILE: 'dkim-keys.json',
 };
 
 export const SCORING = {
@@ -15,22 +35,34 @@ export const SCORING = {
   BTS_ALPHA: 1.0,                     // Weight of prediction component in BTS score
   PREDICTION_FLOOR: 0.001,            // Floor for predictions to avoid log(0)
   RBTS_THRESHOLD: 30,                 // Use RBTS below this population size
+  DBTS_THRESHOLD: 0.1,                // Prediction divergence above which DBTS penalizes matching peers
+  PTS_PRIOR: { TRUE: 1 / 3, FALSE: 1 / 3, UNVERIFIED: 1 / 3 }, // Public prior for Peer Truth Serum
 
   // Reputation
   INITIAL_TRUST_SCORE: 10,
   MIN_STAKE_TO_VOTE: 1,
   MIN_STAKE_TO_POST: 5,
   MIN_STAKE_TO_DISPUTE: 3,
+  DISPUTE_WINDOW: 24 * 60 * 60 * 1000, // ms voting stays reopened after a dispute
+  MIN_STAKE_TO_FLAG: 2,               // Also the minimum stake to appeal a flag
+  FLAG_THRESHOLD: 10,                 // Total stake on flags that removes a rumor
+  FLAG_MIN_FLAGGERS: 3,               // Distinct members needed to remove (or reinstate) a rumor
+  APPEAL_WINDOW: 48 * 60 * 60 * 1000, // ms a community removal can be appealed
   SLASH_MULTIPLIER: 1.5,
   REWARD_MULTIPLIER: 1.0,
   MIN_SCORE: 0,
   MAX_SCORE: 1000,
   DECAY_RATE: 0.99,
   RECOVERY_RATE: 0.1,
+  EPOCH_DURATION: 24 * 60 * 60 * 1000, // ms per decay/recovery epoch
+  EPOCH_CHECK_INTERVAL: 60 * 1000,    // ms between checks for a new epoch
+  FINALIZE_CHECK_INTERVAL: 60 * 1000, // ms between checks for closed voting windows
+  NOTE_SCORE_STEP: 1,                 // Anonymous reputation notes hold multiples of this (coarser = larger anonymity sets)
 
   // Correlation dampening
   CORRELATION_LAMBDA: 10.0,           // Sensitivity parameter for bot detection
   CLUSTER_THRESHOLD: 0.85,            // Pearson ρ above which voters are clustered
+  CLUSTER_PERSISTENCE: 3,             // Rumors two voters must be clustered on together to be flagged
 };
 
 export const PROTOCOL = {
@@ -43,6 +75,11 @@ export const PROTOCOL = {
     IDENTITY: '/afwaah/identity/1.0',
     TOMBSTONE: '/afwaah/tombstone/1.0',
     SYNC: '/afwaah/sync/1.0',
+    OFFICIAL: '/afwaah/official/1.0',
+    DISPUTES: '/afwaah/disputes/1.0',
+    REVOCATIONS: '/afwaah/revocations/1.0',
+    FINALIZED: '/afwaah/finalized/1.0',
+    MODERATION: '/afwaah/moderation/1.0',
   },
 
   // Message types
@@ -52,18 +89,54 @@ export const PROTOCOL = {
     VOTE: 'VOTE',
     TOMBSTONE: 'TOMBSTONE',
     OFFICIAL_PROOF: 'OFFICIAL_PROOF',
+    DISPUTE: 'DISPUTE',
+    REVOKE: 'REVOKE',
+    EPOCH: 'EPOCH',
+    FINALIZE: 'FINALIZE',
+    FLAG: 'FLAG',
+    APPEAL: 'APPEAL',
+    MODERATE: 'MODERATE',
     SYNC_REQUEST: 'SYNC_REQUEST',
     SYNC_RESPONSE: 'SYNC_RESPONSE',
   },
 
-  // Allowed rumor topics
-  RUMOR_TOPICS: ['administration', 'safety', 'events', 'academic', 'facilities', 'general'],
+  // Allowed rumor topics, each with how long a rumor in it takes
+  // votes before it is scored and its stakes settle (ms), and the
+  // scoring engine it is scored with (see ScoringEngineRegistry:
+  // bts | rbts | dbts | pts | majority, or auto for BTS/RBTS by size)
+  RUMOR_TOPICS: {
+    administration: { votingWindow: 72 * 60 * 60 * 1000, engine: 'auto' },
+    safety:         { votingWindow: 6 * 60 * 60 * 1000, engine: 'auto' },   // urgent — settle fast
+    events:         { votingWindow: 24 * 60 * 60 * 1000, engine: 'auto' },
+    academic:       { votingWindow: 48 * 60 * 60 * 1000, engine: 'auto' },
+    facilities:     { votingWindow: 48 * 60 * 60 * 1000, engine: 'auto' },
+    general:        { votingWindow: 48 * 60 * 60 * 1000, engine: 'auto' },
+  },
+
+  // How far ahead of a node's clock an op's timestamp may be (ms).
+  // Later ones are refused, so no op can claim a window has closed
+  MAX_CLOCK_SKEW: 5 * 60 * 1000,
 
   // Vote values
   VOTE_VALUES: ['TRUE', 'FALSE', 'UNVERIFIED'],
 
   // Impact values for official proofs
   IMPACT_VALUES: ['CONFIRMS', 'CONTRADICTS', 'NEUTRAL'],
+
+  // Semaphore scopes of anonymous reputation proofs
+  REPUTATION_SCOPES: {
+    GENESIS: 'rep_genesis',           // one first note per member
+    NOTE: 'rep_note',                 // nullifier marks a note spent
+  },
+
+  // Reasons a rumor may be tombstoned for
+  TOMBSTONE_REASONS: ['retracted', 'duplicate', 'community_flagged'],
+
+  // What a member may flag a rumor for
+  FLAG_CATEGORIES: ['doxxing', 'harassment', 'illegal_content'],
+
+  // Reasons an official source may give for revoking a member
+  REVOKE_REASONS: ['graduated', 'expelled', 'compromised_key', 'duplicate_identity', 'abuse'],
 };
 
 export const NETWORK = {
@@ -78,8 +151,12 @@ export const NETWORK = {
   SYNC_COOLDOWN: 30000,               // ms between sync requests
   MAX_MESSAGE_SIZE: 65536,            // bytes
 
-  // Peer scoring
-  PEER_SCORE_DECAY: 0.99,
+  // Peer scoring (gossipsub v1.1)
+  PEER_SCORE_DECAY: 0.99,             // Per-second decay of a peer's invalid-message count
+  PEER_INVALID_MESSAGE_WEIGHT: -10,   // Topic score penalty per (invalid messages)²
+  PEER_GOSSIP_THRESHOLD: -10,         // Below this no gossip is exchanged with the peer
+  PEER_PUBLISH_THRESHOLD: -50,        // Below this our own messages are not sent to it
+  PEER_GRAYLIST_THRESHOLD: -80,       // Below this everything the peer sends is dropped
 };
 
 export const STORAGE = {
@@ -89,10 +166,22 @@ export const STORAGE = {
     VOTES: 'afwaah.votes',
     IDENTITIES: 'afwaah.identities',
     REPUTATION: 'afwaah.reputation',
+    OPLOG: 'afwaah.oplog',
+    NULLIFIERS: 'afwaah.nullifiers',
+    BINDINGS: 'afwaah.bindings',
+    FINALIZED: 'afwaah.finalized',
+    MODERATION: 'afwaah.moderation',
+    CHECKPOINTS: 'afwaah.checkpoints',
+    NOTES: 'afwaah.notes',
   },
 
+  // Default OrbitDB directory for the API server (override with AFWAAH_DATA_DIR)
+  DATA_DIRECTORY: './orbitdb',
+
   // Snapshotter
   SNAPSHOT_INTERVAL: 10,              // Rebuild materialized view every N operations
+  CHECKPOINT_INTERVAL: 500,           // Persist a snapshot checkpoint after N more covered ops
+  SNAPSHOT_FETCH_TIMEOUT: 30000,      // ms to wait for a bootstrap snapshot block
 };
 
 export const MAX_RUMOR_LENGTH = 2000;
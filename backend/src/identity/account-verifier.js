@@ -0,0 +1,144 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Account Verifier
+// Verifies that an op staking a member's reputation account — a
+// dispute, flag or appeal — was signed by the member who owns it.
+//
+// Accounts are named after the member's commitment:
+//   user_<first 12 digits of the commitment>
+// The owner signs, with the EdDSA key of the same Semaphore
+// identity, a field element derived from:
+//   sha256(JSON.stringify([TYPE, ...signed fields]))
+// truncated to 31 bytes. Peers recompute the commitment from the
+// public key the op carries, so a signature only counts for the
+// account of the identity that made it. The type prefix keeps a
+// flag's signature from being replayed as an appeal or dispute.
+// ─────────────────────────────────────────────────────────────
+
+import { Identity } from '@semaphore-protocol/identity';
+import { createHash } from 'crypto';
+import { PROTOCOL } from '../config.js';
+
+const { TYPES } = PROTOCOL;
+
+/** Payload fields each account op type signs, in order */
+export const SIGNED_FIELDS = {
+  [TYPES.DISPUTE]: ['rumorId', 'nullifier', 'stakeAmount', 'reason', 'timestamp'],
+  [TYPES.FLAG]: ['rumorId', 'nullifier', 'category', 'stakeAmount', 'reason', 'timestamp'],
+  [TYPES.APPEAL]: ['rumorId', 'nullifier', 'stakeAmount', 'reason', 'timestamp'],
+};
+
+/**
+ * Result of verifying an account op.
+ * @typedef {Object} AccountResult
+ * @property {boolean} valid - Whether the op is signed by the account's owner
+ * @property {string|null} account - The staked account (if valid)
+ * @property {string|null} error - Error message (if invalid)
+ */
+
+/**
+ * The reputation account of a member.
+ *
+ * @param {bigint|string} commitment
+ * @returns {string} user_<first 12 digits>
+ */
+export function accountId(commitment) {
+  return `user_${commitment.toString().substring(0, 12)}`;
+}
+
+export class AccountVerifier {
+  // ── Signing & verification ─────────────────────────────────
+
+  /**
+   * Compute the field element an account owner signs.
+   *
+   * @param {string} type - DISPUTE | FLAG | APPEAL
+   * @param {object} payload
+   * @returns {bigint}
+   */
+  messageFor(type, payload) {
+    const fields = SIGNED_FIELDS[type].map(f => String(payload[f] ?? ''));
+    const digest = createHash('sha256')
+      .update(JSON.stringify([type, ...fields]))
+      .digest('hex');
+    return BigInt('0x' + digest.slice(0, 62));
+  }
+
+  /**
+   * Sign an op payload with the identity that owns its account.
+   * The payload's nullifier is set to that account.
+   *
+   * @param {Identity} identity - The member's Semaphore identity
+   * @param {string} type - DISPUTE | FLAG | APPEAL
+   * @param {object} payload
+   * @returns {object} the payload with nullifier, publicKey and signature
+   */
+  sign(identity, type, payload) {
+    const fields = { ...payload, nullifier: accountId(identity.commitment) };
+    const signature = identity.signMessage(this.messageFor(type, fields));
+    return {
+      ...fields,
+      publicKey: identity.publicKey.map(p => p.toString()),
+      signature: {
+        R8: signature.R8.map(p => p.toString()),
+        S: signature.S.toString(),
+      },
+    };
+  }
+
+  /**
+   * Verify an account op: schema, account ownership, and signature.
+   *
+   * @param {string} type - DISPUTE | FLAG | APPEAL
+   * @param {object} payload
+   * @returns {AccountResult}
+   */
+  verify(type, payload) {
+    const schemaError = this._checkSchema(type, payload);
+    if (schemaError) return { valid: false, account: null, error: schemaError };
+
+    let owner;
+    try {
+      owner = accountId(Identity.generateCommitment(payload.publicKey.map(v => BigInt(v))));
+    } catch {
+      return { valid: false, account: null, error: 'E821: Account op public key is invalid' };
+    }
+    if (owner !== payload.nullifier) {
+      return { valid: false, account: null, error: `E822: Public key does not own account ${payload.nullifier}` };
+    }
+
+    let valid = false;
+    try {
+      valid = Identity.verifySignature(
+        this.messageFor(type, payload),
+        {
+          R8: payload.signature.R8.map(v => BigInt(v)),
+          S: BigInt(payload.signature.S),
+        },
+        payload.publicKey.map(v => BigInt(v)),
+      );
+    } catch {
+      valid = false;
+    }
+
+    if (!valid) {
+      return { valid: false, account: null, error: 'E823: Account op signature is invalid' };
+    }
+
+    return { valid: true, account: owner, error: null };
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * @returns {string|null} error message or null if well-formed
+   * @private
+   */
+  _checkSchema(type, payload) {
+    if (!SIGNED_FIELDS[type]) return `E820: ${type} ops are not signed by an account`;
+    if (!payload || typeof payload !== 'object') return 'E820: Invalid account op';
+    if (typeof payload.nullifier !== 'string' || !payload.nullifier) return 'E820: Account op is missing nullifier';
+    if (!Array.isArray(payload.publicKey) || payload.publicKey.length !== 2) return 'E820: Account op is missing publicKey';
+    if (!Array.isArray(payload.signature?.R8) || payload.signature.S === undefined) return 'E820: Account op is missing signature';
+    return null;
+  }
+}
@@ -0,0 +1,205 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Admission Verifier
+// Verifies the registrar signature a JOIN op carries, so peers
+// can add its commitment to their own membership tree without
+// ever seeing the email that admitted it.
+//
+// A registrar is a node that DKIM-verifies university emails.
+// After admitting a commitment it signs, with the EdDSA key of a
+// Semaphore identity it controls, a field element derived from:
+//   sha256(JSON.stringify(['JOIN', commitment, domain, admittedAt]))
+// truncated to 31 bytes. The 'JOIN' prefix keeps an admission
+// signature from ever being replayed as a revocation or an
+// official proof. Peers accept admissions from the registrars they
+// trust — IDENTITY.REGISTRARS plus any added at runtime.
+// ─────────────────────────────────────────────────────────────
+
+import { Identity } from '@semaphore-protocol/identity';
+import { createHash } from 'crypto';
+import { IDENTITY, PROTOCOL } from '../config.js';
+
+/**
+ * Result of verifying an admission.
+ * @typedef {Object} AdmissionResult
+ * @property {boolean} valid - Whether the admission is signed by a trusted registrar
+ * @property {string|null} registrar - The admitting registrar's name (if valid)
+ * @property {string|null} error - Error message (if invalid)
+ */
+
+export class AdmissionVerifier {
+  /**
+   * @param {Array<{name: string, publicKey: string[]}>} [registrars] - Trusted registrars
+   * @param {object} [options]
+   * @param {string[]} [options.allowedDomains] - Email domains an admission may name
+   */
+  constructor(registrars = IDENTITY.REGISTRARS, { allowedDomains = IDENTITY.ALLOWED_DOMAINS } = {}) {
+    this.allowedDomains = allowedDomains;
+
+    /** @type {Map<string, string>} "x,y" public key → registrar name */
+    this._registrars = new Map();
+    for (const { name, publicKey } of registrars) {
+      this.addRegistrar(name, publicKey);
+    }
+  }
+
+  // ── Trusted registrars ─────────────────────────────────────
+
+  /**
+   * Trust a registrar's admissions.
+   *
+   * @param {string} name - Display name, e.g. "SEECS node"
+   * @param {Array<bigint|string>} publicKey - EdDSA public key [x, y]
+   */
+  addRegistrar(name, publicKey) {
+    if (!name || !Array.isArray(publicKey) || publicKey.length !== 2) {
+      throw new Error('E810: Registrar needs a name and a [x, y] public key');
+    }
+    this._registrars.set(keyId(publicKey), name);
+  }
+
+  /**
+   * Stop trusting a registrar. Members it already admitted stay.
+   *
+   * @param {Array<bigint|string>} publicKey
+   * @returns {boolean} true if the registrar was known
+   */
+  removeRegistrar(publicKey) {
+    return this._registrars.delete(keyId(publicKey));
+  }
+
+  /**
+   * Look up the trusted registrar name for a public key (no signature check).
+   *
+   * @param {Array<bigint|string>} publicKey
+   * @returns {string|null}
+   */
+  registrarFor(publicKey) {
+    if (!Array.isArray(publicKey)) return null;
+    return this._registrars.get(keyId(publicKey)) ?? null;
+  }
+
+  /**
+   * List all trusted registrars.
+   * @returns {Array<{name: string, publicKey: string[]}>}
+   */
+  getRegistrars() {
+    return [...this._registrars.entries()].map(([id, name]) => ({
+      name,
+      publicKey: id.split(','),
+    }));
+  }
+
+  // ── Signing & verification ─────────────────────────────────
+
+  /**
+   * Compute the field element a registrar signs.
+   *
+   * @param {{commitment: string, domain: string, admittedAt: number}} fields
+   * @returns {bigint}
+   */
+  messageFor({ commitment, domain, admittedAt }) {
+    const digest = createHash('sha256')
+      .update(JSON.stringify([PROTOCOL.TYPES.JOIN, String(commitment), domain, admittedAt]))
+      .digest('hex');
+    return BigInt('0x' + digest.slice(0, 62));
+  }
+
+  /**
+   * Sign the admission of a commitment with a registrar's identity.
+   *
+   * @param {Identity} identity - The registrar's Semaphore identity
+   * @param {{commitment: bigint|string, domain: string, admittedAt?: number}} fields
+   * @returns {object} the admission fields of a JOIN payload
+   */
+  sign(identity, { commitment, domain, admittedAt = Date.now() }) {
+    const fields = { commitment: commitment.toString(), domain, admittedAt };
+    const signature = identity.signMessage(this.messageFor(fields));
+    return {
+      ...fields,
+      publicKey: identity.publicKey.map(p => p.toString()),
+      signature: {
+        R8: signature.R8.map(p => p.toString()),
+        S: signature.S.toString(),
+      },
+    };
+  }
+
+  /**
+   * Verify a JOIN payload: schema, allowed domain, trusted key, and signature.
+   *
+   * @param {object} payload
+   * @returns {AdmissionResult}
+   */
+  verify(payload) {
+    const schemaError = this._checkSchema(payload);
+    if (schemaError) return { valid: false, registrar: null, error: schemaError };
+
+    if (!this._isDomainAllowed(payload.domain)) {
+      return { valid: false, registrar: null, error: `E813: Admission domain ${payload.domain} is not allowed` };
+    }
+
+    const registrar = this.registrarFor(payload.publicKey);
+    if (!registrar) {
+      return { valid: false, registrar: null, error: 'E811: Admission is not signed by a trusted registrar' };
+    }
+
+    let valid = false;
+    try {
+      valid = Identity.verifySignature(
+        this.messageFor(payload),
+        {
+          R8: payload.signature.R8.map(v => BigInt(v)),
+          S: BigInt(payload.signature.S),
+        },
+        payload.publicKey.map(v => BigInt(v)),
+      );
+    } catch {
+      valid = false;
+    }
+
+    if (!valid) {
+      return { valid: false, registrar: null, error: 'E812: Admission signature is invalid' };
+    }
+
+    return { valid: true, registrar, error: null };
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * @returns {string|null} error message or null if well-formed
+   * @private
+   */
+  _checkSchema(payload) {
+    if (!payload || typeof payload !== 'object') return 'E810: Invalid admission';
+    if (typeof payload.commitment !== 'string' || !/^\d+$/.test(payload.commitment)) {
+      return 'E810: Admission commitment must be a decimal field element';
+    }
+    if (typeof payload.domain !== 'string' || !payload.domain) return 'E810: Admission is missing domain';
+    if (typeof payload.admittedAt !== 'number') return 'E810: Admission is missing admittedAt';
+    if (!Array.isArray(payload.publicKey) || payload.publicKey.length !== 2) return 'E810: Admission is missing publicKey';
+    if (!payload.signature?.R8 || payload.signature.S === undefined) return 'E810: Admission is missing signature';
+    return null;
+  }
+
+  /**
+   * Check a domain against the allowed list (subdomains included).
+   * @private
+   */
+  _isDomainAllowed(domain) {
+    const normalized = domain.toLowerCase();
+    return this.allowedDomains.some((allowed) => {
+      const a = allowed.toLowerCase();
+      return normalized === a || normalized.endsWith('.' + a);
+    });
+  }
+}
+
+/**
+ * Canonical string form of a public key, used as a Map key.
+ * @param {Array<bigint|string>} publicKey
+ * @returns {string}
+ */
+function keyId(publicKey) {
+  return publicKey.map(p => p.toString()).join(',');
+}
@@ -0,0 +1,369 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — DKIM Key Resolver
+// Supplies DKIM public keys to EmailVerifier through mailauth's
+// resolver interface: async (name, rrtype) → TXT records.
+//
+//   DkimKeyCache    — selector._domainkey.domain → key record,
+//                     with fetchedAt/TTL, optionally backed by a
+//                     JSON file so keys survive restarts
+//   DkimKeyResolver — serves DKIM lookups from the cache, asks
+//                     upstream DNS when an entry is missing or
+//                     stale, and falls back to the stale entry if
+//                     DNS is unreachable
+//
+// In offline mode DNS is never contacted, so air-gapped campus
+// nodes and CI verify emails purely against preloaded keys.
+//
+// Rotation: when DNS returns a different record for a selector,
+// the old record is kept in the entry's `previous` list and a
+// 'rotated' event is emitted.
+// ─────────────────────────────────────────────────────────────
+
+import { EventEmitter } from 'events';
+import dns from 'dns';
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { IDENTITY } from '../config.js';
+
+/** Public resolvers tried when system DNS fails */
+export const PUBLIC_DNS_SERVERS = ['8.8.8.8', '1.1.1.1', '8.8.4.4', '1.0.0.1'];
+
+/** Rotated-out records kept per selector */
+const MAX_PREVIOUS = 5;
+
+// ─── DNS Resolver ────────────────────────────────────────────
+// University and mobile networks often block or filter DNS TXT
+// record lookups needed for DKIM verification. This resolver
+// tries system DNS first, then falls back to public resolvers.
+// ──────────────────────────────────────────────────────────────
+
+/**
+ * Build a mailauth-compatible resolver over live DNS.
+ *
+ * @param {string[]} [servers] — fallback resolvers (default PUBLIC_DNS_SERVERS)
+ * @returns {(name: string, rrtype: string) => Promise<any>}
+ */
+export function createDnsResolver(servers = PUBLIC_DNS_SERVERS) {
+  return async function fallbackResolver(name, rrtype) {
+    // Attempt 1: system DNS
+    try {
+      return await new Promise((resolve, reject) => {
+        dns.resolve(name, rrtype, (err, records) => (err ? reject(err) : resolve(records)));
+      });
+    } catch {
+      // System DNS failed — try public resolvers
+    }
+
+    // Attempt 2: public DNS resolvers
+    const resolver = new dns.Resolver();
+    resolver.setServers(servers);
+
+    return new Promise((resolve, reject) => {
+      const done = (err, records) => (err ? reject(err) : resolve(records));
+      // mailauth expects the same shape as dns.resolve(name, rrtype)
+      if (rrtype === 'TXT') resolver.resolveTxt(name, done);
+      else if (rrtype === 'MX') resolver.resolveMx(name, done);
+      else resolver.resolve(name, rrtype, done);
+    });
+  };
+}
+
+// ─── Key Cache ───────────────────────────────────────────────
+
+/**
+ * @typedef {Object} DkimKeyEntry
+ * @property {string} record — the TXT record, e.g. "v=DKIM1; k=rsa; p=MIIB…"
+ * @property {number} fetchedAt — ms timestamp the record was obtained
+ * @property {number} ttl — ms the record is considered fresh
+ * @property {'dns'|'preload'} source
+ * @property {Array<{record: string, fetchedAt: number, rotatedAt: number}>} previous
+ */
+
+/**
+ * DkimKeyCache stores DKIM key records, optionally in a JSON file.
+ *
+ * Usage:
+ *   const cache = new DkimKeyCache({ file: './orbitdb/dkim-keys.json' });
+ *   cache.set(dkimName('seecs.edu.pk', 'google'), 'v=DKIM1; k=rsa; p=…');
+ *   cache.get(dkimName('seecs.edu.pk', 'google'));   // → DkimKeyEntry
+ */
+export class DkimKeyCache {
+  /**
+   * @param {object} [config]
+   * @param {string|null} [config.file] — JSON file to load from and save to (memory-only if omitted)
+   * @param {number} [config.ttl] — default freshness in ms (default IDENTITY.DKIM_KEY_TTL)
+   */
+  constructor(config = {}) {
+    this.file = config.file || null;
+    this.ttl = config.ttl ?? IDENTITY.DKIM_KEY_TTL;
+
+    /** @type {Map<string, DkimKeyEntry>} */
+    this._entries = new Map();
+    this._loadedMtime = 0;
+    this._load();
+  }
+
+  /**
+   * Get the entry for a DKIM name, reloading the file first if
+   * another process (e.g. the CLI) changed it.
+   * @param {string} name — selector._domainkey.domain
+   * @returns {DkimKeyEntry|null}
+   */
+  get(name) {
+    this._load();
+    return this._entries.get(normalizeName(name)) || null;
+  }
+
+  /**
+   * Whether an entry is within its TTL.
+   * @param {DkimKeyEntry} entry
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  isFresh(entry, now = Date.now()) {
+    return !!entry && now < entry.fetchedAt + entry.ttl;
+  }
+
+  /**
+   * Store a record. A different record for the same name is a
+   * key rotation: the old one moves to `previous`.
+   *
+   * @param {string} name
+   * @param {string} record
+   * @param {object} [options]
+   * @param {'dns'|'preload'} [options.source]
+   * @param {number} [options.ttl]
+   * @param {number} [options.fetchedAt]
+   * @returns {{entry: DkimKeyEntry, rotated: boolean}}
+   */
+  set(name, record, { source = 'dns', ttl = this.ttl, fetchedAt = Date.now() } = {}) {
+    this._load();
+    const key = normalizeName(name);
+    const existing = this._entries.get(key);
+    const rotated = !!existing && existing.record !== record;
+
+    const previous = existing ? [...existing.previous] : [];
+    if (rotated) {
+      previous.unshift({ record: existing.record, fetchedAt: existing.fetchedAt, rotatedAt: fetchedAt });
+      previous.length = Math.min(previous.length, MAX_PREVIOUS);
+    }
+
+    const entry = { record, fetchedAt, ttl, source, previous };
+    this._entries.set(key, entry);
+    this._save();
+    return { entry, rotated };
+  }
+
+  /**
+   * Remove an entry.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  delete(name) {
+    this._load();
+    const removed = this._entries.delete(normalizeName(name));
+    if (removed) this._save();
+    return removed;
+  }
+
+  /**
+   * List all cached keys with their freshness.
+   * @param {number} [now]
+   * @returns {Array<{name: string, domain: string, selector: string, fetchedAt: number, expiresAt: number, fresh: boolean, source: string, rotations: number}>}
+   */
+  list(now = Date.now()) {
+    this._load();
+    return [...this._entries].map(([name, entry]) => {
+      const { domain, selector } = parseName(name);
+      return {
+        name,
+        domain,
+        selector,
+        fetchedAt: entry.fetchedAt,
+        expiresAt: entry.fetchedAt + entry.ttl,
+        fresh: this.isFresh(entry, now),
+        source: entry.source,
+        rotations: entry.previous.length,
+      };
+    });
+  }
+
+  /** @returns {number} */
+  get size() {
+    this._load();
+    return this._entries.size;
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * (Re)load the file if it changed since the last read.
+   * A missing or unreadable file leaves the cache as it is.
+   * @private
+   */
+  _load() {
+    if (!this.file || !existsSync(this.file)) return;
+    try {
+      const mtime = statSync(this.file).mtimeMs;
+      if (mtime === this._loadedMtime) return;
+      const data = JSON.parse(readFileSync(this.file, 'utf8'));
+      this._entries = new Map(Object.entries(data.keys || {}).map(
+        ([name, entry]) => [name, { previous: [], ...entry }],
+      ));
+      this._loadedMtime = mtime;
+    } catch (err) {
+      console.warn(`  [dkim] ignoring unreadable key cache ${this.file}: ${err.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    if (!this.file) return;
+    mkdirSync(dirname(this.file), { recursive: true });
+    const keys = Object.fromEntries([...this._entries].sort(([a], [b]) => a.localeCompare(b)));
+    writeFileSync(this.file, JSON.stringify({ version: 1, keys }, null, 2));
+    this._loadedMtime = statSync(this.file).mtimeMs;
+  }
+}
+
+// ─── Resolver ────────────────────────────────────────────────
+
+/**
+ * DkimKeyResolver answers mailauth's DNS lookups from a DkimKeyCache.
+ *
+ * Usage:
+ *   const keys = new DkimKeyResolver({ cache, offline: true });
+ *   keys.preload('seecs.edu.pk', 'google', 'v=DKIM1; k=rsa; p=…');
+ *   const verifier = new EmailVerifier(domains, { resolver: keys.resolver });
+ *   keys.on('rotated', ({ name }) => { ... });
+ */
+export class DkimKeyResolver extends EventEmitter {
+  /**
+   * @param {object} [config]
+   * @param {DkimKeyCache} [config.cache] — defaults to a memory-only cache
+   * @param {(name: string, rrtype: string) => Promise<any>} [config.upstream] — live DNS (default createDnsResolver())
+   * @param {boolean} [config.offline] — never contact upstream DNS
+   */
+  constructor(config = {}) {
+    super();
+    this.cache = config.cache || new DkimKeyCache();
+    this.upstream = config.upstream || createDnsResolver();
+    this.offline = !!config.offline;
+
+    /** Bound resolver to pass to mailauth / EmailVerifier */
+    this.resolver = (name, rrtype) => this.resolve(name, rrtype);
+  }
+
+  /**
+   * mailauth resolver: DKIM TXT lookups go through the cache,
+   * anything else goes straight to upstream DNS.
+   *
+   * @param {string} name
+   * @param {string} rrtype
+   * @returns {Promise<any>} records in dns.resolve() shape
+   */
+  async resolve(name, rrtype) {
+    if (rrtype !== 'TXT' || !isDkimName(name)) {
+      if (this.offline) throw notFound(name, rrtype);
+      return this.upstream(name, rrtype);
+    }
+
+    const cached = this.cache.get(name);
+    if (cached && (this.offline || this.cache.isFresh(cached))) {
+      return [[cached.record]];
+    }
+    if (this.offline) throw notFound(name, rrtype);
+
+    try {
+      const records = await this.upstream(name, 'TXT');
+      this._store(name, joinTxt(records), 'dns');
+      return records;
+    } catch (err) {
+      // DNS unreachable or the selector was retired — a stale key beats none
+      if (cached) return [[cached.record]];
+      throw err;
+    }
+  }
+
+  /**
+   * Pin a known key record, e.g. a CI fixture or a key copied onto
+   * an air-gapped node.
+   *
+   * @param {string} domain
+   * @param {string} selector
+   * @param {string} record — full TXT record or a bare base64 public key
+   * @returns {DkimKeyEntry}
+   */
+  preload(domain, selector, record) {
+    return this._store(dkimName(domain, selector), toRecord(record), 'preload');
+  }
+
+  /**
+   * Fetch a key from DNS now and cache it, ahead of going offline.
+   *
+   * @param {string} domain
+   * @param {string} selector
+   * @returns {Promise<DkimKeyEntry>}
+   */
+  async fetch(domain, selector) {
+    if (this.offline) throw new Error('E700: DKIM resolver is offline — preload the key record instead');
+    const name = dkimName(domain, selector);
+    const records = await this.upstream(name, 'TXT');
+    return this._store(name, joinTxt(records), 'dns');
+  }
+
+  /**
+   * @private
+   */
+  _store(name, record, source) {
+    if (!record) throw new Error(`E701: Empty DKIM key record for ${name}`);
+    const { entry, rotated } = this.cache.set(name, record, { source });
+    if (rotated) this.emit('rotated', { name, record, previous: entry.previous[0].record });
+    return entry;
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * DNS name holding a selector's DKIM key.
+ * @param {string} domain
+ * @param {string} selector
+ * @returns {string}
+ */
+export function dkimName(domain, selector) {
+  if (!domain || !selector) throw new Error('E702: DKIM domain and selector are required');
+  return normalizeName(`${selector}._domainkey.${domain}`);
+}
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase().replace(/\.$/, '');
+}
+
+function isDkimName(name) {
+  return normalizeName(name).includes('._domainkey.');
+}
+
+function parseName(name) {
+  const [selector, domain] = name.split('._domainkey.');
+  return { selector, domain };
+}
+
+/** TXT records arrive as arrays of string chunks — DKIM uses the first */
+function joinTxt(records) {
+  return [].concat(records?.[0] || []).join('');
+}
+
+/** Accept a bare base64 key as well as a full record */
+function toRecord(record) {
+  const value = String(record || '').trim();
+  return /(^|;)\s*p=/.test(value) ? value : `v=DKIM1; k=rsa; p=${value.replace(/\s+/g, '')}`;
+}
+
+function notFound(name, rrtype) {
+  const err = new Error(`queryTxt ENOTFOUND ${name} (offline, no cached ${rrtype} record)`);
+  err.code = 'ENOTFOUND';
+  return err;
+}
@@ -0,0 +1,166 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Email Binding Registry
+// Enforces "one university email = one anonymous identity"
+// without remembering which email registered which identity.
+//
+// For each verified inbox the registry keeps only
+//   HMAC-SHA256(secret, normalized email)  →  email domain
+//
+// The key is enough to refuse a second registration from the
+// same inbox, but it stores no commitment and — without the
+// server secret — cannot be reversed by hashing a list of
+// student emails.
+//
+// Older data directories stored raw email → commitment pairs;
+// migrate() re-keys those and drops the commitments.
+// ─────────────────────────────────────────────────────────────
+
+import { createHmac, randomBytes } from 'crypto';
+
+/** Domain-separation prefix mixed into every binding hash */
+const KEY_PREFIX = 'afwaah-email-binding:';
+
+/**
+ * EmailBindingRegistry remembers which inboxes have registered.
+ *
+ * Usage:
+ *   const bindings = new EmailBindingRegistry({ secret });
+ *   bindings.has('student@seecs.edu.pk');   // → false
+ *   const key = bindings.bind('student@seecs.edu.pk');
+ *   bindings.getStats();                    // → { count: 1, byDomain: { 'seecs.edu.pk': 1 } }
+ */
+export class EmailBindingRegistry {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.secret] — key for the binding HMAC (random if omitted)
+   */
+  constructor(config = {}) {
+    this._secret = config.secret || randomBytes(32).toString('hex');
+
+    /** @type {Map<string, string>} binding key → email domain */
+    this._bindings = new Map();
+  }
+
+  /**
+   * Replace the HMAC secret. Only allowed while the registry is
+   * empty — existing keys could no longer be matched.
+   * @param {string} secret
+   */
+  setSecret(secret) {
+    if (!secret) throw new Error('E600: Email binding secret must not be empty');
+    if (this._bindings.size > 0) {
+      throw new Error('E601: Cannot change the email binding secret after bindings exist');
+    }
+    this._secret = secret;
+  }
+
+  /**
+   * Derive the binding key for an email address.
+   * @param {string} email
+   * @returns {string} hex HMAC
+   */
+  keyFor(email) {
+    return createHmac('sha256', this._secret)
+      .update(KEY_PREFIX + normalize(email))
+      .digest('hex');
+  }
+
+  /**
+   * Whether this email has already registered an identity.
+   * @param {string} email
+   * @returns {boolean}
+   */
+  has(email) {
+    return this._bindings.has(this.keyFor(email));
+  }
+
+  /**
+   * Record that an email has registered an identity.
+   * @param {string} email
+   * @returns {{key: string, domain: string}} the entry to persist
+   * @throws if the email is already bound
+   */
+  bind(email) {
+    const key = this.keyFor(email);
+    if (this._bindings.has(key)) {
+      throw new Error('E602: This university email has already been used to register an identity. One email = one anonymous identity.');
+    }
+    const domain = domainOf(email);
+    this._bindings.set(key, domain);
+    return { key, domain };
+  }
+
+  /**
+   * Load a persisted entry without re-hashing.
+   * @param {string} key
+   * @param {string} domain
+   */
+  restore(key, domain) {
+    this._bindings.set(key, domain || '');
+  }
+
+  /**
+   * Load persisted entries, re-keying legacy raw-email entries.
+   * The caller must persist each `migrated` entry and delete its
+   * old key. A keyvalue delete only appends a DEL entry, so the raw
+   * email leaves the live store but stays in its log history.
+   *
+   * @param {Array<{key: string, value: string}>} entries — bindings store contents
+   * @returns {{restored: number, migrated: Array<{from: string, key: string, domain: string}>}}
+   */
+  migrate(entries) {
+    let restored = 0;
+    const migrated = [];
+
+    for (const { key, value } of entries) {
+      if (isLegacyKey(key)) {
+        const hashed = this.keyFor(key);
+        const domain = domainOf(key);
+        this._bindings.set(hashed, domain);
+        migrated.push({ from: key, key: hashed, domain });
+      } else {
+        this.restore(key, value);
+        restored++;
+      }
+    }
+
+    return { restored, migrated };
+  }
+
+  /**
+   * Aggregate counts — safe to expose publicly.
+   * @returns {{count: number, byDomain: Object<string, number>}}
+   */
+  getStats() {
+    const byDomain = {};
+    for (const domain of this._bindings.values()) {
+      byDomain[domain] = (byDomain[domain] || 0) + 1;
+    }
+    return { count: this._bindings.size, byDomain };
+  }
+
+  /** @returns {number} */
+  get size() {
+    return this._bindings.size;
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+function normalize(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function domainOf(email) {
+  return normalize(email).split('@')[1] || '';
+}
+
+/**
+ * Legacy entries were keyed by the raw inbox address; hashed
+ * keys are hex and never contain '@'.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isLegacyKey(key) {
+  return String(key).includes('@');
+}
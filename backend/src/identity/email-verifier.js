@@ -6,7 +6,8 @@
 //
 //   1. Parses the DKIM-Signature header from the .eml
 //   2. Fetches the sender domain's RSA public key from DNS
-//      (e.g., google._domainkey.seecs.edu.pk TXT record)
+//      (e.g., google._domainkey.seecs.edu.pk TXT record), or from
+//      a DkimKeyResolver cache when one is injected
 //   3. Verifies the RSA signature over the signed headers
 //      (From, To, Subject, Date, Message-ID, etc.)
 //   4. Verifies the body hash (bh=) matches the actual body
@@ -36,63 +37,8 @@
 
 import { simpleParser } from 'mailparser';
 import { dkimVerify } from 'mailauth/lib/dkim/verify.js';
-import dns from 'dns';
 import { IDENTITY } from '../config.js';
-
-// ─── Custom DNS Resolver ─────────────────────────────────────
-// University and mobile networks often block or filter DNS TXT
-// record lookups needed for DKIM verification. This resolver
-// tries system DNS first, then falls back to public resolvers
-// (Google 8.8.8.8, Cloudflare 1.1.1.1).
-// ──────────────────────────────────────────────────────────────
-
-const PUBLIC_DNS_SERVERS = ['8.8.8.8', '1.1.1.1', '8.8.4.4', '1.0.0.1'];
-
-function createFallbackResolver() {
-  return async function fallbackResolver(name, rrtype) {
-    // Attempt 1: system DNS
-    try {
-      const result = await new Promise((resolve, reject) => {
-        dns.resolve(name, rrtype, (err, records) => {
-          if (err) reject(err);
-          else resolve(records);
-        });
-      });
-      return result;
-    } catch (systemErr) {
-      // System DNS failed — try public resolvers
-    }
-
-    // Attempt 2: public DNS resolvers
-    const resolver = new dns.Resolver();
-    resolver.setServers(PUBLIC_DNS_SERVERS);
-
-    try {
-      const result = await new Promise((resolve, reject) => {
-        if (rrtype === 'TXT') {
-          resolver.resolveTxt(name, (err, records) => {
-            if (err) reject(err);
-            // mailauth expects the same shape as dns.resolve(name, 'TXT')
-            else resolve(records);
-          });
-        } else if (rrtype === 'MX') {
-          resolver.resolveMx(name, (err, records) => {
-            if (err) reject(err);
-            else resolve(records);
-          });
-        } else {
-          resolver.resolve(name, rrtype, (err, records) => {
-            if (err) reject(err);
-            else resolve(records);
-          });
-        }
-      });
-      return result;
-    } catch (publicErr) {
-      throw publicErr; // both failed
-    }
-  };
-}
+import { createDnsResolver } from './dkim-key-resolver.js';
 
 /**
  * Result of DKIM verification from an email.
@@ -113,9 +59,14 @@ function createFallbackResolver() {
 export class EmailVerifier {
   /**
    * @param {string[]} allowedDomains - List of accepted university domains
+   * @param {object} [options]
+   * @param {(name: string, rrtype: string) => Promise<any>} [options.resolver] - DNS resolver
+   *   used to fetch DKIM public keys (default: live DNS with public fallbacks).
+   *   Pass a DkimKeyResolver's `resolver` for cached or offline verification.
    */
-  constructor(allowedDomains = IDENTITY.ALLOWED_DOMAINS) {
+  constructor(allowedDomains = IDENTITY.ALLOWED_DOMAINS, options = {}) {
     this.allowedDomains = allowedDomains;
+    this.resolver = options.resolver || createDnsResolver();
   }
 
   /**
@@ -164,7 +115,7 @@ export class EmailVerifier {
     const dkimFields = this._parseDKIMFields(dkimSignature);
 
     try {
-      const dkimResult = await dkimVerify(raw, { resolver: createFallbackResolver() });
+      const dkimResult = await dkimVerify(raw, { resolver: this.resolver });
 
       if (dkimResult && dkimResult.results && dkimResult.results.length > 0) {
         // Find the first result from an allowed domain, or use the first result
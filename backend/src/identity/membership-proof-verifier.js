@@ -0,0 +1,245 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Membership Proof Verifier
+// Checks the Semaphore proof a rumor, vote, dispute or tombstone
+// carries before a node accepts it from a peer:
+//
+//   1. the proof's Merkle root is a recent root of our group
+//   2. its scope is the one the action must be proved in —
+//      post_<id> for a rumor, vote_<rumorId> for a vote — so a
+//      proof cannot be replayed onto another rumor; a rumor or
+//      vote with no id to scope is refused
+//   3. its message binds the content — a rumor's text, topic and
+//      stake, a vote's value, prediction and stake — so a relay
+//      cannot swap it under a valid proof
+//   4. its nullifier has not been used in that scope
+//   5. the proof verifies (Semaphore verifyProof)
+//
+// Accepting a proof records its nullifier as used, so each member
+// gets one post per rumor id and one vote per rumor. A caller with
+// more checks to run can defer that: the nullifier is then held
+// until it calls spend() or release(). Clients build proofs in
+// frontend/src/zk.js with the same scopes.
+//
+// A tombstone proves authorship instead: it is proved in the
+// rumor's post scope, so its nullifier must be the one the rumor
+// was posted with, and its message is tombstone_<rumorId> so the
+// post's own proof cannot be replayed as a tombstone.
+// ─────────────────────────────────────────────────────────────
+
+import { PROTOCOL } from '../config.js';
+import { hashToField, reputationMessage } from '../scoring/anonymous-reputation.js';
+
+const { TYPES, VOTE_VALUES } = PROTOCOL;
+
+/** Op types whose proof must carry the scope scopeFor() gives */
+const SCOPED_TYPES = new Set([TYPES.RUMOR, TYPES.VOTE, TYPES.TOMBSTONE]);
+
+/**
+ * Result of admitting a membership proof.
+ * @typedef {Object} ProofResult
+ * @property {boolean} valid - Whether the proof was accepted
+ * @property {string|null} nullifier - The proof's nullifier (if valid)
+ * @property {string|null} scope - The scope it was spent in (if valid)
+ * @property {string|null} error - Error message (if invalid)
+ */
+
+/**
+ * The nullifier, Merkle root and scope of a proof. Accepts Semaphore
+ * V4 field names (nullifier, merkleTreeRoot, scope) and the older
+ * ones of the protocol spec (nullifierHash, merkleRoot, externalNullifier).
+ * @param {object} zkProof
+ * @returns {{nullifier: string|null, root: string|null, scope: string|null}}
+ */
+export function proofFields(zkProof) {
+  const str = (v) => (v === undefined || v === null || v === '' ? null : String(v));
+  return {
+    nullifier: str(zkProof?.nullifier ?? zkProof?.nullifierHash),
+    root: str(zkProof?.merkleTreeRoot ?? zkProof?.merkleRoot),
+    scope: str(zkProof?.scope ?? zkProof?.externalNullifier),
+  };
+}
+
+/**
+ * The scope an action's proof must carry, or null when the protocol
+ * does not bind one.
+ * @param {string} type — op type
+ * @param {object} payload
+ * @returns {string|null} field element
+ */
+export function scopeFor(type, payload) {
+  switch (type) {
+    case TYPES.RUMOR: return payload?.id ? hashToField(`post_${payload.id}`) : null;
+    case TYPES.VOTE:  return payload?.rumorId ? hashToField(`vote_${payload.rumorId}`) : null;
+    case TYPES.TOMBSTONE: return payload?.rumorId ? hashToField(`post_${payload.rumorId}`) : null;
+    default:          return null;
+  }
+}
+
+/**
+ * The message an action's proof must carry, or null when the
+ * protocol does not bind one. Rumors and votes bind the fields
+ * they are scored on, hashed as reputationMessage() does; the
+ * prediction is read in VOTE_VALUES order.
+ * @param {string} type — op type
+ * @param {object} payload
+ * @returns {string|null} field element
+ */
+export function messageFor(type, payload) {
+  const field = (v) => v ?? '';
+  switch (type) {
+    case TYPES.RUMOR:
+      return payload?.id
+        ? reputationMessage(TYPES.RUMOR, payload.id, field(payload.text), field(payload.topic), field(payload.stakeAmount))
+        : null;
+    case TYPES.VOTE:
+      return payload?.rumorId
+        ? reputationMessage(TYPES.VOTE, payload.rumorId, field(payload.vote),
+          ...VOTE_VALUES.map(v => field(payload.prediction?.[v])), field(payload.stakeAmount))
+        : null;
+    case TYPES.TOMBSTONE: return payload?.rumorId ? hashToField(`tombstone_${payload.rumorId}`) : null;
+    default:              return null;
+  }
+}
+
+/**
+ * The pseudonym an action is recorded under: derived from its
+ * proof's nullifier, never taken from the sender.
+ * @param {string} nullifier
+ * @returns {string}
+ */
+export function anonymousId(nullifier) {
+  return `zk_${String(nullifier).substring(0, 16)}`;
+}
+
+export class MembershipProofVerifier {
+  /**
+   * @param {object} [options]
+   * @param {(proof: object) => Promise<boolean>} [options.verifyProof] — defaults to Semaphore's verifyProof
+   * @param {(root: string) => boolean} [options.isMemberRoot] — whether a root is a recent group root
+   * @param {(scope: string, nullifier: string) => boolean} [options.isNullifierUsed]
+   * @param {(scope: string, nullifier: string) => void} [options.markNullifierUsed]
+   *   — the two default to an in-memory set; pass both to share the node's nullifier store
+   * @param {(rumorId: string) => string|null} [options.authorOf]
+   *   — the nullifier a rumor was posted with; tombstones must match it
+   */
+  constructor(options = {}) {
+    this._verifyProof = options.verifyProof ?? verifySemaphoreProof;
+    this._isMemberRoot = options.isMemberRoot ?? (() => false);
+
+    const used = new Set();
+    this._isUsed = options.isNullifierUsed ?? ((scope, n) => used.has(`${scope}:${n}`));
+    this._markUsed = options.markNullifierUsed ?? ((scope, n) => used.add(`${scope}:${n}`));
+    this._authorOf = options.authorOf ?? (() => null);
+
+    /** @type {Set<string>} scope:nullifier of proofs being verified */
+    this._pending = new Set();
+  }
+
+  /**
+   * Verify the proof an action carries and, if it holds, record its
+   * nullifier as used. A second copy arriving while the first is
+   * still being verified is refused as a duplicate. A tombstone's
+   * nullifier must instead be its rumor author's, and is not spent.
+   *
+   * @param {string} type — op type (RUMOR, VOTE, ...)
+   * @param {object} payload — carrying zkProof
+   * @param {object} [options]
+   * @param {boolean} [options.defer=false] — hold the nullifier instead of
+   *   recording it; the caller must then spend() or release() it
+   * @returns {Promise<ProofResult>}
+   */
+  async admit(type, payload, { defer = false } = {}) {
+    const proof = payload?.zkProof;
+    if (!proof || typeof proof !== 'object') return reject('E001: missing zkProof');
+
+    const { nullifier, root, scope } = proofFields(proof);
+    if (!nullifier) return reject('E001: missing nullifier');
+    if (!root || !this._isMemberRoot(root)) return reject('E006: unknown or expired membership root');
+    if (!scope) return reject('E017: missing scope');
+
+    const expected = scopeFor(type, payload);
+    if (expected ? scope !== expected : SCOPED_TYPES.has(type)) {
+      return reject('E017: proof scope does not match the action');
+    }
+    const message = messageFor(type, payload);
+    if (message && String(proof.message) !== message) return reject('E017: proof message does not match the action');
+
+    if (type === TYPES.TOMBSTONE) return this._admitAuthor(payload.rumorId, nullifier, scope, proof);
+
+    const key = `${scope}:${nullifier}`;
+    if (this._pending.has(key) || this._isUsed(scope, nullifier)) {
+      return reject('E002: nullifier already used for this scope');
+    }
+
+    this._pending.add(key);
+    let held = false;
+    try {
+      let valid = false;
+      try {
+        valid = await this._verifyProof(proof);
+      } catch {
+        valid = false;
+      }
+      if (!valid) return reject('E001: invalid membership proof');
+
+      if (defer) held = true;
+      else this._markUsed(scope, nullifier);
+      return { valid: true, nullifier, scope, error: null };
+    } finally {
+      if (!held) this._pending.delete(key);
+    }
+  }
+
+  /**
+   * Record a nullifier held by a deferred admit() as used.
+   * @param {string} scope
+   * @param {string} nullifier
+   */
+  spend(scope, nullifier) {
+    this._markUsed(scope, nullifier);
+    this._pending.delete(`${scope}:${nullifier}`);
+  }
+
+  /**
+   * Free a nullifier held by a deferred admit(), so the action can
+   * be proved again.
+   * @param {string} scope
+   * @param {string} nullifier
+   */
+  release(scope, nullifier) {
+    this._pending.delete(`${scope}:${nullifier}`);
+  }
+
+  /**
+   * Verify a tombstone's proof of authorship.
+   * @private
+   */
+  async _admitAuthor(rumorId, nullifier, scope, proof) {
+    const author = this._authorOf(rumorId);
+    if (!author) return reject('E204: Rumor not found — cannot tombstone unknown rumor');
+    if (author !== nullifier) return reject('E205: Tombstone denied — only the author can delete a rumor');
+
+    let valid = false;
+    try {
+      valid = await this._verifyProof(proof);
+    } catch {
+      valid = false;
+    }
+    if (!valid) return reject('E001: invalid membership proof');
+    return { valid: true, nullifier, scope, error: null };
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+function reject(error) {
+  return { valid: false, nullifier: null, scope: null, error };
+}
+
+/**
+ * Default proof check — loads the Semaphore verifier on first use.
+ */
+async function verifySemaphoreProof(proof) {
+  const { verifyProof } = await import('@semaphore-protocol/' + 'proof');
+  return verifyProof(proof);
+}
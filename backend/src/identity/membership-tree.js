@@ -13,6 +13,11 @@
 //   - verifyMerkleProof(proof)   → validate a proof is corr  ect
 //   - getRoot()                  → current tree root hash
 //   - getRootHistory()           → last N roots for delayed acceptance
+//
+// Epochs: every removal starts a new group epoch. Roots from
+// earlier epochs stay in the history but expire after a grace
+// window, so a revoked member can no longer prove against a
+// root that still contains their leaf.
 // ─────────────────────────────────────────────────────────────
 
 import { Group } from '@semaphore-protocol/group';
@@ -33,6 +38,13 @@ export class MembershipTree {
 
     // Track historical roots for delayed proof acceptance
     this._rootHistory = [];
+
+    /** @type {number} incremented on every removal */
+    this._epoch = 0;
+
+    /** @type {Map<bigint, number>} pre-revocation root → expiry (ms) */
+    this._rootExpiry = new Map();
+
     this._updateRootHistory();
   }
 
@@ -69,13 +81,27 @@ export class MembershipTree {
   }
 
   /**
-   * Remove a member from the tree by index.
+   * Remove a member from the tree by index and start a new epoch.
+   * Every root of the previous epoch stops being valid once the
+   * grace window has passed.
    *
    * @param {number} index - The leaf index to remove
+   * @param {object} [options]
+   * @param {number} [options.graceWindow] - ms old roots stay valid (default from config)
+   * @param {number} [options.now] - removal time (e.g. the original one when replaying)
+   * @returns {number} The new epoch
    */
-  removeMember(index) {
+  removeMember(index, { graceWindow = IDENTITY.REVOCATION_GRACE, now = Date.now() } = {}) {
     this.group.removeMember(index);
+
+    const expiresAt = now + graceWindow;
+    for (const root of this._rootHistory) {
+      if (!this._rootExpiry.has(root)) this._rootExpiry.set(root, expiresAt);
+    }
+    this._epoch++;
     this._updateRootHistory();
+
+    return this._epoch;
   }
 
   /**
@@ -150,12 +176,38 @@ export class MembershipTree {
   /**
    * Check if a given root is in the recent root history.
    * Used to validate incoming proofs that may reference a slightly stale root.
+   * Roots from before a revocation are only valid until their grace
+   * window ends.
    *
    * @param {bigint} root
+   * @param {number} [now] - current time in ms
    * @returns {boolean}
    */
-  isRootValid(root) {
-    return this._rootHistory.some(r => r === root);
+  isRootValid(root, now = Date.now()) {
+    if (!this._rootHistory.some(r => r === root)) return false;
+    const expiresAt = this._rootExpiry.get(root);
+    return expiresAt === undefined || now < expiresAt;
+  }
+
+  /**
+   * Get the current group epoch (number of removals so far).
+   *
+   * @returns {number}
+   */
+  getEpoch() {
+    return this._epoch;
+  }
+
+  /**
+   * Roots from earlier epochs that are still in the history,
+   * with the time each one stops being accepted.
+   *
+   * @returns {Array<{root: bigint, expiresAt: number}>}
+   */
+  getExpiringRoots() {
+    return this._rootHistory
+      .filter(root => this._rootExpiry.has(root))
+      .map(root => ({ root, expiresAt: this._rootExpiry.get(root) }));
   }
 
   /**
@@ -204,5 +256,9 @@ export class MembershipTree {
     if (this._rootHistory.length > maxHistory) {
       this._rootHistory = this._rootHistory.slice(-maxHistory);
     }
+    // Forget expiry times of roots that fell out of the history
+    for (const root of this._rootExpiry.keys()) {
+      if (!this._rootHistory.includes(root)) this._rootExpiry.delete(root);
+    }
   }
 }
@@ -0,0 +1,186 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Official Proof Verifier
+// Verifies signed statements from official sources (e.g. the
+// registrar's office) that confirm or contradict a rumor.
+//
+// An official source is identified by the EdDSA-Poseidon public
+// key of a Semaphore identity it controls. Trusted keys come from
+// IDENTITY.OFFICIAL_SOURCES and can be added at runtime.
+//
+// The signed message is a field element derived from:
+//   sha256(JSON.stringify([rumorId, impact, statement, issuedAt]))
+// truncated to 31 bytes so it fits the Baby Jubjub scalar field.
+//
+// Editing the rumorId, impact, statement or issue time of a
+// signed proof invalidates the signature.
+// ─────────────────────────────────────────────────────────────
+
+import { Identity } from '@semaphore-protocol/identity';
+import { createHash } from 'crypto';
+import { IDENTITY, PROTOCOL } from '../config.js';
+
+/**
+ * Result of verifying an official proof.
+ * @typedef {Object} OfficialProofResult
+ * @property {boolean} valid - Whether the proof is signed by a trusted source
+ * @property {string|null} source - The trusted source's name (if valid)
+ * @property {string|null} error - Error message (if invalid)
+ */
+
+export class OfficialVerifier {
+  /**
+   * @param {Array<{name: string, publicKey: string[]}>} [sources] - Trusted official sources
+   */
+  constructor(sources = IDENTITY.OFFICIAL_SOURCES) {
+    /** @type {Map<string, string>} "x,y" public key → source name */
+    this._sources = new Map();
+    for (const { name, publicKey } of sources) {
+      this.addSource(name, publicKey);
+    }
+  }
+
+  // ── Trusted sources ────────────────────────────────────────
+
+  /**
+   * Trust a new official source.
+   *
+   * @param {string} name - Display name, e.g. "Registrar's Office"
+   * @param {Array<bigint|string>} publicKey - EdDSA public key [x, y]
+   */
+  addSource(name, publicKey) {
+    if (!name || !Array.isArray(publicKey) || publicKey.length !== 2) {
+      throw new Error('E400: Official source needs a name and a [x, y] public key');
+    }
+    this._sources.set(keyId(publicKey), name);
+  }
+
+  /**
+   * Stop trusting an official source.
+   *
+   * @param {Array<bigint|string>} publicKey
+   * @returns {boolean} true if the source was known
+   */
+  removeSource(publicKey) {
+    return this._sources.delete(keyId(publicKey));
+  }
+
+  /**
+   * Look up the trusted source name for a public key (no signature check).
+   *
+   * @param {Array<bigint|string>} publicKey
+   * @returns {string|null}
+   */
+  sourceFor(publicKey) {
+    if (!Array.isArray(publicKey)) return null;
+    return this._sources.get(keyId(publicKey)) ?? null;
+  }
+
+  /**
+   * List all trusted sources.
+   * @returns {Array<{name: string, publicKey: string[]}>}
+   */
+  getSources() {
+    return [...this._sources.entries()].map(([id, name]) => ({
+      name,
+      publicKey: id.split(','),
+    }));
+  }
+
+  // ── Signing & verification ─────────────────────────────────
+
+  /**
+   * Compute the field element an official source signs.
+   *
+   * @param {{rumorId: string, impact: string, statement: string, issuedAt: number}} fields
+   * @returns {bigint}
+   */
+  messageFor({ rumorId, impact, statement, issuedAt }) {
+    const digest = createHash('sha256')
+      .update(JSON.stringify([rumorId, impact, statement, issuedAt]))
+      .digest('hex');
+    return BigInt('0x' + digest.slice(0, 62));
+  }
+
+  /**
+   * Sign an official statement with a source's identity.
+   * Used by admin tooling — the private key never enters the network.
+   *
+   * @param {Identity} identity - The official source's Semaphore identity
+   * @param {{rumorId: string, impact: string, statement: string, issuedAt?: number}} fields
+   * @returns {object} an OFFICIAL_PROOF payload ready to ingest or publish
+   */
+  sign(identity, { rumorId, impact, statement, issuedAt = Date.now() }) {
+    const fields = { rumorId, impact, statement, issuedAt };
+    const signature = identity.signMessage(this.messageFor(fields));
+    return {
+      ...fields,
+      publicKey: identity.publicKey.map(p => p.toString()),
+      signature: {
+        R8: signature.R8.map(p => p.toString()),
+        S: signature.S.toString(),
+      },
+    };
+  }
+
+  /**
+   * Verify an OFFICIAL_PROOF payload: schema, trusted key, and signature.
+   *
+   * @param {object} payload
+   * @returns {OfficialProofResult}
+   */
+  verify(payload) {
+    const schemaError = this._checkSchema(payload);
+    if (schemaError) return { valid: false, source: null, error: schemaError };
+
+    const source = this._sources.get(keyId(payload.publicKey));
+    if (!source) {
+      return { valid: false, source: null, error: 'E401: Official proof is not signed by a trusted source' };
+    }
+
+    let valid = false;
+    try {
+      valid = Identity.verifySignature(
+        this.messageFor(payload),
+        {
+          R8: payload.signature.R8.map(v => BigInt(v)),
+          S: BigInt(payload.signature.S),
+        },
+        payload.publicKey.map(v => BigInt(v)),
+      );
+    } catch {
+      valid = false;
+    }
+
+    if (!valid) {
+      return { valid: false, source: null, error: 'E402: Official proof signature is invalid' };
+    }
+
+    return { valid: true, source, error: null };
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * @returns {string|null} error message or null if well-formed
+   * @private
+   */
+  _checkSchema(payload) {
+    if (!payload || typeof payload !== 'object') return 'E400: Invalid official proof';
+    if (!payload.rumorId) return 'E400: Official proof is missing rumorId';
+    if (!PROTOCOL.IMPACT_VALUES.includes(payload.impact)) return 'E400: Invalid official proof impact';
+    if (typeof payload.statement !== 'string' || !payload.statement) return 'E400: Official proof is missing statement';
+    if (typeof payload.issuedAt !== 'number') return 'E400: Official proof is missing issuedAt';
+    if (!Array.isArray(payload.publicKey) || payload.publicKey.length !== 2) return 'E400: Official proof is missing publicKey';
+    if (!payload.signature?.R8 || payload.signature.S === undefined) return 'E400: Official proof is missing signature';
+    return null;
+  }
+}
+
+/**
+ * Canonical string form of a public key, used as a Map key.
+ * @param {Array<bigint|string>} publicKey
+ * @returns {string}
+ */
+function keyId(publicKey) {
+  return publicKey.map(p => p.toString()).join(',');
+}
@@ -0,0 +1,126 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Revocation Verifier
+// Verifies signed REVOKE operations that remove an identity
+// commitment from the membership tree (a graduated student,
+// a compromised key, a duplicate identity, ...).
+//
+// Only trusted official sources — the same keys OfficialVerifier
+// accepts for official proofs — may revoke. The signed message
+// is a field element derived from:
+//   sha256(JSON.stringify(['REVOKE', commitment, reason, justification, revokedAt]))
+// truncated to 31 bytes. The 'REVOKE' prefix keeps a revocation
+// signature from ever being replayed as an official proof.
+// ─────────────────────────────────────────────────────────────
+
+import { Identity } from '@semaphore-protocol/identity';
+import { createHash } from 'crypto';
+import { PROTOCOL } from '../config.js';
+
+/**
+ * Result of verifying a revocation.
+ * @typedef {Object} RevocationResult
+ * @property {boolean} valid - Whether the revocation is signed by a trusted source
+ * @property {string|null} source - The revoking source's name (if valid)
+ * @property {string|null} error - Error message (if invalid)
+ */
+
+export class RevocationVerifier {
+  /**
+   * @param {import('./official-verifier.js').OfficialVerifier} officialVerifier
+   *   — its trusted sources are the revocation authorities
+   */
+  constructor(officialVerifier) {
+    this.officialVerifier = officialVerifier;
+  }
+
+  /**
+   * Compute the field element a revoking source signs.
+   *
+   * @param {{commitment: string, reason: string, justification: string, revokedAt: number}} fields
+   * @returns {bigint}
+   */
+  messageFor({ commitment, reason, justification, revokedAt }) {
+    const digest = createHash('sha256')
+      .update(JSON.stringify([PROTOCOL.TYPES.REVOKE, String(commitment), reason, justification, revokedAt]))
+      .digest('hex');
+    return BigInt('0x' + digest.slice(0, 62));
+  }
+
+  /**
+   * Sign a revocation with a source's identity.
+   * Used by admin tooling — the private key never enters the network.
+   *
+   * @param {Identity} identity - The official source's Semaphore identity
+   * @param {{commitment: bigint|string, reason: string, justification: string, revokedAt?: number}} fields
+   * @returns {object} a REVOKE payload ready to ingest or publish
+   */
+  sign(identity, { commitment, reason, justification, revokedAt = Date.now() }) {
+    const fields = { commitment: commitment.toString(), reason, justification, revokedAt };
+    const signature = identity.signMessage(this.messageFor(fields));
+    return {
+      ...fields,
+      publicKey: identity.publicKey.map(p => p.toString()),
+      signature: {
+        R8: signature.R8.map(p => p.toString()),
+        S: signature.S.toString(),
+      },
+    };
+  }
+
+  /**
+   * Verify a REVOKE payload: schema, trusted key, and signature.
+   *
+   * @param {object} payload
+   * @returns {RevocationResult}
+   */
+  verify(payload) {
+    const schemaError = this._checkSchema(payload);
+    if (schemaError) return { valid: false, source: null, error: schemaError };
+
+    const source = this.officialVerifier.sourceFor(payload.publicKey);
+    if (!source) {
+      return { valid: false, source: null, error: 'E801: Revocation is not signed by a trusted source' };
+    }
+
+    let valid = false;
+    try {
+      valid = Identity.verifySignature(
+        this.messageFor(payload),
+        {
+          R8: payload.signature.R8.map(v => BigInt(v)),
+          S: BigInt(payload.signature.S),
+        },
+        payload.publicKey.map(v => BigInt(v)),
+      );
+    } catch {
+      valid = false;
+    }
+
+    if (!valid) {
+      return { valid: false, source: null, error: 'E802: Revocation signature is invalid' };
+    }
+
+    return { valid: true, source, error: null };
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * @returns {string|null} error message or null if well-formed
+   * @private
+   */
+  _checkSchema(payload) {
+    if (!payload || typeof payload !== 'object') return 'E800: Invalid revocation';
+    if (typeof payload.commitment !== 'string' || !/^\d+$/.test(payload.commitment)) {
+      return 'E800: Revocation commitment must be a decimal field element';
+    }
+    if (!PROTOCOL.REVOKE_REASONS.includes(payload.reason)) return 'E800: Invalid revocation reason';
+    if (typeof payload.justification !== 'string' || !payload.justification.trim()) {
+      return 'E800: Revocation is missing a justification';
+    }
+    if (typeof payload.revokedAt !== 'number') return 'E800: Revocation is missing revokedAt';
+    if (!Array.isArray(payload.publicKey) || payload.publicKey.length !== 2) return 'E800: Revocation is missing publicKey';
+    if (!payload.signature?.R8 || payload.signature.S === undefined) return 'E800: Revocation is missing signature';
+    return null;
+  }
+}
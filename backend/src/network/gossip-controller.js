@@ -2,11 +2,67 @@
 // Afwaah — Gossip Controller
 // Bridges gossipsub pub/sub messages with validation and
 // local storage writes. Each topic has a validation pipeline.
+//
+// With a MembershipProofVerifier, every message carrying a ZK
+// proof is verified — group root, scope, nullifier, Semaphore
+// proof — before any handler sees it, and is recorded under the
+// pseudonym its proof derives. Without one, only the schema is
+// checked and nullifiers are deduplicated for the session. With an
+// AdmissionVerifier, a JOIN must carry a trusted registrar's
+// signature before it is passed on.
+//
+// The same checks run as gossipsub topic validators, so their
+// verdict reaches the router before a message is forwarded:
+// invalid messages are rejected and count against the peer's
+// score, duplicates and unknown roots are only ignored. Ops a
+// peer hands over in a sync response pass the same checks
+// (validateOp) before they are ingested.
+//
+// Disputes, flags and appeals stake the member's reputation
+// account, so they name it rather than carry a proof; with an
+// AccountVerifier they must be signed by the identity that owns
+// it. Whether the stake is affordable is decided by the
+// DisputeManager and ModerationManager.
 // ─────────────────────────────────────────────────────────────
 
+import { TopicValidatorResult } from '@libp2p/gossipsub';
 import { PROTOCOL, NETWORK, MAX_RUMOR_LENGTH } from '../config.js';
+import { proofFields, anonymousId } from '../identity/membership-proof-verifier.js';
+
+const {
+  TOPICS, TYPES, RUMOR_TOPICS, VOTE_VALUES, IMPACT_VALUES, REVOKE_REASONS, TOMBSTONE_REASONS, FLAG_CATEGORIES,
+} = PROTOCOL;
+
+/** Op type of the messages on each topic whose payloads carry a ZK proof */
+const PROOF_TOPICS = {
+  [TOPICS.RUMORS]: TYPES.RUMOR,
+  [TOPICS.VOTES]: TYPES.VOTE,
+  [TOPICS.TOMBSTONE]: TYPES.TOMBSTONE,
+};
+
+/** Topic each op type peers may send us is published on */
+const OP_TOPICS = {
+  [TYPES.RUMOR]: TOPICS.RUMORS,
+  [TYPES.VOTE]: TOPICS.VOTES,
+  [TYPES.JOIN]: TOPICS.IDENTITY,
+  [TYPES.TOMBSTONE]: TOPICS.TOMBSTONE,
+  [TYPES.OFFICIAL_PROOF]: TOPICS.OFFICIAL,
+  [TYPES.DISPUTE]: TOPICS.DISPUTES,
+  [TYPES.REVOKE]: TOPICS.REVOCATIONS,
+  [TYPES.FINALIZE]: TOPICS.FINALIZED,
+  [TYPES.FLAG]: TOPICS.MODERATION,
+  [TYPES.APPEAL]: TOPICS.MODERATION,
+};
+
+/**
+ * Errors that are not the sender's fault: a copy of an action we
+ * already hold, a proof against a root that has not reached us yet,
+ * a tombstone for a rumor that has not reached us yet, or an
+ * admission by a registrar only some nodes trust. Such messages are
+ * ignored without penalizing the peer.
+ */
+const BENIGN_ERRORS = ['E002', 'E006', 'E204', 'E811'];
 
-const { TOPICS, TYPES, RUMOR_TOPICS, VOTE_VALUES, IMPACT_VALUES } = PROTOCOL;
 const encoder = new TextEncoder();
 const decoder = new TextDecoder();
 
@@ -15,30 +71,51 @@ const decoder = new TextDecoder();
  * It validates incoming messages and publishes outgoing ones.
  *
  * Usage:
- *   const gc = new GossipController(afwaahNode);
+ *   const gc = new GossipController(afwaahNode, { proofVerifier });
  *   gc.onRumor((msg, raw)   => { ... });
  *   gc.onVote((msg, raw)    => { ... });
  *   gc.onJoin((msg, raw)    => { ... });
  *   gc.onTombstone((msg)    => { ... });
  *   gc.onSync((msg)         => { ... });
+ *   gc.onOfficialProof((msg) => { ... });
+ *   gc.onDispute((msg)       => { ... });
+ *   gc.onRevoke((msg)        => { ... });
+ *   gc.onFinalize((msg)      => { ... });
+ *   gc.onModeration((msg)    => { ... });
  *   gc.start();
  *   await gc.publishRumor(payload);
+ *   const { parsed } = await gc.validateOp(syncedOp);  // null if refused
  */
 export class GossipController {
   /**
    * @param {import('./node.js').AfwaahNode} afwaahNode — a started AfwaahNode
+   * @param {object} [options]
+   * @param {import('../identity/membership-proof-verifier.js').MembershipProofVerifier} [options.proofVerifier]
+   *   — when set, ZK proofs are verified before dispatch
+   * @param {import('../identity/admission-verifier.js').AdmissionVerifier} [options.admissionVerifier]
+   *   — when set, JOIN admissions are verified before dispatch
+   * @param {import('../identity/account-verifier.js').AccountVerifier} [options.accountVerifier]
+   *   — when set, dispute, flag and appeal signatures are verified before dispatch
    */
-  constructor(afwaahNode) {
+  constructor(afwaahNode, { proofVerifier = null, admissionVerifier = null, accountVerifier = null } = {}) {
     this._node = afwaahNode;
+    this._proofVerifier = proofVerifier;
+    this._admissionVerifier = admissionVerifier;
+    this._accountVerifier = accountVerifier;
     this._handlers = new Map();    // topic → Set<callback>
     this._nullifiers = new Set();  // seen nullifier hashes for dedup
     this._started = false;
+    this._rejected = 0;            // messages refused by proof verification
+    this._validator = this._topicValidator.bind(this);
+    this._validated = new WeakMap(); // gossipsub message → parsed, accepted by a topic validator
+    this._peers = new Map();       // peerId → { accepted, rejected, ignored, lastError, lastSeen }
   }
 
   // ── Lifecycle ──────────────────────────────────────────────
 
   /**
-   * Attach the internal gossipsub listener.
+   * Attach the internal gossipsub listener and register a topic
+   * validator for every Afwaah topic.
    * All topic subscriptions are already set up by AfwaahNode.start().
    */
   start() {
@@ -46,6 +123,9 @@ export class GossipController {
 
     const pubsub = this._node.pubsub;
     pubsub.addEventListener('gossipsub:message', this._onGossipMessage.bind(this));
+    for (const topic of Object.values(TOPICS)) {
+      pubsub.topicValidators?.set(topic, this._validator);
+    }
     this._started = true;
   }
 
@@ -54,6 +134,10 @@ export class GossipController {
    */
   stop() {
     this._started = false;
+    const validators = this._node.pubsub?.topicValidators;
+    for (const topic of Object.values(TOPICS)) {
+      if (validators?.get(topic) === this._validator) validators.delete(topic);
+    }
   }
 
   // ── Handler registration ───────────────────────────────────
@@ -73,6 +157,21 @@ export class GossipController {
   /** Register a handler for sync request/response messages. */
   onSync(handler)      { this._addHandler(TOPICS.SYNC, handler); }
 
+  /** Register a handler for validated official proof messages. */
+  onOfficialProof(handler) { this._addHandler(TOPICS.OFFICIAL, handler); }
+
+  /** Register a handler for validated dispute messages. */
+  onDispute(handler)   { this._addHandler(TOPICS.DISPUTES, handler); }
+
+  /** Register a handler for validated membership revocation messages. */
+  onRevoke(handler)    { this._addHandler(TOPICS.REVOCATIONS, handler); }
+
+  /** Register a handler for validated voting-close (FINALIZE) messages. */
+  onFinalize(handler)  { this._addHandler(TOPICS.FINALIZED, handler); }
+
+  /** Register a handler for validated flag and appeal messages. */
+  onModeration(handler) { this._addHandler(TOPICS.MODERATION, handler); }
+
   // ── Publishing ─────────────────────────────────────────────
 
   /**
@@ -126,6 +225,66 @@ export class GossipController {
     return this._publish(TOPICS.SYNC, msg);
   }
 
+  /**
+   * Publish a signed official statement about a rumor.
+   * @param {object} payload — OfficialProofMessage.payload
+   * @returns {Promise<{recipients: any[]}>}
+   */
+  async publishOfficialProof(payload) {
+    const msg = this._envelope(TYPES.OFFICIAL_PROOF, payload);
+    return this._publish(TOPICS.OFFICIAL, msg);
+  }
+
+  /**
+   * Publish a staked dispute against a finalized score.
+   * @param {object} payload — DisputeMessage.payload
+   * @returns {Promise<{recipients: any[]}>}
+   */
+  async publishDispute(payload) {
+    const msg = this._envelope(TYPES.DISPUTE, payload);
+    return this._publish(TOPICS.DISPUTES, msg);
+  }
+
+  /**
+   * Publish a signed revocation of an identity commitment.
+   * @param {object} payload — RevokeMessage.payload
+   * @returns {Promise<{recipients: any[]}>}
+   */
+  async publishRevoke(payload) {
+    const msg = this._envelope(TYPES.REVOKE, payload);
+    return this._publish(TOPICS.REVOCATIONS, msg);
+  }
+
+  /**
+   * Publish the close of a rumor's voting (or dispute) window.
+   * @param {object} payload — FinalizeMessage.payload
+   * @returns {Promise<{recipients: any[]}>}
+   */
+  async publishFinalize(payload) {
+    const msg = this._envelope(TYPES.FINALIZE, payload);
+    return this._publish(TOPICS.FINALIZED, msg);
+  }
+
+  /**
+   * Publish a staked flag asking for a rumor's removal.
+   * @param {object} payload — FlagMessage.payload
+   * @returns {Promise<{recipients: any[]}>}
+   */
+  async publishFlag(payload) {
+    const msg = this._envelope(TYPES.FLAG, payload);
+    return this._publish(TOPICS.MODERATION, msg);
+  }
+
+  /**
+   * Publish a staked appeal against a community removal.
+   * @param {object} payload — AppealMessage.payload
+   * @returns {Promise<{recipients: any[]}>}
+   */
+  async publishAppeal(payload) {
+    const msg = this._envelope(TYPES.APPEAL, payload);
+    return this._publish(TOPICS.MODERATION, msg);
+  }
+
   // ── Known nullifiers (for dedup across the session) ────────
 
   /**
@@ -152,35 +311,157 @@ export class GossipController {
     return this._nullifiers.size;
   }
 
+  /**
+   * Messages dropped because their ZK proof did not verify.
+   */
+  get rejectedCount() {
+    return this._rejected;
+  }
+
+  /**
+   * What each peer has sent us, by validator verdict.
+   * @returns {Map<string, {accepted: number, rejected: number, ignored: number, lastError: string|null, lastSeen: number}>}
+   */
+  get peerStats() {
+    return this._peers;
+  }
+
+  // ── Validation ─────────────────────────────────────────────
+
+  /**
+   * Run a raw gossip message through the full pipeline — schema, then
+   * membership proof — and decide what gossipsub should do with it.
+   * An accepted proof spends its nullifier, and the payload is
+   * recorded under the pseudonym the proof derives.
+   *
+   * @param {string} topic
+   * @param {Uint8Array} data
+   * @returns {Promise<{result: 'accept'|'reject'|'ignore', parsed: object|null, error: string|null}>}
+   */
+  async validate(topic, data) {
+    const { parsed, error } = this._check(topic, data);
+    if (error) return this._verdict(error);
+
+    if (this._proofVerifier && PROOF_TOPICS[topic]) {
+      let admitted;
+      try {
+        admitted = await this._proofVerifier.admit(PROOF_TOPICS[topic], parsed.payload);
+      } catch (err) {
+        admitted = { valid: false, error: err.message };
+      }
+      if (!admitted.valid) {
+        this._rejected++;
+        return this._verdict(admitted.error);
+      }
+      this._nullifiers.add(admitted.nullifier);
+      parsed.payload.nullifier = anonymousId(admitted.nullifier);
+      parsed.payload.zkVerified = true;
+    } else {
+      // Nullifier dedup (for topics that carry nullifiers)
+      const { nullifier } = proofFields(parsed.payload?.zkProof);
+      if (nullifier) {
+        if (this._nullifiers.has(nullifier)) return this._verdict('E002: duplicate nullifier');
+        this._nullifiers.add(nullifier);
+      }
+    }
+
+    return { result: TopicValidatorResult.Accept, parsed, error: null };
+  }
+
+  /**
+   * Run an op that reached us outside gossip — e.g. in an anti-entropy
+   * sync response — through the validator of the topic it is
+   * published on. Ops no peer publishes (epochs, moderation
+   * settlements) are refused: every node records its own.
+   *
+   * @param {{type: string, payload: object, timestamp?: number}} op
+   * @returns {Promise<{result: 'accept'|'reject'|'ignore', parsed: object|null, error: string|null}>}
+   */
+  async validateOp(op) {
+    const topic = OP_TOPICS[op?.type];
+    if (!topic) return this._verdict(`E014: ${op?.type} ops are not accepted from peers`);
+    const msg = {
+      type: op.type,
+      version: PROTOCOL.VERSION,
+      payload: { timestamp: op.timestamp, ...op.payload },
+    };
+    return this.validate(topic, encoder.encode(JSON.stringify(msg)));
+  }
+
   // ── Internal: gossip listener ──────────────────────────────
 
   /**
-   * Central gossipsub message handler. Parses, validates, and dispatches.
+   * gossipsub topic validator. Its verdict decides whether the message
+   * is delivered and forwarded, and a reject counts against the
+   * sending peer's score.
+   * @private
+   */
+  async _topicValidator(peerId, msg) {
+    const { result, parsed, error } = await this.validate(msg.topic, msg.data);
+    if (parsed) this._validated.set(msg, parsed);
+    this._recordPeer(peerId.toString(), result, error);
+    return result;
+  }
+
+  /**
+   * Central gossipsub message handler. Dispatches messages the topic
+   * validator accepted; anything that reached us without passing one
+   * is parsed and validated here first.
    * @private
    */
   _onGossipMessage(evt) {
     if (!this._started) return;
 
     const { msg } = evt.detail;
-    const topic = msg.topic;
-    const handlers = this._handlers.get(topic);
+    const handlers = this._handlers.get(msg.topic);
+    const validated = this._validated.get(msg);
+    if (validated) {
+      this._validated.delete(msg);
+      if (handlers?.size > 0) this._dispatch(validated, msg, handlers);
+      return;
+    }
     if (!handlers || handlers.size === 0) return;
 
+    // Proofs are checked before anything is dispatched
+    if (this._proofVerifier && PROOF_TOPICS[msg.topic]) {
+      this._verifyAndDispatch(msg, handlers);
+      return;
+    }
+
+    const { parsed, error } = this._check(msg.topic, msg.data);
+    if (error) return;
+
+    // Nullifier dedup (for topics that carry nullifiers)
+    const { nullifier } = proofFields(parsed.payload?.zkProof);
+    if (nullifier) {
+      if (this._nullifiers.has(nullifier)) return; // duplicate
+      this._nullifiers.add(nullifier);
+    }
+
+    this._dispatch(parsed, msg, handlers);
+  }
+
+  /**
+   * Parse a raw message and check its envelope and topic schema.
+   * @returns {{parsed: object|null, error: string|null}}
+   * @private
+   */
+  _check(topic, data) {
+    if (data?.byteLength > NETWORK.MAX_MESSAGE_SIZE) {
+      return { parsed: null, error: `E012: message size ${data.byteLength} exceeds max ${NETWORK.MAX_MESSAGE_SIZE}` };
+    }
+
     // Parse
     let parsed;
     try {
-      parsed = JSON.parse(decoder.decode(msg.data));
+      parsed = JSON.parse(decoder.decode(data));
     } catch {
-      // Malformed JSON → drop silently
-      return;
+      return { parsed: null, error: 'E014: malformed JSON' };
     }
 
     // Basic envelope validation
     const error = this._validateEnvelope(parsed);
-    if (error) {
-      // Could emit an 'invalid' event in the future
-      return;
-    }
+    if (error) return { parsed: null, error };
 
     // Topic-specific validation
     const payload = parsed.payload;
@@ -199,23 +480,84 @@ export class GossipController {
       case TOPICS.TOMBSTONE:
         validationError = this._validateTombstone(payload);
         break;
+      case TOPICS.OFFICIAL:
+        validationError = this._validateOfficialProof(payload);
+        break;
+      case TOPICS.DISPUTES:
+        validationError = this._validateDispute(payload);
+        break;
+      case TOPICS.REVOCATIONS:
+        validationError = this._validateRevoke(payload);
+        break;
+      case TOPICS.FINALIZED:
+        validationError = this._validateFinalize(payload);
+        break;
+      case TOPICS.MODERATION:
+        validationError = this._validateModeration(parsed.type, payload);
+        break;
       case TOPICS.SYNC:
         // Sync messages have minimal validation
         break;
       default:
-        return; // unknown topic
+        return { parsed: null, error: 'E014: unknown topic' };
     }
 
-    if (validationError) return;
+    if (validationError) return { parsed: null, error: validationError };
 
-    // Nullifier dedup (for topics that carry nullifiers)
-    const nullifier = payload?.zkProof?.nullifierHash;
-    if (nullifier) {
-      if (this._nullifiers.has(nullifier)) return; // duplicate
-      this._nullifiers.add(nullifier);
+    if (topic === TOPICS.IDENTITY && this._admissionVerifier) {
+      const admission = this._admissionVerifier.verify(payload);
+      if (!admission.valid) return { parsed: null, error: admission.error };
+    }
+
+    if ((topic === TOPICS.DISPUTES || topic === TOPICS.MODERATION) && this._accountVerifier) {
+      const account = this._accountVerifier.verify(parsed.type, payload);
+      if (!account.valid) return { parsed: null, error: account.error };
+    }
+    return { parsed, error: null };
+  }
+
+  /**
+   * Map a validation error to a gossipsub verdict.
+   * @private
+   */
+  _verdict(error) {
+    let result = TopicValidatorResult.Reject;
+    if (BENIGN_ERRORS.includes(error?.slice(0, 4))) result = TopicValidatorResult.Ignore;
+    return { result, parsed: null, error };
+  }
+
+  /**
+   * Count a validator verdict against the peer that sent the message.
+   * @private
+   */
+  _recordPeer(peerId, result, error) {
+    let stats = this._peers.get(peerId);
+    if (!stats) {
+      stats = { accepted: 0, rejected: 0, ignored: 0, lastError: null, lastSeen: 0 };
+      this._peers.set(peerId, stats);
     }
+    if (result === TopicValidatorResult.Accept) stats.accepted++;
+    else if (result === TopicValidatorResult.Reject) stats.rejected++;
+    else stats.ignored++;
+    if (error) stats.lastError = error;
+    stats.lastSeen = Date.now();
+  }
 
-    // Dispatch to all registered handlers
+  /**
+   * Verify a message's membership proof, then dispatch it under
+   * the pseudonym the proof derives — whatever the sender claimed.
+   * @private
+   */
+  async _verifyAndDispatch(msg, handlers) {
+    const { parsed } = await this.validate(msg.topic, msg.data);
+    if (parsed) this._dispatch(parsed, msg, handlers);
+  }
+
+  /**
+   * Hand a validated message to every handler on its topic.
+   * @private
+   */
+  _dispatch(parsed, msg, handlers) {
     for (const handler of handlers) {
       try {
         handler(parsed, msg);
@@ -242,17 +584,17 @@ export class GossipController {
 
   /**
    * Validate a RumorMessage payload.
-   * Note: ZK proof cryptographic verification is done externally (by the scoring pipeline).
-   * This only checks schema-level constraints.
+   * The proof itself is verified by the MembershipProofVerifier;
+   * this only checks schema-level constraints.
    * @private
    */
   _validateRumor(payload) {
     if (!payload.text || typeof payload.text !== 'string') return 'E014: missing text';
     if (payload.text.length > MAX_RUMOR_LENGTH) return 'E012: rumor too long';
-    if (!payload.topic || !RUMOR_TOPICS.includes(payload.topic)) return 'E014: invalid topic';
+    if (!payload.topic || !Object.hasOwn(RUMOR_TOPICS, payload.topic)) return 'E014: invalid topic';
     if (!payload.zkProof) return 'E001: missing zkProof';
-    if (!payload.zkProof.nullifierHash) return 'E001: missing nullifierHash';
-    if (!payload.zkProof.merkleRoot) return 'E006: missing merkleRoot';
+    if (!proofFields(payload.zkProof).nullifier) return 'E001: missing nullifier';
+    if (!proofFields(payload.zkProof).root) return 'E006: missing merkle root';
     if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
     return null;
   }
@@ -272,19 +614,25 @@ export class GossipController {
 
     if (typeof payload.stakeAmount !== 'number' || payload.stakeAmount < 1) return 'E007: invalid stake';
     if (!payload.zkProof) return 'E001: missing zkProof';
-    if (!payload.zkProof.nullifierHash) return 'E001: missing nullifierHash';
+    if (!proofFields(payload.zkProof).nullifier) return 'E001: missing nullifier';
     if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
     return null;
   }
 
   /**
    * Validate a JoinMessage payload.
+   * The registrar signature is verified by the AdmissionVerifier;
+   * this only checks schema-level constraints.
    * @private
    */
   _validateJoin(payload) {
-    if (!payload.commitment) return 'E005: missing commitment';
-    if (!payload.dkimProof || typeof payload.dkimProof !== 'object') return 'E003: missing dkimProof';
-    if (!payload.dkimProof.domain) return 'E004: missing domain';
+    if (typeof payload.commitment !== 'string' || !/^\d+$/.test(payload.commitment)) {
+      return 'E005: missing commitment';
+    }
+    if (!payload.domain || typeof payload.domain !== 'string') return 'E004: missing domain';
+    if (typeof payload.admittedAt !== 'number') return 'E003: missing admittedAt';
+    if (!Array.isArray(payload.publicKey) || payload.publicKey.length !== 2) return 'E003: missing registrar publicKey';
+    if (!payload.signature?.R8 || payload.signature.S === undefined) return 'E003: missing registrar signature';
     if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
     return null;
   }
@@ -295,12 +643,101 @@ export class GossipController {
    */
   _validateTombstone(payload) {
     if (!payload.rumorId) return 'E009: missing rumorId';
-    if (!['retracted', 'duplicate', 'community_flagged'].includes(payload.reason)) {
+    if (!TOMBSTONE_REASONS.includes(payload.reason)) {
       return 'E014: invalid tombstone reason';
     }
     if (!payload.zkProof) return 'E001: missing zkProof';
-    if (!payload.zkProof.nullifierHash) return 'E001: missing nullifierHash';
+    if (!proofFields(payload.zkProof).nullifier) return 'E001: missing nullifier';
+    if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
+    return null;
+  }
+
+  /**
+   * Validate an OfficialProofMessage payload.
+   * Signature verification against trusted sources is done by
+   * OfficialVerifier; this only checks schema-level constraints.
+   * @private
+   */
+  _validateOfficialProof(payload) {
+    if (!payload.rumorId) return 'E009: missing rumorId';
+    if (!IMPACT_VALUES.includes(payload.impact)) return 'E015: invalid impact value';
+    if (!payload.statement || typeof payload.statement !== 'string') return 'E014: missing statement';
+    if (payload.statement.length > MAX_RUMOR_LENGTH) return 'E012: statement too long';
+    if (typeof payload.issuedAt !== 'number') return 'E014: missing issuedAt';
+    if (!Array.isArray(payload.publicKey) || payload.publicKey.length !== 2) return 'E016: missing publicKey';
+    if (!payload.signature?.R8 || payload.signature.S === undefined) return 'E016: missing signature';
+    if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
+    return null;
+  }
+
+  /**
+   * Validate a DisputeMessage payload.
+   * The account signature is verified by the AccountVerifier;
+   * whether the score is finalized and the stake affordable is
+   * decided by DisputeManager on each node.
+   * @private
+   */
+  _validateDispute(payload) {
+    if (!payload.rumorId) return 'E009: missing rumorId';
+    if (typeof payload.stakeAmount !== 'number' || payload.stakeAmount < 1) return 'E007: invalid stake';
+    if (payload.reason !== undefined && typeof payload.reason !== 'string') return 'E014: invalid reason';
+    if (payload.reason && payload.reason.length > MAX_RUMOR_LENGTH) return 'E012: reason too long';
+    if (!payload.nullifier || typeof payload.nullifier !== 'string') return 'E014: missing nullifier';
+    if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
+    if (!Array.isArray(payload.publicKey) || !payload.signature) return 'E014: missing account signature';
+    return null;
+  }
+
+  /**
+   * Validate a RevokeMessage payload.
+   * Signature verification against trusted sources is done by
+   * RevocationVerifier; this only checks schema-level constraints.
+   * @private
+   */
+  _validateRevoke(payload) {
+    if (typeof payload.commitment !== 'string' || !/^\d+$/.test(payload.commitment)) {
+      return 'E014: missing commitment';
+    }
+    if (!REVOKE_REASONS.includes(payload.reason)) return 'E014: invalid revocation reason';
+    if (!payload.justification || typeof payload.justification !== 'string') return 'E014: missing justification';
+    if (payload.justification.length > MAX_RUMOR_LENGTH) return 'E012: justification too long';
+    if (typeof payload.revokedAt !== 'number') return 'E014: missing revokedAt';
+    if (!Array.isArray(payload.publicKey) || payload.publicKey.length !== 2) return 'E016: missing publicKey';
+    if (!payload.signature?.R8 || payload.signature.S === undefined) return 'E016: missing signature';
+    if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
+    return null;
+  }
+
+  /**
+   * Validate a FinalizeMessage payload. Whether the window has
+   * really closed is decided by the OpLogScorer when it applies
+   * the op; this only checks schema-level constraints.
+   * @private
+   */
+  _validateFinalize(payload) {
+    if (!payload.rumorId) return 'E009: missing rumorId';
+    if (!Number.isInteger(payload.round) || payload.round < 0) return 'E014: invalid round';
+    if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
+    if (payload.engine !== undefined) return 'E014: FINALIZE ops do not name an engine';
+    return null;
+  }
+
+  /**
+   * Validate a FlagMessage or AppealMessage payload. Whether the
+   * rumor can be flagged or appealed, and the stake afforded, is
+   * decided by the ModerationManager on each node.
+   * @private
+   */
+  _validateModeration(type, payload) {
+    if (type !== TYPES.FLAG && type !== TYPES.APPEAL) return 'E014: unknown moderation type';
+    if (!payload.rumorId) return 'E009: missing rumorId';
+    if (!payload.nullifier || typeof payload.nullifier !== 'string') return 'E014: missing nullifier';
+    if (type === TYPES.FLAG && !FLAG_CATEGORIES.includes(payload.category)) return 'E014: invalid flag category';
+    if (typeof payload.stakeAmount !== 'number' || payload.stakeAmount < 1) return 'E007: invalid stake';
+    if (payload.reason !== undefined && typeof payload.reason !== 'string') return 'E014: invalid reason';
+    if (payload.reason && payload.reason.length > MAX_RUMOR_LENGTH) return 'E012: reason too long';
     if (typeof payload.timestamp !== 'number') return 'E014: missing timestamp';
+    if (!Array.isArray(payload.publicKey) || !payload.signature) return 'E014: missing account signature';
     return null;
   }
 
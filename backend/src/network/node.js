@@ -15,6 +15,51 @@ import { identify } from '@libp2p/identify';
 import { ping } from '@libp2p/ping';
 import { NETWORK, PROTOCOL } from '../config.js';
 
+/**
+ * gossipsub peer-score parameters for the Afwaah topics.
+ *
+ * Every message a topic validator rejects is an invalid delivery;
+ * the penalty grows with the square of their count and decays by
+ * NETWORK.PEER_SCORE_DECAY each second. With the defaults, three
+ * invalid messages in a row take a peer below the graylist
+ * threshold. Delivery-rate penalties are off: campus traffic is too
+ * sparse for a quiet mesh peer to mean anything.
+ */
+export function buildPeerScoreParams() {
+  const topics = {};
+  for (const topic of Object.values(PROTOCOL.TOPICS)) {
+    topics[topic] = {
+      topicWeight: 1,
+      timeInMeshWeight: 0.01,
+      timeInMeshQuantum: 1000,
+      timeInMeshCap: 3600,
+      firstMessageDeliveriesWeight: 1,
+      firstMessageDeliveriesDecay: 0.5,
+      firstMessageDeliveriesCap: 10,
+      meshMessageDeliveriesWeight: 0,
+      meshFailurePenaltyWeight: 0,
+      invalidMessageDeliveriesWeight: NETWORK.PEER_INVALID_MESSAGE_WEIGHT,
+      invalidMessageDeliveriesDecay: NETWORK.PEER_SCORE_DECAY,
+    };
+  }
+  return {
+    topics,
+    topicScoreCap: 10,
+    decayInterval: 1000,
+  };
+}
+
+/**
+ * gossipsub score thresholds, from config.
+ */
+export function buildPeerScoreThresholds() {
+  return {
+    gossipThreshold: NETWORK.PEER_GOSSIP_THRESHOLD,
+    publishThreshold: NETWORK.PEER_PUBLISH_THRESHOLD,
+    graylistThreshold: NETWORK.PEER_GRAYLIST_THRESHOLD,
+  };
+}
+
 /**
  * Default libp2p configuration for an Afwaah node.
  * Can be overridden via the `overrides` parameter.
@@ -44,6 +89,9 @@ export function buildNodeConfig(overrides = {}) {
         Dhi: NETWORK.GOSSIP_MESH_HIGH,
         heartbeatInterval: NETWORK.GOSSIP_HEARTBEAT_INTERVAL,
         fanoutTTL: NETWORK.GOSSIP_FANOUT_TTL,
+        // Peers that send messages our topic validators reject lose score
+        scoreParams: buildPeerScoreParams(),
+        scoreThresholds: buildPeerScoreThresholds(),
       }),
       dht: kadDHT({
         clientMode: false,
@@ -171,6 +219,18 @@ export class AfwaahNode {
     });
   }
 
+  /**
+   * Register a handler for gossipsub subscription changes — fired when
+   * a connected peer announces (or drops) the topics it listens on.
+   * @param {(peerId: any, subscriptions: Array<{topic: string, subscribe: boolean}>) => void} handler
+   */
+  onSubscriptionChange(handler) {
+    this._ensureStarted();
+    this.pubsub.addEventListener('subscription-change', (evt) => {
+      handler(evt.detail.peerId, evt.detail.subscriptions);
+    });
+  }
+
   /**
    * List currently connected peers.
    * @returns {import('@libp2p/interface').PeerId[]}
@@ -180,6 +240,36 @@ export class AfwaahNode {
     return this.libp2p.getPeers();
   }
 
+  /**
+   * gossipsub score of every peer we hold score state for, with its
+   * invalid-message count and whether it is below each threshold.
+   * @returns {Array<{id: string, score: number, invalidMessages: number, behaviourPenalty: number, connected: boolean, graylisted: boolean, noGossip: boolean, noPublish: boolean}>}
+   */
+  getPeerScores() {
+    this._ensureStarted();
+    const pubsub = this.pubsub;
+    const thresholds = buildPeerScoreThresholds();
+    const stats = pubsub.dumpPeerScoreStats?.() ?? {};
+    const ids = new Set([...Object.keys(stats), ...this.getConnectedPeers().map(p => p.toString())]);
+
+    return [...ids].map((id) => {
+      const peer = stats[id];
+      const score = pubsub.getScore(id);
+      const invalidMessages = Object.values(peer?.topics ?? {})
+        .reduce((sum, t) => sum + (t.invalidMessageDeliveries ?? 0), 0);
+      return {
+        id,
+        score,
+        invalidMessages,
+        behaviourPenalty: peer?.behaviourPenalty ?? 0,
+        connected: peer?.connected ?? true,
+        graylisted: score < thresholds.graylistThreshold,
+        noGossip: score < thresholds.gossipThreshold,
+        noPublish: score < thresholds.publishThreshold,
+      };
+    });
+  }
+
   // ── Internal ───────────────────────────────────────────────
 
   _ensureStarted() {
@@ -0,0 +1,353 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Sync Service
+// Drives AntiEntropySync over the /afwaah/sync/1.0 gossip topic
+// so a node that was offline catches up on missed operations.
+//
+// Protocol (all messages are broadcast on the SYNC topic):
+//   1. When a peer connects and every SYNC_COOLDOWN ms, a node
+//      publishes SYNC_REQUEST { roots, from, have }
+//        roots — Merkle root over the digests of its OpLog keys
+//        have  — short digests of every op the node holds
+//   2. Every peer whose root differs answers with a
+//      SYNC_RESPONSE { to, missingEntries: { oplog: [...] } }
+//      containing only the ops the requester does not have
+//   3. The requester read-repairs the delta, runs each op through
+//      the gossip validator of its topic, and ingests those that
+//      pass into its Snapshotter. If the roots still differ it
+//      asks again.
+//
+// Ops are identified by a semantic key (rumor id, voter + rumor,
+// ...) rather than by their local _ingestIndex, so the same op
+// received via gossip on two nodes yields the same key.
+// ─────────────────────────────────────────────────────────────
+
+import { EventEmitter } from 'events';
+import { PROTOCOL, NETWORK } from '../config.js';
+import { AntiEntropySync } from './anti-entropy.js';
+import { opKey, keyDigest } from '../state/op-key.js';
+
+export { opKey };
+
+const { TYPES } = PROTOCOL;
+
+/** Store key used for the OpLog in Merkle roots and sync payloads */
+export const OPLOG_STORE = 'oplog';
+
+/**
+ * SyncService keeps a Snapshotter in step with its peers.
+ *
+ * Usage:
+ *   const sync = new SyncService({ node, gossip, snapshotter });
+ *   sync.start();
+ *   sync.on('synced', ({ peerId, applied, rejected }) => { ... });
+ *   await sync.requestSync();
+ *   sync.stop();
+ */
+export class SyncService extends EventEmitter {
+  /**
+   * @param {object} deps
+   * @param {import('./node.js').AfwaahNode} deps.node — a started AfwaahNode
+   * @param {import('./gossip-controller.js').GossipController} deps.gossip — a started GossipController
+   * @param {import('../state/snapshotter.js').Snapshotter} deps.snapshotter
+   * @param {AntiEntropySync} [deps.antiEntropy] — defaults to a new instance
+   * @param {object} [config]
+   * @param {number} [config.interval] — ms between periodic sync rounds (0 disables)
+   * @param {number} [config.connectDelay] — ms to wait after a peer joins the sync topic
+   */
+  constructor({ node, gossip, snapshotter, antiEntropy }, config = {}) {
+    super();
+    this._node = node;
+    this._gossip = gossip;
+    this._snapshotter = snapshotter;
+    this.antiEntropy = antiEntropy || new AntiEntropySync({ syncCooldown: 0 });
+
+    this.interval = config.interval ?? NETWORK.SYNC_COOLDOWN;
+    this.connectDelay = config.connectDelay ?? 1000;
+
+    /** @type {Map<string, string>} op key → short digest, for every op in the OpLog */
+    this._known = new Map();
+
+    /** @type {Set<string>} short digests of every op in the OpLog or a bootstrap checkpoint */
+    this._digests = new Set();
+
+    this._rootDirty = true;
+    this._timer = null;
+    this._pending = new Set();
+    this._started = false;
+    this._onOp = (entry) => this._track(entry);
+    this._onCheckpoint = () => this._trackBootstrap();
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /**
+   * Index the current OpLog, listen for sync messages and new
+   * peers, and start the periodic sync timer.
+   */
+  start() {
+    if (this._started) return;
+
+    for (const entry of this._snapshotter.getOpLog()) this._track(entry);
+    this._trackBootstrap();
+    this._snapshotter.on('op', this._onOp);
+    this._snapshotter.on('checkpoint', this._onCheckpoint);
+
+    this._gossip.onSync((msg) => {
+      if (!this._started) return;
+      if (msg.type === TYPES.SYNC_REQUEST) this._handleRequest(msg);
+      else if (msg.type === TYPES.SYNC_RESPONSE) this._handleResponse(msg).catch(err => this.emit('sync-error', err));
+    });
+
+    // A newly connected peer is reachable once it announces the sync topic
+    this._node.onSubscriptionChange((_peerId, subscriptions) => {
+      if (!this._started) return;
+      if (subscriptions.some(s => s.topic === PROTOCOL.TOPICS.SYNC && s.subscribe)) {
+        this._schedule(this.connectDelay);
+      }
+    });
+
+    if (this.interval > 0) {
+      this._timer = setInterval(() => this.requestSync().catch(() => {}), this.interval);
+      this._timer.unref?.();
+    }
+
+    this._started = true;
+  }
+
+  /**
+   * Stop timers and ignore further sync traffic.
+   */
+  stop() {
+    this._started = false;
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+    for (const t of this._pending) clearTimeout(t);
+    this._pending.clear();
+    this._snapshotter.off('op', this._onOp);
+    this._snapshotter.off('checkpoint', this._onCheckpoint);
+  }
+
+  // ── Public API ─────────────────────────────────────────────
+
+  /**
+   * Broadcast a SYNC_REQUEST with the local root and op digests.
+   * @returns {Promise<object>} the request payload that was sent
+   */
+  async requestSync() {
+    this._refreshRoot();
+    const request = this.antiEntropy.createSyncRequest();
+    const payload = {
+      ...request.payload,
+      from: this._node.peerId.toString(),
+      have: [...this._digests],
+    };
+    await this._gossip.publishSync(payload, TYPES.SYNC_REQUEST);
+    this.emit('request', { have: payload.have.length });
+    return payload;
+  }
+
+  /**
+   * Check whether an operation is already in the local OpLog, or
+   * covered by the checkpoint this node bootstrapped from.
+   * Used to drop gossip messages that already arrived through sync.
+   *
+   * @param {object} op
+   * @returns {boolean}
+   */
+  hasOp(op) {
+    return this._digests.has(keyDigest(opKey(op)));
+  }
+
+  /**
+   * Current Merkle root over the local OpLog.
+   * @returns {string|null}
+   */
+  get localRoot() {
+    this._refreshRoot();
+    return this.antiEntropy.getLocalRoot(OPLOG_STORE);
+  }
+
+  /**
+   * Sync statistics from the underlying AntiEntropySync.
+   * @returns {object}
+   */
+  getStats() {
+    this._refreshRoot();
+    return {
+      ...this.antiEntropy.getStats(),
+      knownOps: this._known.size,
+      started: this._started,
+    };
+  }
+
+  // ── Internal: protocol handlers ────────────────────────────
+
+  /**
+   * Answer a peer's SYNC_REQUEST with the ops it is missing.
+   * @private
+   */
+  async _handleRequest(msg) {
+    const { from, roots, have } = msg.payload;
+    if (!from || from === this._node.peerId.toString()) return;
+    if (!roots || roots[OPLOG_STORE] === this.localRoot) return;
+
+    const theirs = new Set(Array.isArray(have) ? have : []);
+    const missing = this._snapshotter.getOpLog()
+      .filter(entry => !theirs.has(this._known.get(opKey(entry))))
+      .map(toWireOp);
+
+    try {
+      if (missing.length > 0) {
+        const { response } = this.antiEntropy.handleSyncRequest(
+          msg, new Map([[OPLOG_STORE, missing]]),
+        );
+        const payload = this._fitToMessageSize({
+          ...response.payload,
+          from: this._node.peerId.toString(),
+          to: from,
+        });
+        await this._gossip.publishSync(payload, TYPES.SYNC_RESPONSE);
+      }
+
+      // The requester may also hold ops we lack — ask back
+      if (theirs.size > 0 && [...theirs].some(d => !this._digests.has(d))) {
+        this._schedule(0);
+      }
+    } catch (err) {
+      // Oversized or rejected publish — the peer will retry on its next round
+      this.emit('sync-error', err);
+    }
+  }
+
+  /**
+   * Apply a SYNC_RESPONSE addressed to this node. Each op passes the
+   * gossip validator of its topic first — a peer answering a sync
+   * request gets no further than one publishing on gossip — and is
+   * ingested as the validator parsed it, under the pseudonym its
+   * proof derives. Ops that fail are dropped.
+   * @private
+   */
+  async _handleResponse(msg) {
+    const payload = msg.payload;
+    if (payload.to !== this._node.peerId.toString()) return;
+
+    const received = payload.missingEntries?.[OPLOG_STORE] || [];
+    const local = this._snapshotter.getOpLog().map(toWireOp);
+    const { merged } = this.antiEntropy.readRepair(OPLOG_STORE, local, received);
+
+    // readRepair() roots the raw entries — restore the digest-based root
+    this._rootDirty = true;
+
+    let applied = 0;
+    let rejected = 0;
+    for (const op of merged.slice(local.length)) {
+      if (this.hasOp(op)) continue;
+      const { parsed } = await this._gossip.validateOp(op);
+      if (!parsed || this.hasOp(op)) {
+        if (!parsed) rejected++;
+        continue;
+      }
+      try {
+        this._snapshotter.ingest({ ...op, payload: parsed.payload });
+        applied++;
+      } catch {
+        // Malformed op from peer — skip it
+      }
+    }
+
+    this.antiEntropy.handleSyncResponse(msg, payload.from);
+
+    this.emit('synced', { peerId: payload.from, applied, rejected, received: received.length });
+
+    // A capped batch means the peer has more — go again
+    const theirRoot = payload.roots?.[OPLOG_STORE];
+    if (applied > 0 && theirRoot && theirRoot !== this.localRoot) {
+      this._schedule(0);
+    }
+  }
+
+  // ── Internal: helpers ──────────────────────────────────────
+
+  /**
+   * Record a newly ingested op and refresh the local root.
+   * @private
+   */
+  _track(entry) {
+    this._trackKey(opKey(entry));
+  }
+
+  /**
+   * Ops a bootstrap checkpoint covers count as held, so this node's
+   * root matches peers without downloading them again. It cannot
+   * serve them, though — peers that lack them get them elsewhere.
+   * @private
+   */
+  _trackBootstrap() {
+    for (const digest of this._snapshotter.getBootstrapDigests()) this._digests.add(digest);
+    this._rootDirty = true;
+  }
+
+  /**
+   * Record an op key and mark the root for refresh.
+   * @private
+   */
+  _trackKey(key) {
+    if (this._known.has(key)) return;
+    const digest = keyDigest(key);
+    this._known.set(key, digest);
+    this._digests.add(digest);
+    this._rootDirty = true;
+  }
+
+  /**
+   * Recompute the Merkle root over the sorted op digests, so two
+   * nodes holding the same ops agree regardless of arrival order —
+   * or of whether they hold them or a checkpoint covering them.
+   * @private
+   */
+  _refreshRoot() {
+    if (!this._rootDirty) return;
+    this._rootDirty = false;
+    this.antiEntropy.updateLocalRoot(OPLOG_STORE, [...this._digests].sort());
+  }
+
+  /**
+   * Drop entries from a response until it fits in one gossip message.
+   * The requester will ask again for the remainder.
+   * @private
+   */
+  _fitToMessageSize(payload) {
+    const entries = payload.missingEntries[OPLOG_STORE];
+    const size = () => Buffer.byteLength(JSON.stringify({ payload })) + 256;
+    while (entries.length > 1 && size() > NETWORK.MAX_MESSAGE_SIZE) {
+      entries.pop();
+    }
+    return payload;
+  }
+
+  /**
+   * Run requestSync() after a delay, tracking the timer for stop().
+   * @private
+   */
+  _schedule(delay) {
+    const t = setTimeout(() => {
+      this._pending.delete(t);
+      if (this._started) this.requestSync().catch(() => {});
+    }, delay);
+    t.unref?.();
+    this._pending.add(t);
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * Strip local bookkeeping fields from an OpLog entry.
+ * @param {object} entry
+ * @returns {{type: string, payload: object, timestamp?: number}}
+ */
+function toWireOp(entry) {
+  const op = { type: entry.type, payload: entry.payload };
+  if (entry.timestamp !== undefined) op.timestamp = entry.timestamp;
+  return op;
+}
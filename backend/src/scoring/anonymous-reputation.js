@@ -0,0 +1,552 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Anonymous Reputation
+// Lets a member prove "my reputation ≥ the stake threshold" and
+// collect rewards or slashes per rumor, without those actions
+// being linkable to each other or to their identity commitment.
+//
+// Reputation is held in notes. A note is a one-time Semaphore
+// identity created in the browser: the ledger knows each note's
+// commitment and score, never who holds it. Notes with the same
+// score form a level group (one Merkle tree per score).
+//
+//   genesis — prove campus membership (scope 'rep_genesis') and
+//             mint a first note at INITIAL_TRUST_SCORE. The
+//             nullifier allows one per member.
+//   stake   — to vote or post, spend the note: a proof against
+//             its level group (scope 'rep_note') whose nullifier
+//             marks it spent without saying which leaf it was.
+//             The stake is locked on the action's nullifier and
+//             a change note is minted for the rest.
+//   settle  — when the rumor is finalized each stake resolves to
+//             a payout: the stake ± the voter's BTS reward/slash,
+//             or for a post the stake back unless judged FALSE.
+//   claim   — re-prove the action (same scope → same nullifier)
+//             and spend the current note; a new note worth note +
+//             payout is minted.
+//
+// Every proof's message binds the note it mints, so a proof seen
+// on the wire cannot be replayed to mint someone else's note.
+// What stays public is the score of each spent note: the spender
+// hides among every note ever minted at that score.
+//
+// The ledger is node-local. A note is minted, staked and claimed on
+// the node the member uses, and the note proof never enters the
+// OpLog, so peers cannot check a stake. A post or vote's
+// stakeAmount is therefore only a claim to them, and no node
+// weighs anonymous votes by it (OpLogScorer.scoreRumor).
+// ─────────────────────────────────────────────────────────────
+
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { MembershipTree } from '../identity/membership-tree.js';
+import { SCORING, PROTOCOL } from '../config.js';
+
+const { REPUTATION_SCOPES } = PROTOCOL;
+
+/**
+ * Convert a scope name to the field element clients prove with.
+ * Must match hashToField() in the frontend's zk.js.
+ * @param {string} str
+ * @returns {string}
+ */
+export function hashToField(str) {
+  let hash = 0n;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5n) - hash + BigInt(str.charCodeAt(i))) & ((1n << 250n) - 1n);
+  }
+  return hash.toString();
+}
+
+/**
+ * The field element a reputation proof must carry as its message:
+ * sha256(JSON.stringify([kind, ...fields])) truncated to 31 bytes.
+ *
+ * @param {'GENESIS'|'STAKE'|'CLAIM'} kind
+ * @param {...(string|number)} fields
+ * @returns {string}
+ */
+export function reputationMessage(kind, ...fields) {
+  const digest = createHash('sha256')
+    .update(JSON.stringify([kind, ...fields.map(String)]))
+    .digest('hex');
+  return BigInt('0x' + digest.slice(0, 62)).toString();
+}
+
+/**
+ * A stake locked on an action until its rumor is finalized.
+ * @typedef {Object} Escrow
+ * @property {string} actionNullifier - Nullifier of the vote/post proof
+ * @property {string} scope - Scope of that proof (re-proved to claim)
+ * @property {string} voter - The action's anonymous id (zk_...)
+ * @property {string} rumorId
+ * @property {'vote'|'post'} action
+ * @property {number} amount
+ * @property {'locked'|'settled'|'claimed'} status
+ * @property {number} [payout] - Set when settled
+ */
+
+/**
+ * AnonymousReputation keeps the note ledger.
+ *
+ * Emits an 'update' event with a record key whenever the ledger
+ * changes, so a persistence layer can write it through.
+ */
+export class AnonymousReputation extends EventEmitter {
+  /**
+   * @param {object} [options] — override defaults from SCORING
+   * @param {(proof: object) => Promise<boolean>} [options.verifyProof] — Semaphore proof check
+   * @param {(root: string) => boolean} [options.isMemberRoot] — is this a valid campus group root
+   */
+  constructor(options = {}) {
+    super();
+    this.initialScore     = options.initialScore     ?? SCORING.INITIAL_TRUST_SCORE;
+    this.minStakeVote     = options.minStakeVote     ?? SCORING.MIN_STAKE_TO_VOTE;
+    this.minStakePost     = options.minStakePost     ?? SCORING.MIN_STAKE_TO_POST;
+    this.slashMultiplier  = options.slashMultiplier  ?? SCORING.SLASH_MULTIPLIER;
+    this.rewardMultiplier = options.rewardMultiplier ?? SCORING.REWARD_MULTIPLIER;
+    this.maxScore         = options.maxScore         ?? SCORING.MAX_SCORE;
+    this.scoreStep        = options.scoreStep        ?? SCORING.NOTE_SCORE_STEP;
+
+    this._verifyProof = options.verifyProof ?? verifySemaphoreProof;
+    this._isMemberRoot = options.isMemberRoot ?? (() => false);
+
+    this._scopes = {
+      genesis: hashToField(REPUTATION_SCOPES.GENESIS),
+      note: hashToField(REPUTATION_SCOPES.NOTE),
+    };
+
+    /** @type {Map<number, MembershipTree>} score → level group */
+    this._levels = new Map();
+    /** @type {Map<string, {score: number, seq: number}>} note commitment → score and mint order */
+    this._notes = new Map();
+    /** @type {Set<string>} nullifiers of spent notes */
+    this._spent = new Set();
+    /** @type {Set<string>} genesis nullifiers */
+    this._genesis = new Set();
+    /** @type {Map<string, Escrow>} action nullifier → escrow */
+    this._escrows = new Map();
+    /** @type {WeakSet<object>} stake proofs that passed verifyStake() */
+    this._verified = new WeakSet();
+  }
+
+  // ── Notes ──────────────────────────────────────────────────
+
+  /**
+   * @param {string} commitment
+   * @returns {{commitment: string, score: number} | null}
+   */
+  getNote(commitment) {
+    const note = this._notes.get(String(commitment));
+    return note ? { commitment: String(commitment), score: note.score } : null;
+  }
+
+  /**
+   * The level groups clients download to prove with.
+   * @returns {Array<{score: number, size: number, root: string}>}
+   */
+  getLevels() {
+    return [...this._levels.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([score, tree]) => ({ score, size: tree.getSize(), root: tree.getRoot().toString() }));
+  }
+
+  /**
+   * @param {number} score
+   * @returns {MembershipTree|null}
+   */
+  getLevelGroup(score) {
+    return this._levels.get(Number(score)) || null;
+  }
+
+  /**
+   * Ledger totals.
+   * @returns {{notes: number, spent: number, members: number, levels: number, escrows: number}}
+   */
+  getStats() {
+    return {
+      notes: this._notes.size,
+      spent: this._spent.size,
+      members: this._genesis.size,
+      levels: this._levels.size,
+      escrows: this._escrows.size,
+    };
+  }
+
+  /**
+   * Mint a member's first note.
+   *
+   * @param {object} params
+   * @param {object} params.proof — campus group proof, scope 'rep_genesis',
+   *   message reputationMessage('GENESIS', note)
+   * @param {string} params.note — commitment of the new note
+   * @returns {Promise<{commitment: string, score: number}>}
+   * @throws {Error} E900–E906
+   */
+  async mintGenesis({ proof, note }) {
+    const check = () => this._checkNote(note)
+      ?? this._checkMember(proof, this._scopes.genesis, reputationMessage('GENESIS', note))
+      ?? (this._genesis.has(String(proof.nullifier)) ? 'E903: This member already has a genesis note' : null);
+
+    fail(check());
+    await this._verify(proof);
+    fail(check());
+
+    this._genesis.add(String(proof.nullifier));
+    this.emit('update', `genesis:${proof.nullifier}`);
+    return this._mint(note, this.initialScore);
+  }
+
+  // ── Staking ────────────────────────────────────────────────
+
+  /**
+   * Check a stake and its note proof, without changing the ledger.
+   * Run it before the action is accepted; lockStake() commits it.
+   *
+   * @param {object} stake
+   * @param {object} stake.proof — note proof, scope 'rep_note', message
+   *   reputationMessage('STAKE', actionNullifier, rumorId, action, amount, changeNote)
+   * @param {string} stake.actionNullifier — nullifier of the action's membership proof
+   * @param {string} stake.scope — scope of the action's membership proof
+   * @param {string} stake.voter — the action's anonymous id
+   * @param {string} stake.rumorId
+   * @param {'vote'|'post'} stake.action
+   * @param {number} stake.amount
+   * @param {string} stake.changeNote — commitment of the change note
+   * @returns {Promise<number>} score of the spent note
+   * @throws {Error} E900–E906
+   */
+  async verifyStake(stake) {
+    fail(this._checkStake(stake).error);
+    await this._verify(stake.proof);
+    this._verified.add(stake.proof);
+
+    const { score, error } = this._checkStake(stake);
+    fail(error);
+    return score;
+  }
+
+  /**
+   * Spend the note, lock the stake and mint the change note.
+   *
+   * @param {object} stake — the object passed to verifyStake()
+   * @returns {Escrow}
+   * @throws {Error} E900 if not verified, E902–E906 if no longer valid
+   */
+  lockStake(stake) {
+    if (!this._verified.has(stake.proof)) throw new Error('E900: Stake proof has not been verified');
+    const { score, error } = this._checkStake(stake);
+    fail(error);
+
+    this._spend(stake.proof.nullifier);
+    const escrow = {
+      actionNullifier: String(stake.actionNullifier),
+      scope: String(stake.scope),
+      voter: stake.voter,
+      rumorId: stake.rumorId,
+      action: stake.action,
+      amount: stake.amount,
+      status: 'locked',
+      lockedAt: Date.now(),
+    };
+    this._escrows.set(escrow.actionNullifier, escrow);
+    this.emit('update', `escrow:${escrow.actionNullifier}`);
+    this._mint(stake.changeNote, score - stake.amount);
+
+    return { ...escrow };
+  }
+
+  /**
+   * @param {string} actionNullifier
+   * @returns {Escrow|null}
+   */
+  getEscrow(actionNullifier) {
+    const escrow = this._escrows.get(String(actionNullifier));
+    return escrow ? { ...escrow } : null;
+  }
+
+  // ── Settlement ─────────────────────────────────────────────
+
+  /**
+   * Resolve the locked stakes on a finalized rumor. A vote pays
+   * back its stake plus reward, or minus slash (at most the whole
+   * stake), as ReputationManager.applyScores() would; a post pays
+   * back its stake unless the rumor was judged FALSE.
+   *
+   * @param {string} rumorId
+   * @param {{voterScores?: Map<string, number>, consensus?: string}} result — from BTS/RBTS or OfficialResolver
+   * @returns {Escrow[]} the stakes settled now
+   */
+  settle(rumorId, { voterScores = new Map(), consensus } = {}) {
+    return this._settleEach(rumorId, (escrow) => {
+      if (escrow.action === 'post') return consensus === 'FALSE' ? 0 : escrow.amount;
+      const score = voterScores.get(escrow.voter) ?? 0;
+      if (score > 0) return escrow.amount + score * escrow.amount * this.rewardMultiplier;
+      return escrow.amount - Math.abs(score) * escrow.amount * this.slashMultiplier;
+    });
+  }
+
+  /**
+   * Pay back every locked stake on a rumor in full (e.g. it was
+   * tombstoned before it could be scored).
+   * @param {string} rumorId
+   * @returns {Escrow[]} the stakes refunded
+   */
+  refund(rumorId) {
+    return this._settleEach(rumorId, escrow => escrow.amount);
+  }
+
+  /**
+   * Collect a settled payout into a new note.
+   *
+   * @param {object} params
+   * @param {object} params.memberProof — campus group proof with the action's
+   *   scope (its nullifier names the action), message reputationMessage('CLAIM', actionNullifier, note)
+   * @param {object} params.noteProof — proof spending the current note, same message
+   * @param {string} params.note — commitment of the new note
+   * @returns {Promise<{commitment: string, score: number, payout: number}>}
+   * @throws {Error} E900–E906
+   */
+  async claim({ memberProof, noteProof, note }) {
+    const actionNullifier = String(memberProof?.nullifier);
+    const message = reputationMessage('CLAIM', actionNullifier, note);
+    const check = () => {
+      const escrow = this._escrows.get(actionNullifier);
+      if (!escrow || escrow.status === 'locked') return { error: 'E905: No settled stake for this action' };
+      if (escrow.status === 'claimed') return { error: 'E903: This stake was already claimed' };
+      if (escrow.payout <= 0) return { error: 'E905: Nothing to claim — the stake was slashed' };
+      const error = this._checkNote(note)
+        ?? this._checkMember(memberProof, escrow.scope, message);
+      if (error) return { error };
+      return { escrow, ...this._checkSpend(noteProof, message) };
+    };
+
+    fail(check().error);
+    await this._verify(memberProof);
+    await this._verify(noteProof);
+    const { escrow, score, error } = check();
+    fail(error);
+
+    this._spend(noteProof.nullifier);
+    escrow.status = 'claimed';
+    escrow.claimedAt = Date.now();
+    this.emit('update', `escrow:${actionNullifier}`);
+    return { ...this._mint(note, score + escrow.payout), payout: escrow.payout };
+  }
+
+  // ── Bulk state (for persistence) ───────────────────────────
+
+  /**
+   * Export one ledger record (for write-through persistence).
+   * @param {string} key — 'note:…', 'spent:…', 'genesis:…' or 'escrow:…'
+   * @returns {object|null}
+   */
+  exportRecord(key) {
+    const [kind, id] = splitKey(key);
+    switch (kind) {
+      case 'note': return this._notes.has(id) ? { ...this._notes.get(id) } : null;
+      case 'spent': return this._spent.has(id) ? { spent: true } : null;
+      case 'genesis': return this._genesis.has(id) ? { minted: true } : null;
+      case 'escrow': return this._escrows.has(id) ? { ...this._escrows.get(id) } : null;
+      default: return null;
+    }
+  }
+
+  /**
+   * Export the whole ledger.
+   * @returns {Array<{key: string, value: object}>}
+   */
+  export() {
+    const keys = [
+      ...[...this._notes.keys()].map(c => `note:${c}`),
+      ...[...this._spent].map(n => `spent:${n}`),
+      ...[...this._genesis].map(n => `genesis:${n}`),
+      ...[...this._escrows.keys()].map(n => `escrow:${n}`),
+    ];
+    return keys.map(key => ({ key, value: this.exportRecord(key) }));
+  }
+
+  /**
+   * Import ledger records (from persistence). Notes are re-minted in
+   * their original order so every level group has the same roots.
+   * @param {Array<{key: string, value: object}>} records
+   */
+  import(records) {
+    const notes = [];
+    for (const { key, value } of records) {
+      const [kind, id] = splitKey(key);
+      if (kind === 'note') notes.push({ id, ...value });
+      else if (kind === 'spent') this._spent.add(id);
+      else if (kind === 'genesis') this._genesis.add(id);
+      else if (kind === 'escrow') this._escrows.set(id, { ...value });
+    }
+    notes.sort((a, b) => a.seq - b.seq);
+    for (const { id, score } of notes) this._addNote(id, score);
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * Settle each locked stake on a rumor with the payout computed for it.
+   * @private
+   */
+  _settleEach(rumorId, payoutFor) {
+    const settled = [];
+    for (const escrow of this._escrows.values()) {
+      if (escrow.rumorId !== rumorId || escrow.status !== 'locked') continue;
+      escrow.payout = this._round(Math.max(0, payoutFor(escrow)));
+      escrow.status = 'settled';
+      escrow.settledAt = Date.now();
+      this.emit('update', `escrow:${escrow.actionNullifier}`);
+      settled.push({ ...escrow });
+    }
+    return settled;
+  }
+
+  /**
+   * Add a note to the ledger and its level group.
+   * @private
+   */
+  _mint(commitment, score) {
+    const note = this._addNote(String(commitment), score);
+    this.emit('update', `note:${note.commitment}`);
+    return note;
+  }
+
+  /** @private */
+  _addNote(commitment, score) {
+    const value = Math.max(0, Math.min(this.maxScore, this._round(score)));
+    if (!this._levels.has(value)) this._levels.set(value, new MembershipTree());
+    this._levels.get(value).addMember(BigInt(commitment));
+    this._notes.set(commitment, { score: value, seq: this._notes.size });
+    return { commitment, score: value };
+  }
+
+  /** @private */
+  _spend(nullifier) {
+    this._spent.add(String(nullifier));
+    this.emit('update', `spent:${nullifier}`);
+  }
+
+  /** @private */
+  _round(score) {
+    return Math.round(score / this.scoreStep) * this.scoreStep;
+  }
+
+  /**
+   * Score of the level group whose recent roots include this one.
+   * @returns {number|null}
+   * @private
+   */
+  _levelOf(root) {
+    let value;
+    try {
+      value = BigInt(root);
+    } catch {
+      return null;
+    }
+    for (const [score, tree] of this._levels) {
+      if (tree.isRootValid(value)) return score;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {{score?: number, error: string|null}}
+   * @private
+   */
+  _checkStake(stake) {
+    const { actionNullifier, rumorId, action, amount, changeNote } = stake ?? {};
+    const minimum = { vote: this.minStakeVote, post: this.minStakePost }[action];
+    if (minimum === undefined) return { error: `E904: Anonymous stakes are not supported for ${action}` };
+    if (!actionNullifier || !rumorId) return { error: 'E904: Stake is missing its action' };
+    if (this._escrows.has(String(actionNullifier))) {
+      return { error: 'E903: A stake is already locked for this action' };
+    }
+
+    const error = this._checkNote(changeNote);
+    if (error) return { error };
+    const message = reputationMessage('STAKE', actionNullifier, rumorId, action, amount, changeNote);
+    const spend = this._checkSpend(stake.proof, message);
+    if (spend.error) return spend;
+
+    // Same limits as ReputationManager.canStake(), against the note
+    const maxFraction = action === 'vote' ? 0.25 : 0.5;
+    if (typeof amount !== 'number' || amount < minimum || amount > spend.score * maxFraction
+      || this._round(amount) !== amount) {
+      return { error: `E904: Cannot stake ${amount} for ${action} from this note` };
+    }
+    return spend;
+  }
+
+  /**
+   * Check a proof spending a note.
+   * @returns {{score?: number, error: string|null}}
+   * @private
+   */
+  _checkSpend(proof, message) {
+    if (!proof || typeof proof !== 'object') return { error: 'E900: Note proof is missing' };
+    if (String(proof.scope) !== this._scopes.note) return { error: 'E901: Note proof has the wrong scope' };
+    if (String(proof.message) !== message) return { error: 'E901: Note proof does not bind this request' };
+    const score = this._levelOf(proof.merkleTreeRoot);
+    if (score === null) return { error: 'E902: Note proof references an unknown or stale level root' };
+    if (this._spent.has(String(proof.nullifier))) return { error: 'E903: Note was already spent' };
+    return { score, error: null };
+  }
+
+  /**
+   * Check a campus membership proof.
+   * @returns {string|null}
+   * @private
+   */
+  _checkMember(proof, scope, message) {
+    if (!proof || typeof proof !== 'object') return 'E900: Membership proof is missing';
+    if (String(proof.scope) !== scope) return 'E901: Membership proof has the wrong scope';
+    if (String(proof.message) !== message) return 'E901: Membership proof does not bind this request';
+    if (!this._isMemberRoot(String(proof.merkleTreeRoot))) {
+      return 'E902: Membership proof references an unknown or expired root';
+    }
+    return null;
+  }
+
+  /**
+   * @returns {string|null}
+   * @private
+   */
+  _checkNote(commitment) {
+    if (typeof commitment !== 'string' || !/^\d+$/.test(commitment)) {
+      return 'E906: Note commitment must be a decimal field element';
+    }
+    if (this._notes.has(commitment)) return 'E906: Note commitment was already minted';
+    return null;
+  }
+
+  /** @private */
+  async _verify(proof) {
+    let valid = false;
+    try {
+      valid = await this._verifyProof(proof);
+    } catch {
+      valid = false;
+    }
+    if (!valid) throw new Error('E900: Invalid reputation proof');
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+function fail(error) {
+  if (error) throw new Error(error);
+}
+
+function splitKey(key) {
+  const i = key.indexOf(':');
+  return [key.slice(0, i), key.slice(i + 1)];
+}
+
+/**
+ * Default proof check — loads the Semaphore verifier on first use.
+ */
+async function verifySemaphoreProof(proof) {
+  const { verifyProof } = await import('@semaphore-protocol/' + 'proof');
+  return verifyProof(proof);
+}
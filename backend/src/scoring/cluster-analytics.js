@@ -0,0 +1,206 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Cluster Analytics
+// Tracks the voter clusters the CorrelationDampener finds each
+// time a rumor is scored, so moderators can spot coordinated
+// voting campaigns that keep reappearing across rumors.
+//
+// A cluster's id is only its union-find representative, which
+// changes from rumor to rumor, so groups are tracked by pairs:
+// two voters dampened together on a rumor share that rumor. Pairs
+// sharing at least minRumors rumors are joined into persistent
+// groups and flagged.
+//
+// Fed from the OpLogScorer's 'scored' event, so the analytics
+// follow the OpLog: a re-scored dispute replaces the rumor's
+// clusters and a tombstone drops them.
+// ─────────────────────────────────────────────────────────────
+
+import { SCORING } from '../config.js';
+
+/**
+ * ClusterAnalytics aggregates dampened clusters across rumors.
+ *
+ * Usage:
+ *   const analytics = new ClusterAnalytics();
+ *   opLogScorer.on('scored', (id, dampenedVotes, at) => analytics.record(id, dampenedVotes, at));
+ *   opLogScorer.on('refunded', id => analytics.remove(id));
+ *   const { groups } = analytics.report();
+ */
+export class ClusterAnalytics {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.minRumors] — rumors a pair must be clustered on to persist (default CLUSTER_PERSISTENCE)
+   */
+  constructor(config = {}) {
+    this.minRumors = config.minRumors ?? SCORING.CLUSTER_PERSISTENCE;
+    this._rumors = new Map();   // rumorId → { at, voterCount, clusters }
+  }
+
+  // ── Updates ────────────────────────────────────────────────
+
+  /**
+   * Record the clusters among a scored rumor's voters, replacing
+   * any recorded for it before.
+   *
+   * @param {string} rumorId
+   * @param {Array<{vote: {nullifier: string}, weight: number, clusterId: string, clusterSize: number}>} dampenedVotes
+   *   — output from CorrelationDampener.dampen()
+   * @param {number} at — when the rumor was scored
+   */
+  record(rumorId, dampenedVotes, at) {
+    const clusters = new Map();
+    for (const dv of dampenedVotes || []) {
+      if (dv.clusterSize < 2) continue;
+      if (!clusters.has(dv.clusterId)) clusters.set(dv.clusterId, { members: [], weight: dv.weight });
+      clusters.get(dv.clusterId).members.push(dv.vote.nullifier);
+    }
+    this._rumors.set(rumorId, {
+      at,
+      voterCount: dampenedVotes?.length ?? 0,
+      clusters: [...clusters.values()].map(c => ({ ...c, members: c.members.sort() })),
+    });
+  }
+
+  /**
+   * Forget a rumor's clusters.
+   * @param {string} rumorId
+   * @returns {boolean} whether any were recorded
+   */
+  remove(rumorId) {
+    return this._rumors.delete(rumorId);
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  /**
+   * Persistent groups, the latest clustered rumors and totals.
+   *
+   * @param {object} [options]
+   * @param {number} [options.minRumors] — overrides the configured persistence
+   * @param {number} [options.recent=20] — clustered rumors to list, newest first
+   * @returns {{summary: object, groups: Array<object>, recent: Array<object>}}
+   */
+  report({ minRumors = this.minRumors, recent = 20 } = {}) {
+    const pairs = this._pairs();
+    const groups = this._groups(pairs, minRumors);
+
+    let totalVotes = 0;
+    let clusteredVotes = 0;
+    let clusteredRumors = 0;
+    for (const { voterCount, clusters } of this._rumors.values()) {
+      totalVotes += voterCount;
+      if (clusters.length > 0) clusteredRumors++;
+      for (const c of clusters) clusteredVotes += c.members.length;
+    }
+
+    const flagged = new Set(groups.flatMap(g => g.members));
+    return {
+      summary: {
+        rumorsScored: this._rumors.size,
+        clusteredRumors,
+        totalVotes,
+        clusteredVotes,
+        clusteredShare: totalVotes > 0 ? clusteredVotes / totalVotes : 0,
+        persistentGroups: groups.length,
+        flaggedVoters: flagged.size,
+        minRumors,
+      },
+      groups,
+      recent: [...this._rumors]
+        .filter(([, r]) => r.clusters.length > 0)
+        .sort((a, b) => b[1].at - a[1].at)
+        .slice(0, recent)
+        .map(([rumorId, r]) => ({
+          rumorId,
+          at: r.at,
+          voterCount: r.voterCount,
+          clusters: r.clusters.map(c => ({
+            members: c.members,
+            size: c.members.length,
+            weight: c.weight,
+            flagged: c.members.some(m => flagged.has(m)),
+          })),
+        })),
+    };
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * Rumors each pair of voters was clustered on together.
+   * @returns {Map<string, Set<string>>} "a|b" (a < b) → rumorIds
+   * @private
+   */
+  _pairs() {
+    const pairs = new Map();
+    for (const [rumorId, { clusters }] of this._rumors) {
+      for (const { members } of clusters) {
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            const key = `${members[i]}|${members[j]}`;
+            if (!pairs.has(key)) pairs.set(key, new Set());
+            pairs.get(key).add(rumorId);
+          }
+        }
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Join pairs clustered on at least minRumors rumors into groups.
+   * @returns {Array<{members: string[], size: number, rumors: string[], rumorCount: number, avgWeight: number, firstSeen: number, lastSeen: number}>}
+   *   largest first
+   * @private
+   */
+  _groups(pairs, minRumors) {
+    const parent = new Map();
+    const find = (x) => {
+      if (parent.get(x) !== x) parent.set(x, find(parent.get(x)));
+      return parent.get(x);
+    };
+
+    for (const [key, rumors] of pairs) {
+      if (rumors.size < minRumors) continue;
+      const [a, b] = key.split('|');
+      if (!parent.has(a)) parent.set(a, a);
+      if (!parent.has(b)) parent.set(b, b);
+      const ra = find(a), rb = find(b);
+      if (ra !== rb) parent.set(ra < rb ? rb : ra, ra < rb ? ra : rb);
+    }
+
+    const byRoot = new Map();
+    for (const node of parent.keys()) {
+      const root = find(node);
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(node);
+    }
+
+    const groups = [];
+    for (const members of byRoot.values()) {
+      const inGroup = new Set(members);
+      const rumors = [];
+      let weightSum = 0;
+      let firstSeen = Infinity;
+      let lastSeen = -Infinity;
+      for (const [rumorId, r] of this._rumors) {
+        const cluster = r.clusters.find(c => c.members.filter(m => inGroup.has(m)).length >= 2);
+        if (!cluster) continue;
+        rumors.push(rumorId);
+        weightSum += cluster.weight;
+        firstSeen = Math.min(firstSeen, r.at);
+        lastSeen = Math.max(lastSeen, r.at);
+      }
+      groups.push({
+        members: members.sort(),
+        size: members.length,
+        rumors,
+        rumorCount: rumors.length,
+        avgWeight: rumors.length > 0 ? weightSum / rumors.length : 1,
+        firstSeen,
+        lastSeen,
+      });
+    }
+    return groups.sort((a, b) => b.size - a.size || b.rumorCount - a.rumorCount);
+  }
+}
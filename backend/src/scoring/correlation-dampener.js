@@ -78,6 +78,26 @@ export class CorrelationDampener {
     });
   }
 
+  /**
+   * Report the coordinated clusters among a rumor's voters.
+   *
+   * @param {Array<{nullifier: string, vote: string}>} votes — votes for a single rumor
+   * @param {Map<string, Array<{rumorId: string, vote: string}>>} voteHistory
+   * @returns {Array<{clusterId: string, members: string[], size: number, weight: number}>}
+   *   clusters of two or more voters, largest first
+   */
+  getClusters(votes, voteHistory = new Map()) {
+    const clusters = new Map();
+    for (const dv of this.dampen(votes, voteHistory)) {
+      if (dv.clusterSize < 2) continue;
+      if (!clusters.has(dv.clusterId)) {
+        clusters.set(dv.clusterId, { clusterId: dv.clusterId, members: [], size: dv.clusterSize, weight: dv.weight });
+      }
+      clusters.get(dv.clusterId).members.push(dv.vote.nullifier);
+    }
+    return [...clusters.values()].sort((a, b) => b.size - a.size);
+  }
+
   // ── Internal: Feature Vectors ──────────────────────────────
 
   /**
@@ -0,0 +1,89 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Divergence-based BTS (DBTS) Engine
+// A peer-prediction variant that needs no population statistics,
+// after Radanovic & Faltings' divergence-based truth serum.
+//
+// Voters who saw the same evidence should predict alike, so a
+// voter whose answer matches a peer's but whose prediction
+// diverges from that peer's is penalized:
+//
+//   QS_i    = 2·y_i[x_r(i)] − Σ_k y_i[k]²       (quadratic score
+//                                                against reference)
+//   Div_i   = 1[x_i = x_p(i) ∧ max_k |y_i[k] − y_p(i)[k]| > θ]
+//   Score_i = QS_i − Div_i
+//
+// Reference and peer agents are assigned exactly as in RBTS.
+// ─────────────────────────────────────────────────────────────
+
+import { SCORING, PROTOCOL } from '../config.js';
+import { RBTSEngine } from './rbts-engine.js';
+
+const VOTE_KEYS = PROTOCOL.VOTE_VALUES;
+
+/**
+ * DBTSEngine scores voters by the quadratic score of their
+ * prediction, minus a penalty for diverging from a like-minded peer.
+ * Shares RBTS's deterministic peer assignment (N ≥ 3).
+ */
+export class DBTSEngine extends RBTSEngine {
+  /**
+   * @param {number} [threshold=0.1] — divergence θ above which matching voters are penalized
+   * @param {number} [floor=0.001] — prediction floor
+   */
+  constructor(threshold = SCORING.DBTS_THRESHOLD, floor = SCORING.PREDICTION_FLOOR) {
+    super(1.0, floor);
+    this.threshold = threshold;
+  }
+
+  /**
+   * Calculate DBTS scores for all voters on a single rumor.
+   *
+   * @param {Array<{vote: {nullifier: string, vote: string, prediction: object, stakeAmount?: number}, weight: number}>} dampenedVotes
+   * @param {string} rumorId — seeds the peer assignments
+   * @param {number|string} [blockHeight=0] — vote-close position, as for RBTS
+   * @returns {{rumorTrustScore: number, voterScores: Map<string, number>, actualProportions: object, peerAssignments: Map, consensus: string}}
+   */
+  calculate(dampenedVotes, rumorId = '', blockHeight = 0) {
+    if (!dampenedVotes || dampenedVotes.length < 3) {
+      return this._emptyResult();
+    }
+
+    const peerAssignments = this._assignPeers(dampenedVotes, this._computeSeed(rumorId, blockHeight));
+    const voteByNullifier = new Map(dampenedVotes.map(dv => [dv.vote.nullifier, dv.vote]));
+    const voterScores = new Map();
+
+    for (const { vote } of dampenedVotes) {
+      const { reference, peer } = peerAssignments.get(vote.nullifier);
+      const ref = voteByNullifier.get(reference);
+      const other = voteByNullifier.get(peer);
+
+      const mine = this._prediction(vote);
+      const quadratic = 2 * mine[ref.vote] - VOTE_KEYS.reduce((sum, k) => sum + mine[k] ** 2, 0);
+
+      const theirs = this._prediction(other);
+      const divergence = Math.max(...VOTE_KEYS.map(k => Math.abs(mine[k] - theirs[k])));
+      const penalty = vote.vote === other.vote && divergence > this.threshold ? 1 : 0;
+
+      voterScores.set(vote.nullifier, quadratic - penalty);
+    }
+
+    const actualProportions = this._computeActualProportions(dampenedVotes);
+    return {
+      rumorTrustScore: this._computeRumorTrustScore(dampenedVotes),
+      voterScores,
+      actualProportions,
+      peerAssignments,
+      consensus: this._determineConsensus(actualProportions),
+    };
+  }
+
+  /**
+   * A voter's prediction, floored and normalized to sum to 1.
+   * @private
+   */
+  _prediction(vote) {
+    const raw = VOTE_KEYS.map(k => Math.max(vote.prediction?.[k] ?? this.floor, this.floor));
+    const total = raw.reduce((a, b) => a + b, 0);
+    return Object.fromEntries(VOTE_KEYS.map((k, i) => [k, raw[i] / total]));
+  }
+}
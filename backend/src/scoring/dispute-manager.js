@@ -0,0 +1,182 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Dispute Manager
+// Lets a member stake reputation to challenge a finalized
+// crowd score. A dispute reopens voting for DISPUTE_WINDOW ms,
+// after which BTS/RBTS is re-run over all votes:
+//
+//   consensus changed  → dispute upheld: the stake is refunded,
+//                        the disputer is rewarded, and the
+//                        re-run result replaces the old score
+//   consensus the same → dispute rejected: the disputer is
+//                        slashed like a dishonest voter
+//
+// The stake comes from the disputer's reputation account, which
+// the DISPUTE op names and is signed for (AccountVerifier). Dispute
+// state lives on the finalized score record, so it is persisted
+// alongside it. Officially resolved rumors cannot be disputed.
+// ─────────────────────────────────────────────────────────────
+
+import { SCORING } from '../config.js';
+
+/**
+ * DisputeManager opens and settles disputes against finalized scores.
+ *
+ * Usage:
+ *   const dm = new DisputeManager(reputationManager);
+ *   finalized = dm.open(finalized, { nullifier, stakeAmount, reason });
+ *   dm.isOpen(finalized);                       // → true while voting is reopened
+ *   const { finalized: next, upheld } = dm.settle(finalized, rerunResult);
+ */
+export class DisputeManager {
+  /**
+   * @param {import('./reputation-manager.js').ReputationManager} reputationManager
+   * @param {object} [config]
+   * @param {number} [config.window] — ms voting stays reopened (default DISPUTE_WINDOW)
+   */
+  constructor(reputationManager, config = {}) {
+    this.reputation = reputationManager;
+    this.window = config.window ?? SCORING.DISPUTE_WINDOW;
+  }
+
+  // ── Opening ────────────────────────────────────────────────
+
+  /**
+   * Check whether a dispute may be opened, without locking anything.
+   *
+   * @param {object|undefined} finalized — the rumor's finalized score record
+   * @param {{nullifier: string, stakeAmount: number}} dispute
+   * @returns {string|null} error message or null if allowed
+   */
+  validate(finalized, { nullifier, stakeAmount } = {}) {
+    if (!finalized) return 'E500: Only finalized scores can be disputed';
+    if (finalized.resolvedBy === 'official') return 'E501: Officially resolved rumors cannot be disputed';
+    if (finalized.dispute) return 'E502: A dispute is already open for this rumor';
+    if (!nullifier) return 'E503: Dispute is missing the disputer nullifier';
+    if (typeof stakeAmount !== 'number' || !this.reputation.canStake(nullifier, stakeAmount, 'dispute')) {
+      return `E504: Cannot stake ${stakeAmount} to dispute — insufficient balance or below minimum`;
+    }
+    return null;
+  }
+
+  /**
+   * Open a dispute: lock the disputer's stake and reopen voting.
+   *
+   * @param {object} finalized — the rumor's finalized score record
+   * @param {{nullifier: string, stakeAmount: number, reason?: string}} dispute
+   * @param {number} [openedAt] — when the dispute was made (defaults to now)
+   * @returns {object} a new finalized record carrying the open dispute
+   * @throws if the dispute is not allowed
+   */
+  open(finalized, { nullifier, stakeAmount, reason = '' }, openedAt = Date.now()) {
+    const error = this.validate(finalized, { nullifier, stakeAmount });
+    if (error) throw new Error(error);
+
+    this.reputation.lockStake(nullifier, stakeAmount, disputeActionId(finalized.rumorId), 'dispute');
+
+    return {
+      ...finalized,
+      dispute: {
+        nullifier,
+        stakeAmount,
+        reason,
+        openedAt,
+        closesAt: openedAt + this.window,
+      },
+    };
+  }
+
+  /**
+   * Whether voting is currently reopened by a dispute.
+   *
+   * @param {object|undefined} finalized
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  isOpen(finalized, now = Date.now()) {
+    return !!finalized?.dispute && now < finalized.dispute.closesAt;
+  }
+
+  // ── Settlement ─────────────────────────────────────────────
+
+  /**
+   * Check whether a dispute is ready to settle.
+   *
+   * @param {object|undefined} finalized
+   * @param {number} [now]
+   * @returns {string|null} error message or null if it can settle
+   */
+  canSettle(finalized, now = Date.now()) {
+    const dispute = finalized?.dispute;
+    if (!dispute) return 'E505: No open dispute for this rumor';
+    if (now < dispute.closesAt) {
+      return `E506: Dispute window is open until ${new Date(dispute.closesAt).toISOString()}`;
+    }
+    return null;
+  }
+
+  /**
+   * Settle a dispute whose window has closed against a re-run
+   * of BTS/RBTS over all votes (original and reopened).
+   *
+   * @param {object} finalized — record with an open dispute
+   * @param {{rumorTrustScore: number, consensus: string, actualProportions: object}} rerun
+   * @param {object} [options]
+   * @param {number} [options.now]
+   * @param {number} [options.voterCount] — total votes after the window
+   * @returns {{finalized: object, upheld: boolean, reward: number, penalty: number}}
+   * @throws if there is no open dispute or its window is still open
+   */
+  settle(finalized, rerun, { now = Date.now(), voterCount } = {}) {
+    const error = this.canSettle(finalized, now);
+    if (error) throw new Error(error);
+
+    const dispute = finalized.dispute;
+
+    const upheld = rerun.consensus !== finalized.consensus;
+    const { rewards, slashes } = this.reputation.applyScores(
+      { voterScores: new Map([[dispute.nullifier, upheld ? 1 : -1]]) },
+      disputeActionId(finalized.rumorId),
+      new Map([[dispute.nullifier, dispute.stakeAmount]]),
+    );
+
+    const reward = rewards.get(dispute.nullifier) ?? 0;
+    const penalty = slashes.get(dispute.nullifier) ?? 0;
+    const { dispute: _settled, ...rest } = finalized;
+
+    const record = {
+      ...dispute,
+      status: upheld ? 'upheld' : 'rejected',
+      previousConsensus: finalized.consensus,
+      rerunConsensus: rerun.consensus,
+      ...(rerun.engine && { engine: rerun.engine }),
+      reward,
+      penalty,
+      settledAt: now,
+    };
+
+    const next = upheld
+      ? {
+        ...rest,
+        score: rerun.rumorTrustScore,
+        consensus: rerun.consensus,
+        actualProportions: rerun.actualProportions,
+        voterCount: voterCount ?? rest.voterCount,
+        finalizedAt: now,
+        ...(rerun.engine && { engine: rerun.engine }),
+      }
+      : { ...rest };
+    next.disputes = [...(finalized.disputes || []), record];
+
+    return { finalized: next, upheld, reward, penalty };
+  }
+}
+
+/**
+ * Stake-lock id for the dispute on a rumor, kept apart from the
+ * rumor's own vote stakes.
+ * @param {string} rumorId
+ * @returns {string}
+ */
+export function disputeActionId(rumorId) {
+  return `dispute:${rumorId}`;
+}
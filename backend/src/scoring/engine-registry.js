@@ -0,0 +1,156 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Scoring Engine Registry
+// The peer-prediction mechanisms a rumor can be scored with,
+// behind one interface:
+//
+//   engine.calculate(dampenedVotes, rumorId, seed)
+//     → { rumorTrustScore, voterScores, actualProportions, consensus, ... }
+//
+//   bts       Bayesian Truth Serum (large populations)
+//   rbts      Robust BTS, peer-paired (small populations)
+//   dbts      Divergence-based BTS, peer-paired
+//   pts       Peer Truth Serum, surprise-weighted agreement
+//   majority  weighted majority, no predictions (baseline)
+//
+// Each topic names its engine in RUMOR_TOPICS; 'auto' keeps the
+// classic rule — BTS from RBTS_THRESHOLD voters up, RBTS below.
+// Every node derives a rumor's engine from this configuration, so
+// every node and every replay scores it the same way; the engine
+// used is recorded on the finalized score.
+// ─────────────────────────────────────────────────────────────
+
+import { PROTOCOL, SCORING } from '../config.js';
+import { BTSEngine } from './bts-engine.js';
+import { RBTSEngine } from './rbts-engine.js';
+import { DBTSEngine } from './dbts-engine.js';
+import { PTSEngine } from './pts-engine.js';
+import { MajorityEngine } from './majority-engine.js';
+
+/** Engine name that picks BTS or RBTS by population size */
+export const AUTO_ENGINE = 'auto';
+
+/**
+ * ScoringEngineRegistry maps engine names to scoring engines and
+ * picks the one a rumor is scored with.
+ *
+ * Usage:
+ *   const engines = new ScoringEngineRegistry();
+ *   const name = engines.select(rumor.topic, dampenedVotes.length);
+ *   const result = engines.calculate(name, dampenedVotes, rumorId, seed);
+ *   result.engine === name;
+ */
+export class ScoringEngineRegistry {
+  /**
+   * @param {object} [engines] — instances to use for the built-in engines
+   * @param {BTSEngine} [engines.btsEngine]
+   * @param {RBTSEngine} [engines.rbtsEngine]
+   */
+  constructor({ btsEngine, rbtsEngine } = {}) {
+    /** @type {Map<string, {engine: object, description: string, minVoters: number}>} */
+    this._engines = new Map();
+
+    this.register('bts', btsEngine ?? new BTSEngine(), {
+      description: 'Bayesian Truth Serum — population statistics, best for large crowds',
+      minVoters: 1,
+    });
+    this.register('rbts', rbtsEngine ?? new RBTSEngine(), {
+      description: 'Robust BTS — peer-paired, for small crowds',
+      minVoters: 3,
+    });
+    this.register('dbts', new DBTSEngine(), {
+      description: 'Divergence-based BTS — penalizes predictions that diverge from a like-minded peer',
+      minVoters: 3,
+    });
+    this.register('pts', new PTSEngine(), {
+      description: 'Peer Truth Serum — agreement with a peer, weighted by surprise under a public prior',
+      minVoters: 3,
+    });
+    this.register('majority', new MajorityEngine(), {
+      description: 'Weighted majority — no predictions, baseline for comparison',
+      minVoters: 1,
+    });
+  }
+
+  /**
+   * Add or replace an engine.
+   * @param {string} name
+   * @param {{calculate: Function}} engine
+   * @param {object} [info]
+   * @param {string} [info.description]
+   * @param {number} [info.minVoters=1] — fewer voters get the engine's empty result
+   */
+  register(name, engine, { description = '', minVoters = 1 } = {}) {
+    if (!name || name === AUTO_ENGINE) throw new Error(`Invalid engine name: ${name}`);
+    if (typeof engine?.calculate !== 'function') throw new Error(`Engine ${name} has no calculate()`);
+    this._engines.set(name, { engine, description, minVoters });
+  }
+
+  /** @param {string} name */
+  has(name) {
+    return this._engines.has(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|undefined} the engine
+   */
+  get(name) {
+    return this._engines.get(name)?.engine;
+  }
+
+  /**
+   * Registered engines, for display.
+   * @returns {Array<{name: string, description: string, minVoters: number}>}
+   */
+  list() {
+    return [...this._engines].map(([name, { description, minVoters }]) => ({ name, description, minVoters }));
+  }
+
+  /**
+   * The engine name a topic is configured with ('auto' by default).
+   * @param {string} [topic]
+   * @returns {string}
+   */
+  configured(topic) {
+    const config = Object.hasOwn(PROTOCOL.RUMOR_TOPICS, topic ?? '') ? PROTOCOL.RUMOR_TOPICS[topic] : null;
+    return config?.engine ?? AUTO_ENGINE;
+  }
+
+  /**
+   * Resolve an engine name for a number of voters: 'auto' — or a
+   * name this node does not know — becomes BTS or RBTS.
+   * @param {string} [name]
+   * @param {number} voterCount
+   * @returns {string}
+   */
+  resolve(name, voterCount) {
+    if (name && name !== AUTO_ENGINE && this.has(name)) return name;
+    return voterCount >= SCORING.RBTS_THRESHOLD ? 'bts' : 'rbts';
+  }
+
+  /**
+   * The engine to score a rumor in this topic with.
+   * @param {string} [topic]
+   * @param {number} voterCount
+   * @returns {string}
+   */
+  select(topic, voterCount) {
+    return this.resolve(this.configured(topic), voterCount);
+  }
+
+  /**
+   * Score dampened votes with a named engine, labelling the result.
+   *
+   * @param {string} name
+   * @param {Array<object>} dampenedVotes — output from CorrelationDampener.dampen()
+   * @param {string} [rumorId]
+   * @param {number|string} [seed] — vote-close position, for peer-paired engines
+   * @returns {object} the engine's result plus `engine: name`
+   * @throws if no engine is registered under the name
+   */
+  calculate(name, dampenedVotes, rumorId = '', seed = 0) {
+    const engine = this.get(name);
+    if (!engine) throw new Error(`Unknown scoring engine: ${name}`);
+    return { ...engine.calculate(dampenedVotes, rumorId, seed), engine: name };
+  }
+}
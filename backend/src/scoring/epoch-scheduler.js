@@ -0,0 +1,144 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Epoch Scheduler
+// Runs reputation decay and recovery once per EPOCH_DURATION.
+//
+// Epochs are numbered from the Unix epoch (floor(now / duration)),
+// so every node agrees on them without coordination. When a new
+// epoch begins the node records an EPOCH op ({ epoch: n }) in the
+// OpLog; every node derives the same op, so its key is the same
+// everywhere. Applying an EPOCH op runs one round of decay then
+// recovery per epoch elapsed since the last one applied:
+//
+//   first EPOCH in the log → baseline only, no decay
+//   epoch ≤ last applied   → ignored (already covered)
+//   epoch > current epoch  → ignored (a peer's clock is ahead)
+//
+// Decay pulls high scores down and recovery lifts low ones, so
+// idle scores drift back toward INITIAL_TRUST_SCORE.
+// ─────────────────────────────────────────────────────────────
+
+import { PROTOCOL, SCORING } from '../config.js';
+
+/**
+ * EpochScheduler advances a ReputationManager one epoch at a time.
+ *
+ * Usage:
+ *   const epochs = new EpochScheduler(reputationManager);
+ *   epochs.resume(snapshotter.getOpLog());      // after a restart
+ *   epochs.start(op => snapshotter.ingest(op));
+ *   // on every ingested EPOCH op:
+ *   epochs.apply(entry.payload);
+ */
+export class EpochScheduler {
+  /**
+   * @param {import('./reputation-manager.js').ReputationManager} reputationManager
+   * @param {object} [config]
+   * @param {number} [config.duration] — ms per epoch (default EPOCH_DURATION)
+   * @param {number} [config.checkInterval] — ms between clock checks (default EPOCH_CHECK_INTERVAL)
+   */
+  constructor(reputationManager, config = {}) {
+    this.reputation = reputationManager;
+    this.duration = config.duration ?? SCORING.EPOCH_DURATION;
+    this.checkInterval = config.checkInterval ?? SCORING.EPOCH_CHECK_INTERVAL;
+
+    /** @type {number|null} last epoch applied */
+    this.lastEpoch = null;
+    this._timer = null;
+  }
+
+  /**
+   * The epoch number a moment falls in.
+   * @param {number} [now]
+   * @returns {number}
+   */
+  epochAt(now = Date.now()) {
+    return Math.floor(now / this.duration);
+  }
+
+  /**
+   * Pick up the last applied epoch from an OpLog, without applying
+   * anything — the restored scores already include it.
+   * @param {Array<object>} opLog
+   * @param {number} [now]
+   */
+  resume(opLog, now = Date.now()) {
+    const current = this.epochAt(now);
+    for (const op of opLog) {
+      const epoch = op.type === PROTOCOL.TYPES.EPOCH ? op.payload?.epoch : undefined;
+      if (Number.isInteger(epoch) && epoch <= current && (this.lastEpoch === null || epoch > this.lastEpoch)) {
+        this.lastEpoch = epoch;
+      }
+    }
+  }
+
+  /**
+   * The EPOCH op to record if a new epoch has begun.
+   * @param {number} [now]
+   * @returns {object|null}
+   */
+  due(now = Date.now()) {
+    const epoch = this.epochAt(now);
+    if (this.lastEpoch !== null && epoch <= this.lastEpoch) return null;
+    return {
+      type: PROTOCOL.TYPES.EPOCH,
+      payload: { epoch },
+      timestamp: epoch * this.duration,
+    };
+  }
+
+  /**
+   * Apply an EPOCH op's payload.
+   * @param {{epoch: number}} payload
+   * @param {number} [now]
+   * @returns {number} epochs of decay and recovery run
+   */
+  apply(payload, now = Date.now()) {
+    const epoch = payload?.epoch;
+    if (!Number.isInteger(epoch) || epoch > this.epochAt(now)) return 0;
+    if (this.lastEpoch !== null && epoch <= this.lastEpoch) return 0;
+
+    const elapsed = this.lastEpoch === null ? 0 : epoch - this.lastEpoch;
+    this.lastEpoch = epoch;
+    if (elapsed > 0) this.reputation.applyEpochs(elapsed, epoch);
+    return elapsed;
+  }
+
+  /**
+   * Check the clock now and every checkInterval, recording an
+   * EPOCH op whenever a new epoch begins.
+   * @param {(op: object) => void} record — e.g. op => snapshotter.ingest(op)
+   */
+  start(record) {
+    this.stop();
+    const check = () => {
+      const op = this.due();
+      if (op) record(op);
+    };
+    check();
+    this._timer = setInterval(check, this.checkInterval);
+    this._timer.unref?.();
+  }
+
+  /** Stop checking the clock. */
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Read-only scheduler status.
+   * @param {number} [now]
+   * @returns {{epoch: number|null, currentEpoch: number, duration: number, nextEpochAt: number, decayRate: number, recoveryRate: number}}
+   */
+  getStatus(now = Date.now()) {
+    const currentEpoch = this.epochAt(now);
+    return {
+      epoch: this.lastEpoch,
+      currentEpoch,
+      duration: this.duration,
+      nextEpochAt: (currentEpoch + 1) * this.duration,
+      decayRate: this.reputation.decayRate,
+      recoveryRate: this.reputation.recoveryRate,
+    };
+  }
+}
@@ -0,0 +1,109 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Finalization Scheduler
+// Closes voting on rumors when their windows run out.
+//
+// Every rumor takes votes from its timestamp until closesAt —
+// the timestamp plus its topic's votingWindow (RUMOR_TOPICS).
+// When a window has closed the node records a FINALIZE op,
+// timestamped at the close, and the OpLogScorer scores the
+// rumor and settles its stakes once as it applies the op:
+//
+//   rumor window closed      → FINALIZE round 0
+//   dispute window closed    → FINALIZE round n (settle dispute n)
+//
+// The op does not name a scoring engine: every node scores the
+// round with the topic's engine from RUMOR_TOPICS.
+//
+// Every node derives the same op for the same close, so its key
+// and time agree everywhere and duplicates from peers are no-ops.
+// ─────────────────────────────────────────────────────────────
+
+import { PROTOCOL, SCORING } from '../config.js';
+
+/**
+ * FinalizationScheduler records a FINALIZE op for each voting or
+ * dispute window that has closed.
+ *
+ * Usage:
+ *   const closer = new FinalizationScheduler(opLogScorer);
+ *   closer.start(op => snapshotter.ingest(op));
+ *   // or close one rumor now that its window has run out:
+ *   snapshotter.ingest(closer.opFor(rumorId));
+ */
+export class FinalizationScheduler {
+  /**
+   * @param {import('./oplog-scorer.js').OpLogScorer} opLogScorer
+   * @param {object} [config]
+   * @param {number} [config.checkInterval] — ms between checks (default FINALIZE_CHECK_INTERVAL)
+   */
+  constructor(opLogScorer, config = {}) {
+    this.scorer = opLogScorer;
+    this.checkInterval = config.checkInterval ?? SCORING.FINALIZE_CHECK_INTERVAL;
+    this._timer = null;
+  }
+
+  /**
+   * When the rumor's current window closes: its voting window until
+   * it is finalized, then the window of an open dispute.
+   * @param {string} rumorId
+   * @returns {number|null} null if nothing is waiting to close
+   */
+  closesAt(rumorId) {
+    const record = this.scorer.finalizedScores.get(rumorId);
+    if (record) return record.dispute?.closesAt ?? null;
+    return this.scorer.snapshotter.getRumor(rumorId)?.closesAt ?? null;
+  }
+
+  /**
+   * The FINALIZE op that closes a rumor's current window, timestamped
+   * at the close (or now, for a rumor with no window).
+   * @param {string} rumorId
+   * @param {number} [now]
+   * @returns {object}
+   */
+  opFor(rumorId, now = Date.now()) {
+    const round = this.scorer.nextRound(rumorId);
+    return {
+      type: PROTOCOL.TYPES.FINALIZE,
+      payload: { rumorId, round },
+      timestamp: this.closesAt(rumorId) ?? now,
+    };
+  }
+
+  /**
+   * FINALIZE ops for every window closed by now, earliest first.
+   * @param {number} [now]
+   * @returns {Array<object>}
+   */
+  due(now = Date.now()) {
+    const ops = [];
+    for (const rumorId of this.scorer.snapshotter.getActiveRumors().keys()) {
+      const closesAt = this.closesAt(rumorId);
+      if (closesAt !== null && closesAt <= now) ops.push(this.opFor(rumorId, now));
+    }
+    return ops.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Check now and every checkInterval, recording a FINALIZE op for
+   * each window that has closed.
+   * @param {(op: object) => void} record — e.g. op => snapshotter.ingest(op)
+   */
+  start(record) {
+    this.stop();
+    const check = () => {
+      for (const op of this.due()) {
+        try { record(op); } catch {}
+      }
+    };
+    check();
+    this._timer = setInterval(check, this.checkInterval);
+    this._timer.unref?.();
+  }
+
+  /** Stop checking. */
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+}
@@ -0,0 +1,50 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Weighted Majority Engine
+// A baseline with no peer prediction at all: the dampened,
+// weighted majority decides the consensus and every voter is
+// scored by whether they sided with it.
+//
+//   Score_i = +1  voted with the consensus
+//              0  voted UNVERIFIED, or there is no majority
+//             −1  voted against the consensus
+//
+// Useful for comparing the truth-serum engines against plain voting.
+// ─────────────────────────────────────────────────────────────
+
+import { BTSEngine } from './bts-engine.js';
+
+/**
+ * MajorityEngine scores voters against the weighted majority.
+ * Shares BTS's weighted proportions, trust score and consensus.
+ */
+export class MajorityEngine extends BTSEngine {
+  /**
+   * Calculate majority scores for all voters on a single rumor.
+   *
+   * @param {Array<{vote: {nullifier: string, vote: string, stakeAmount?: number}, weight: number}>} dampenedVotes
+   * @returns {{rumorTrustScore: number, voterScores: Map<string, number>, actualProportions: object, consensus: string}}
+   */
+  calculate(dampenedVotes) {
+    if (!dampenedVotes || dampenedVotes.length === 0) {
+      return this._emptyResult();
+    }
+
+    const actualProportions = this._computeActualProportions(dampenedVotes);
+    const consensus = this._determineConsensus(actualProportions);
+    const decided = consensus === 'TRUE' || consensus === 'FALSE';
+
+    const voterScores = new Map();
+    for (const { vote } of dampenedVotes) {
+      let score = 0;
+      if (decided && vote.vote !== 'UNVERIFIED') score = vote.vote === consensus ? 1 : -1;
+      voterScores.set(vote.nullifier, score);
+    }
+
+    return {
+      rumorTrustScore: this._computeRumorTrustScore(dampenedVotes),
+      voterScores,
+      actualProportions,
+      consensus,
+    };
+  }
+}
@@ -0,0 +1,282 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Moderation Manager
+// Lets members stake reputation to flag a rumor for removal —
+// doxxing, harassment or illegal content — and settles the
+// flags against an appeal:
+//
+//   open        flags are gathering; each locks its stake
+//   flagged     staked flags reached FLAG_THRESHOLD from at
+//               least FLAG_MIN_FLAGGERS members: the rumor is
+//               tombstoned as community_flagged and may be
+//               appealed for APPEAL_WINDOW ms
+//   upheld      the window closed without a stronger appeal:
+//               the author forfeits the post stake; if anyone
+//               appealed, flaggers are rewarded and appellants
+//               slashed, otherwise flag stakes just come back
+//   overturned  appeals outweighed the flags, from at least as
+//               many members: flaggers are slashed, appellants
+//               rewarded and the author's post stake comes back
+//   withdrawn   the author retracted the rumor before the
+//               threshold was reached: flag stakes come back
+//
+// A removal is final either way — the OpLog cannot un-tombstone
+// a rumor — so overturning only decides who pays for it.
+// ─────────────────────────────────────────────────────────────
+
+import { PROTOCOL, SCORING } from '../config.js';
+import { postActionId } from './reputation-manager.js';
+
+const { FLAG_CATEGORIES } = PROTOCOL;
+
+/**
+ * ModerationManager opens, escalates and settles moderation cases.
+ *
+ * Usage:
+ *   const mm = new ModerationManager(reputationManager);
+ *   let record = mm.flag(undefined, rumor, { nullifier, category, stakeAmount });
+ *   mm.isFlagged(record);                       // → true once past the threshold
+ *   record = mm.appeal(record, { nullifier, stakeAmount });
+ *   const { record: settled, overturned } = mm.settle(record);
+ */
+export class ModerationManager {
+  /**
+   * @param {import('./reputation-manager.js').ReputationManager} reputationManager
+   * @param {object} [config]
+   * @param {number} [config.threshold] — total flag stake that removes a rumor (default FLAG_THRESHOLD)
+   * @param {number} [config.minFlaggers] — distinct flaggers needed (default FLAG_MIN_FLAGGERS)
+   * @param {number} [config.appealWindow] — ms a removal can be appealed (default APPEAL_WINDOW)
+   */
+  constructor(reputationManager, config = {}) {
+    this.reputation = reputationManager;
+    this.threshold = config.threshold ?? SCORING.FLAG_THRESHOLD;
+    this.minFlaggers = config.minFlaggers ?? SCORING.FLAG_MIN_FLAGGERS;
+    this.appealWindow = config.appealWindow ?? SCORING.APPEAL_WINDOW;
+  }
+
+  // ── Flagging ───────────────────────────────────────────────
+
+  /**
+   * Check whether a member may flag a rumor, without locking anything.
+   *
+   * @param {object|undefined} record — the rumor's moderation case, if any
+   * @param {object|null} rumor — the rumor, while it is active
+   * @param {{nullifier: string, category: string, stakeAmount: number}} flag
+   * @returns {string|null} error message or null if allowed
+   */
+  validateFlag(record, rumor, { nullifier, category, stakeAmount } = {}) {
+    if (!FLAG_CATEGORIES.includes(category)) {
+      return `E210: Flag category must be one of ${FLAG_CATEGORIES.join(', ')}`;
+    }
+    if (!nullifier) return 'E211: Flag is missing the flagger nullifier';
+    if (this.isFlagged(record)) return 'E214: Rumor has already been flagged past the threshold';
+    if (!rumor) return 'E212: Only active rumors can be flagged';
+    if (rumor.nullifier === nullifier) return 'E213: Authors cannot flag their own rumor';
+    if (record && hasTakenPart(record, nullifier)) return 'E215: Member has already flagged this rumor';
+    if (typeof stakeAmount !== 'number' || !this.reputation.canStake(nullifier, stakeAmount, 'flag')) {
+      return `E216: Cannot stake ${stakeAmount} to flag — insufficient balance or below minimum`;
+    }
+    return null;
+  }
+
+  /**
+   * Flag a rumor: lock the flagger's stake and, once the flags reach
+   * the threshold, mark the case flagged and open the appeal window.
+   *
+   * @param {object|undefined} record — the rumor's moderation case, if any
+   * @param {object} rumor — the active rumor
+   * @param {{nullifier: string, category: string, stakeAmount: number, reason?: string}} flag
+   * @param {number} [at] — when the flag was made (defaults to now)
+   * @returns {object} the new moderation case
+   * @throws if the flag is not allowed
+   */
+  flag(record, rumor, { nullifier, category, stakeAmount, reason = '' }, at = Date.now()) {
+    const error = this.validateFlag(record, rumor, { nullifier, category, stakeAmount });
+    if (error) throw new Error(error);
+
+    this.reputation.lockStake(nullifier, stakeAmount, flagActionId(rumor.id), 'flag');
+
+    const base = record ?? {
+      rumorId: rumor.id,
+      author: rumor.nullifier ?? null,
+      status: 'open',
+      flags: [],
+      appeals: [],
+      openedAt: at,
+    };
+    const next = {
+      ...base,
+      flags: [...base.flags, { nullifier, category, stakeAmount, reason, at }],
+    };
+
+    if (weight(next.flags) >= this.threshold && next.flags.length >= this.minFlaggers) {
+      next.status = 'flagged';
+      next.flaggedAt = at;
+      next.appealClosesAt = at + this.appealWindow;
+    }
+    return next;
+  }
+
+  /**
+   * Whether a rumor's flags have reached the threshold.
+   * @param {object|undefined} record
+   * @returns {boolean}
+   */
+  isFlagged(record) {
+    return record?.flaggedAt !== undefined;
+  }
+
+  /**
+   * Release every flag stake on a case the author retracted first.
+   *
+   * @param {object} record — an open moderation case
+   * @returns {object} the withdrawn case
+   */
+  withdraw(record) {
+    this.reputation.releaseAction(flagActionId(record.rumorId));
+    return { ...record, status: 'withdrawn' };
+  }
+
+  // ── Appeals ────────────────────────────────────────────────
+
+  /**
+   * Check whether a member may appeal a removal, without locking anything.
+   *
+   * @param {object|undefined} record
+   * @param {{nullifier: string, stakeAmount: number}} appeal
+   * @param {number} [now]
+   * @returns {string|null} error message or null if allowed
+   */
+  validateAppeal(record, { nullifier, stakeAmount } = {}, now = Date.now()) {
+    if (record?.status !== 'flagged') return 'E217: Rumor has not been flagged past the threshold';
+    if (now >= record.appealClosesAt) return 'E218: Appeal window has closed';
+    if (!nullifier) return 'E211: Appeal is missing the appellant nullifier';
+    if (hasTakenPart(record, nullifier)) return 'E215: Member has already flagged or appealed this rumor';
+    if (typeof stakeAmount !== 'number' || !this.reputation.canStake(nullifier, stakeAmount, 'appeal')) {
+      return `E216: Cannot stake ${stakeAmount} to appeal — insufficient balance or below minimum`;
+    }
+    return null;
+  }
+
+  /**
+   * Appeal a removal: lock the appellant's stake.
+   *
+   * @param {object} record — a flagged moderation case
+   * @param {{nullifier: string, stakeAmount: number, reason?: string}} appeal
+   * @param {number} [at] — when the appeal was made (defaults to now)
+   * @returns {object} the new moderation case
+   * @throws if the appeal is not allowed
+   */
+  appeal(record, { nullifier, stakeAmount, reason = '' }, at = Date.now()) {
+    const error = this.validateAppeal(record, { nullifier, stakeAmount }, at);
+    if (error) throw new Error(error);
+
+    this.reputation.lockStake(nullifier, stakeAmount, appealActionId(record.rumorId), 'appeal');
+    return {
+      ...record,
+      appeals: [...record.appeals, { nullifier, stakeAmount, reason, at }],
+    };
+  }
+
+  // ── Settlement ─────────────────────────────────────────────
+
+  /**
+   * Check whether a case is ready to settle.
+   *
+   * @param {object|undefined} record
+   * @param {number} [now]
+   * @returns {string|null} error message or null if it can settle
+   */
+  canSettle(record, now = Date.now()) {
+    if (record?.status !== 'flagged') return 'E217: Rumor has not been flagged past the threshold';
+    if (now < record.appealClosesAt) {
+      return `E219: Appeal window is open until ${new Date(record.appealClosesAt).toISOString()}`;
+    }
+    return null;
+  }
+
+  /**
+   * Settle a case whose appeal window has closed.
+   *
+   * @param {object} record — a flagged moderation case
+   * @param {number} [now]
+   * @returns {{record: object, overturned: boolean, rewards: Map<string, number>, slashes: Map<string, number>}}
+   * @throws if the case is not flagged or its window is still open
+   */
+  settle(record, now = Date.now()) {
+    const error = this.canSettle(record, now);
+    if (error) throw new Error(error);
+
+    const overturned = weight(record.appeals) > weight(record.flags)
+      && record.appeals.length >= record.flags.length;
+    const contested = record.appeals.length > 0;
+
+    const flagged = this._apply(record.flags, flagActionId(record.rumorId), !contested ? 0 : overturned ? -1 : 1);
+    const appealed = this._apply(record.appeals, appealActionId(record.rumorId), overturned ? 1 : -1);
+
+    if (record.author) {
+      if (overturned) this.reputation.releaseLock(record.author, postActionId(record.rumorId));
+      else this.reputation.forfeitStake(record.author, postActionId(record.rumorId));
+    }
+
+    const rewards = new Map([...flagged.rewards, ...appealed.rewards]);
+    const slashes = new Map([...flagged.slashes, ...appealed.slashes]);
+    return {
+      record: {
+        ...record,
+        status: overturned ? 'overturned' : 'upheld',
+        rewards: Object.fromEntries(rewards),
+        slashes: Object.fromEntries(slashes),
+        settledAt: now,
+      },
+      overturned,
+      rewards,
+      slashes,
+    };
+  }
+
+  /**
+   * Reward (score 1), slash (-1) or just release (0) the stakes one
+   * side of a case locked.
+   * @private
+   */
+  _apply(entries, actionId, score) {
+    if (score === 0) {
+      this.reputation.releaseAction(actionId);
+      return { rewards: new Map(), slashes: new Map() };
+    }
+    return this.reputation.applyScores(
+      { voterScores: new Map(entries.map(e => [e.nullifier, score])) },
+      actionId,
+      new Map(entries.map(e => [e.nullifier, e.stakeAmount])),
+    );
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * Stake-lock id for the flags on a rumor.
+ * @param {string} rumorId
+ * @returns {string}
+ */
+export function flagActionId(rumorId) {
+  return `flag:${rumorId}`;
+}
+
+/**
+ * Stake-lock id for the appeals against a rumor's removal.
+ * @param {string} rumorId
+ * @returns {string}
+ */
+export function appealActionId(rumorId) {
+  return `appeal:${rumorId}`;
+}
+
+function weight(entries) {
+  return entries.reduce((sum, e) => sum + e.stakeAmount, 0);
+}
+
+function hasTakenPart(record, nullifier) {
+  return record.flags.some(f => f.nullifier === nullifier)
+    || record.appeals.some(a => a.nullifier === nullifier);
+}
@@ -0,0 +1,92 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Moderation Scheduler
+// Records the ops that carry out a moderation case once its
+// flags have reached the threshold:
+//
+//   case flagged           → TOMBSTONE (community_flagged),
+//                            timestamped at the deciding flag
+//   appeal window closed   → MODERATE, timestamped at the close;
+//                            the OpLogScorer settles the case
+//
+// Like FINALIZE and EPOCH ops, every node derives the same op from
+// the same flags, so its key and time agree everywhere and copies
+// from peers are no-ops. Community tombstones carry no proof: each
+// node accepts one only for a rumor its own log shows flagged.
+// ─────────────────────────────────────────────────────────────
+
+import { PROTOCOL, SCORING } from '../config.js';
+
+const { TYPES } = PROTOCOL;
+
+/**
+ * ModerationScheduler records the community tombstone and the
+ * settlement of each flagged rumor.
+ *
+ * Usage:
+ *   const moderator = new ModerationScheduler(opLogScorer);
+ *   moderator.start(op => snapshotter.ingest(op));
+ *   // or right after logging a flag:
+ *   for (const op of moderator.due()) snapshotter.ingest(op);
+ */
+export class ModerationScheduler {
+  /**
+   * @param {import('./oplog-scorer.js').OpLogScorer} opLogScorer
+   * @param {object} [config]
+   * @param {number} [config.checkInterval] — ms between checks (default FINALIZE_CHECK_INTERVAL)
+   */
+  constructor(opLogScorer, config = {}) {
+    this.scorer = opLogScorer;
+    this.checkInterval = config.checkInterval ?? SCORING.FINALIZE_CHECK_INTERVAL;
+    this._timer = null;
+  }
+
+  /**
+   * Ops owed to every flagged case by now, earliest first: its
+   * community tombstone until the rumor is removed, then its
+   * settlement once the appeal window has closed.
+   * @param {number} [now]
+   * @returns {Array<object>}
+   */
+  due(now = Date.now()) {
+    const ops = [];
+    for (const [rumorId, record] of this.scorer.moderationCases) {
+      if (record.status !== 'flagged') continue;
+      if (!this.scorer.snapshotter.isTombstoned(rumorId)) {
+        ops.push({
+          type: TYPES.TOMBSTONE,
+          payload: { rumorId, reason: 'community_flagged', timestamp: record.flaggedAt },
+          timestamp: record.flaggedAt,
+        });
+      } else if (record.appealClosesAt <= now) {
+        ops.push({
+          type: TYPES.MODERATE,
+          payload: { rumorId },
+          timestamp: record.appealClosesAt,
+        });
+      }
+    }
+    return ops.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Check now and every checkInterval, recording each op due.
+   * @param {(op: object) => void} record — e.g. op => snapshotter.ingest(op)
+   */
+  start(record) {
+    this.stop();
+    const check = () => {
+      for (const op of this.due()) {
+        try { record(op); } catch {}
+      }
+    };
+    check();
+    this._timer = setInterval(check, this.checkInterval);
+    this._timer.unref?.();
+  }
+
+  /** Stop checking. */
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+}
@@ -0,0 +1,91 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Official Resolver
+// Resolves a rumor from a verified official proof instead of
+// from the crowd's BTS consensus.
+//
+//   CONFIRMS     → consensus TRUE,  trust score 100
+//   CONTRADICTS  → consensus FALSE, trust score 0
+//   NEUTRAL      → attached for context, resolves nothing
+//
+// Voters on the confirmed side score +1, voters on the other
+// side score −1, UNVERIFIED voters score 0. The result has the
+// same shape as BTSEngine.calculate() so it can be passed
+// straight to ReputationManager.applyScores().
+// ─────────────────────────────────────────────────────────────
+
+const OUTCOMES = {
+  CONFIRMS: 'TRUE',
+  CONTRADICTS: 'FALSE',
+};
+
+/**
+ * OfficialResolver turns official proofs into a final verdict.
+ */
+export class OfficialResolver {
+  /**
+   * Pick the decisive official proof for a rumor, if any.
+   * Decisive proofs that disagree with each other cancel out —
+   * the rumor is then left to the crowd.
+   *
+   * @param {Array<{impact: string, issuedAt: number}>} proofs — verified proofs for one rumor
+   * @returns {{proof: object|null, conflict: boolean}}
+   */
+  decisiveProof(proofs) {
+    const decisive = (proofs || []).filter(p => p.impact in OUTCOMES);
+    if (decisive.length === 0) return { proof: null, conflict: false };
+
+    const outcomes = new Set(decisive.map(p => OUTCOMES[p.impact]));
+    if (outcomes.size > 1) return { proof: null, conflict: true };
+
+    const latest = decisive.reduce((a, b) => ((b.issuedAt ?? 0) > (a.issuedAt ?? 0) ? b : a));
+    return { proof: latest, conflict: false };
+  }
+
+  /**
+   * Resolve a rumor's votes against its official proofs.
+   *
+   * @param {Array<{nullifier: string, vote: string}>} votes — raw votes on the rumor
+   * @param {Array<object>} proofs — verified official proofs for the rumor
+   * @returns {{
+   *   rumorTrustScore: number,
+   *   voterScores: Map<string, number>,
+   *   actualProportions: object,
+   *   consensus: string,
+   *   proof: object,
+   * } | null} null when no single decisive proof exists
+   */
+  resolve(votes, proofs) {
+    const { proof } = this.decisiveProof(proofs);
+    if (!proof) return null;
+
+    const outcome = OUTCOMES[proof.impact];
+    const voterScores = new Map();
+    const counts = { TRUE: 0, FALSE: 0, UNVERIFIED: 0 };
+
+    for (const v of votes || []) {
+      if (counts[v.vote] !== undefined) counts[v.vote]++;
+      if (!v.nullifier) continue;
+
+      if (v.vote === outcome) voterScores.set(v.nullifier, 1);
+      else if (v.vote === 'UNVERIFIED') voterScores.set(v.nullifier, 0);
+      else voterScores.set(v.nullifier, -1);
+    }
+
+    const total = counts.TRUE + counts.FALSE + counts.UNVERIFIED;
+    const actualProportions = total === 0
+      ? { TRUE: 0, FALSE: 0, UNVERIFIED: 0 }
+      : {
+        TRUE: counts.TRUE / total,
+        FALSE: counts.FALSE / total,
+        UNVERIFIED: counts.UNVERIFIED / total,
+      };
+
+    return {
+      rumorTrustScore: outcome === 'TRUE' ? 100 : 0,
+      voterScores,
+      actualProportions,
+      consensus: outcome,
+      proof,
+    };
+  }
+}
@@ -0,0 +1,487 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — OpLog Scorer
+// Derives reputation from the ordered OpLog. Every change to the
+// ReputationManager happens here, in response to an op, so that
+// replaying the same ordered log reproduces the same scores,
+// history and finalized records bit for bit:
+//
+//   JOIN            register the member
+//   RUMOR / VOTE    lock the author's / voter's stake — a vote
+//                   only while its rumor takes votes
+//   FINALIZE        once the rumor's voting window has closed,
+//                   score the votes cast inside it with the topic's
+//                   configured engine and settle the stakes — or,
+//                   in a later round, settle a dispute whose window
+//                   has closed
+//   OFFICIAL_PROOF  finalize from the decisive official proof
+//   DISPUTE         lock the disputer's stake and reopen voting
+//   FLAG / APPEAL   lock the flagger's / appellant's stake on the
+//                   rumor's moderation case
+//   TOMBSTONE       release every stake on the rumor — except the
+//                   author's, while a moderation case decides it
+//   MODERATE        settle a flagged rumor's moderation case
+//   EPOCH           run decay and recovery
+//
+// Times come from the ops (opTime), never the wall clock or when
+// a node logged them; the Snapshotter refuses ops dated ahead of
+// its clock. RBTS peers are seeded from the vote-close position:
+// a hash of the FINALIZE op's key and the keys of the votes it
+// closes.
+// ─────────────────────────────────────────────────────────────
+
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { PROTOCOL } from '../config.js';
+import { ScoringEngineRegistry } from './engine-registry.js';
+import { CorrelationDampener } from './correlation-dampener.js';
+import { ReputationManager, postActionId } from './reputation-manager.js';
+import { OfficialResolver } from './official-resolver.js';
+import { DisputeManager } from './dispute-manager.js';
+import { ModerationManager } from './moderation-manager.js';
+import { EpochScheduler } from './epoch-scheduler.js';
+import { Snapshotter } from '../state/snapshotter.js';
+import { opKey, opTime, stableStringify } from '../state/op-key.js';
+
+const { TYPES } = PROTOCOL;
+
+/** Result for a rumor whose voting window closed without votes */
+const UNSCORED = Object.freeze({
+  engine: null,
+  rumorTrustScore: null,
+  voterScores: new Map(),
+  actualProportions: { TRUE: 0, FALSE: 0, UNVERIFIED: 0 },
+  consensus: 'UNVERIFIED',
+});
+
+/**
+ * OpLogScorer applies each ingested op's effect on reputation.
+ *
+ * Usage:
+ *   const scorer = new OpLogScorer({ snapshotter, reputationManager, finalizedScores });
+ *   scorer.on('finalized', (rumorId, record) => persist(rumorId, record));
+ *   snapshotter.ingest({ type: 'FINALIZE', payload: { rumorId, round: 0 }, timestamp });
+ *
+ *   // Recompute reputation from scratch
+ *   const replayed = OpLogScorer.replay(snapshotter.getOpLog());
+ *   reputationDigest(replayed.reputation) === reputationDigest(reputationManager);
+ *
+ * Emits:
+ *   'finalized' (rumorId, record) — a finalized record was created or changed
+ *   'settled'   (rumorId, result) — the stakes on a rumor were settled against result
+ *   'scored'    (rumorId, dampenedVotes, at) — a FINALIZE round scored the rumor's votes
+ *   'refunded'  (rumorId)         — a tombstone released the stakes on a rumor
+ *   'moderated' (rumorId, record) — a moderation case was created or changed
+ */
+export class OpLogScorer extends EventEmitter {
+  /**
+   * @param {object} deps
+   * @param {Snapshotter} deps.snapshotter — ops are applied as it ingests them
+   * @param {ReputationManager} deps.reputationManager
+   * @param {Map<string, object>} [deps.finalizedScores] — rumorId → finalized record
+   * @param {DisputeManager} [deps.disputeManager]
+   * @param {ModerationManager} [deps.moderationManager]
+   * @param {Map<string, object>} [deps.moderationCases] — rumorId → moderation case
+   * @param {EpochScheduler} [deps.epochScheduler]
+   * @param {OfficialResolver} [deps.officialResolver]
+   * @param {import('./bts-engine.js').BTSEngine} [deps.btsEngine]
+   * @param {import('./rbts-engine.js').RBTSEngine} [deps.rbtsEngine]
+   * @param {ScoringEngineRegistry} [deps.engineRegistry] — defaults to one built on btsEngine and rbtsEngine
+   * @param {CorrelationDampener} [deps.correlationDampener]
+   */
+  constructor({
+    snapshotter, reputationManager, finalizedScores = new Map(),
+    disputeManager, moderationManager, moderationCases = new Map(), epochScheduler, officialResolver,
+    btsEngine, rbtsEngine, engineRegistry, correlationDampener,
+  }) {
+    super();
+    this.snapshotter = snapshotter;
+    this.reputation = reputationManager;
+    this.finalizedScores = finalizedScores;
+    this.disputes = disputeManager ?? new DisputeManager(reputationManager);
+    this.moderation = moderationManager ?? new ModerationManager(reputationManager);
+    this.moderationCases = moderationCases;
+    this.epochs = epochScheduler ?? new EpochScheduler(reputationManager);
+    this.officialResolver = officialResolver ?? new OfficialResolver();
+    this.engines = engineRegistry ?? new ScoringEngineRegistry({ btsEngine, rbtsEngine });
+    this.dampener = correlationDampener ?? new CorrelationDampener();
+
+    snapshotter.on('op', entry => this.apply(entry));
+  }
+
+  /**
+   * Recompute reputation from scratch by replaying an ordered OpLog
+   * into a fresh Snapshotter and ReputationManager.
+   *
+   * @param {Array<object>} opLog
+   * @param {object} [options]
+   * @param {object} [options.officialVerifier] — re-verifies official proofs
+   * @param {object} [options.revocationVerifier] — re-verifies revocations
+   * @param {object} [options.admissionVerifier] — re-verifies admissions
+   * @param {object} [options.accountVerifier] — re-verifies account signatures
+   * @param {object} [options.config] — ReputationManager config
+   * @returns {OpLogScorer} holding the replayed reputation and finalized records
+   */
+  static replay(opLog, { officialVerifier, revocationVerifier, admissionVerifier, accountVerifier, config } = {}) {
+    const snapshotter = new Snapshotter({ officialVerifier, revocationVerifier, admissionVerifier, accountVerifier });
+    const scorer = new OpLogScorer({ snapshotter, reputationManager: new ReputationManager(config) });
+    for (const { _ingestIndex, _ingestedAt, ...op } of opLog) {
+      try { snapshotter.ingest(op); } catch {}
+    }
+    return scorer;
+  }
+
+  // ── Applying ops ───────────────────────────────────────────
+
+  /**
+   * Apply an ingested op's effect on reputation, timestamped with
+   * the op's own time.
+   * @param {object} entry — an OpLog entry
+   */
+  apply(entry) {
+    const at = opTime(entry) ?? 0;
+    this.reputation.atTime(at, () => {
+      switch (entry.type) {
+        case TYPES.JOIN:           return this._join(entry.payload);
+        case TYPES.RUMOR:          return this._lock(entry.payload, 'post', at);
+        case TYPES.VOTE:           return this._lock(entry.payload, 'vote', at);
+        case TYPES.FINALIZE:       return this._finalize(entry, at);
+        case TYPES.OFFICIAL_PROOF: return this._resolveOfficial(entry.payload?.rumorId, at);
+        case TYPES.DISPUTE:        return this._openDispute(entry.payload, at);
+        case TYPES.FLAG:           return this._flag(entry.payload, at);
+        case TYPES.APPEAL:         return this._appeal(entry.payload, at);
+        case TYPES.TOMBSTONE:      return this._refund(entry.payload?.rumorId);
+        case TYPES.MODERATE:       return this._moderate(entry.payload?.rumorId, at);
+        case TYPES.EPOCH:          return this.epochs.apply(entry.payload);
+      }
+    });
+  }
+
+  /**
+   * The FINALIZE round expected next for a rumor: 0 to finalize it,
+   * n to settle its n-th dispute.
+   * @param {string} rumorId
+   * @returns {number}
+   */
+  nextRound(rumorId) {
+    const record = this.finalizedScores.get(rumorId);
+    return record ? (record.disputes?.length ?? 0) + 1 : 0;
+  }
+
+  /**
+   * Whether a rumor takes votes at a moment: until its voting window
+   * closes, then only while a dispute has reopened it.
+   * @param {string} rumorId
+   * @param {number} [at]
+   * @returns {boolean}
+   */
+  votingOpen(rumorId, at = Date.now()) {
+    const record = this.finalizedScores.get(rumorId);
+    if (record) return this.disputes.isOpen(record, at);
+    const closesAt = this.snapshotter.getRumor(rumorId)?.closesAt;
+    return closesAt == null || at < closesAt;
+  }
+
+  /**
+   * The votes a FINALIZE round counts: round 0 those cast inside the
+   * voting window, later rounds every vote logged.
+   * @param {string} rumorId
+   * @param {number} round
+   * @returns {Array<object>}
+   */
+  closedVotes(rumorId, round) {
+    const votes = this.snapshotter.getVotesForRumor(rumorId);
+    const closesAt = this.snapshotter.getRumor(rumorId)?.closesAt;
+    if (round > 0 || closesAt == null) return votes;
+    return votes.filter(v => !(v.timestamp >= closesAt));
+  }
+
+  /**
+   * The scoring engine a FINALIZE round closes a rumor with: its
+   * topic's engine, with 'auto' resolved by the votes it counts.
+   * @param {string} rumorId
+   * @param {number} [round]
+   * @returns {string}
+   */
+  engineFor(rumorId, round = this.nextRound(rumorId)) {
+    const topic = this.snapshotter.getRumor(rumorId)?.topic;
+    return this.engines.select(topic, this.closedVotes(rumorId, round).length);
+  }
+
+  /**
+   * Run dampening + the scoring engine over a rumor's votes, in
+   * canonical order and seeded from the vote-close position. An
+   * anonymous vote's note stake is checked only by the node it was
+   * cast on, so its stakeAmount does not weigh it here.
+   *
+   * @param {string} rumorId
+   * @param {number} [round] — the FINALIZE round closing the votes
+   * @returns {{result: object, voterCount: number, dampenedVotes: Array<object>}}
+   *   result is labelled with the engine that produced it
+   */
+  scoreRumor(rumorId, round = this.nextRound(rumorId)) {
+    const votes = [...this.closedVotes(rumorId, round)]
+      .sort((a, b) => compare(a.nullifier, b.nullifier));
+    const history = this.snapshotter.getVoteHistory(votes.map(v => v.nullifier));
+    const dampenedVotes = this.dampener.dampen(votes.map(unstaked), history);
+    const name = this.engineFor(rumorId, round);
+    const result = this.engines.calculate(name, dampenedVotes, rumorId, closeSeed(rumorId, round, votes));
+    return { result, voterCount: dampenedVotes.length, dampenedVotes };
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /** @private */
+  _join(payload) {
+    const nullifier = payload?.nullifier;
+    if (nullifier && !nullifier.startsWith('zk_')) this.reputation.register(nullifier);
+  }
+
+  /**
+   * Lock the stake a post or vote carries. Ops that cannot stake —
+   * anonymous (zk_) authors stake notes instead — and votes cast
+   * after voting closed lock nothing. New posts and votes are all
+   * anonymous; account stakes come only from older logs.
+   * @private
+   */
+  _lock(payload, action, at) {
+    const rumorId = action === 'post' ? payload?.id : payload?.rumorId;
+    const nullifier = payload?.nullifier;
+    if (!rumorId || !nullifier) return;
+    if (action === 'vote' && !this.votingOpen(rumorId, at)) return;
+
+    const amount = payload.stakeAmount
+      ?? (action === 'post' ? this.reputation.minStakePost : this.reputation.minStakeVote);
+    const actionId = action === 'post' ? postActionId(rumorId) : rumorId;
+    if (this.reputation.getUser(nullifier)?.stakes.has(actionId)) return;
+    if (this.reputation.canStake(nullifier, amount, action)) {
+      this.reputation.lockStake(nullifier, amount, actionId, action);
+    }
+  }
+
+  /**
+   * Finalize a rumor (round 0) or settle its open dispute (round n).
+   * Rounds out of sequence, and voting or dispute windows still open
+   * at the op's time, are ignored. A rumor nobody voted on closes
+   * UNVERIFIED with no score, and its author's stake comes back.
+   * Votes are scored with the topic's configured engine (engineFor);
+   * an engine named in the op is ignored, so no peer can choose it.
+   * @private
+   */
+  _finalize(entry, at) {
+    const { rumorId, round } = entry.payload || {};
+    if (!rumorId || round !== this.nextRound(rumorId)) return;
+
+    const record = this.finalizedScores.get(rumorId);
+    if (!record) {
+      if (this._resolveOfficial(rumorId, at)) return;
+      const rumor = this.snapshotter.getRumor(rumorId);
+      if (at < rumor?.closesAt) return;
+
+      const votes = this.closedVotes(rumorId, round);
+      if (votes.length === 0 && !rumor) return;
+      const { result, dampenedVotes } = votes.length > 0 ? this.scoreRumor(rumorId, round) : { result: UNSCORED };
+      if (dampenedVotes) this.emit('scored', rumorId, dampenedVotes, at);
+      this._settle(rumorId, result);
+      this._record(rumorId, {
+        rumorId,
+        score: result.rumorTrustScore,
+        consensus: result.consensus,
+        actualProportions: result.actualProportions,
+        voterCount: votes.length,
+        finalizedAt: at,
+        locked: true,
+        resolvedBy: 'crowd',
+        engine: result.engine,
+      });
+      return;
+    }
+
+    if (this.disputes.canSettle(record, at)) return;
+    const votes = this.closedVotes(rumorId, round);
+    const { result, dampenedVotes } = this.scoreRumor(rumorId, round);
+    this.emit('scored', rumorId, dampenedVotes, at);
+    const settled = this.disputes.settle(record, result, { now: at, voterCount: votes.length });
+    this._settle(rumorId, result);
+    this._record(rumorId, settled.finalized);
+  }
+
+  /**
+   * Finalize a rumor from its decisive official proof, rewarding
+   * voters on the confirmed side and slashing the rest.
+   * @returns {boolean} whether the rumor was resolved
+   * @private
+   */
+  _resolveOfficial(rumorId, at) {
+    if (!rumorId || this.finalizedScores.has(rumorId)) return false;
+
+    const votes = this.snapshotter.getVotesForRumor(rumorId);
+    const result = this.officialResolver.resolve(votes, this.snapshotter.getOfficialProofs(rumorId));
+    if (!result) return false;
+
+    this._settle(rumorId, result);
+    this._record(rumorId, {
+      rumorId,
+      score: result.rumorTrustScore,
+      consensus: result.consensus,
+      actualProportions: result.actualProportions,
+      voterCount: votes.length,
+      finalizedAt: at,
+      locked: true,
+      resolvedBy: 'official',
+      officialProof: {
+        source: result.proof.source,
+        impact: result.proof.impact,
+        statement: result.proof.statement,
+        issuedAt: result.proof.issuedAt,
+      },
+    });
+    return true;
+  }
+
+  /**
+   * Lock the disputer's stake and reopen voting. Disputes this
+   * node cannot honour (e.g. the rumor is not finalized) are ignored.
+   * @private
+   */
+  _openDispute(payload, at) {
+    try {
+      const record = this.disputes.open(this.finalizedScores.get(payload?.rumorId), payload, at);
+      this._record(payload.rumorId, record);
+    } catch {}
+  }
+
+  /**
+   * Settle the stakes locked on a rumor against its result. Voters
+   * still holding a lock are rewarded or slashed in proportion to it;
+   * the author's post stake comes back unless the rumor was judged
+   * FALSE. Votes that locked nothing move no reputation.
+   * @private
+   */
+  _settle(rumorId, result) {
+    const voterScores = new Map();
+    const stakeAmounts = new Map();
+    for (const [id, score] of result.voterScores) {
+      const lock = this.reputation.getUser(id)?.stakes.get(rumorId);
+      if (!lock) continue;
+      voterScores.set(id, score);
+      stakeAmounts.set(id, lock.amount);
+    }
+    if (voterScores.size > 0) this.reputation.applyScores({ ...result, voterScores }, rumorId, stakeAmounts);
+    this.reputation.releaseAction(rumorId);
+
+    const author = this.snapshotter.getRumor(rumorId)?.nullifier;
+    if (author && result.consensus === 'FALSE') this.reputation.forfeitStake(author, postActionId(rumorId));
+    else if (author) this.reputation.releaseLock(author, postActionId(rumorId));
+
+    this.emit('settled', rumorId, result);
+  }
+
+  /**
+   * Lock a flagger's stake on the rumor's moderation case. Flags
+   * this node cannot honour (e.g. the rumor is gone, or already
+   * flagged past the threshold) are ignored.
+   * @private
+   */
+  _flag(payload, at) {
+    const rumorId = payload?.rumorId;
+    try {
+      const record = this.moderation.flag(this.moderationCases.get(rumorId), this.snapshotter.getRumor(rumorId), payload, at);
+      this._moderated(rumorId, record);
+    } catch {}
+  }
+
+  /**
+   * Lock an appellant's stake against a flagged rumor's removal.
+   * Appeals outside the window are ignored.
+   * @private
+   */
+  _appeal(payload, at) {
+    try {
+      const record = this.moderation.appeal(this.moderationCases.get(payload?.rumorId), payload, at);
+      this._moderated(payload.rumorId, record);
+    } catch {}
+  }
+
+  /**
+   * Settle a flagged rumor's moderation case once its appeal window
+   * has closed at the op's time.
+   * @private
+   */
+  _moderate(rumorId, at) {
+    try {
+      const { record } = this.moderation.settle(this.moderationCases.get(rumorId), at);
+      this._moderated(rumorId, record);
+    } catch {}
+  }
+
+  /**
+   * Release the stakes on a tombstoned rumor. While a moderation case
+   * is flagged the author's post stake stays locked for its
+   * settlement; an author retracting a rumor still being flagged
+   * withdraws the case and every flag stake comes back.
+   * @private
+   */
+  _refund(rumorId) {
+    if (!rumorId) return;
+    const record = this.moderationCases.get(rumorId);
+    this.reputation.releaseAction(rumorId);
+    if (record?.status !== 'flagged') this.reputation.releaseAction(postActionId(rumorId));
+    if (record?.status === 'open') this._moderated(rumorId, this.moderation.withdraw(record));
+    this.emit('refunded', rumorId);
+  }
+
+  /** @private */
+  _moderated(rumorId, record) {
+    this.moderationCases.set(rumorId, record);
+    this.emit('moderated', rumorId, record);
+  }
+
+  /** @private */
+  _record(rumorId, record) {
+    this.finalizedScores.set(rumorId, record);
+    this.emit('finalized', rumorId, record);
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * Digest of a ReputationManager's full state — users, scores,
+ * history and locks — for comparing nodes or replays.
+ * @param {ReputationManager} reputationManager
+ * @returns {string} hex sha256
+ */
+export function reputationDigest(reputationManager) {
+  const users = reputationManager.export()
+    .sort((a, b) => compare(a.nullifierId, b.nullifierId));
+  return createHash('sha256').update(stableStringify(users)).digest('hex');
+}
+
+/**
+ * RBTS seed for the votes a FINALIZE round closes: the same votes
+ * closed by the same round seed the same peers on every node.
+ * @returns {string}
+ */
+function closeSeed(rumorId, round, votes) {
+  const keys = votes.map(v => opKey({ type: TYPES.VOTE, payload: { ...v, rumorId } })).sort(compare);
+  return createHash('sha256')
+    .update(stableStringify([`${TYPES.FINALIZE}:${rumorId}:${round}`, keys]))
+    .digest('hex');
+}
+
+/**
+ * A vote as the engines weigh it: an anonymous (zk_) vote without
+ * the stakeAmount no peer can check.
+ * @returns {object}
+ */
+function unstaked(vote) {
+  if (!vote.nullifier?.startsWith('zk_')) return vote;
+  const { stakeAmount: _stakeAmount, ...rest } = vote;
+  return rest;
+}
+
+function compare(a, b) {
+  const x = String(a);
+  const y = String(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
@@ -0,0 +1,64 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Peer Truth Serum (PTS) Engine
+// Rewards agreement with a random peer, scaled by how surprising
+// that answer is under a public prior (Radanovic, Faltings &
+// Jurca's Peer Truth Serum). Predictions are not used.
+//
+//   Score_i = 1[x_i = x_p(i)] / R(x_i) − 1
+//
+// R is the public prior over answers (PTS_PRIOR). Agreeing on a
+// rare answer pays more than agreeing on a common one, which
+// removes the pull towards whatever most people are expected to say.
+// Peers are assigned exactly as in RBTS.
+// ─────────────────────────────────────────────────────────────
+
+import { SCORING } from '../config.js';
+import { RBTSEngine } from './rbts-engine.js';
+
+/**
+ * PTSEngine scores voters by surprise-weighted agreement with a
+ * peer. Shares RBTS's deterministic peer assignment (N ≥ 3).
+ */
+export class PTSEngine extends RBTSEngine {
+  /**
+   * @param {{TRUE: number, FALSE: number, UNVERIFIED: number}} [prior] — public prior R
+   * @param {number} [floor=0.001] — floor for R to avoid dividing by 0
+   */
+  constructor(prior = SCORING.PTS_PRIOR, floor = SCORING.PREDICTION_FLOOR) {
+    super(1.0, floor);
+    this.prior = prior;
+  }
+
+  /**
+   * Calculate PTS scores for all voters on a single rumor.
+   *
+   * @param {Array<{vote: {nullifier: string, vote: string, stakeAmount?: number}, weight: number}>} dampenedVotes
+   * @param {string} rumorId — seeds the peer assignments
+   * @param {number|string} [blockHeight=0] — vote-close position, as for RBTS
+   * @returns {{rumorTrustScore: number, voterScores: Map<string, number>, actualProportions: object, peerAssignments: Map, consensus: string}}
+   */
+  calculate(dampenedVotes, rumorId = '', blockHeight = 0) {
+    if (!dampenedVotes || dampenedVotes.length < 3) {
+      return this._emptyResult();
+    }
+
+    const peerAssignments = this._assignPeers(dampenedVotes, this._computeSeed(rumorId, blockHeight));
+    const voteByNullifier = new Map(dampenedVotes.map(dv => [dv.vote.nullifier, dv.vote]));
+    const voterScores = new Map();
+
+    for (const { vote } of dampenedVotes) {
+      const peer = voteByNullifier.get(peerAssignments.get(vote.nullifier).peer);
+      const prior = Math.max(this.prior[vote.vote] ?? this.floor, this.floor);
+      voterScores.set(vote.nullifier, (vote.vote === peer.vote ? 1 / prior : 0) - 1);
+    }
+
+    const actualProportions = this._computeActualProportions(dampenedVotes);
+    return {
+      rumorTrustScore: this._computeRumorTrustScore(dampenedVotes),
+      voterScores,
+      actualProportions,
+      peerAssignments,
+      consensus: this._determineConsensus(actualProportions),
+    };
+  }
+}
@@ -33,7 +33,8 @@ export class RBTSEngine {
    *
    * @param {Array<{vote: {nullifier: string, vote: string, prediction: object, stakeAmount?: number}, weight: number}>} dampenedVotes
    * @param {string} rumorId — used to seed the PRNG for peer assignments
-   * @param {number} [blockHeight=0] — operation count for deterministic seeding
+   * @param {number|string} [blockHeight=0] — OpLog position of the vote close, for
+   *   deterministic seeding (OpLogScorer passes a hash of the FINALIZE op and its votes)
    * @returns {{
    *   rumorTrustScore: number,
    *   voterScores: Map<string, number>,
@@ -110,7 +111,7 @@ export class RBTSEngine {
   // ── Internal: Peer Assignment ──────────────────────────────
 
   /**
-   * Deterministic PRNG seed from rumorId + blockHeight.
+   * Deterministic PRNG seed from rumorId + blockHeight (vote-close position).
    * Simple hash → number.
    * @private
    */
@@ -5,6 +5,7 @@
 // ─────────────────────────────────────────────────────────────
 
 import { SCORING } from '../config.js';
+import { EventEmitter } from 'events';
 
 /**
  * ReputationManager handles the full trust-score lifecycle:
@@ -13,16 +14,21 @@ import { SCORING } from '../config.js';
  *   - Applying BTS/RBTS results (reward/slash)
  *   - Time-based decay
  *   - Score recovery for zeroed users
+ *
+ * Emits an 'update' event with the nullifierId whenever a user's
+ * record changes, so a persistence layer can write it through.
  */
-export class ReputationManager {
+export class ReputationManager extends EventEmitter {
   /**
    * @param {object} [config] — override defaults from SCORING
    */
   constructor(config = {}) {
+    super();
     this.initialScore   = config.initialScore   ?? SCORING.INITIAL_TRUST_SCORE;
     this.minStakeVote   = config.minStakeVote   ?? SCORING.MIN_STAKE_TO_VOTE;
     this.minStakePost   = config.minStakePost   ?? SCORING.MIN_STAKE_TO_POST;
     this.minStakeDispute = config.minStakeDispute ?? SCORING.MIN_STAKE_TO_DISPUTE;
+    this.minStakeFlag   = config.minStakeFlag   ?? SCORING.MIN_STAKE_TO_FLAG;
     this.slashMultiplier = config.slashMultiplier ?? SCORING.SLASH_MULTIPLIER;
     this.rewardMultiplier = config.rewardMultiplier ?? SCORING.REWARD_MULTIPLIER;
     this.minScore       = config.minScore       ?? SCORING.MIN_SCORE;
@@ -30,10 +36,31 @@ export class ReputationManager {
     this.decayRate      = config.decayRate      ?? SCORING.DECAY_RATE;
     this.recoveryRate   = config.recoveryRate   ?? SCORING.RECOVERY_RATE;
 
+    /** @type {() => number} time source for history entries and locks */
+    this.clock = config.clock ?? Date.now;
+
     /** @type {Map<string, {score: number, history: Array, stakes: Map}>} */
     this._users = new Map();
   }
 
+  /**
+   * Run fn with the clock pinned to a moment — e.g. the time of the
+   * OpLog entry being applied, so replaying the log reproduces the
+   * same history.
+   * @param {number} timestamp
+   * @param {() => *} fn
+   * @returns {*} fn's result
+   */
+  atTime(timestamp, fn) {
+    const clock = this.clock;
+    this.clock = () => timestamp;
+    try {
+      return fn();
+    } finally {
+      this.clock = clock;
+    }
+  }
+
   // ── User lifecycle ─────────────────────────────────────────
 
   /**
@@ -50,6 +77,7 @@ export class ReputationManager {
       history: [],
       stakes: new Map(), // actionId → { amount, action }
     });
+    this.emit('update', nullifierId);
     return this.initialScore;
   }
 
@@ -98,7 +126,7 @@ export class ReputationManager {
    * Check if a user can stake a given amount for an action.
    * @param {string} nullifierId
    * @param {number} amount
-   * @param {'vote'|'post'|'dispute'} action
+   * @param {'vote'|'post'|'dispute'|'flag'|'appeal'} action
    * @returns {boolean}
    */
   canStake(nullifierId, amount, action) {
@@ -106,7 +134,13 @@ export class ReputationManager {
     if (!user) return false;
 
     // Check minimum stake
-    const minMap = { vote: this.minStakeVote, post: this.minStakePost, dispute: this.minStakeDispute };
+    const minMap = {
+      vote: this.minStakeVote,
+      post: this.minStakePost,
+      dispute: this.minStakeDispute,
+      flag: this.minStakeFlag,
+      appeal: this.minStakeFlag,
+    };
     const minRequired = minMap[action] ?? 0;
     if (amount < minRequired) return false;
 
@@ -127,7 +161,7 @@ export class ReputationManager {
    * @param {string} nullifierId
    * @param {number} amount
    * @param {string} actionId — unique identifier for this action (e.g. rumorId)
-   * @param {'vote'|'post'|'dispute'} action
+   * @param {'vote'|'post'|'dispute'|'flag'|'appeal'} action
    * @returns {{actionId: string, amount: number, action: string}}
    * @throws if cannot stake
    */
@@ -137,7 +171,7 @@ export class ReputationManager {
     }
 
     const user = this._users.get(nullifierId);
-    const lock = { amount, action, lockedAt: Date.now() };
+    const lock = { amount, action, lockedAt: this.clock() };
     user.stakes.set(actionId, lock);
 
     user.history.push({
@@ -145,9 +179,10 @@ export class ReputationManager {
       actionId,
       amount,
       action,
-      timestamp: Date.now(),
+      timestamp: this.clock(),
     });
 
+    this.emit('update', nullifierId);
     return { actionId, amount, action };
   }
 
@@ -160,7 +195,37 @@ export class ReputationManager {
   releaseLock(nullifierId, actionId) {
     const user = this._users.get(nullifierId);
     if (!user) return false;
-    return user.stakes.delete(actionId);
+    const released = user.stakes.delete(actionId);
+    if (released) this.emit('update', nullifierId);
+    return released;
+  }
+
+  /**
+   * Release every user's lock on an action (e.g. a tombstoned rumor).
+   * @param {string} actionId
+   * @returns {number} number of locks released
+   */
+  releaseAction(actionId) {
+    let released = 0;
+    for (const nullifierId of this._users.keys()) {
+      if (this.releaseLock(nullifierId, actionId)) released++;
+    }
+    return released;
+  }
+
+  /**
+   * Forfeit a locked stake: its amount is deducted from the score
+   * and the lock released.
+   * @param {string} nullifierId
+   * @param {string} actionId
+   * @returns {number} the amount forfeited (0 if there was no lock)
+   */
+  forfeitStake(nullifierId, actionId) {
+    const lock = this._users.get(nullifierId)?.stakes.get(actionId);
+    if (!lock) return 0;
+    this._users.get(nullifierId).stakes.delete(actionId);
+    this._adjustScore(nullifierId, -lock.amount, 'forfeit', actionId);
+    return lock.amount;
   }
 
   // ── Scoring: Apply BTS/RBTS results ───────────────────────
@@ -243,8 +308,9 @@ export class ReputationManager {
         user.history.push({
           type: 'decay',
           delta: user.score - oldScore,
-          timestamp: Date.now(),
+          timestamp: this.clock(),
         });
+        this.emit('update', id);
       }
     }
   }
@@ -266,8 +332,38 @@ export class ReputationManager {
         user.history.push({
           type: 'recovery',
           delta: user.score - oldScore,
-          timestamp: Date.now(),
+          timestamp: this.clock(),
         });
+        this.emit('update', id);
+      }
+    }
+  }
+
+  /**
+   * Run scheduled epochs: each one decays every score, then lifts
+   * scores below initialScore by the recovery rate. Logs a single
+   * history entry per user whose score changed.
+   * @param {number} count — epochs elapsed
+   * @param {number} epoch — the epoch reached
+   */
+  applyEpochs(count, epoch) {
+    for (const [id, user] of this._users) {
+      const oldScore = user.score;
+      for (let i = 0; i < count; i++) {
+        user.score = Math.max(this.minScore, user.score * this.decayRate);
+        if (user.score < this.initialScore) {
+          user.score = Math.min(this.initialScore, user.score + this.recoveryRate);
+        }
+      }
+      if (oldScore !== user.score) {
+        user.history.push({
+          type: 'epoch',
+          epoch,
+          epochs: count,
+          delta: user.score - oldScore,
+          timestamp: this.clock(),
+        });
+        this.emit('update', id);
       }
     }
   }
@@ -276,30 +372,42 @@ export class ReputationManager {
 
   /**
    * Export all user data (for persistence).
-   * @returns {Array<{nullifierId: string, score: number, history: Array}>}
+   * @returns {Array<{nullifierId: string, score: number, history: Array, stakes: Array}>}
    */
   export() {
     const data = [];
-    for (const [id, user] of this._users) {
-      data.push({
-        nullifierId: id,
-        score: user.score,
-        history: [...user.history],
-      });
+    for (const id of this._users.keys()) {
+      data.push(this.exportUser(id));
     }
     return data;
   }
 
+  /**
+   * Export a single user's record (for write-through persistence).
+   * @param {string} nullifierId
+   * @returns {{nullifierId: string, score: number, history: Array, stakes: Array} | null}
+   */
+  exportUser(nullifierId) {
+    const user = this._users.get(nullifierId);
+    if (!user) return null;
+    return {
+      nullifierId,
+      score: user.score,
+      history: [...user.history],
+      stakes: [...user.stakes.entries()],
+    };
+  }
+
   /**
    * Import user data (from persistence).
-   * @param {Array<{nullifierId: string, score: number, history?: Array}>} data
+   * @param {Array<{nullifierId: string, score: number, history?: Array, stakes?: Array}>} data
    */
   import(data) {
     for (const entry of data) {
       this._users.set(entry.nullifierId, {
         score: entry.score,
         history: entry.history || [],
-        stakes: new Map(),
+        stakes: new Map(entry.stakes || []),
       });
     }
   }
@@ -321,8 +429,9 @@ export class ReputationManager {
       type,
       delta: user.score - oldScore,
       actionId,
-      timestamp: Date.now(),
+      timestamp: this.clock(),
     });
+    this.emit('update', nullifierId);
   }
 
   /**
@@ -339,3 +448,13 @@ export class ReputationManager {
     return total;
   }
 }
+
+/**
+ * Stake-lock id for posting a rumor, kept apart from the vote
+ * stakes locked under the rumor id itself.
+ * @param {string} rumorId
+ * @returns {string}
+ */
+export function postActionId(rumorId) {
+  return `post:${rumorId}`;
+}
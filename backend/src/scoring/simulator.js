@@ -0,0 +1,396 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Scoring Simulator
+// Evaluates scoring parameters before they ship. A simulation
+// runs an OpLog through a fresh OpLogScorer — CorrelationDampener
+// → BTS/RBTS → ReputationManager, decay included — built with the
+// candidate parameters, then again with the defaults, and reports
+// how the outcomes differ.
+//
+// The OpLog is either synthetic, from generateScenario():
+//
+//   honest       see the truth with honestAccuracy, predict honestly
+//   lazy         vote at random with flat predictions
+//   bots         vote the lie on every rumor, in lockstep
+//   contrarians  see what honest voters see and vote the opposite
+//
+// or a recorded OpLog export (backtest), whose official proofs are
+// held out as ground truth so the crowd is judged on its own.
+// ─────────────────────────────────────────────────────────────
+
+import { PROTOCOL, SCORING } from '../config.js';
+import { BTSEngine } from './bts-engine.js';
+import { RBTSEngine } from './rbts-engine.js';
+import { CorrelationDampener } from './correlation-dampener.js';
+import { ReputationManager } from './reputation-manager.js';
+import { ScoringEngineRegistry } from './engine-registry.js';
+import { OpLogScorer } from './oplog-scorer.js';
+import { Snapshotter } from '../state/snapshotter.js';
+
+const { TYPES } = PROTOCOL;
+
+/** SCORING parameters a simulation may override */
+export const SIMULATION_PARAMS = [
+  'BTS_ALPHA',
+  'CORRELATION_LAMBDA',
+  'CLUSTER_THRESHOLD',
+  'SLASH_MULTIPLIER',
+  'REWARD_MULTIPLIER',
+  'DECAY_RATE',
+  'RECOVERY_RATE',
+];
+
+/** Voter roles generateScenario() can populate */
+export const VOTER_ROLES = ['honest', 'lazy', 'bots', 'contrarians'];
+
+/** Population of a scenario, per role, unless overridden */
+const DEFAULT_POPULATION = { honest: 40, lazy: 10, bots: 10, contrarians: 5 };
+
+/** Caps that keep a simulation to a few seconds on one core */
+const MAX_VOTERS = 500;
+const MAX_RUMORS = 200;
+
+/** Synthetic timelines start here, so their epochs are in the past */
+const SIM_START = Date.UTC(2025, 0, 1);
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * ScoringSimulator replays OpLogs under candidate parameters and
+ * reports accuracy, bot influence and the reputation distribution.
+ *
+ * Usage:
+ *   const sim = new ScoringSimulator({ CORRELATION_LAMBDA: 20 });
+ *   const report = sim.simulate(generateScenario({ population: { honest: 40, bots: 15 } }));
+ *   report.rumors.accuracy;          // vs report.baseline.rumors.accuracy
+ *
+ *   const backtest = sim.backtest(snapshotter.getOpLog());
+ */
+export class ScoringSimulator {
+  /**
+   * @param {object} [params] — SCORING overrides, keyed as in config (e.g. { BTS_ALPHA: 0.5 })
+   * @throws on unknown or non-numeric parameters
+   */
+  constructor(params = {}) {
+    for (const [key, value] of Object.entries(params)) {
+      if (!SIMULATION_PARAMS.includes(key)) throw new Error(`Unknown simulation parameter: ${key}`);
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`${key} must be a number`);
+    }
+    this.params = params;
+  }
+
+  /**
+   * Run a generated scenario under these parameters and the defaults.
+   * @param {{opLog: Array<object>, truth: Map<string, string>, roles: Map<string, string>}} scenario
+   * @returns {object} report, with `baseline` and `changedOutcomes`
+   */
+  simulate({ opLog, truth, roles }) {
+    return this._compare(opLog, truth, roles);
+  }
+
+  /**
+   * Replay a recorded OpLog. Official proofs are removed and used
+   * as the truth for their rumors, so accuracy measures the crowd.
+   * @param {Array<object>|{opLog: Array<object>}} exported — an OpLog or /api/state/oplog response
+   * @returns {object} report, with `baseline` and `changedOutcomes`
+   */
+  backtest(exported) {
+    const log = Array.isArray(exported) ? exported : exported?.opLog;
+    if (!Array.isArray(log)) throw new Error('Expected an OpLog array or { opLog: [...] }');
+
+    const truth = new Map();
+    const opLog = [];
+    for (const { _ingestIndex, _ingestedAt, ...op } of log) {
+      if (op.type !== TYPES.OFFICIAL_PROOF) {
+        opLog.push(op);
+        continue;
+      }
+      const { rumorId, impact } = op.payload || {};
+      if (impact === 'CONFIRMS') truth.set(rumorId, 'TRUE');
+      else if (impact === 'CONTRADICTS') truth.set(rumorId, 'FALSE');
+    }
+    return this._compare(opLog, truth, new Map());
+  }
+
+  /**
+   * The parameters in effect: the overrides over the SCORING defaults.
+   * @returns {object}
+   */
+  effectiveParams() {
+    return Object.fromEntries(SIMULATION_PARAMS.map(key => [key, this.params[key] ?? SCORING[key]]));
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * Evaluate candidate and default parameters on the same log.
+   * @private
+   */
+  _compare(opLog, truth, roles) {
+    const report = this._evaluate(this.effectiveParams(), opLog, truth, roles);
+    const baseline = this._evaluate(new ScoringSimulator().effectiveParams(), opLog, truth, roles);
+
+    const changedOutcomes = [];
+    for (const [rumorId, consensus] of report._outcomes) {
+      const before = baseline._outcomes.get(rumorId);
+      if (before !== consensus) changedOutcomes.push({ rumorId, baseline: before ?? null, candidate: consensus });
+    }
+
+    delete report._outcomes;
+    delete baseline._outcomes;
+    return { ...report, baseline: { rumors: baseline.rumors, influence: baseline.influence, reputation: baseline.reputation }, changedOutcomes };
+  }
+
+  /**
+   * Replay an OpLog through a scorer built from the parameters.
+   * @private
+   */
+  _evaluate(params, opLog, truth, roles) {
+    const btsEngine = new BTSEngine(params.BTS_ALPHA);
+    const rbtsEngine = new RBTSEngine(params.BTS_ALPHA);
+    // Simulated time may run ahead of the wall clock
+    const snapshotter = new Snapshotter({ snapshotInterval: Infinity, maxClockSkew: Infinity });
+    const reputationManager = new ReputationManager({
+      slashMultiplier: params.SLASH_MULTIPLIER,
+      rewardMultiplier: params.REWARD_MULTIPLIER,
+      decayRate: params.DECAY_RATE,
+      recoveryRate: params.RECOVERY_RATE,
+    });
+    const scorer = new OpLogScorer({
+      snapshotter,
+      reputationManager,
+      engineRegistry: new ScoringEngineRegistry({ btsEngine, rbtsEngine }),
+      correlationDampener: new CorrelationDampener(params.CORRELATION_LAMBDA, params.CLUSTER_THRESHOLD),
+    });
+
+    // Dampened weight per role (or clustered / unclustered without roles)
+    const weights = { total: 0, votes: 0, clusteredWeight: 0, clusteredVotes: 0, byRole: {} };
+    scorer.on('scored', (_rumorId, dampenedVotes) => {
+      for (const dv of dampenedVotes) {
+        weights.total += dv.weight;
+        weights.votes++;
+        if (dv.clusterSize > 1) {
+          weights.clusteredWeight += dv.weight;
+          weights.clusteredVotes++;
+        }
+        const role = roles.get(dv.vote.nullifier);
+        if (!role) continue;
+        weights.byRole[role] ??= { votes: 0, weight: 0 };
+        weights.byRole[role].votes++;
+        weights.byRole[role].weight += dv.weight;
+      }
+    });
+
+    for (const op of opLog) {
+      try { snapshotter.ingest(op); } catch {}
+    }
+
+    const outcomes = new Map();
+    for (const [rumorId, record] of scorer.finalizedScores) outcomes.set(rumorId, record.consensus);
+
+    return {
+      params,
+      rumors: rumorOutcomes(outcomes, truth, snapshotter.getActiveRumors().size),
+      influence: {
+        votes: weights.votes,
+        clusteredVoteShare: share(weights.clusteredVotes, weights.votes),
+        clusteredWeightShare: share(weights.clusteredWeight, weights.total),
+        byRole: Object.fromEntries(Object.entries(weights.byRole).map(([role, w]) => [role, {
+          voteShare: share(w.votes, weights.votes),
+          weightShare: share(w.weight, weights.total),
+        }])),
+      },
+      reputation: reputationSpread(reputationManager.getAllScores(), roles),
+      _outcomes: outcomes,
+    };
+  }
+}
+
+// ── Scenario generation ──────────────────────────────────────
+
+/**
+ * Generate a synthetic OpLog with known truth and voter roles.
+ *
+ * @param {object} [config]
+ * @param {number} [config.seed=1] — same seed, same scenario
+ * @param {number} [config.rumors=30]
+ * @param {{honest?: number, lazy?: number, bots?: number, contrarians?: number}} [config.population]
+ *   — voters per role; roles left out keep the defaults (40/10/10/5)
+ * @param {number} [config.honestAccuracy=0.8] — chance an honest voter sees the truth
+ * @param {number} [config.participation=0.6] — chance a non-bot votes on a given rumor
+ * @param {string} [config.topic='general'] — sets the voting window
+ * @returns {{opLog: Array<object>, truth: Map<string, string>, roles: Map<string, string>}}
+ */
+export function generateScenario({
+  seed = 1,
+  rumors = 30,
+  population = {},
+  honestAccuracy = 0.8,
+  participation = 0.6,
+  topic = 'general',
+} = {}) {
+  const counts = Object.fromEntries(VOTER_ROLES.map(role =>
+    [role, Math.max(0, Math.floor(population[role] ?? DEFAULT_POPULATION[role]))]));
+  const voterCount = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (counts.honest < 1) throw new Error('A scenario needs at least one honest voter');
+  if (voterCount > MAX_VOTERS) throw new Error(`At most ${MAX_VOTERS} voters per scenario`);
+  if (!Number.isInteger(rumors) || rumors < 1 || rumors > MAX_RUMORS) throw new Error(`rumors must be 1-${MAX_RUMORS}`);
+  if (!Object.hasOwn(PROTOCOL.RUMOR_TOPICS, topic)) throw new Error(`Unknown topic: ${topic}`);
+
+  const rand = prng(seed);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const window = PROTOCOL.RUMOR_TOPICS[topic].votingWindow;
+
+  const roles = new Map();
+  for (const role of VOTER_ROLES) {
+    for (let i = 0; i < counts[role]; i++) roles.set(`sim_${role}_${i}`, role);
+  }
+  const honest = [...roles].filter(([, role]) => role === 'honest').map(([n]) => n);
+
+  const opLog = [...roles.keys()].map((nullifier, i) => ({
+    type: TYPES.JOIN, payload: { commitment: nullifier, nullifier }, timestamp: SIM_START + i,
+  }));
+
+  const truth = new Map();
+  for (let r = 0; r < rumors; r++) {
+    const rumorId = `sim_rumor_${r}`;
+    const postedAt = SIM_START + HOUR + r * 6 * HOUR;
+    const fact = rand() < 0.5 ? 'TRUE' : 'FALSE';
+    const lie = fact === 'TRUE' ? 'FALSE' : 'TRUE';
+    const author = pick(honest);
+    truth.set(rumorId, fact);
+
+    opLog.push({
+      type: TYPES.RUMOR,
+      payload: { id: rumorId, text: `Simulated rumor ${r}`, topic, nullifier: author },
+      timestamp: postedAt,
+    });
+
+    let offset = 0;
+    for (const [nullifier, role] of roles) {
+      if (nullifier === author) continue;
+      if (role !== 'bots' && rand() >= participation) continue;
+
+      const signal = rand() < honestAccuracy ? fact : lie;
+      const flip = signal === 'TRUE' ? 'FALSE' : 'TRUE';
+      let vote;
+      let prediction;
+      switch (role) {
+        case 'honest':
+          vote = signal;
+          prediction = belief(signal, flip, rand);
+          break;
+        case 'lazy':
+          vote = pick(PROTOCOL.VOTE_VALUES);
+          prediction = { TRUE: 1 / 3, FALSE: 1 / 3, UNVERIFIED: 1 / 3 };
+          break;
+        case 'bots':
+          vote = lie;
+          prediction = { [lie]: 0.9, [fact]: 0.05, UNVERIFIED: 0.05 };
+          break;
+        case 'contrarians':
+          vote = flip;
+          prediction = belief(signal, flip, rand);
+          break;
+      }
+
+      opLog.push({
+        type: TYPES.VOTE,
+        payload: { rumorId, nullifier, vote, prediction, stakeAmount: SCORING.MIN_STAKE_TO_VOTE },
+        timestamp: postedAt + 60_000 + offset++,
+      });
+    }
+
+    opLog.push({ type: TYPES.FINALIZE, payload: { rumorId, round: 0 }, timestamp: postedAt + window });
+  }
+
+  // One EPOCH op per epoch the timeline spans, so decay runs too
+  const end = Math.max(...opLog.map(op => op.timestamp));
+  for (let epoch = Math.floor(SIM_START / SCORING.EPOCH_DURATION); epoch * SCORING.EPOCH_DURATION <= end; epoch++) {
+    opLog.push({ type: TYPES.EPOCH, payload: { epoch }, timestamp: epoch * SCORING.EPOCH_DURATION });
+  }
+
+  opLog.sort((a, b) => a.timestamp - b.timestamp);
+  return { opLog, truth, roles };
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * An honest prediction: most others saw what I saw.
+ */
+function belief(signal, other, rand) {
+  const mine = 0.55 + rand() * 0.15;
+  const unsure = 0.05 + rand() * 0.05;
+  return { [signal]: mine, [other]: 1 - mine - unsure, UNVERIFIED: unsure };
+}
+
+/**
+ * Finalized outcomes scored against the truth, where it is known.
+ */
+function rumorOutcomes(outcomes, truth, total) {
+  let correct = 0;
+  let wrong = 0;
+  let undecided = 0;
+  for (const [rumorId, consensus] of outcomes) {
+    const fact = truth.get(rumorId);
+    if (!fact) continue;
+    if (consensus === fact) correct++;
+    else if (consensus === 'TRUE' || consensus === 'FALSE') wrong++;
+    else undecided++;
+  }
+  const judged = correct + wrong + undecided;
+  return {
+    total,
+    finalized: outcomes.size,
+    withTruth: judged,
+    correct,
+    wrong,
+    undecided,
+    accuracy: judged > 0 ? correct / judged : null,
+  };
+}
+
+/**
+ * Final reputation: overall and per role.
+ */
+function reputationSpread(scores, roles) {
+  const byRole = {};
+  for (const [nullifier, score] of scores) {
+    const role = roles.get(nullifier);
+    if (role) (byRole[role] ??= []).push(score);
+  }
+  return {
+    all: stats([...scores.values()]),
+    byRole: Object.fromEntries(Object.entries(byRole).map(([role, list]) => [role, stats(list)])),
+  };
+}
+
+function stats(values) {
+  if (values.length === 0) return { count: 0, mean: null, median: null, min: null, max: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+function share(part, whole) {
+  return whole > 0 ? part / whole : 0;
+}
+
+/**
+ * Seeded PRNG (Mulberry32), so a seed always generates the same scenario.
+ */
+function prng(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6D2B79F5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
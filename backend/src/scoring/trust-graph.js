@@ -0,0 +1,218 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Trust Graph
+// The TrustPropagator's co-correct voting graph, kept up to date
+// one finalized rumor at a time instead of rebuilt from uploads.
+//
+// Each settled rumor contributes the edges buildGraph() derives
+// from its votes and result. Re-settling a rumor (a dispute)
+// replaces its contribution; a tombstone removes it.
+//
+// Personalized rumor trust for a viewer restarts the PageRank
+// walk at the viewer's own trusted peers — the voters they have
+// agreed with on finalized rumors, weighted by edge weight. A
+// viewer with no peers yet sees the uniform (global) ranking.
+//
+// The graph itself is public (it is derived from public votes),
+// so clients can also download it and rank with seeds they keep
+// to themselves.
+// ─────────────────────────────────────────────────────────────
+
+import { TrustPropagator } from './trust-propagator.js';
+
+/** Edge weights at or below this are treated as removed */
+const EPSILON = 1e-12;
+
+/** Rankings cached per graph version */
+const MAX_CACHED_RANKINGS = 256;
+
+/**
+ * TrustGraph maintains the trust graph incrementally and ranks
+ * voters and rumors for a viewer.
+ *
+ * Usage:
+ *   const graph = new TrustGraph(trustPropagator);
+ *   opLogScorer.on('settled', (id, result) => graph.apply(id, votes(id), result));
+ *   opLogScorer.on('refunded', id => graph.remove(id));
+ *   const trust = graph.rumorTrust(viewerNullifier, votesByRumor);
+ */
+export class TrustGraph {
+  /**
+   * @param {TrustPropagator} [propagator]
+   */
+  constructor(propagator = new TrustPropagator()) {
+    this.propagator = propagator;
+
+    /** @type {Set<string>} */
+    this.nodes = new Set();
+    /** @type {Map<string, Map<string, number>>} source → (target → weight) */
+    this.edges = new Map();
+    /** @type {Map<string, number>} source → sum of outgoing weights */
+    this.outDegree = new Map();
+    /** Bumped on every change; rankings are cached per version */
+    this.version = 0;
+
+    this._rumors = new Map();     // rumorId → { voters: string[], edges: Map }
+    this._nodeRefs = new Map();   // nullifier → rumors it voted on
+    this._rankings = new Map();   // viewer → { version, ranking }
+  }
+
+  // ── Updates ────────────────────────────────────────────────
+
+  /**
+   * Add a settled rumor's edges, replacing any it contributed before.
+   *
+   * @param {string} rumorId
+   * @param {Array<{nullifier: string, vote: string}>} votes
+   * @param {{voterScores: Map<string, number>, consensus: string}} result
+   */
+  apply(rumorId, votes, result) {
+    this.remove(rumorId);
+    const { nodes, edges } = this.propagator.buildGraph(
+      new Map([[rumorId, votes || []]]),
+      new Map([[rumorId, result]]),
+    );
+    if (nodes.size === 0) return;
+
+    for (const node of nodes) {
+      this._nodeRefs.set(node, (this._nodeRefs.get(node) || 0) + 1);
+      this.nodes.add(node);
+    }
+    for (const [source, targets] of edges) {
+      for (const [target, weight] of targets) this._addWeight(source, target, weight);
+    }
+    this._rumors.set(rumorId, { voters: [...nodes], edges });
+    this.version++;
+  }
+
+  /**
+   * Take a rumor's edges back out of the graph.
+   * @param {string} rumorId
+   * @returns {boolean} whether the rumor had contributed
+   */
+  remove(rumorId) {
+    const contribution = this._rumors.get(rumorId);
+    if (!contribution) return false;
+
+    for (const [source, targets] of contribution.edges) {
+      for (const [target, weight] of targets) this._addWeight(source, target, -weight);
+    }
+    for (const node of contribution.voters) {
+      const refs = (this._nodeRefs.get(node) || 1) - 1;
+      if (refs > 0) {
+        this._nodeRefs.set(node, refs);
+      } else {
+        this._nodeRefs.delete(node);
+        this.nodes.delete(node);
+      }
+    }
+    this._rumors.delete(rumorId);
+    this.version++;
+    return true;
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  /**
+   * A viewer's trusted peers: the voters they agreed with on
+   * finalized rumors, weighted by edge weight.
+   * @param {string} viewer — nullifier
+   * @returns {Map<string, number>}
+   */
+  peersOf(viewer) {
+    return new Map(this.edges.get(viewer) || []);
+  }
+
+  /**
+   * Personalized PageRank seeded by the viewer's trusted peers,
+   * or the uniform ranking if the viewer has none.
+   *
+   * @param {string} [viewer]
+   * @returns {{scores: Map<string, number>, personalized: boolean, seeds: number, iterations: number, converged: boolean}}
+   */
+  rank(viewer) {
+    const peers = viewer ? this.peersOf(viewer) : new Map();
+    const key = peers.size > 0 ? viewer : '';
+
+    const cached = this._rankings.get(key);
+    if (cached?.version === this.version) return cached.ranking;
+
+    const { scores, iterations, converged } = this.propagator.computePPR(
+      { nodes: this.nodes, edges: this.edges, outDegree: this.outDegree },
+      peers.size > 0 ? peers : null,
+    );
+    const ranking = { scores, personalized: peers.size > 0, seeds: peers.size, iterations, converged };
+
+    if (this._rankings.size >= MAX_CACHED_RANKINGS) this._rankings.clear();
+    this._rankings.set(key, { version: this.version, ranking });
+    return ranking;
+  }
+
+  /**
+   * PPR-weighted trust (0-100) of each rumor for a viewer. Rumors
+   * none of whose voters are in the graph get a null score.
+   *
+   * @param {string} [viewer]
+   * @param {Map<string, Array<{nullifier: string, vote: string}>>} votesByRumor
+   * @returns {Map<string, {score: number|null, weightedVotes: number}>}
+   */
+  rumorTrust(viewer, votesByRumor) {
+    const { scores } = this.rank(viewer);
+    const trust = new Map();
+    for (const [rumorId, votes] of votesByRumor) {
+      const weightedVotes = votes.filter(v => scores.get(v.nullifier) > 0).length;
+      trust.set(rumorId, {
+        score: weightedVotes > 0 ? this.propagator.getRumorTrust(rumorId, scores, votes) : null,
+        weightedVotes,
+      });
+    }
+    return trust;
+  }
+
+  /**
+   * The graph as plain JSON, for clients that rank it themselves.
+   * @returns {{version: number, nodes: string[], edges: Array<[string, string, number]>}}
+   */
+  export() {
+    const edges = [];
+    for (const [source, targets] of this.edges) {
+      for (const [target, weight] of targets) edges.push([source, target, weight]);
+    }
+    return { version: this.version, nodes: [...this.nodes], edges };
+  }
+
+  /**
+   * Graph size, plus how many finalized rumors it is built from.
+   * @returns {{nodeCount: number, edgeCount: number, avgDegree: number, density: number, rumorCount: number}}
+   */
+  getStats() {
+    return {
+      ...this.propagator.getGraphStats({ nodes: this.nodes, edges: this.edges }),
+      rumorCount: this._rumors.size,
+    };
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * Add (or, negative, subtract) weight on an edge, dropping edges
+   * that fall to zero and keeping the source's out-degree in step.
+   * @private
+   */
+  _addWeight(source, target, weight) {
+    if (!this.edges.has(source)) this.edges.set(source, new Map());
+    const targets = this.edges.get(source);
+    const next = (targets.get(target) || 0) + weight;
+
+    if (next > EPSILON) targets.set(target, next);
+    else targets.delete(target);
+
+    if (targets.size === 0) {
+      this.edges.delete(source);
+      this.outDegree.delete(source);
+    } else {
+      let total = 0;
+      for (const w of targets.values()) total += w;
+      this.outDegree.set(source, total);
+    }
+  }
+}
@@ -4,17 +4,40 @@
 // ─────────────────────────────────────────────────────────────
 
 import express from 'express';
+import { Identity } from '@semaphore-protocol/identity';
 import cors from 'cors';
+import { randomBytes } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
 
 // ── Backend modules ──────────────────────────────────────────
 import { IdentityManager } from './identity/identity-manager.js';
 import { EmailVerifier } from './identity/email-verifier.js';
 import { MembershipTree } from './identity/membership-tree.js';
+import { OfficialVerifier } from './identity/official-verifier.js';
+import { RevocationVerifier } from './identity/revocation-verifier.js';
+import { AdmissionVerifier } from './identity/admission-verifier.js';
+import { AccountVerifier, SIGNED_FIELDS, accountId } from './identity/account-verifier.js';
+import { MembershipProofVerifier, anonymousId } from './identity/membership-proof-verifier.js';
+import { EmailBindingRegistry } from './identity/email-binding.js';
+import { DkimKeyCache, DkimKeyResolver } from './identity/dkim-key-resolver.js';
 import { BTSEngine } from './scoring/bts-engine.js';
 import { RBTSEngine } from './scoring/rbts-engine.js';
+import { ScoringEngineRegistry } from './scoring/engine-registry.js';
 import { CorrelationDampener } from './scoring/correlation-dampener.js';
 import { ReputationManager } from './scoring/reputation-manager.js';
+import { AnonymousReputation } from './scoring/anonymous-reputation.js';
+import { EpochScheduler } from './scoring/epoch-scheduler.js';
+import { FinalizationScheduler } from './scoring/finalization-scheduler.js';
+import { OpLogScorer, reputationDigest } from './scoring/oplog-scorer.js';
 import { TrustPropagator } from './scoring/trust-propagator.js';
+import { TrustGraph } from './scoring/trust-graph.js';
+import { ClusterAnalytics } from './scoring/cluster-analytics.js';
+import { ScoringSimulator, generateScenario } from './scoring/simulator.js';
+import { OfficialResolver } from './scoring/official-resolver.js';
+import { DisputeManager } from './scoring/dispute-manager.js';
+import { ModerationManager } from './scoring/moderation-manager.js';
+import { ModerationScheduler } from './scoring/moderation-scheduler.js';
 import { Snapshotter } from './state/snapshotter.js';
 import { TombstoneManager } from './state/tombstone-manager.js';
 import {
@@ -22,52 +45,385 @@ import {
 } from './config.js';
 // Heavy modules loaded dynamically to keep Vercel serverless bundle under 250MB.
 // Using computed paths so Vercel's Node File Tracer cannot trace them.
-let _generateProof, _verifyProof;
+let _verifyProof;
 async function lazyProof() {
-  if (!_generateProof) {
+  if (!_verifyProof) {
     const mod = await import('@semaphore-protocol/' + 'proof');
-    _generateProof = mod.generateProof;
     _verifyProof = mod.verifyProof;
   }
-  return { generateProof: _generateProof, verifyProof: _verifyProof };
+  return { verifyProof: _verifyProof };
 }
 
 // ── Instantiate singletons ───────────────────────────────────
 const identityManager = new IdentityManager();
-const emailVerifier = new EmailVerifier();
+const dkimKeys = createDkimKeys();
+const emailVerifier = new EmailVerifier(IDENTITY.ALLOWED_DOMAINS, { resolver: dkimKeys.resolver });
 const membershipTree = new MembershipTree();
 const btsEngine = new BTSEngine();
 const rbtsEngine = new RBTSEngine();
+const engineRegistry = new ScoringEngineRegistry({ btsEngine, rbtsEngine });
 const correlationDampener = new CorrelationDampener();
 const reputationManager = new ReputationManager();
+const anonymousReputation = new AnonymousReputation({
+  verifyProof: async (proof) => (await lazyProof()).verifyProof(proof),
+  isMemberRoot: isKnownRoot,
+});
 const trustPropagator = new TrustPropagator();
-const snapshotter = new Snapshotter();
-const tombstoneManager = new TombstoneManager();
+const officialVerifier = new OfficialVerifier(loadOfficialSources());
+const officialResolver = new OfficialResolver();
+const disputeManager = new DisputeManager(reputationManager);
+const moderationManager = new ModerationManager(reputationManager);
+const epochScheduler = new EpochScheduler(reputationManager);
+const revocationVerifier = new RevocationVerifier(officialVerifier);
+const admissionVerifier = new AdmissionVerifier(loadRegistrars(), { allowedDomains: IDENTITY.ALLOWED_DOMAINS });
+const accountVerifier = new AccountVerifier();
+// A rumor's author is whoever holds its post proof's nullifier
+const authorOf = (rumorId) => snapshotter.getRumor(rumorId)?.proofNullifier ?? null;
+// ...or, for a community removal, the rumor's flags reached the threshold
+const isFlagged = (rumorId) => moderationManager.isFlagged(moderationCases.get(rumorId));
+const tombstoneManager = new TombstoneManager({ authorOf, isFlagged });
+const snapshotter = new Snapshotter({ officialVerifier, revocationVerifier, admissionVerifier, accountVerifier, tombstoneManager });
+const membershipProofVerifier = new MembershipProofVerifier({
+  verifyProof: async (proof) => (await lazyProof()).verifyProof(proof),
+  isMemberRoot: isKnownRoot,
+  isNullifierUsed: (scope, nullifier) => usedNullifiers.get(scope)?.has(nullifier) ?? false,
+  markNullifierUsed,
+  authorOf,
+});
+
+// An admission adds the member to the group and a revocation
+// removes it, whichever path the op arrived by; so does a tombstone
+// reach the TombstoneManager
+snapshotter.on('op', (entry) => {
+  if (entry.type === PROTOCOL.TYPES.JOIN) applyAdmission(entry);
+  if (entry.type === PROTOCOL.TYPES.REVOKE) applyRevocation(entry);
+  if (entry.type === PROTOCOL.TYPES.TOMBSTONE && !tombstoneManager.isTombstoned(entry.payload.rumorId)) {
+    tombstoneManager.record(entry.payload);
+  }
+});
 
 // ── ZK Proof State ───────────────────────────────────────────
 const usedNullifiers = new Map();   // scope → Set<nullifier>
 
-// ── DKIM-to-Commitment Binding ───────────────────────────────
-const verifiedEmailBindings = new Map();  // email → commitment
+// ── Email Bindings (one email = one identity) ────────────────
+// Keyed email hashes only — no email is ever linked to a commitment
+const emailBindings = new EmailBindingRegistry({ secret: process.env.AFWAAH_BINDING_SECRET });
 
 // ── Score Finalization ───────────────────────────────────────
 const finalizedScores = new Map();  // rumorId → { score, consensus, ... }
+const moderationCases = new Map();  // rumorId → { status, flags, appeals, ... }
+
+// Reputation follows the OpLog: stakes lock on posts and votes and
+// settle on FINALIZE, official proofs, disputes, moderation and tombstones.
+// Anonymous (zk_) stakes settle alongside in the note ledger.
+const opLogScorer = new OpLogScorer({
+  snapshotter,
+  reputationManager,
+  finalizedScores,
+  disputeManager,
+  moderationManager,
+  moderationCases,
+  epochScheduler,
+  officialResolver,
+  btsEngine,
+  rbtsEngine,
+  engineRegistry,
+  correlationDampener,
+});
+opLogScorer.on('finalized', (rumorId, record) => persistence?.recordFinalized(rumorId, record));
+opLogScorer.on('moderated', (rumorId, record) => persistence?.recordModeration(rumorId, record));
+opLogScorer.on('settled', (rumorId, result) => anonymousReputation.settle(rumorId, result));
+opLogScorer.on('refunded', rumorId => anonymousReputation.refund(rumorId));
+
+// The PPR trust graph grows from each settled rumor's co-correct
+// voters; a re-settled dispute replaces its edges, a tombstone drops them
+const trustGraph = new TrustGraph(trustPropagator);
+opLogScorer.on('settled', (rumorId, result) => trustGraph.apply(rumorId, snapshotter.getVotesForRumor(rumorId), result));
+opLogScorer.on('refunded', rumorId => trustGraph.remove(rumorId));
+
+// Clusters the dampener finds at each scoring, aggregated so
+// coordinated groups that recur across rumors stand out
+const clusterAnalytics = new ClusterAnalytics();
+opLogScorer.on('scored', (rumorId, dampenedVotes, at) => clusterAnalytics.record(rumorId, dampenedVotes, at));
+opLogScorer.on('refunded', rumorId => clusterAnalytics.remove(rumorId));
+
+// Voting on each rumor closes after its topic's window; the close
+// is logged as a FINALIZE op, scored once, and gossiped to peers
+const finalizationScheduler = new FinalizationScheduler(opLogScorer);
+
+// Rumors flagged past the threshold are tombstoned, and settled when
+// their appeal window closes — by each node, from its own OpLog
+const moderationScheduler = new ModerationScheduler(opLogScorer);
+
+// Ops each node records on its own schedule — never taken from clients
+const SCHEDULED_OPS = {
+  EPOCH: 'Epochs are recorded by each node\'s scheduler, not submitted',
+  FINALIZE: 'Voting closes are recorded by each node\'s scheduler — use /api/scoring/finalize',
+  MODERATE: 'Moderation cases are settled by each node\'s scheduler when the appeal window closes',
+};
+
+// Ops whose proof, stake or signature is checked op by op on the
+// way in — a batch would skip those checks
+const SINGLE_OPS = {
+  TOMBSTONE: 'Tombstones are created through /api/tombstone/create',
+  RUMOR: 'Rumors are proved and staked one at a time — use /api/state/ingest',
+  VOTE: 'Votes are proved and staked one at a time — use /api/state/ingest',
+  DISPUTE: 'Disputes are verified and staked one at a time — use /api/state/ingest',
+  FLAG: 'Flags are verified and staked one at a time — use /api/state/ingest',
+  APPEAL: 'Appeals are verified and staked one at a time — use /api/state/ingest',
+};
 
 // ── P2P Network ─────────────────────────────────────────────
 let p2pNode = null;
 let gossipController = null;
+let syncService = null;
 let p2pStatus = { started: false, peerId: null, peers: 0, error: null };
 
+// ── Persistence (OrbitDB) ───────────────────────────────────
+let dbManager = null;
+let storeManager = null;
+let persistence = null;
+let persistenceStatus = { started: false, directory: null, restored: null, error: null };
+let snapshotStore = null;
+let publishedCheckpoint = null;   // { cid, opLogLength } last put into Helia
+
+/**
+ * Trusted official sources from config plus AFWAAH_OFFICIAL_SOURCES
+ * (a JSON array of { name, publicKey: [x, y] }).
+ */
+function loadOfficialSources() {
+  const sources = [...IDENTITY.OFFICIAL_SOURCES];
+  if (process.env.AFWAAH_OFFICIAL_SOURCES) {
+    try {
+      sources.push(...JSON.parse(process.env.AFWAAH_OFFICIAL_SOURCES));
+    } catch (err) {
+      console.warn(`  Ignoring AFWAAH_OFFICIAL_SOURCES: ${err.message}`);
+    }
+  }
+  return sources;
+}
+
+let _registrar = null;
+
+/**
+ * This node's registrar identity, which signs the admissions of the
+ * members it verifies. Loaded on first use — at startup, before the
+ * OpLog is rehydrated — and trusted from then on. Importing this
+ * module touches no files.
+ * @returns {{name: string, identity: Identity}}
+ */
+function getRegistrar() {
+  if (!_registrar) {
+    _registrar = loadRegistrar();
+    admissionVerifier.addRegistrar(_registrar.name, _registrar.identity.publicKey.map(p => p.toString()));
+  }
+  return _registrar;
+}
+
+/**
+ * AFWAAH_REGISTRAR_KEY (an exported identity) takes precedence;
+ * otherwise the key is kept in the data directory and created on
+ * first boot.
+ * @returns {{name: string, identity: Identity}}
+ */
+function loadRegistrar() {
+  const name = process.env.AFWAAH_REGISTRAR_NAME || 'This node';
+  if (process.env.AFWAAH_REGISTRAR_KEY) {
+    return { name, identity: Identity.import(process.env.AFWAAH_REGISTRAR_KEY) };
+  }
+  if (process.env.VERCEL) return { name, identity: new Identity() };
+
+  const directory = process.env.AFWAAH_DATA_DIR || STORAGE.DATA_DIRECTORY;
+  const file = join(directory, IDENTITY.REGISTRAR_KEY_FILE);
+  if (existsSync(file)) return { name, identity: Identity.import(readFileSync(file, 'utf8').trim()) };
+  const identity = new Identity();
+  mkdirSync(directory, { recursive: true });
+  writeFileSync(file, identity.export(), { mode: 0o600 });
+  return { name, identity };
+}
+
+/**
+ * Trusted registrars from config and AFWAAH_REGISTRARS (a JSON array
+ * of { name, publicKey: [x, y] }). getRegistrar() adds this node's.
+ */
+function loadRegistrars() {
+  const registrars = [...IDENTITY.REGISTRARS];
+  if (process.env.AFWAAH_REGISTRARS) {
+    try {
+      registrars.push(...JSON.parse(process.env.AFWAAH_REGISTRARS));
+    } catch (err) {
+      console.warn(`  Ignoring AFWAAH_REGISTRARS: ${err.message}`);
+    }
+  }
+  return registrars;
+}
+
+/**
+ * DKIM key resolver backed by a file cache in the data directory
+ * (AFWAAH_DKIM_CACHE overrides the path). AFWAAH_DKIM_OFFLINE=1
+ * verifies only against cached or preloaded keys.
+ */
+function createDkimKeys() {
+  const file = process.env.VERCEL ? null // No local disk in serverless
+    : process.env.AFWAAH_DKIM_CACHE
+      || join(process.env.AFWAAH_DATA_DIR || STORAGE.DATA_DIRECTORY, IDENTITY.DKIM_CACHE_FILE);
+  const keys = new DkimKeyResolver({
+    cache: new DkimKeyCache({ file }),
+    offline: process.env.AFWAAH_DKIM_OFFLINE === '1',
+  });
+  keys.on('rotated', ({ name }) => console.log(`  DKIM key rotated for ${name}`));
+  return keys;
+}
+
 /**
- * Convert an arbitrary string to a field element (bigint string)
- * for use as ZK proof message/scope parameters.
+ * Load the email binding secret from the data directory, creating
+ * it on first boot. AFWAAH_BINDING_SECRET takes precedence.
  */
-function hashToField(str) {
-  let hash = 0n;
-  for (let i = 0; i < str.length; i++) {
-    hash = ((hash << 5n) - hash + BigInt(str.charCodeAt(i))) & ((1n << 250n) - 1n);
+function loadBindingSecret(directory) {
+  const file = join(directory, 'binding.secret');
+  if (existsSync(file)) return readFileSync(file, 'utf8').trim();
+  const secret = randomBytes(32).toString('hex');
+  mkdirSync(directory, { recursive: true });
+  writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+/**
+ * Check a proof's Merkle root against the recent membership roots.
+ */
+function isKnownRoot(root) {
+  try {
+    return membershipTree.isRootValid(BigInt(root));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Mark a ZK nullifier as used for a scope and persist it.
+ */
+function markNullifierUsed(scope, nullifier) {
+  if (!usedNullifiers.has(scope)) usedNullifiers.set(scope, new Set());
+  usedNullifiers.get(scope).add(nullifier);
+  persistence?.recordNullifier(scope, nullifier);
+}
+
+/**
+ * Open the OrbitDB stores and rehydrate every in-memory singleton.
+ * Non-fatal — if storage fails, the server keeps running in memory only.
+ */
+async function startPersistence() {
+  if (process.env.VERCEL) return; // No local disk in serverless
+  const directory = process.env.AFWAAH_DATA_DIR || STORAGE.DATA_DIRECTORY;
+  try {
+    const { DatabaseManager } = await import('./storage/' + 'db.js');
+    const { StoreManager } = await import('./storage/' + 'stores.js');
+    const { PersistenceManager } = await import('./storage/' + 'persistence.js');
+
+    const { SnapshotStore } = await import('./storage/' + 'snapshot-store.js');
+
+    dbManager = new DatabaseManager({ directory });
+    await dbManager.start();
+    snapshotStore = new SnapshotStore(dbManager.getHelia());
+    storeManager = new StoreManager(dbManager.getOrbitDB());
+    await storeManager.open();
+
+    if (!process.env.AFWAAH_BINDING_SECRET) {
+      emailBindings.setSecret(loadBindingSecret(directory));
+    }
+
+    persistence = new PersistenceManager(storeManager);
+    const restored = await persistence.hydrate({
+      snapshotter,
+      membershipTree,
+      reputationManager,
+      usedNullifiers,
+      emailBindings,
+      finalizedScores,
+      moderationCases,
+      anonymousReputation,
+    });
+    persistence.attach({ snapshotter, reputationManager, anonymousReputation });
+    publishCheckpoint();
+
+    persistenceStatus = { started: true, directory, restored, error: null };
+    console.log(`  Persistence ready (${directory}): restored ${restored.ops} ops, ${restored.members} members, ${restored.users} users`);
+  } catch (err) {
+    persistence = null;
+    persistenceStatus = { started: false, directory, restored: null, error: err.message };
+    console.warn(`  Persistence not available: ${err.message} (state is in-memory only)`);
+  }
+}
+
+/**
+ * Put the current snapshot checkpoint into Helia so peers can fetch
+ * it by CID — once every CHECKPOINT_INTERVAL covered ops, replacing
+ * the previous block.
+ */
+function publishCheckpoint() {
+  const checkpoint = snapshotter.getCheckpoint();
+  if (!snapshotStore || !checkpoint) return;
+  if (publishedCheckpoint
+    && checkpoint.opLogLength - publishedCheckpoint.opLogLength < STORAGE.CHECKPOINT_INTERVAL) return;
+
+  const previous = publishedCheckpoint;
+  publishedCheckpoint = { cid: checkpoint.cid, opLogLength: checkpoint.opLogLength };
+  snapshotStore.put(checkpoint.cid, checkpoint.bytes)
+    .then(() => previous && previous.cid !== checkpoint.cid && snapshotStore.delete(previous.cid))
+    .catch((err) => console.warn(`  Snapshot ${checkpoint.cid} not stored: ${err.message}`));
+}
+snapshotter.on('snapshot', publishCheckpoint);
+
+/**
+ * Fetch an encoded snapshot: from Helia if held locally, else over
+ * HTTP from AFWAAH_BOOTSTRAP_PEER, else from Helia peers.
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchSnapshot(cid) {
+  if (snapshotStore && await snapshotStore.has(cid)) return snapshotStore.get(cid);
+
+  const peer = process.env.AFWAAH_BOOTSTRAP_PEER;
+  if (peer) {
+    const res = await fetch(`${peer.replace(/\/$/, '')}/api/state/checkpoint/${cid}`, {
+      signal: AbortSignal.timeout(STORAGE.SNAPSHOT_FETCH_TIMEOUT),
+    });
+    if (!res.ok) throw new Error(`${peer} answered ${res.status}`);
+    return new Uint8Array(await res.arrayBuffer());
+  }
+
+  if (snapshotStore) return snapshotStore.get(cid);
+  throw new Error('no Helia node and AFWAAH_BOOTSTRAP_PEER is not set');
+}
+
+/**
+ * Start a fresh node from the trusted snapshot CID in
+ * AFWAAH_BOOTSTRAP_SNAPSHOT instead of replaying the full OpLog.
+ * The snapshot must hash to the CID; ops it covers are not fetched.
+ */
+async function bootstrapFromSnapshot() {
+  const cid = process.env.AFWAAH_BOOTSTRAP_SNAPSHOT;
+  if (!cid || snapshotter.getCheckpoint() || snapshotter.getOpLog().length > 0) return;
+  try {
+    const snapshot = snapshotter.loadCheckpoint(await fetchSnapshot(cid), cid);
+    persistence?.recordCheckpoint(snapshotter.getCheckpoint());
+    publishCheckpoint();
+    console.log(`  Bootstrapped from snapshot ${cid} (${snapshot.opLogLength} ops covered)`);
+  } catch (err) {
+    console.warn(`  Snapshot bootstrap failed: ${err.message} (starting from the OpLog)`);
+  }
+}
+
+/**
+ * Close the OrbitDB stores so pending writes are flushed.
+ */
+async function stopPersistence() {
+  persistence?.detach();
+  try {
+    if (storeManager?.isOpen) await storeManager.close();
+    if (dbManager?.isStarted) await dbManager.stop();
+  } catch (err) {
+    console.warn(`  Persistence shutdown error: ${err.message}`);
   }
-  return hash.toString();
 }
 
 /**
@@ -79,25 +435,40 @@ async function startP2P() {
   try {
     const { AfwaahNode } = await import('./network/' + 'node.js');
     const { GossipController } = await import('./network/' + 'gossip-controller.js');
+    const { SyncService } = await import('./network/' + 'sync-service.js');
     p2pNode = new AfwaahNode();
     await p2pNode.start();
 
-    gossipController = new GossipController(p2pNode);
+    // Peers' rumors, votes and disputes are proof-checked before ingest
+    gossipController = new GossipController(p2pNode, { proofVerifier: membershipProofVerifier, admissionVerifier, accountVerifier });
     gossipController.start();
 
     // Bridge incoming gossip messages → snapshotter
-    gossipController.onRumor((msg) => {
-      try { snapshotter.ingest({ type: 'RUMOR', payload: msg.payload, timestamp: msg.timestamp }); } catch {}
-    });
-    gossipController.onVote((msg) => {
-      try { snapshotter.ingest({ type: 'VOTE', payload: msg.payload, timestamp: msg.timestamp }); } catch {}
-    });
-    gossipController.onTombstone((msg) => {
-      try { snapshotter.ingest({ type: 'TOMBSTONE', payload: msg.payload, timestamp: msg.timestamp }); } catch {}
+    gossipController.onRumor((msg) => ingestRemoteOp({ type: 'RUMOR', payload: msg.payload, timestamp: msg.timestamp }));
+    gossipController.onVote((msg) => ingestRemoteOp({ type: 'VOTE', payload: msg.payload, timestamp: msg.timestamp }));
+    gossipController.onTombstone((msg) => ingestRemoteOp({ type: 'TOMBSTONE', payload: msg.payload, timestamp: msg.timestamp }));
+    gossipController.onJoin((msg) => ingestRemoteOp({ type: 'JOIN', payload: msg.payload, timestamp: msg.timestamp }));
+    gossipController.onOfficialProof((msg) => ingestRemoteOp({ type: 'OFFICIAL_PROOF', payload: msg.payload, timestamp: msg.timestamp }));
+    gossipController.onDispute((msg) => ingestRemoteOp({ type: 'DISPUTE', payload: msg.payload, timestamp: msg.timestamp }));
+    gossipController.onRevoke((msg) => ingestRemoteOp({ type: 'REVOKE', payload: msg.payload, timestamp: msg.timestamp }));
+    gossipController.onModeration((msg) => {
+      ingestRemoteOp({ type: msg.type, payload: msg.payload, timestamp: msg.timestamp });
+      recordModeration();
     });
-    gossipController.onJoin((msg) => {
-      try { snapshotter.ingest({ type: 'JOIN', payload: msg.payload, timestamp: msg.timestamp }); } catch {}
+    gossipController.onFinalize((msg) => ingestRemoteOp({
+      type: 'FINALIZE',
+      payload: { rumorId: msg.payload.rumorId, round: msg.payload.round },
+      timestamp: msg.payload.timestamp,
+    }));
+
+    // Anti-entropy: catch up on ops missed while offline. Synced ops
+    // pass the same validators as gossip before they are ingested
+    syncService = new SyncService({ node: p2pNode, gossip: gossipController, snapshotter });
+    syncService.on('synced', ({ peerId, applied, rejected }) => {
+      if (applied > 0) console.log(`  Synced ${applied} op(s) from ${peerId}`);
+      if (rejected > 0) console.warn(`  Dropped ${rejected} synced op(s) from ${peerId} that failed validation`);
     });
+    syncService.start();
 
     p2pStatus = {
       started: true,
@@ -120,8 +491,18 @@ async function startP2P() {
   }
 }
 
+/**
+ * Ingest an op received from a peer, skipping ops the node
+ * already holds (e.g. delivered earlier by anti-entropy sync).
+ */
+function ingestRemoteOp(op) {
+  if (syncService?.hasOp(op)) return;
+  try { snapshotter.ingest(op); } catch {}
+}
+
 /**
  * Auto-trigger BTS/RBTS scoring pipeline after a vote is ingested.
+ * The score is provisional: stakes only settle at finalization.
  */
 function autoScoreRumor(rumorId) {
   if (finalizedScores.has(rumorId)) return null;
@@ -130,20 +511,13 @@ function autoScoreRumor(rumorId) {
   if (!votes || votes.length < 3) return null;
 
   try {
-    const dampenedVotes = correlationDampener.dampen(votes, new Map());
-    const engine = dampenedVotes.length >= SCORING.RBTS_THRESHOLD ? btsEngine : rbtsEngine;
-    const result = dampenedVotes.length >= SCORING.RBTS_THRESHOLD
-      ? engine.calculate(dampenedVotes)
-      : engine.calculate(dampenedVotes, rumorId, 0);
-
-    if (result.voterScores.size > 0) {
-      reputationManager.applyScores(result, rumorId);
-    }
+    const { result, voterCount } = opLogScorer.scoreRumor(rumorId);
 
     return {
       triggered: true,
       rumorId,
-      voterCount: dampenedVotes.length,
+      voterCount,
+      engine: result.engine,
       consensus: result.consensus,
       rumorTrustScore: result.rumorTrustScore,
     };
@@ -152,6 +526,63 @@ function autoScoreRumor(rumorId) {
   }
 }
 
+/**
+ * Log a FINALIZE op closing a rumor's voting or dispute window and
+ * gossip it. The OpLogScorer scores and settles the round as the
+ * op is ingested, here or on any peer that receives or replays it.
+ * @param {object} op — from finalizationScheduler
+ * @returns {object|undefined} the rumor's finalized record afterwards
+ */
+function recordFinalize(op) {
+  snapshotter.ingest(op);
+  if (gossipController && p2pNode?.isStarted) {
+    gossipController.publishFinalize({ ...op.payload, timestamp: op.timestamp }).catch(() => {});
+  }
+  return finalizedScores.get(op.payload.rumorId);
+}
+
+/**
+ * Log the community tombstones and settlements moderation cases
+ * are owed. Every node derives the same ops from the same flags,
+ * so they are not gossiped.
+ */
+function recordModeration() {
+  for (const op of moderationScheduler.due()) {
+    try { snapshotter.ingest(op); } catch {}
+  }
+}
+
+/**
+ * Add an admitted commitment to the membership tree. The Snapshotter
+ * only logs JOINs whose registrar signature verifies; ops from before
+ * admissions were signed carry none and never enter the tree.
+ */
+function applyAdmission(entry) {
+  if (!entry.payload?.signature) return;
+  const commitment = BigInt(entry.payload.commitment);
+  if (membershipTree.indexOf(commitment) !== -1 || snapshotter.isRevoked(commitment)) return;
+
+  const index = membershipTree.addMember(commitment);
+  persistence?.recordMember(commitment, index);
+}
+
+/**
+ * Remove a revoked commitment from the membership tree, starting a
+ * new group epoch. The grace window runs from the signed revocation
+ * time, so every peer stops accepting the old roots together.
+ * Revocations of commitments this node has not seen join are kept
+ * by the Snapshotter and refuse the registration later.
+ */
+function applyRevocation(entry) {
+  const commitment = BigInt(entry.payload.commitment);
+  const index = membershipTree.indexOf(commitment);
+  if (index === -1) return;
+
+  const removedAt = Math.min(entry.payload.revokedAt, Date.now());
+  membershipTree.removeMember(index, { now: removedAt });
+  persistence?.recordMemberRemoval(commitment, index, removedAt);
+}
+
 // ── Express App ──────────────────────────────────────────────
 const app = express();
 app.use(cors());
@@ -161,79 +592,9 @@ app.use(express.json({ limit: '5mb' }));
 // ║  IDENTITY ENDPOINTS                                       ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// POST /api/identity/create
-app.post('/api/identity/create', (req, res) => {
-  try {
-    const { privateKey } = req.body;
-    const identity = identityManager.create(privateKey);
-    const commitment = identityManager.getCommitment(identity);
-    const exported = identityManager.exportIdentity(identity);
-    res.json({
-      commitment: commitment.toString(),
-      exportedKey: exported,
-      publicKey: identity.publicKey?.toString() ?? '',
-    });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
-
-// POST /api/identity/import
-app.post('/api/identity/import', (req, res) => {
-  try {
-    const { exportedKey } = req.body;
-    if (!exportedKey || typeof exportedKey !== 'string' || exportedKey.trim().length === 0) {
-      return res.status(400).json({ error: 'Recovery key is required' });
-    }
-
-    // Try to import — will throw if the key is structurally invalid
-    let identity;
-    try {
-      identity = identityManager.importIdentity(exportedKey.trim());
-    } catch (importErr) {
-      return res.status(400).json({ error: 'Invalid recovery key — the key format is not recognized. Please check and try again.' });
-    }
-
-    const commitment = identityManager.getCommitment(identity);
-
-    // Check if this commitment exists in the membership tree
-    const memberIndex = membershipTree.indexOf(commitment);
-    if (memberIndex === -1) {
-      return res.status(404).json({
-        error: 'No account found for this recovery key. This key does not match any registered member. Make sure you are using the correct key from an account that was previously created.',
-        found: false,
-      });
-    }
-
-    res.json({
-      commitment: commitment.toString(),
-      publicKey: identity.publicKey?.toString() ?? '',
-      memberIndex,
-      found: true,
-    });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
-
-// POST /api/identity/sign
-app.post('/api/identity/sign', (req, res) => {
-  try {
-    const { exportedKey, message } = req.body;
-    if (!exportedKey || !message) {
-      return res.status(400).json({ error: 'exportedKey and message are required' });
-    }
-    const identity = identityManager.importIdentity(exportedKey);
-    const signature = identityManager.signMessage(identity, message);
-    // BigInt-safe serialization — convert BigInts to strings
-    const sigStr = JSON.stringify(signature, (_k, v) => typeof v === 'bigint' ? v.toString() : v);
-    // Also return the public key in a format that can be sent back for verification
-    const pubKeyStr = identity.publicKey.map(p => p.toString());
-    res.json({ signature: sigStr, publicKey: pubKeyStr });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
+// Identities are created, exported and used to sign on the client.
+// The server never receives a private key: it stores commitments
+// and only verifies signatures and proofs.
 
 // POST /api/identity/verify-signature
 app.post('/api/identity/verify-signature', (req, res) => {
@@ -294,6 +655,39 @@ app.get('/api/identity/allowed-domains', (_req, res) => {
   res.json({ allowedDomains: IDENTITY.ALLOWED_DOMAINS });
 });
 
+// GET /api/identity/registrars — this node's registrar key and the
+// registrars whose admissions it accepts. Peers add the key to
+// AFWAAH_REGISTRARS to accept the members this node admits
+app.get('/api/identity/registrars', (_req, res) => {
+  const registrar = getRegistrar();
+  res.json({
+    self: { name: registrar.name, publicKey: registrar.identity.publicKey.map(p => p.toString()) },
+    registrars: admissionVerifier.getRegistrars(),
+  });
+});
+
+// GET /api/identity/dkim-keys — cached DKIM public keys and their freshness
+app.get('/api/identity/dkim-keys', (_req, res) => {
+  res.json({ offline: dkimKeys.offline, file: dkimKeys.cache.file, keys: dkimKeys.cache.list() });
+});
+
+// POST /api/identity/dkim-keys/preload — fetch a selector's key from DNS into the cache
+// Arbitrary key records can only be pinned locally: npm run dkim-keys -- preload ...
+app.post('/api/identity/dkim-keys/preload', async (req, res) => {
+  try {
+    const { domain, selector } = req.body;
+    const entry = await dkimKeys.fetch(domain, selector);
+    res.json({
+      domain, selector,
+      fetchedAt: entry.fetchedAt,
+      expiresAt: entry.fetchedAt + entry.ttl,
+      rotations: entry.previous.length,
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ╔═══════════════════════════════════════════════════════════╗
 // ║  DKIM-TO-COMMITMENT BINDING                               ║
 // ║  Cryptographically links email verification to identity   ║
@@ -303,126 +697,77 @@ app.get('/api/identity/allowed-domains', (_req, res) => {
 // Combined: DKIM-verify email + bind to identity + add to membership tree
 app.post('/api/identity/verify-and-register', async (req, res) => {
   try {
-    const { emlContent, exportedKey } = req.body;
-    if (!emlContent || !exportedKey) {
-      return res.status(400).json({ error: 'Both emlContent and exportedKey are required' });
+    const { emlContent, commitment: commitmentStr } = req.body;
+    if (!emlContent || !commitmentStr) {
+      return res.status(400).json({ error: 'Both emlContent and commitment are required' });
+    }
+    if (!/^\d+$/.test(String(commitmentStr))) {
+      return res.status(400).json({ error: 'commitment must be a decimal field element' });
     }
 
     // Step 1: Cryptographically verify the email via DKIM
     const dkimResult = await emailVerifier.verifyEmail(emlContent);
 
-    // Step 2: Derive the binding key from the verified inbox email
-    const emailKey = dkimResult.deliveredTo.toLowerCase();
-
-    // Step 3: Check if this email has already been used (1 email = 1 identity)
-    if (verifiedEmailBindings.has(emailKey)) {
+    // Step 2: Check if this inbox has already been used (1 email = 1 identity)
+    const email = dkimResult.deliveredTo.toLowerCase();
+    if (emailBindings.has(email)) {
       return res.status(409).json({
-        error: `This university email (${emailKey}) has already been used to register an identity. One email = one anonymous identity.`,
-        existingCommitment: verifiedEmailBindings.get(emailKey),
+        error: 'This university email has already been used to register an identity. One email = one anonymous identity.',
       });
     }
 
-    // Step 4: Reconstruct the identity and get commitment
-    const identity = identityManager.importIdentity(exportedKey);
-    const commitment = identityManager.getCommitment(identity);
-
-    // Step 5: Add to membership tree (or reuse existing member)
-    let memberIndex = membershipTree.indexOf(commitment);
-    if (memberIndex === -1) {
-      memberIndex = membershipTree.addMember(commitment);
+    // Step 3: The client generated the identity — only its commitment is sent
+    const commitment = BigInt(commitmentStr);
+    if (snapshotter.isRevoked(commitment)) {
+      return res.status(403).json({ error: 'This identity has been revoked and cannot rejoin the group' });
     }
 
-    // Step 6: Store the cryptographic binding: email → commitment
-    verifiedEmailBindings.set(emailKey, commitment.toString());
-
-    // Step 7: Register in reputation system
-    const nullifier = `user_${commitment.toString().substring(0, 12)}`;
-    reputationManager.register(nullifier);
-
-    // Step 8: Record JOIN in the snapshotter opLog
-    snapshotter.ingest({
-      type: 'JOIN',
-      payload: {
-        commitment: commitment.toString(),
-        nullifier,
-        emailDomain: dkimResult.domain,
-        emailVerified: true,
-        dkimBinding: { email: emailKey, bodyHash: dkimResult.bodyHash },
-        timestamp: Date.now(),
-      },
+    // Step 4: Sign the admission and record the JOIN. Logging it adds the
+    // commitment to the membership tree (or reuses the existing member)
+    // and registers the reputation; peers check the same signature
+    const payload = {
+      ...admissionVerifier.sign(getRegistrar().identity, { commitment, domain: dkimResult.domain }),
+      nullifier: accountId(commitment),
       timestamp: Date.now(),
-    });
+    };
+    if (membershipTree.indexOf(commitment) === -1) {
+      snapshotter.ingest({ type: 'JOIN', payload, timestamp: payload.timestamp });
+    }
+    const memberIndex = membershipTree.indexOf(commitment);
+
+    // Step 5: Remember only a keyed hash of the inbox — never which identity it made
+    const binding = emailBindings.bind(email);
+    persistence?.recordBinding(binding.key, binding.domain);
 
     // Broadcast via P2P if available
     if (gossipController && p2pNode?.isStarted) {
-      gossipController.publishJoin({ commitment: commitment.toString(), nullifier }).catch(() => {});
+      gossipController.publishJoin(payload).catch(() => {});
     }
 
+    // The email is echoed only to the registering client, never stored with the commitment
     res.json({
       success: true,
-      email: emailKey,
+      email,
       commitment: commitment.toString(),
       memberIndex,
       dkimResult,
-      binding: { email: emailKey, commitment: commitment.toString(), bodyHash: dkimResult.bodyHash },
+      binding: { domain: binding.domain },
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// GET /api/identity/bindings — list all email-to-commitment bindings
+// GET /api/identity/bindings — registration counts only (no emails, no commitments)
 app.get('/api/identity/bindings', (_req, res) => {
-  const bindings = {};
-  for (const [email, commitment] of verifiedEmailBindings) {
-    bindings[email] = commitment;
-  }
-  res.json({ bindings, count: verifiedEmailBindings.size });
+  res.json(emailBindings.getStats());
 });
 
 // ╔═══════════════════════════════════════════════════════════╗
 // ║  ZK PROOF ENDPOINTS                                       ║
-// ║  Generate and verify Semaphore V4 zero-knowledge proofs   ║
+// ║  Verify Semaphore V4 proofs generated in the browser      ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// POST /api/zk/generate-proof
-app.post('/api/zk/generate-proof', async (req, res) => {
-  try {
-    const { exportedKey, message, scope } = req.body;
-    if (!exportedKey || message === undefined || scope === undefined) {
-      return res.status(400).json({ error: 'exportedKey, message, and scope are required' });
-    }
-
-    const identity = identityManager.importIdentity(exportedKey);
-    const group = membershipTree.getGroup();
-
-    if (group.size === 0) {
-      return res.status(400).json({ error: 'No members in the group yet. Register your identity first.' });
-    }
-
-    // Convert string-based message/scope to field elements
-    const msgField = typeof message === 'string' && !/^\d+$/.test(message)
-      ? hashToField(message) : message.toString();
-    const scopeField = typeof scope === 'string' && !/^\d+$/.test(scope)
-      ? hashToField(scope) : scope.toString();
-
-    const { generateProof } = await lazyProof();
-    const proof = await generateProof(identity, group, msgField, scopeField);
-
-    // Serialize proof (BigInts → strings)
-    res.json({
-      merkleTreeDepth: proof.merkleTreeDepth,
-      merkleTreeRoot: proof.merkleTreeRoot.toString(),
-      nullifier: proof.nullifier.toString(),
-      message: proof.message.toString(),
-      scope: proof.scope.toString(),
-      points: proof.points,
-    });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
-
 // POST /api/zk/verify-proof
 app.post('/api/zk/verify-proof', async (req, res) => {
   try {
@@ -431,8 +776,9 @@ app.post('/api/zk/verify-proof', async (req, res) => {
       return res.status(400).json({ error: 'proof object is required' });
     }
 
+    const rootValid = isKnownRoot(proof.merkleTreeRoot);
     const { verifyProof } = await lazyProof();
-    const isValid = await verifyProof(proof);
+    const isValid = rootValid && await verifyProof(proof);
 
     // Check nullifier uniqueness for the given scope
     const scope = proof.scope?.toString() || '';
@@ -444,21 +790,7 @@ app.post('/api/zk/verify-proof', async (req, res) => {
       isNullifierNew = !usedNullifiers.get(scope).has(nullifier);
     }
 
-    res.json({ valid: isValid, nullifier, isNullifierNew });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
-
-// POST /api/zk/record-nullifier — mark a nullifier as used for a scope
-app.post('/api/zk/record-nullifier', (req, res) => {
-  try {
-    const { scope, nullifier } = req.body;
-    const s = scope?.toString() || '';
-    const n = nullifier?.toString() || '';
-    if (!usedNullifiers.has(s)) usedNullifiers.set(s, new Set());
-    usedNullifiers.get(s).add(n);
-    res.json({ recorded: true });
+    res.json({ valid: isValid, rootValid, nullifier, isNullifierNew });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -468,46 +800,57 @@ app.post('/api/zk/record-nullifier', (req, res) => {
 // ║  MEMBERSHIP TREE ENDPOINTS                                ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// POST /api/membership/add-member
-app.post('/api/membership/add-member', (req, res) => {
-  try {
-    const { commitment } = req.body;
-    membershipTree.addMember(commitment);
-    res.json({
-      size: membershipTree.getSize(),
-      root: membershipTree.getRoot().toString(),
-    });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
+// Members join with a registrar-signed JOIN (/api/identity/verify-and-register)
+// and leave with a signed REVOKE; the tree follows the OpLog, never a request.
 
-// POST /api/membership/add-members
-app.post('/api/membership/add-members', (req, res) => {
+// POST /api/membership/revoke — signed revocation by a trusted official source
+// Body: { revocation } from RevocationVerifier.sign(). The member is removed
+// by the 'op' listener; proofs against older roots expire after the grace window.
+app.post('/api/membership/revoke', async (req, res) => {
   try {
-    const { commitments } = req.body;
-    membershipTree.addMembers(commitments);
+    const { revocation } = req.body;
+    const { valid, source, error } = revocationVerifier.verify(revocation);
+    if (!valid) return res.status(400).json({ error });
+    if (snapshotter.isRevoked(revocation.commitment)) {
+      return res.status(409).json({ error: 'This identity has already been revoked' });
+    }
+
+    const op = { type: PROTOCOL.TYPES.REVOKE, payload: revocation, timestamp: Date.now() };
+    snapshotter.ingest(op);
+
+    let p2pBroadcast = false;
+    if (gossipController && p2pNode?.isStarted) {
+      try {
+        await gossipController.publishRevoke(revocation);
+        p2pBroadcast = true;
+      } catch {}
+    }
+
     res.json({
+      revoked: revocation.commitment,
+      source,
+      epoch: membershipTree.getEpoch(),
       size: membershipTree.getSize(),
       root: membershipTree.getRoot().toString(),
+      graceEndsAt: Math.min(revocation.revokedAt, op.timestamp) + IDENTITY.REVOCATION_GRACE,
+      p2pBroadcast,
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// POST /api/membership/remove-member
-app.post('/api/membership/remove-member', (req, res) => {
-  try {
-    const { index } = req.body;
-    membershipTree.removeMember(index);
-    res.json({
-      size: membershipTree.getSize(),
-      root: membershipTree.getRoot().toString(),
-    });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
+// GET /api/membership/revocations — revocation log and roots still in their grace window
+app.get('/api/membership/revocations', (_req, res) => {
+  res.json({
+    epoch: membershipTree.getEpoch(),
+    revocations: snapshotter.getRevocations(),
+    expiringRoots: membershipTree.getExpiringRoots().map(({ root, expiresAt }) => ({
+      root: root.toString(),
+      expiresAt,
+    })),
+    reasons: PROTOCOL.REVOKE_REASONS,
+  });
 });
 
 // POST /api/membership/merkle-proof
@@ -541,7 +884,7 @@ app.post('/api/membership/verify-proof', (req, res) => {
 app.post('/api/membership/index-of', (req, res) => {
   try {
     const { commitment } = req.body;
-    const index = membershipTree.indexOf(commitment);
+    const index = membershipTree.indexOf(BigInt(commitment));
     res.json({ index });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -555,6 +898,7 @@ app.get('/api/membership/info', (_req, res) => {
       size: membershipTree.getSize(),
       depth: membershipTree.getDepth(),
       root: membershipTree.getRoot().toString(),
+      epoch: membershipTree.getEpoch(),
       members: membershipTree.getMembers().map(m => m.toString()),
     });
   } catch (err) {
@@ -562,6 +906,22 @@ app.get('/api/membership/info', (_req, res) => {
   }
 });
 
+// GET /api/membership/snapshot — exported group for client-side proof generation
+// Clients fetch the whole group so the server cannot tell which member is proving.
+app.get('/api/membership/snapshot', (_req, res) => {
+  try {
+    res.json({
+      size: membershipTree.getSize(),
+      depth: membershipTree.getDepth(),
+      root: membershipTree.getRoot().toString(),
+      epoch: membershipTree.getEpoch(),
+      group: membershipTree.export(),
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // GET /api/membership/root-history
 app.get('/api/membership/root-history', (req, res) => {
   try {
@@ -577,6 +937,34 @@ app.get('/api/membership/root-history', (req, res) => {
 // ║  SCORING ENDPOINTS                                        ║
 // ╚═══════════════════════════════════════════════════════════╝
 
+// GET /api/scoring/engines — registered scoring engines and each topic's choice
+app.get('/api/scoring/engines', (_req, res) => {
+  const topics = {};
+  for (const topic of Object.keys(PROTOCOL.RUMOR_TOPICS)) topics[topic] = engineRegistry.configured(topic);
+  res.json({ engines: engineRegistry.list(), topics, rbtsThreshold: SCORING.RBTS_THRESHOLD });
+});
+
+// POST /api/scoring/calculate — score dampened votes with a named engine
+app.post('/api/scoring/calculate', (req, res) => {
+  try {
+    const { engine, dampenedVotes, rumorId, blockHeight } = req.body;
+    const name = engineRegistry.resolve(engine, (dampenedVotes || []).length);
+    if (engine && engine !== name && engine !== 'auto') throw new Error(`Unknown scoring engine: ${engine}`);
+    const result = engineRegistry.calculate(name, dampenedVotes, rumorId, blockHeight);
+    const voterScores = {};
+    for (const [k, v] of result.voterScores) voterScores[k] = v;
+    res.json({
+      engine: result.engine,
+      rumorTrustScore: result.rumorTrustScore,
+      voterScores,
+      actualProportions: result.actualProportions,
+      consensus: result.consensus,
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // POST /api/scoring/bts/calculate
 app.post('/api/scoring/bts/calculate', (req, res) => {
   try {
@@ -624,8 +1012,10 @@ app.post('/api/scoring/rbts/calculate', (req, res) => {
 app.post('/api/scoring/dampen', (req, res) => {
   try {
     const { votes, voteHistory } = req.body;
-    // Reconstruct voteHistory as a Map
-    const historyMap = new Map(Object.entries(voteHistory || {}));
+    // Reconstruct voteHistory as a Map, defaulting to the OpLog's history
+    const historyMap = voteHistory
+      ? new Map(Object.entries(voteHistory))
+      : snapshotter.getVoteHistory((votes || []).map(v => v.nullifier));
     const result = correlationDampener.dampen(votes, historyMap);
     res.json({ dampenedVotes: result });
   } catch (err) {
@@ -633,12 +1023,31 @@ app.post('/api/scoring/dampen', (req, res) => {
   }
 });
 
+// GET /api/scoring/clusters/:rumorId — coordinated voter clusters on a rumor
+app.get('/api/scoring/clusters/:rumorId', (req, res) => {
+  try {
+    const { rumorId } = req.params;
+    const votes = snapshotter.getVotesForRumor(rumorId);
+    const history = snapshotter.getVoteHistory(votes.map(v => v.nullifier));
+    const clusters = correlationDampener.getClusters(votes, history);
+    res.json({
+      rumorId,
+      voterCount: votes.length,
+      clusteredVoters: clusters.reduce((n, c) => n + c.size, 0),
+      clusters,
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ╔═══════════════════════════════════════════════════════════╗
 // ║  SCORE FINALIZATION ENDPOINTS                             ║
 // ║  Freeze a rumor's score so decay cannot drift it          ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// POST /api/scoring/finalize — lock a rumor's score permanently
+// POST /api/scoring/finalize — close a rumor whose voting window has
+// ended now, without waiting for the scheduler's next check
 app.post('/api/scoring/finalize', (req, res) => {
   try {
     const { rumorId } = req.body;
@@ -647,30 +1056,15 @@ app.post('/api/scoring/finalize', (req, res) => {
     if (finalizedScores.has(rumorId)) {
       return res.status(409).json({ error: 'Score already finalized', finalized: finalizedScores.get(rumorId) });
     }
+    if (!snapshotter.getRumor(rumorId)) return res.status(404).json({ error: 'Rumor not found' });
 
-    const votes = snapshotter.getVotesForRumor(rumorId);
-    if (!votes || votes.length === 0) {
-      return res.status(400).json({ error: 'No votes found for this rumor' });
+    const closesAt = finalizationScheduler.closesAt(rumorId);
+    if (closesAt > Date.now()) {
+      return res.status(409).json({ error: `Voting is open until ${new Date(closesAt).toISOString()}`, closesAt });
     }
 
-    // Run the full scoring pipeline one final time
-    const dampenedVotes = correlationDampener.dampen(votes, new Map());
-    const engine = dampenedVotes.length >= SCORING.RBTS_THRESHOLD ? btsEngine : rbtsEngine;
-    const result = dampenedVotes.length >= SCORING.RBTS_THRESHOLD
-      ? engine.calculate(dampenedVotes)
-      : engine.calculate(dampenedVotes, rumorId, 0);
-
-    const finalized = {
-      rumorId,
-      score: result.rumorTrustScore,
-      consensus: result.consensus,
-      actualProportions: result.actualProportions,
-      voterCount: votes.length,
-      finalizedAt: Date.now(),
-      locked: true,
-    };
-
-    finalizedScores.set(rumorId, finalized);
+    const finalized = recordFinalize(finalizationScheduler.opFor(rumorId));
+    if (!finalized) return res.status(400).json({ error: 'Rumor could not be finalized' });
     res.json(finalized);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -691,21 +1085,133 @@ app.get('/api/scoring/finalized-all', (_req, res) => {
   res.json({ scores: all, count: finalizedScores.size });
 });
 
+// POST /api/scoring/simulate — score a synthetic population with candidate parameters
+app.post('/api/scoring/simulate', (req, res) => {
+  try {
+    const { scenario, params } = req.body || {};
+    res.json(new ScoringSimulator(params).simulate(generateScenario(scenario)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/scoring/backtest — replay an OpLog (default: this node's) with candidate parameters
+app.post('/api/scoring/backtest', (req, res) => {
+  try {
+    const { params, opLog } = req.body || {};
+    res.json(new ScoringSimulator(params).backtest(opLog ?? snapshotter.getOpLog()));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ╔═══════════════════════════════════════════════════════════╗
-// ║  REPUTATION ENDPOINTS                                     ║
+// ║  OFFICIAL PROOF ENDPOINTS                                 ║
+// ║  Signed statements from trusted sources resolve rumors    ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// POST /api/reputation/register
-app.post('/api/reputation/register', (req, res) => {
+// GET /api/official/sources — trusted official sources
+app.get('/api/official/sources', (_req, res) => {
+  res.json({ sources: officialVerifier.getSources() });
+});
+
+// POST /api/official/verify — check a signed proof without ingesting it
+app.post('/api/official/verify', (req, res) => {
+  try {
+    const { payload } = req.body;
+    res.json(officialVerifier.verify(payload));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/official/:rumorId — official proofs attached to a rumor
+app.get('/api/official/:rumorId', (req, res) => {
+  const proofs = snapshotter.getOfficialProofs(req.params.rumorId);
+  res.json({ proofs, count: proofs.length, ...officialResolver.decisiveProof(proofs) });
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  DISPUTE ENDPOINTS                                        ║
+// ║  Stake reputation to reopen a finalized score             ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// Disputes are opened by ingesting a DISPUTE op, signed by the
+// disputer's account, via /api/state/ingest.
+
+// GET /api/disputes/:rumorId — open dispute and settlement history
+app.get('/api/disputes/:rumorId', (req, res) => {
+  const { rumorId } = req.params;
+  const finalized = finalizedScores.get(rumorId);
+  res.json({
+    rumorId,
+    open: disputeManager.isOpen(finalized),
+    dispute: finalized?.dispute || null,
+    history: finalized?.disputes || [],
+    ops: snapshotter.getDisputes(rumorId),
+  });
+});
+
+// POST /api/disputes/settle — re-run BTS/RBTS once the window has closed
+app.post('/api/disputes/settle', (req, res) => {
   try {
-    const { nullifierId } = req.body;
-    const score = reputationManager.register(nullifierId);
-    res.json({ nullifierId, score });
+    const { rumorId } = req.body;
+    if (!rumorId) return res.status(400).json({ error: 'rumorId is required' });
+
+    const finalized = finalizedScores.get(rumorId);
+    const error = disputeManager.canSettle(finalized);
+    if (error) return res.status(400).json({ error });
+
+    const settled = recordFinalize(finalizationScheduler.opFor(rumorId));
+    const record = settled.disputes.at(-1);
+    res.json({
+      finalized: settled,
+      upheld: record.status === 'upheld',
+      reward: record.reward,
+      penalty: record.penalty,
+    });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  MODERATION ENDPOINTS                                     ║
+// ║  Stake reputation to flag a rumor for community removal   ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// Flags and appeals are made by ingesting FLAG and APPEAL ops via
+// /api/state/ingest; removal and settlement follow on their own.
+
+// GET /api/moderation — every moderation case, newest first
+app.get('/api/moderation', (_req, res) => {
+  const cases = [...moderationCases.values()].sort((a, b) => b.openedAt - a.openedAt);
+  res.json({
+    cases,
+    count: cases.length,
+    threshold: moderationManager.threshold,
+    minFlaggers: moderationManager.minFlaggers,
+    appealWindow: moderationManager.appealWindow,
+  });
+});
+
+// GET /api/moderation/:rumorId — a rumor's flags, appeals and outcome
+app.get('/api/moderation/:rumorId', (req, res) => {
+  const { rumorId } = req.params;
+  const record = moderationCases.get(rumorId) || null;
+  res.json({
+    rumorId,
+    flagged: moderationManager.isFlagged(record),
+    case: record,
+  });
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  REPUTATION ENDPOINTS                                     ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// Read-only: reputation changes only as the OpLogScorer applies ops
+
 // GET /api/reputation/score/:nullifierId
 app.get('/api/reputation/score/:nullifierId', (req, res) => {
   try {
@@ -756,98 +1262,87 @@ app.post('/api/reputation/can-stake', (req, res) => {
   }
 });
 
-// POST /api/reputation/lock-stake
-app.post('/api/reputation/lock-stake', (req, res) => {
+// GET /api/reputation/replay — recompute reputation from the OpLog and compare
+app.get('/api/reputation/replay', (_req, res) => {
   try {
-    const { nullifierId, amount, actionId, action } = req.body;
-    const lock = reputationManager.lockStake(nullifierId, amount, actionId, action);
-    res.json(lock);
+    const opLog = snapshotter.getOpLog();
+    const replayed = OpLogScorer.replay(opLog, { officialVerifier, revocationVerifier, admissionVerifier, accountVerifier });
+    const digest = reputationDigest(replayed.reputation);
+    const liveDigest = reputationDigest(reputationManager);
+    res.json({
+      opLogLength: opLog.length,
+      users: replayed.reputation.userCount,
+      finalized: replayed.finalizedScores.size,
+      digest,
+      liveDigest,
+      matches: digest === liveDigest,
+    });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// POST /api/reputation/release-lock
-app.post('/api/reputation/release-lock', (req, res) => {
-  try {
-    const { nullifierId, actionId } = req.body;
-    const released = reputationManager.releaseLock(nullifierId, actionId);
-    res.json({ released });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
+// GET /api/reputation/epoch — decay/recovery schedule (epochs run themselves)
+app.get('/api/reputation/epoch', (_req, res) => {
+  res.json(epochScheduler.getStatus());
 });
 
-// POST /api/reputation/apply-scores
-app.post('/api/reputation/apply-scores', (req, res) => {
+// POST /api/reputation/export
+app.post('/api/reputation/export', (_req, res) => {
   try {
-    const { voterScores, rumorId, stakeAmounts } = req.body;
-    // Reconstruct Maps
-    const btsResult = {
-      voterScores: new Map(Object.entries(voterScores || {})),
-    };
-    const stakeMap = new Map(Object.entries(stakeAmounts || {}));
-    const result = reputationManager.applyScores(btsResult, rumorId, stakeMap);
-    const rewards = {};
-    const slashes = {};
-    for (const [k, v] of result.rewards) rewards[k] = v;
-    for (const [k, v] of result.slashes) slashes[k] = v;
-    res.json({ rewards, slashes });
+    res.json({ data: reputationManager.export() });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// POST /api/reputation/apply-group-slash
-app.post('/api/reputation/apply-group-slash', (req, res) => {
-  try {
-    const { groupNullifiers, basePenalty, rumorId } = req.body;
-    const result = reputationManager.applyGroupSlash(groupNullifiers, basePenalty, rumorId);
-    const slashes = {};
-    for (const [k, v] of result) slashes[k] = v;
-    res.json({ slashes });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  ANONYMOUS REPUTATION ENDPOINTS                           ║
+// ║  Reputation notes: prove score ≥ threshold, unlinkably    ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// Stakes are locked by sending a stakeProof, stakeAmount and
+// changeNote with a ZK-proved op to /api/state/ingest.
+
+// GET /api/reputation/notes — level groups and ledger totals
+app.get('/api/reputation/notes', (_req, res) => {
+  res.json({ ...anonymousReputation.getStats(), levels: anonymousReputation.getLevels() });
 });
 
-// POST /api/reputation/apply-decay
-app.post('/api/reputation/apply-decay', (req, res) => {
-  try {
-    const { rate } = req.body;
-    reputationManager.applyDecay(rate);
-    res.json({ message: 'Decay applied', userCount: reputationManager.userCount });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
+// GET /api/reputation/notes/level/:score — a level group to prove against
+app.get('/api/reputation/notes/level/:score', (req, res) => {
+  const group = anonymousReputation.getLevelGroup(req.params.score);
+  if (!group) return res.status(404).json({ error: 'No notes at this score' });
+  res.json({
+    score: Number(req.params.score),
+    root: group.getRoot().toString(),
+    size: group.getSize(),
+    group: group.export(),
+  });
 });
 
-// POST /api/reputation/apply-recovery
-app.post('/api/reputation/apply-recovery', (req, res) => {
+// POST /api/reputation/notes/genesis — mint a member's first note
+app.post('/api/reputation/notes/genesis', async (req, res) => {
   try {
-    const { rate } = req.body;
-    reputationManager.applyRecovery(rate);
-    res.json({ message: 'Recovery applied', userCount: reputationManager.userCount });
+    const { proof, note } = req.body;
+    res.json(await anonymousReputation.mintGenesis({ proof, note }));
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// POST /api/reputation/export
-app.post('/api/reputation/export', (_req, res) => {
-  try {
-    res.json({ data: reputationManager.export() });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
+// GET /api/reputation/notes/stake/:nullifier — a stake and its payout
+app.get('/api/reputation/notes/stake/:nullifier', (req, res) => {
+  const escrow = anonymousReputation.getEscrow(req.params.nullifier);
+  if (!escrow) return res.status(404).json({ error: 'No stake for this action' });
+  res.json(escrow);
 });
 
-// POST /api/reputation/import
-app.post('/api/reputation/import', (req, res) => {
+// POST /api/reputation/notes/claim — collect a settled payout into a new note
+app.post('/api/reputation/notes/claim', async (req, res) => {
   try {
-    const { data } = req.body;
-    reputationManager.import(data);
-    res.json({ message: 'Imported', userCount: reputationManager.userCount });
+    const { memberProof, noteProof, note } = req.body;
+    res.json(await anonymousReputation.claim({ memberProof, noteProof, note }));
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -857,6 +1352,45 @@ app.post('/api/reputation/import', (req, res) => {
 // ║  TRUST PROPAGATOR ENDPOINTS                               ║
 // ╚═══════════════════════════════════════════════════════════╝
 
+// GET /api/trust/rumors?viewer=<nullifier> — each active rumor's global
+// BTS score next to its trust personalized for the viewer
+app.get('/api/trust/rumors', (req, res) => {
+  const viewer = typeof req.query.viewer === 'string' ? req.query.viewer : '';
+  const active = [...snapshotter.getActiveRumors().keys()];
+  const ranking = trustGraph.rank(viewer);
+  const personal = trustGraph.rumorTrust(viewer, new Map(active.map(id => [id, snapshotter.getVotesForRumor(id)])));
+
+  const rumors = {};
+  for (const rumorId of active) {
+    const finalized = finalizedScores.get(rumorId);
+    rumors[rumorId] = {
+      global: finalized ? { score: finalized.score, consensus: finalized.consensus } : null,
+      personal: personal.get(rumorId),
+    };
+  }
+  res.json({
+    viewer: viewer || null,
+    personalized: ranking.personalized,
+    seeds: ranking.seeds,
+    graph: trustGraph.getStats(),
+    rumors,
+  });
+});
+
+// GET /api/trust/graph — the public trust graph, for ranking with
+// trust seeds that stay on the client
+app.get('/api/trust/graph', (_req, res) => {
+  res.json({ ...trustGraph.export(), stats: trustGraph.getStats() });
+});
+
+// GET /api/trust/peers/:nullifier — the viewer's trusted peers (PPR seeds)
+app.get('/api/trust/peers/:nullifier', (req, res) => {
+  const peers = [...trustGraph.peersOf(req.params.nullifier)]
+    .map(([nullifier, weight]) => ({ nullifier, weight }))
+    .sort((a, b) => b.weight - a.weight);
+  res.json({ nullifier: req.params.nullifier, peers, count: peers.length });
+});
+
 // POST /api/trust/build-graph
 app.post('/api/trust/build-graph', (req, res) => {
   try {
@@ -906,6 +1440,23 @@ app.post('/api/trust/compute-ppr', (req, res) => {
   }
 });
 
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  ANALYTICS ENDPOINTS                                      ║
+// ║  Coordinated voting groups across scored rumors           ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// GET /api/analytics/clusters?minRumors=3 — persistent voter clusters
+app.get('/api/analytics/clusters', (req, res) => {
+  const minRumors = parseInt(req.query.minRumors) || undefined;
+  const report = clusterAnalytics.report({ minRumors });
+  for (const entry of report.recent) {
+    const rumor = snapshotter.getRumor(entry.rumorId);
+    entry.topic = rumor?.topic ?? null;
+    entry.text = rumor?.text?.substring(0, 80) ?? null;
+  }
+  res.json(report);
+});
+
 // ╔═══════════════════════════════════════════════════════════╗
 // ║  P2P NETWORK ENDPOINTS                                    ║
 // ╚═══════════════════════════════════════════════════════════╝
@@ -916,16 +1467,50 @@ app.get('/api/network/status', (_req, res) => {
     p2pStatus.peers = p2pNode.getConnectedPeers().length;
     try { p2pStatus.multiaddrs = p2pNode.getMultiaddrs().map(ma => ma.toString()); } catch {}
   }
-  res.json(p2pStatus);
+  res.json({ ...p2pStatus, rejectedProofs: gossipController?.rejectedCount ?? 0 });
 });
 
-// GET /api/network/peers — list connected peers
+// GET /api/network/peers — connected peers with their gossipsub score
+// and what our topic validators made of their messages
 app.get('/api/network/peers', (_req, res) => {
+  const thresholds = {
+    gossip: NETWORK.PEER_GOSSIP_THRESHOLD,
+    publish: NETWORK.PEER_PUBLISH_THRESHOLD,
+    graylist: NETWORK.PEER_GRAYLIST_THRESHOLD,
+  };
   if (!p2pNode || !p2pNode.isStarted) {
-    return res.json({ peers: [], count: 0 });
+    return res.json({ peers: [], count: 0, graylisted: 0, thresholds });
+  }
+  const validated = gossipController?.peerStats ?? new Map();
+  const peers = p2pNode.getPeerScores().map((peer) => ({
+    ...peer,
+    messages: validated.get(peer.id) ?? { accepted: 0, rejected: 0, ignored: 0, lastError: null, lastSeen: 0 },
+  }));
+  res.json({
+    peers,
+    count: peers.filter(p => p.connected).length,
+    graylisted: peers.filter(p => p.graylisted).length,
+    thresholds,
+  });
+});
+
+// GET /api/network/sync — anti-entropy sync statistics
+app.get('/api/network/sync', (_req, res) => {
+  if (!syncService) {
+    return res.json({ started: false, syncCount: 0, entriesReceived: 0, entriesSent: 0, knownOps: 0 });
+  }
+  res.json(syncService.getStats());
+});
+
+// POST /api/network/sync — broadcast a sync request now
+app.post('/api/network/sync', async (_req, res) => {
+  try {
+    if (!syncService) throw new Error('P2P node is not running');
+    const request = await syncService.requestSync();
+    res.json({ requested: true, have: request.have.length, root: request.roots.oplog });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
-  const peers = p2pNode.getConnectedPeers().map(p => p.toString());
-  res.json({ peers, count: peers.length });
 });
 
 // GET /api/network/topics — list subscribed gossip topics
@@ -939,48 +1524,83 @@ app.get('/api/network/topics', (_req, res) => {
 
 // POST /api/state/ingest — enhanced with ZK verification, auto-scoring, P2P broadcast
 app.post('/api/state/ingest', async (req, res) => {
+  let proved = null;
   try {
     const { op } = req.body;
     const responseData = {};
+    let anonStake = null;
+
+    // A tombstone's proof shows authorship, not a fresh action
+    if (op?.type === 'TOMBSTONE') {
+      return res.status(400).json({ error: 'Tombstones are created through /api/tombstone/create' });
+    }
+
+    // Refuse an op dated ahead of our clock before its proof is spent
+    if (snapshotter.isAheadOfClock(op)) {
+      return res.status(400).json({ error: 'E108: Operation timestamp is ahead of this node\'s clock' });
+    }
+
+    // A post opens its voting window and a vote is counted by its
+    // time, so one made here must be dated now, not backdated
+    if ((op?.type === 'RUMOR' || op?.type === 'VOTE') && !snapshotter.isDatedNow(op)) {
+      return res.status(400).json({
+        error: `E109: A ${op.type === 'RUMOR' ? 'post' : 'vote'} must be dated within ${PROTOCOL.MAX_CLOCK_SKEW / 60000} minutes of this node's clock`,
+      });
+    }
 
     // ── ZK Proof verification (if included) ──────────────────
-    if (op.payload?.zkProof) {
-      const proof = op.payload.zkProof;
-      try {
-        const { verifyProof: vp } = await lazyProof();
-        const isValid = await vp(proof);
-        if (!isValid) {
-          return res.status(400).json({ error: 'Invalid ZK proof — membership not verified' });
+    // Only posts and votes are proved; ops that stake an account
+    // are signed by it instead. The proof must be scoped to this
+    // rumor, as peers check when it is gossiped
+    if (op.payload?.zkProof && (op.type === 'RUMOR' || op.type === 'VOTE')) {
+      const admitted = await membershipProofVerifier.admit(op.type, op.payload, { defer: true });
+      if (!admitted.valid) return res.status(400).json({ error: admitted.error });
+      const { nullifier, scope } = admitted;
+
+      // The nullifier is held, not spent, until the op is logged
+      proved = { scope, nullifier };
+
+      if (op.payload.stakeProof) {
+        anonStake = {
+          proof: op.payload.stakeProof,
+          actionNullifier: nullifier,
+          scope,
+          voter: anonymousId(nullifier),
+          rumorId: op.payload.rumorId ?? op.payload.id,
+          action: op.type === 'RUMOR' ? 'post' : op.type.toLowerCase(),
+          amount: op.payload.stakeAmount,
+          changeNote: op.payload.changeNote,
+        };
+        try {
+          await anonymousReputation.verifyStake(anonStake);
+        } catch (stakeErr) {
+          return res.status(400).json({ error: stakeErr.message });
         }
+      }
 
-        // Check and record nullifier to prevent double-action
-        const scope = proof.scope?.toString() || '';
-        const nullifier = proof.nullifier?.toString() || '';
-        if (scope && nullifier) {
-          if (!usedNullifiers.has(scope)) usedNullifiers.set(scope, new Set());
-          if (usedNullifiers.get(scope).has(nullifier)) {
-            return res.status(400).json({ error: 'Duplicate action — this nullifier was already used for this scope' });
-          }
-          usedNullifiers.get(scope).add(nullifier);
-        }
+      // Use the ZK proof nullifier as the verified anonymous identifier
+      op.payload.nullifier = anonymousId(nullifier);
+      op.payload.zkVerified = true;
+      responseData.zkVerified = true;
+      responseData.zkNullifier = op.payload.nullifier;
+    }
 
-        // Use the ZK proof nullifier as the verified anonymous identifier
-        op.payload.nullifier = `zk_${nullifier.substring(0, 16)}`;
-        op.payload.zkVerified = true;
-        responseData.zkVerified = true;
-        responseData.zkNullifier = op.payload.nullifier;
-      } catch (zkErr) {
-        // ZK verification error — allow operation to proceed without ZK
-        responseData.zkError = zkErr.message;
-      }
+    // Posts and votes are anonymous: only a verified proof makes one
+    if ((op.type === 'RUMOR' || op.type === 'VOTE') && !proved) {
+      return res.status(400).json({ error: `E001: A ${op.type === 'RUMOR' ? 'post' : 'vote'} needs a verified ZK membership proof` });
     }
 
     // ── Server-side validation ────────────────────────────────
     if (op.type === 'VOTE' && op.payload?.rumorId) {
-      // Prevent self-voting: check if this user authored the rumor
-      const rumorData = snapshotter.getRumor(op.payload.rumorId);
-      if (rumorData && op.payload.nullifier && rumorData.nullifier === op.payload.nullifier) {
-        return res.status(403).json({ error: 'You cannot vote on your own rumor' });
+      // Votes are taken until the voting window closes, then only
+      // while a dispute has reopened the finalized rumor
+      if (!opLogScorer.votingOpen(op.payload.rumorId)) {
+        const closesAt = finalizationScheduler.closesAt(op.payload.rumorId);
+        return res.status(409).json({
+          error: finalizedScores.has(op.payload.rumorId)
+            ? 'Voting is closed — this rumor\'s score is finalized'
+            : `Voting closed at ${new Date(closesAt).toISOString()}`,
+        });
       }
 
       // Prevent duplicate voting on the same rumor
@@ -990,22 +1610,95 @@ app.post('/api/state/ingest', async (req, res) => {
       }
     }
 
+    if (Object.hasOwn(SCHEDULED_OPS, op.type)) {
+      return res.status(403).json({ error: SCHEDULED_OPS[op.type] });
+    }
+
+    // Disputes, flags and appeals stake an account, so its owner must sign them
+    if (Object.hasOwn(SIGNED_FIELDS, op.type)) {
+      const account = accountVerifier.verify(op.type, op.payload);
+      if (!account.valid) return res.status(403).json({ error: account.error });
+    }
+
+    if (op.type === 'DISPUTE') {
+      const error = disputeManager.validate(finalizedScores.get(op.payload?.rumorId), op.payload);
+      if (error) return res.status(400).json({ error });
+    }
+
+    if (op.type === 'FLAG') {
+      const rumorId = op.payload?.rumorId;
+      const error = moderationManager.validateFlag(moderationCases.get(rumorId), snapshotter.getRumor(rumorId), op.payload);
+      if (error) return res.status(400).json({ error });
+    }
+
+    if (op.type === 'APPEAL') {
+      const error = moderationManager.validateAppeal(moderationCases.get(op.payload?.rumorId), op.payload);
+      if (error) return res.status(400).json({ error });
+    }
+
+    // ── Posting and voting stake a reputation note ───────────
+    // A proved op cannot name an account, so its stake is anonymous too
+    if ((op.type === 'RUMOR' || op.type === 'VOTE') && !anonStake) {
+      return res.status(400).json({ error: `E007: A ${op.type === 'RUMOR' ? 'post' : 'vote'} must stake a reputation note` });
+    }
+
+    if (op.payload?.stakeProof && !anonStake) {
+      return res.status(400).json({ error: 'E900: A reputation stake needs a verified membership proof' });
+    }
+
     // ── Ingest the operation ─────────────────────────────────
+    // The note proof and change note stay in the ledger, not the OpLog
+    if (anonStake) {
+      delete op.payload.stakeProof;
+      delete op.payload.changeNote;
+    }
     const snapshot = snapshotter.ingest(op);
 
+    // ── Spend the proof and lock its stake, now the op is logged ──
+    // Nothing has been awaited since verifyStake(), so the stake
+    // still holds and the lock cannot fail
+    if (proved) {
+      membershipProofVerifier.spend(proved.scope, proved.nullifier);
+      proved = null;
+    }
+    if (anonStake) responseData.stake = anonymousReputation.lockStake(anonStake);
+
     // ── Auto-trigger scoring pipeline on new votes (Fix 6) ───
     if (op.type === 'VOTE' && op.payload?.rumorId) {
       const scoringResult = autoScoreRumor(op.payload.rumorId);
       if (scoringResult) responseData.autoScoring = scoringResult;
     }
 
+    // ── Report official resolution (applied by the 'op' listener) ──
+    if (op.type === 'OFFICIAL_PROOF') {
+      const finalized = finalizedScores.get(op.payload.rumorId);
+      if (finalized?.resolvedBy === 'official') responseData.officialResolution = finalized;
+    }
+
+    // ── Report the reopened window (opened by the 'op' listener) ──
+    if (op.type === 'DISPUTE') {
+      responseData.dispute = finalizedScores.get(op.payload.rumorId)?.dispute || null;
+    }
+
+    // ── Carry out a flag that reached the threshold ──────────
+    if (op.type === 'FLAG' || op.type === 'APPEAL') {
+      recordModeration();
+      responseData.moderation = moderationCases.get(op.payload.rumorId) || null;
+    }
+
     // ── Broadcast via P2P gossip if available (Fix 2) ────────
     if (gossipController && p2pNode?.isStarted) {
       try {
-        if (op.type === 'RUMOR') await gossipController.publishRumor(op.payload);
-        else if (op.type === 'VOTE') await gossipController.publishVote(op.payload);
-        else if (op.type === 'TOMBSTONE') await gossipController.publishTombstone(op.payload);
-        else if (op.type === 'JOIN') await gossipController.publishJoin(op.payload);
+        // Peers date the op by its payload, so it carries the time we logged
+        const payload = { timestamp: op.timestamp, ...op.payload };
+        if (op.type === 'RUMOR') await gossipController.publishRumor(payload);
+        else if (op.type === 'VOTE') await gossipController.publishVote(payload);
+        else if (op.type === 'JOIN') await gossipController.publishJoin(payload);
+        else if (op.type === 'OFFICIAL_PROOF') await gossipController.publishOfficialProof(payload);
+        else if (op.type === 'DISPUTE') await gossipController.publishDispute(payload);
+        else if (op.type === 'REVOKE') await gossipController.publishRevoke(payload);
+        else if (op.type === 'FLAG') await gossipController.publishFlag(payload);
+        else if (op.type === 'APPEAL') await gossipController.publishAppeal(payload);
         responseData.p2pBroadcast = true;
       } catch (p2pErr) {
         responseData.p2pBroadcast = false;
@@ -1021,6 +1714,9 @@ app.post('/api/state/ingest', async (req, res) => {
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
+  } finally {
+    // A refused op leaves its nullifier free to prove the action again
+    if (proved) membershipProofVerifier.release(proved.scope, proved.nullifier);
   }
 });
 
@@ -1028,6 +1724,10 @@ app.post('/api/state/ingest', async (req, res) => {
 app.post('/api/state/ingest-batch', (req, res) => {
   try {
     const { ops } = req.body;
+    const scheduled = ops?.find(op => Object.hasOwn(SCHEDULED_OPS, op?.type ?? ''));
+    if (scheduled) return res.status(403).json({ error: SCHEDULED_OPS[scheduled.type] });
+    const single = ops?.find(op => Object.hasOwn(SINGLE_OPS, op?.type ?? ''));
+    if (single) return res.status(400).json({ error: SINGLE_OPS[single.type] });
     const snapshot = snapshotter.ingestBatch(ops);
     res.json({
       snapshotTriggered: !!snapshot,
@@ -1049,6 +1749,8 @@ app.post('/api/state/rebuild', (_req, res) => {
       rumors: snapshot.state.rumors ? Object.fromEntries(snapshot.state.rumors) : {},
       votes: {},
       tombstones: snapshot.state.tombstones ? [...snapshot.state.tombstones] : [],
+      officialProofs: snapshot.state.officialProofs ? Object.fromEntries(snapshot.state.officialProofs) : {},
+      disputes: snapshot.state.disputes ? Object.fromEntries(snapshot.state.disputes) : {},
       reputation: snapshot.state.reputation ? Object.fromEntries(snapshot.state.reputation) : {},
     };
     if (snapshot.state.votes) {
@@ -1058,11 +1760,15 @@ app.post('/api/state/rebuild', (_req, res) => {
     }
     res.json({
       snapshotId: snapshot.snapshotId,
+      cid: snapshot.cid,
       timestamp: snapshot.timestamp,
       opLogLength: snapshot.opLogLength,
+      replayedOps: snapshot.replayedOps,
       activeRumors: snapshot.activeRumors,
       tombstonedRumors: snapshot.tombstonedRumors,
       totalVotes: snapshot.totalVotes,
+      officialProofs: snapshot.officialProofs,
+      disputes: snapshot.disputes,
       registeredUsers: snapshot.registeredUsers,
       state,
     });
@@ -1078,11 +1784,15 @@ app.get('/api/state/snapshot', (_req, res) => {
     if (!snapshot) return res.json({ snapshot: null });
     res.json({
       snapshotId: snapshot.snapshotId,
+      cid: snapshot.cid,
       timestamp: snapshot.timestamp,
       opLogLength: snapshot.opLogLength,
+      replayedOps: snapshot.replayedOps,
       activeRumors: snapshot.activeRumors,
       tombstonedRumors: snapshot.tombstonedRumors,
       totalVotes: snapshot.totalVotes,
+      officialProofs: snapshot.officialProofs,
+      disputes: snapshot.disputes,
       registeredUsers: snapshot.registeredUsers,
     });
   } catch (err) {
@@ -1090,6 +1800,31 @@ app.get('/api/state/snapshot', (_req, res) => {
   }
 });
 
+// GET /api/state/checkpoint — CID of the checkpoint rebuilds start from
+app.get('/api/state/checkpoint', (_req, res) => {
+  const checkpoint = snapshotter.getCheckpoint();
+  res.json({
+    cid: checkpoint?.cid ?? null,
+    opLogLength: checkpoint?.opLogLength ?? 0,
+    published: publishedCheckpoint?.cid ?? null,
+    bootstrapOps: snapshotter.getBootstrapDigests().length,
+  });
+});
+
+// GET /api/state/checkpoint/:cid — encoded snapshot, for nodes bootstrapping by CID
+app.get('/api/state/checkpoint/:cid', async (req, res) => {
+  try {
+    const { cid } = req.params;
+    const checkpoint = snapshotter.getCheckpoint();
+    let bytes = checkpoint?.cid === cid ? checkpoint.bytes : null;
+    if (!bytes && snapshotStore && await snapshotStore.has(cid)) bytes = await snapshotStore.get(cid);
+    if (!bytes) return res.status(404).json({ error: `Snapshot ${cid} is not held by this node` });
+    res.type('application/json').send(Buffer.from(bytes));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // GET /api/state/oplog
 app.get('/api/state/oplog', (_req, res) => {
   try {
@@ -1099,6 +1834,15 @@ app.get('/api/state/oplog', (_req, res) => {
   }
 });
 
+// GET /api/state/persistence — OrbitDB write-through status
+app.get('/api/state/persistence', (_req, res) => {
+  res.json({
+    ...persistenceStatus,
+    failedWrites: persistence?.failedWrites ?? 0,
+    addresses: storeManager?.isOpen ? storeManager.getAddresses() : null,
+  });
+});
+
 // GET /api/state/info
 app.get('/api/state/info', (_req, res) => {
   try {
@@ -1135,22 +1879,25 @@ app.post('/api/state/import', (req, res) => {
 // ║  TOMBSTONE ENDPOINTS                                      ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// POST /api/tombstone/register-rumor
-app.post('/api/tombstone/register-rumor', (req, res) => {
-  try {
-    const { rumorId, authorNullifier, metadata } = req.body;
-    tombstoneManager.registerRumor(rumorId, authorNullifier, metadata);
-    res.json({ registered: true });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
-
 // POST /api/tombstone/create
-app.post('/api/tombstone/create', (req, res) => {
+// Body: { rumorId, reason, zkProof } — zkProof is a Semaphore proof in
+// the rumor's post_<id> scope with message tombstone_<id>
+app.post('/api/tombstone/create', async (req, res) => {
   try {
-    const { rumorId, authorNullifier, reason } = req.body;
-    const tombstone = tombstoneManager.createTombstone({ rumorId, authorNullifier, reason });
+    const { rumorId, reason, zkProof } = req.body;
+    const result = await membershipProofVerifier.admit(PROTOCOL.TYPES.TOMBSTONE, { rumorId, zkProof });
+    if (!result.valid) return res.status(403).json({ error: result.error });
+
+    const tombstone = tombstoneManager.createTombstone({ rumorId, reason, zkProof });
+    snapshotter.ingest(tombstone);
+
+    if (gossipController && p2pNode?.isStarted) {
+      try {
+        await gossipController.publishTombstone(tombstone.payload);
+      } catch {
+        // Peers catch up through sync
+      }
+    }
     res.json(tombstone);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -1237,14 +1984,35 @@ app.use((err, _req, res, _next) => {
 
 // On Vercel, the serverless function handles requests — don't call listen()
 if (!process.env.VERCEL) {
-  app.listen(PORT, () => {
-    console.log(`\n  ┌─────────────────────────────────────────┐`);
-    console.log(`  │  Afwaah API Server running on port ${PORT}  │`);
-    console.log(`  └─────────────────────────────────────────┘\n`);
-
-    // Start P2P node in background (non-blocking — server works without it)
-    startP2P();
+  // This node's own admissions must verify when the OpLog is replayed
+  getRegistrar();
+
+  // Rehydrate persisted state before accepting requests
+  startPersistence().then(bootstrapFromSnapshot).then(() => {
+    // Decay and recovery run on the epoch clock, recorded in the OpLog
+    epochScheduler.resume(snapshotter.getOpLog());
+    epochScheduler.start(op => snapshotter.ingest(op));
+
+    // Rumors whose voting windows closed while offline settle now
+    finalizationScheduler.start(recordFinalize);
+    moderationScheduler.start(op => snapshotter.ingest(op));
+
+    app.listen(PORT, () => {
+      console.log(`\n  ┌─────────────────────────────────────────┐`);
+      console.log(`  │  Afwaah API Server running on port ${PORT}  │`);
+      console.log(`  └─────────────────────────────────────────┘\n`);
+
+      // Start P2P node in background (non-blocking — server works without it)
+      startP2P();
+    });
   });
+
+  // Flush OrbitDB stores on shutdown
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      stopPersistence().finally(() => process.exit(0));
+    });
+  }
 }
 
 export default app;
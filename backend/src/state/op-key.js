@@ -0,0 +1,108 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Operation Keys
+// The network-wide identity of an OpLog operation. Derived from
+// its semantic content (rumor id, voter + rumor, ...) so the same
+// op received on two nodes yields the same key. Used by anti-
+// entropy sync and by snapshot checkpoints to track which ops
+// a snapshot already covers; both name an op on the wire by a
+// short digest of its key (keyDigest).
+// ─────────────────────────────────────────────────────────────
+
+import { createHash } from 'crypto';
+import { PROTOCOL } from '../config.js';
+
+const { TYPES } = PROTOCOL;
+
+/** Hex characters kept from an op key's sha256 in keyDigest() */
+export const DIGEST_LENGTH = 16;
+
+/**
+ * When an operation happened, as every node sees it: its payload's
+ * timestamp, which gossip and sync carry with it, else the op's
+ * own. Never when a node logged it.
+ *
+ * @param {object} op — an OpLog entry or raw operation
+ * @returns {number|undefined}
+ */
+export function opTime(op) {
+  return op.payload?.timestamp ?? op.timestamp;
+}
+
+/**
+ * Compute the network-wide identity of an operation.
+ * Local bookkeeping fields (_ingestIndex, _ingestedAt) are ignored.
+ *
+ * @param {object} op — an OpLog entry or raw operation
+ * @returns {string}
+ */
+export function opKey(op) {
+  const p = op.payload || {};
+  switch (op.type) {
+    case TYPES.RUMOR:
+      if (p.id || p.rumorId) return `RUMOR:${p.id || p.rumorId}`;
+      break;
+    case TYPES.VOTE: {
+      const voter = p.nullifier || p.zkProof?.nullifierHash;
+      if (p.rumorId && voter) return `VOTE:${p.rumorId}:${voter}`;
+      break;
+    }
+    case TYPES.TOMBSTONE:
+      if (p.rumorId) return `TOMBSTONE:${p.rumorId}`;
+      break;
+    case TYPES.JOIN:
+      if (p.nullifier || p.commitment) return `JOIN:${p.nullifier || p.commitment}`;
+      break;
+    case TYPES.OFFICIAL_PROOF:
+      if (p.rumorId && p.signature?.S) return `OFFICIAL_PROOF:${p.rumorId}:${p.signature.S}`;
+      break;
+    case TYPES.REVOKE:
+      // Only the first revocation of a commitment takes effect
+      if (p.commitment) return `REVOKE:${p.commitment}`;
+      break;
+    case TYPES.FINALIZE:
+      if (p.rumorId && Number.isInteger(p.round)) return `FINALIZE:${p.rumorId}:${p.round}`;
+      break;
+    case TYPES.FLAG:
+    case TYPES.APPEAL:
+      // One flag, or one appeal, per member per rumor
+      if (p.rumorId && p.nullifier) return `${op.type}:${p.rumorId}:${p.nullifier}`;
+      break;
+    case TYPES.MODERATE:
+      if (p.rumorId) return `MODERATE:${p.rumorId}`;
+      break;
+    case TYPES.EPOCH:
+      // Every node derives the same op for an epoch
+      if (Number.isInteger(p.epoch)) return `EPOCH:${p.epoch}`;
+      break;
+  }
+  return `${op.type}:${sha256(stableStringify(p))}`;
+}
+
+/**
+ * Short digest of an op key — how sync requests and snapshot
+ * checkpoints name the ops they hold.
+ *
+ * @param {string} key — from opKey()
+ * @returns {string} DIGEST_LENGTH hex characters
+ */
+export function keyDigest(key) {
+  return sha256(key).slice(0, DIGEST_LENGTH);
+}
+
+/**
+ * JSON.stringify with sorted object keys.
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
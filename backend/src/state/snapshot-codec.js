@@ -0,0 +1,178 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Snapshot Codec
+// Deterministic serialization of the Snapshotter's materialized
+// view, and the content identifier (CID) derived from it.
+//
+// The encoding is canonical JSON: object keys sorted, Map
+// entries sorted by key, Set members sorted, undefined fields
+// omitted. The same state always yields the same bytes, so the
+// CID (CIDv1, json codec, sha2-256) names the state itself —
+// a node handed a CID can verify the snapshot it downloads.
+//
+// Encoded snapshot:
+//   { version, opLogLength, covered: "...", state: { rumors, ... } }
+//   covered — the sorted keyDigest() of every op it covers,
+//             concatenated into one string
+// Version 1 snapshots listed the full op keys (opKeys: [...]);
+// they still decode, with the keys digested.
+// ─────────────────────────────────────────────────────────────
+
+import { createHash } from 'crypto';
+import { CID } from 'multiformats/cid';
+import * as Digest from 'multiformats/hashes/digest';
+import { keyDigest, DIGEST_LENGTH } from './op-key.js';
+
+/** Snapshot format version */
+export const SNAPSHOT_VERSION = 2;
+
+/** Multicodec code for JSON */
+const JSON_CODE = 0x0200;
+
+/** Multihash code for sha2-256 */
+const SHA2_256_CODE = 0x12;
+
+/** State fields stored as Map<string, *> */
+const MAP_FIELDS = ['rumors', 'votes', 'voteHistory', 'officialProofs', 'disputes', 'revocations', 'reputation'];
+
+/** State fields stored as Set<string> */
+const SET_FIELDS = ['tombstones'];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Serialize a materialized view to canonical bytes.
+ *
+ * @param {object} snapshot
+ * @param {number} snapshot.opLogLength — number of ops the state covers
+ * @param {string} snapshot.covered — digests of those ops (see mergeCovered)
+ * @param {object} snapshot.state — Maps and Sets as held by the Snapshotter
+ * @returns {Uint8Array}
+ */
+export function encodeSnapshot({ opLogLength, covered, state }) {
+  return encoder.encode(canonical({
+    version: SNAPSHOT_VERSION,
+    opLogLength,
+    covered,
+    state,
+  }));
+}
+
+/**
+ * Add op digests to a covered string, keeping it sorted and free
+ * of duplicates.
+ *
+ * @param {string} covered — concatenated sorted digests
+ * @param {Iterable<string>} digests — keyDigest() values to add
+ * @returns {string}
+ */
+export function mergeCovered(covered, digests) {
+  const added = [...new Set(digests)].sort();
+  const merged = [];
+  let i = 0;
+  for (const digest of coveredDigests(covered)) {
+    while (i < added.length && added[i] < digest) merged.push(added[i++]);
+    if (added[i] === digest) i++;
+    merged.push(digest);
+  }
+  return merged.concat(added.slice(i)).join('');
+}
+
+/**
+ * Split a covered string into its digests.
+ * @param {string} covered
+ * @returns {string[]}
+ */
+export function coveredDigests(covered) {
+  const digests = [];
+  for (let i = 0; i < covered.length; i += DIGEST_LENGTH) {
+    digests.push(covered.slice(i, i + DIGEST_LENGTH));
+  }
+  return digests;
+}
+
+/**
+ * Compute the CID of encoded snapshot bytes.
+ * @param {Uint8Array} bytes
+ * @returns {string} base32 CIDv1
+ */
+export function snapshotCid(bytes) {
+  const hash = createHash('sha256').update(bytes).digest();
+  return CID.create(1, JSON_CODE, Digest.create(SHA2_256_CODE, hash)).toString();
+}
+
+/**
+ * Parse encoded snapshot bytes back into Maps and Sets.
+ *
+ * @param {Uint8Array|string} data — encoded bytes, or their UTF-8 text
+ * @param {string} [expectedCid] — reject the snapshot unless it hashes to this CID
+ * @returns {{cid: string, bytes: Uint8Array, version: number, opLogLength: number, covered: string, state: object}}
+ * @throws {Error} E103 if the bytes do not match the CID, E104 if malformed
+ */
+export function decodeSnapshot(data, expectedCid) {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+  const cid = snapshotCid(bytes);
+  if (expectedCid && CID.parse(expectedCid).toString() !== cid) {
+    throw new Error(`E103: Snapshot content does not match CID ${expectedCid}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(decoder.decode(bytes));
+  } catch {
+    throw new Error('E104: Snapshot is not valid JSON');
+  }
+  let covered;
+  if (parsed?.version === SNAPSHOT_VERSION && typeof parsed.covered === 'string'
+    && parsed.covered.length % DIGEST_LENGTH === 0) {
+    covered = parsed.covered;
+  } else if (parsed?.version === 1 && Array.isArray(parsed.opKeys)) {
+    covered = mergeCovered('', parsed.opKeys.map(keyDigest));
+  }
+  if (covered === undefined || !parsed.state) {
+    throw new Error('E104: Unsupported snapshot format');
+  }
+
+  const state = {};
+  for (const field of MAP_FIELDS) state[field] = new Map(parsed.state[field] || []);
+  for (const field of SET_FIELDS) state[field] = new Set(parsed.state[field] || []);
+
+  return {
+    cid,
+    bytes,
+    version: parsed.version,
+    opLogLength: parsed.opLogLength,
+    covered,
+    state,
+  };
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * Canonical JSON: sorted keys, Maps as sorted [key, value] pairs,
+ * Sets as sorted arrays, undefined object fields dropped.
+ * @param {*} value
+ * @returns {string}
+ */
+function canonical(value) {
+  if (value instanceof Map) {
+    return canonical([...value.entries()].sort(([a], [b]) => compare(a, b)));
+  }
+  if (value instanceof Set) return canonical([...value].sort(compare));
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined ? 'null' : canonical(v))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function compare(a, b) {
+  const x = String(a);
+  const y = String(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
@@ -8,14 +8,29 @@
 // is a cache that can be discarded and rebuilt at any time.
 //
 // Every SNAPSHOT_INTERVAL operations, the Snapshotter:
-//   1. Walks the entire OpLog
-//   2. Skips tombstoned entries
-//   3. Rebuilds active rumors, vote tallies, reputation scores
-//   4. Emits a 'snapshot' event with the new state CID
+//   1. Restores the last checkpoint (or starts empty)
+//   2. Replays only the ops logged since that checkpoint,
+//      skipping tombstoned entries
+//   3. Rebuilds active rumors and their voting windows, vote
+//      tallies, per-voter vote history, official proofs,
+//      disputes, revocations, reputation scores
+//   4. Serializes the view deterministically, makes it the
+//      new checkpoint, and emits a 'snapshot' event with its CID
+//
+// A node can also start from a trusted checkpoint CID instead
+// of the full log (loadCheckpoint); ops the checkpoint already
+// covers are then dropped when they arrive.
 // ─────────────────────────────────────────────────────────────
 
 import { STORAGE, SCORING, PROTOCOL } from '../config.js';
 import { EventEmitter } from 'events';
+import { opKey, opTime, keyDigest } from './op-key.js';
+import { encodeSnapshot, decodeSnapshot, snapshotCid, mergeCovered, coveredDigests } from './snapshot-codec.js';
+import { proofFields } from '../identity/membership-proof-verifier.js';
+import { SIGNED_FIELDS } from '../identity/account-verifier.js';
+
+/** Op types whose time opens a voting window or falls in one */
+const DATED_TYPES = new Set([PROTOCOL.TYPES.RUMOR, PROTOCOL.TYPES.VOTE]);
 
 /**
  * Snapshotter rebuilds a materialized view from the immutable
@@ -26,11 +41,30 @@ export class Snapshotter extends EventEmitter {
    * @param {object} [config]
    * @param {number} [config.snapshotInterval] — rebuild every N ops
    * @param {number} [config.initialTrustScore] — default score for new users
+   * @param {import('../identity/official-verifier.js').OfficialVerifier} [config.officialVerifier]
+   *   — when set, OFFICIAL_PROOF ops must be signed by a trusted source
+   * @param {import('../identity/revocation-verifier.js').RevocationVerifier} [config.revocationVerifier]
+   *   — when set, REVOKE ops must be signed by a trusted source
+   * @param {import('../identity/admission-verifier.js').AdmissionVerifier} [config.admissionVerifier]
+   *   — when set, JOIN ops must be signed by a trusted registrar
+   * @param {import('../identity/account-verifier.js').AccountVerifier} [config.accountVerifier]
+   *   — when set, DISPUTE, FLAG and APPEAL ops must be signed by the staked account's owner
+   * @param {import('./tombstone-manager.js').TombstoneManager} [config.tombstoneManager]
+   *   — when set, TOMBSTONE ops must prove authorship of their rumor
+   * @param {number} [config.maxClockSkew] — how far ahead of the clock an op may be dated (ms)
+   * @param {() => number} [config.clock] — current time (default Date.now)
    */
   constructor(config = {}) {
     super();
     this.snapshotInterval = config.snapshotInterval ?? STORAGE.SNAPSHOT_INTERVAL;
     this.initialTrustScore = config.initialTrustScore ?? SCORING.INITIAL_TRUST_SCORE;
+    this.officialVerifier = config.officialVerifier ?? null;
+    this.revocationVerifier = config.revocationVerifier ?? null;
+    this.admissionVerifier = config.admissionVerifier ?? null;
+    this.accountVerifier = config.accountVerifier ?? null;
+    this.tombstoneManager = config.tombstoneManager ?? null;
+    this.maxClockSkew = config.maxClockSkew ?? PROTOCOL.MAX_CLOCK_SKEW;
+    this.clock = config.clock ?? (() => Date.now());
 
     /** @type {number} operations since last snapshot */
     this._opsSinceSnapshot = 0;
@@ -41,9 +75,21 @@ export class Snapshotter extends EventEmitter {
     /** @type {Map<string, Array>} rumorId → votes[] */
     this._votes = new Map();
 
+    /** @type {Map<string, Array<{rumorId: string, vote: string}>>} nullifier → votes across all rumors */
+    this._voteHistory = new Map();
+
     /** @type {Set<string>} tombstoned rumor IDs */
     this._tombstones = new Set();
 
+    /** @type {Map<string, Array>} rumorId → official proofs[] */
+    this._officialProofs = new Map();
+
+    /** @type {Map<string, Array>} rumorId → disputes[] */
+    this._disputes = new Map();
+
+    /** @type {Map<string, object>} commitment → first revocation of it */
+    this._revocations = new Map();
+
     /** @type {Map<string, number>} nullifier → reputation score */
     this._reputation = new Map();
 
@@ -55,16 +101,29 @@ export class Snapshotter extends EventEmitter {
 
     /** @type {object|null} last snapshot */
     this._lastSnapshot = null;
+
+    /** @type {{cid: string, bytes: Uint8Array, opLogLength: number}|null} state rebuilds start from */
+    this._checkpoint = null;
+
+    /** @type {number} OpLog entries before this index are covered by the checkpoint */
+    this._checkpointIndex = 0;
+
+    /** @type {string} sorted digests of every op the checkpoint covers (see mergeCovered) */
+    this._covered = '';
+
+    /** @type {Set<string>} covered digests with no local OpLog entry (bootstrapped) */
+    this._bootstrapDigests = new Set();
   }
 
   // ── Operation Ingestion ────────────────────────────────────
 
   /**
    * Ingest a new operation (rumor, vote, tombstone, identity, etc.).
-   * Triggers a snapshot rebuild if the interval is reached.
+   * Emits an 'op' event with the logged entry, and triggers a
+   * snapshot rebuild if the interval is reached.
    *
    * @param {object} op — the operation
-   * @param {string} op.type — JOIN | RUMOR | VOTE | TOMBSTONE
+   * @param {string} op.type — JOIN | RUMOR | VOTE | TOMBSTONE | OFFICIAL_PROOF | DISPUTE | REVOKE | EPOCH | FINALIZE | FLAG | APPEAL | MODERATE
    * @param {object} op.payload
    * @param {number} [op.timestamp]
    * @returns {object|null} snapshot if one was triggered, null otherwise
@@ -74,14 +133,70 @@ export class Snapshotter extends EventEmitter {
       throw new Error('E100: Invalid operation — missing type');
     }
 
-    this._opLog.push({
+    // Already part of a checkpoint this node bootstrapped from
+    if (this._bootstrapDigests.size > 0 && this._bootstrapDigests.has(keyDigest(opKey(op)))) {
+      return null;
+    }
+
+    // An op from the future could close a window before its time
+    if (this.isAheadOfClock(op)) {
+      throw new Error(`E108: Rejected operation — timestamp ${opTime(op)} is ahead of this node's clock`);
+    }
+
+    // A rumor's time opens its voting window and a vote's places it
+    // in one; undated, the window would never close
+    if (DATED_TYPES.has(op.type) && typeof opTime(op) !== 'number') {
+      throw new Error(`E109: Rejected operation — a ${op.type} must carry a timestamp`);
+    }
+
+    if (op.type === PROTOCOL.TYPES.OFFICIAL_PROOF && this.officialVerifier) {
+      const result = this.officialVerifier.verify(op.payload);
+      if (!result.valid) {
+        throw new Error(`E101: Rejected official proof — ${result.error}`);
+      }
+    }
+
+    if (op.type === PROTOCOL.TYPES.REVOKE && this.revocationVerifier) {
+      const result = this.revocationVerifier.verify(op.payload);
+      if (!result.valid) {
+        throw new Error(`E102: Rejected revocation — ${result.error}`);
+      }
+    }
+
+    if (op.type === PROTOCOL.TYPES.JOIN && this.admissionVerifier) {
+      const result = this.admissionVerifier.verify(op.payload);
+      if (!result.valid) {
+        throw new Error(`E105: Rejected admission — ${result.error}`);
+      }
+    }
+
+    if (SIGNED_FIELDS[op.type] && this.accountVerifier) {
+      const result = this.accountVerifier.verify(op.type, op.payload);
+      if (!result.valid) {
+        throw new Error(`E107: Rejected account op — ${result.error}`);
+      }
+    }
+
+    if (op.type === PROTOCOL.TYPES.TOMBSTONE && this.tombstoneManager) {
+      const rumorId = op.payload?.rumorId;
+      const error = this._tombstones.has(rumorId)
+        ? 'E203: Rumor is already tombstoned'
+        : this.tombstoneManager.verify(op.payload, this._rumors.get(rumorId)?.proofNullifier ?? null);
+      if (error) {
+        throw new Error(`E106: Rejected tombstone — ${error}`);
+      }
+    }
+
+    const entry = {
       ...op,
       _ingestIndex: this._opLog.length,
       _ingestedAt: Date.now(),
-    });
+    };
+    this._opLog.push(entry);
 
     // Apply operation to live state
     this._applyOp(op);
+    this.emit('op', entry);
 
     this._opsSinceSnapshot++;
 
@@ -93,6 +208,28 @@ export class Snapshotter extends EventEmitter {
     return null;
   }
 
+  /**
+   * Whether an op is dated further ahead of this node's clock than
+   * maxClockSkew allows. ingest() refuses such ops.
+   * @param {object} op
+   * @returns {boolean}
+   */
+  isAheadOfClock(op) {
+    return opTime(op) > this.clock() + this.maxClockSkew;
+  }
+
+  /**
+   * Whether an op is dated within maxClockSkew of this node's clock,
+   * in either direction. A post or vote made through this node must
+   * be; ops from peers and the log may be older.
+   * @param {object} op
+   * @returns {boolean}
+   */
+  isDatedNow(op) {
+    const at = opTime(op);
+    return typeof at === 'number' && Math.abs(at - this.clock()) <= this.maxClockSkew;
+  }
+
   /**
    * Ingest multiple operations in order.
    * @param {Array<object>} ops
@@ -110,17 +247,125 @@ export class Snapshotter extends EventEmitter {
   // ── Snapshot Rebuild ───────────────────────────────────────
 
   /**
-   * Full rebuild of the materialized view from the OpLog.
-   * Walks every operation, skips tombstoned entries, and
-   * rebuilds rumors, votes, and reputation from scratch.
+   * Rebuild the materialized view and checkpoint it.
+   *
+   * With a checkpoint, restores it and replays only the ops logged
+   * since, in log order — the same way ingest() applies them live.
+   * Without one, walks the whole OpLog and skips tombstoned entries.
    *
    * @returns {object} the snapshot
    */
   rebuild() {
+    const replay = this._opLog.slice(this._checkpointIndex);
+
+    if (this._checkpoint) {
+      this._restoreState(decodeSnapshot(this._checkpoint.bytes).state);
+      for (const op of replay) this._applyOp(op);
+    } else {
+      this._walkOpLog();
+    }
+
+    // Also register any voters we haven't seen in JOIN ops (ignore ephemeral zk_ nullifiers)
+    for (const [, votes] of this._votes) {
+      for (const v of votes) {
+        if (v.nullifier && !v.nullifier.startsWith('zk_') && !this._reputation.has(v.nullifier)) {
+          this._reputation.set(v.nullifier, this.initialTrustScore);
+        }
+      }
+    }
+
+    // Checkpoint the new view
+    this._covered = mergeCovered(this._covered, replay.map(op => keyDigest(opKey(op))));
+    const opLogLength = (this._checkpoint?.opLogLength ?? 0) + replay.length;
+    const bytes = encodeSnapshot({ opLogLength, covered: this._covered, state: this._stateView() });
+    this._checkpoint = { cid: snapshotCid(bytes), bytes, opLogLength };
+    this._checkpointIndex = this._opLog.length;
+
+    // Build snapshot object
+    this._snapshotCount++;
+    this._opsSinceSnapshot = 0;
+
+    const snapshot = {
+      snapshotId: this._snapshotCount,
+      cid: this._checkpoint.cid,
+      timestamp: Date.now(),
+      opLogLength,
+      replayedOps: replay.length,
+      activeRumors: this._rumors.size,
+      tombstonedRumors: this._tombstones.size,
+      totalVotes: this._getTotalVoteCount(),
+      officialProofs: this._getOfficialProofCount(),
+      disputes: this._getDisputeCount(),
+      revocations: this._revocations.size,
+      registeredUsers: this._reputation.size,
+      state: {
+        rumors: new Map(this._rumors),
+        votes: new Map(this._votes),
+        tombstones: new Set(this._tombstones),
+        officialProofs: new Map(this._officialProofs),
+        disputes: new Map(this._disputes),
+        revocations: new Map(this._revocations),
+        reputation: new Map(this._reputation),
+      },
+    };
+
+    this._lastSnapshot = snapshot;
+    this.emit('snapshot', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Start from a checkpoint instead of the full OpLog, e.g. a
+   * snapshot fetched by CID from a trusted peer. Local ops the
+   * checkpoint covers are not replayed; covered ops that arrive
+   * later are dropped.
+   *
+   * @param {Uint8Array|string} data — encoded snapshot
+   * @param {string} [cid] — expected CID; the bytes must hash to it
+   * @returns {object} the snapshot rebuilt on top of the checkpoint
+   * @throws {Error} E103/E104 if the snapshot does not verify
+   */
+  loadCheckpoint(data, cid) {
+    const checkpoint = decodeSnapshot(data, cid);
+    const covered = new Set(coveredDigests(checkpoint.covered));
+
+    // Covered local ops go first so the replay tail is contiguous
+    const inCheckpoint = [];
+    const after = [];
+    const logged = new Set();
+    for (const entry of this._opLog) {
+      const digest = keyDigest(opKey(entry));
+      if (covered.has(digest)) {
+        inCheckpoint.push(entry);
+        logged.add(digest);
+      } else {
+        after.push(entry);
+      }
+    }
+
+    this._opLog = [...inCheckpoint, ...after];
+    this._checkpoint = { cid: checkpoint.cid, bytes: checkpoint.bytes, opLogLength: checkpoint.opLogLength };
+    this._checkpointIndex = inCheckpoint.length;
+    this._covered = checkpoint.covered;
+    this._bootstrapDigests = new Set([...covered].filter(digest => !logged.has(digest)));
+
+    this.emit('checkpoint', { cid: checkpoint.cid, bootstrapOps: this._bootstrapDigests.size });
+    return this.rebuild();
+  }
+
+  /**
+   * Walk the whole OpLog into empty state, skipping tombstoned entries.
+   * @private
+   */
+  _walkOpLog() {
     // Clear derived state
     this._rumors.clear();
     this._votes.clear();
+    this._voteHistory.clear();
     this._tombstones.clear();
+    this._officialProofs.clear();
+    this._disputes.clear();
+    this._revocations.clear();
     this._reputation.clear();
 
     // First pass: identify tombstones
@@ -135,13 +380,7 @@ export class Snapshotter extends EventEmitter {
       if (op.type === PROTOCOL.TYPES.RUMOR) {
         const rumorId = op.payload?.id || op.payload?.rumorId;
         if (rumorId && !this._tombstones.has(rumorId)) {
-          this._rumors.set(rumorId, {
-            id: rumorId,
-            text: op.payload.text,
-            topic: op.payload.topic,
-            nullifier: op.payload.nullifier || op.payload.zkProof?.nullifierHash,
-            timestamp: op.timestamp || op.payload.timestamp,
-          });
+          this._rumors.set(rumorId, this._rumorRecord(rumorId, op));
         }
       } else if (op.type === PROTOCOL.TYPES.VOTE) {
         const rumorId = op.payload?.rumorId;
@@ -152,9 +391,16 @@ export class Snapshotter extends EventEmitter {
             vote: op.payload.vote,
             prediction: op.payload.prediction,
             stakeAmount: op.payload.stakeAmount || 1,
-            timestamp: op.timestamp || op.payload.timestamp,
+            timestamp: opTime(op),
           });
+          this._indexVote(op.payload.nullifier, rumorId, op.payload.vote);
         }
+      } else if (op.type === PROTOCOL.TYPES.OFFICIAL_PROOF) {
+        this._addOfficialProof(op);
+      } else if (op.type === PROTOCOL.TYPES.DISPUTE) {
+        this._addDispute(op);
+      } else if (op.type === PROTOCOL.TYPES.REVOKE) {
+        this._addRevocation(op);
       } else if (op.type === PROTOCOL.TYPES.JOIN) {
         const nullifier = op.payload?.nullifier || op.payload?.commitment;
         if (nullifier && !this._reputation.has(nullifier)) {
@@ -162,39 +408,6 @@ export class Snapshotter extends EventEmitter {
         }
       }
     }
-
-    // Also register any voters we haven't seen in JOIN ops (ignore ephemeral zk_ nullifiers)
-    for (const [, votes] of this._votes) {
-      for (const v of votes) {
-        if (v.nullifier && !v.nullifier.startsWith('zk_') && !this._reputation.has(v.nullifier)) {
-          this._reputation.set(v.nullifier, this.initialTrustScore);
-        }
-      }
-    }
-
-    // Build snapshot object
-    this._snapshotCount++;
-    this._opsSinceSnapshot = 0;
-
-    const snapshot = {
-      snapshotId: this._snapshotCount,
-      timestamp: Date.now(),
-      opLogLength: this._opLog.length,
-      activeRumors: this._rumors.size,
-      tombstonedRumors: this._tombstones.size,
-      totalVotes: this._getTotalVoteCount(),
-      registeredUsers: this._reputation.size,
-      state: {
-        rumors: new Map(this._rumors),
-        votes: new Map(this._votes),
-        tombstones: new Set(this._tombstones),
-        reputation: new Map(this._reputation),
-      },
-    };
-
-    this._lastSnapshot = snapshot;
-    this.emit('snapshot', snapshot);
-    return snapshot;
   }
 
   // ── Queries ────────────────────────────────────────────────
@@ -227,6 +440,59 @@ export class Snapshotter extends EventEmitter {
     return this._votes.get(rumorId) || [];
   }
 
+  /**
+   * Get cross-rumor vote history for a set of voters, in the shape
+   * CorrelationDampener.dampen() expects. Tombstoned rumors are excluded.
+   *
+   * @param {Iterable<string>} [nullifiers] — voters to include (default: all)
+   * @returns {Map<string, Array<{rumorId: string, vote: string}>>}
+   */
+  getVoteHistory(nullifiers) {
+    const result = new Map();
+    for (const nullifier of nullifiers ?? this._voteHistory.keys()) {
+      const history = this._voteHistory.get(nullifier);
+      if (history) result.set(nullifier, [...history]);
+    }
+    return result;
+  }
+
+  /**
+   * Get official proofs attached to a non-tombstoned rumor.
+   * @param {string} rumorId
+   * @returns {Array}
+   */
+  getOfficialProofs(rumorId) {
+    if (this._tombstones.has(rumorId)) return [];
+    return this._officialProofs.get(rumorId) || [];
+  }
+
+  /**
+   * Get disputes raised against a non-tombstoned rumor, oldest first.
+   * @param {string} rumorId
+   * @returns {Array}
+   */
+  getDisputes(rumorId) {
+    if (this._tombstones.has(rumorId)) return [];
+    return this._disputes.get(rumorId) || [];
+  }
+
+  /**
+   * Get all revocations, oldest first.
+   * @returns {Array<object>}
+   */
+  getRevocations() {
+    return [...this._revocations.values()].sort((a, b) => a.revokedAt - b.revokedAt);
+  }
+
+  /**
+   * Check if an identity commitment has been revoked.
+   * @param {bigint|string} commitment
+   * @returns {boolean}
+   */
+  isRevoked(commitment) {
+    return this._revocations.has(commitment.toString());
+  }
+
   /**
    * Get reputation score for a user.
    * @param {string} nullifier
@@ -262,6 +528,24 @@ export class Snapshotter extends EventEmitter {
     return this._lastSnapshot;
   }
 
+  /**
+   * Get the current checkpoint: the encoded view the next rebuild
+   * starts from, and its CID.
+   * @returns {{cid: string, bytes: Uint8Array, opLogLength: number}|null}
+   */
+  getCheckpoint() {
+    return this._checkpoint;
+  }
+
+  /**
+   * Digests (keyDigest) of ops covered by a loaded checkpoint that
+   * this node never held — sync treats them as already known.
+   * @returns {string[]}
+   */
+  getBootstrapDigests() {
+    return [...this._bootstrapDigests];
+  }
+
   /**
    * Get the full OpLog.
    * @returns {Array<object>}
@@ -295,21 +579,67 @@ export class Snapshotter extends EventEmitter {
       opLog: [...this._opLog],
       snapshotCount: this._snapshotCount,
       lastSnapshot: this._lastSnapshot,
+      checkpoint: this._checkpoint && {
+        cid: this._checkpoint.cid,
+        data: new TextDecoder().decode(this._checkpoint.bytes),
+      },
     };
   }
 
   /**
    * Import state and rebuild.
    * @param {object} data — from export()
+   * @param {{cid: string, data: string}} [data.checkpoint] — start from this checkpoint
    */
   import(data) {
     this._opLog = data.opLog || [];
     this._snapshotCount = data.snapshotCount || 0;
-    this.rebuild();
+    this._checkpoint = null;
+    this._checkpointIndex = 0;
+    this._covered = '';
+    this._bootstrapDigests = new Set();
+
+    if (data.checkpoint) {
+      this.loadCheckpoint(data.checkpoint.data, data.checkpoint.cid);
+    } else {
+      this.rebuild();
+    }
   }
 
   // ── Internal ───────────────────────────────────────────────
 
+  /**
+   * The materialized view as the codec serializes it.
+   * @private
+   */
+  _stateView() {
+    return {
+      rumors: this._rumors,
+      votes: this._votes,
+      voteHistory: this._voteHistory,
+      tombstones: this._tombstones,
+      officialProofs: this._officialProofs,
+      disputes: this._disputes,
+      revocations: this._revocations,
+      reputation: this._reputation,
+    };
+  }
+
+  /**
+   * Replace the materialized view with a decoded checkpoint.
+   * @private
+   */
+  _restoreState(state) {
+    this._rumors = state.rumors;
+    this._votes = state.votes;
+    this._voteHistory = state.voteHistory;
+    this._tombstones = state.tombstones;
+    this._officialProofs = state.officialProofs;
+    this._disputes = state.disputes;
+    this._revocations = state.revocations;
+    this._reputation = state.reputation;
+  }
+
   /**
    * Apply a single operation to the live (incremental) state.
    * @private
@@ -319,13 +649,7 @@ export class Snapshotter extends EventEmitter {
       case PROTOCOL.TYPES.RUMOR: {
         const rumorId = op.payload?.id || op.payload?.rumorId;
         if (rumorId && !this._tombstones.has(rumorId)) {
-          this._rumors.set(rumorId, {
-            id: rumorId,
-            text: op.payload.text,
-            topic: op.payload.topic,
-            nullifier: op.payload.nullifier || op.payload.zkProof?.nullifierHash,
-            timestamp: op.timestamp || op.payload.timestamp,
-          });
+          this._rumors.set(rumorId, this._rumorRecord(rumorId, op));
         }
         break;
       }
@@ -338,8 +662,9 @@ export class Snapshotter extends EventEmitter {
             vote: op.payload.vote,
             prediction: op.payload.prediction,
             stakeAmount: op.payload.stakeAmount || 1,
-            timestamp: op.timestamp || op.payload.timestamp,
+            timestamp: opTime(op),
           });
+          this._indexVote(op.payload.nullifier, rumorId, op.payload.vote);
         }
         break;
       }
@@ -348,10 +673,22 @@ export class Snapshotter extends EventEmitter {
         if (rumorId) {
           this._tombstones.add(rumorId);
           this._rumors.delete(rumorId);
+          this._unindexVotes(rumorId);
           this._votes.delete(rumorId);
+          this._officialProofs.delete(rumorId);
+          this._disputes.delete(rumorId);
         }
         break;
       }
+      case PROTOCOL.TYPES.OFFICIAL_PROOF:
+        this._addOfficialProof(op);
+        break;
+      case PROTOCOL.TYPES.DISPUTE:
+        this._addDispute(op);
+        break;
+      case PROTOCOL.TYPES.REVOKE:
+        this._addRevocation(op);
+        break;
       case PROTOCOL.TYPES.JOIN: {
         const nullifier = op.payload?.nullifier || op.payload?.commitment;
         if (nullifier && !this._reputation.has(nullifier)) {
@@ -362,6 +699,134 @@ export class Snapshotter extends EventEmitter {
     }
   }
 
+  /**
+   * A rumor's materialized record. Voting opens at the rumor's
+   * timestamp and closes after its topic's voting window; ingest()
+   * refuses an untimed rumor, so only an old snapshot has one.
+   * @private
+   */
+  _rumorRecord(rumorId, op) {
+    const opensAt = opTime(op);
+    const window = PROTOCOL.RUMOR_TOPICS[op.payload.topic]?.votingWindow
+      ?? PROTOCOL.RUMOR_TOPICS.general.votingWindow;
+    const record = {
+      id: rumorId,
+      text: op.payload.text,
+      topic: op.payload.topic,
+      nullifier: op.payload.nullifier || op.payload.zkProof?.nullifierHash,
+      timestamp: opensAt,
+      opensAt,
+      closesAt: typeof opensAt === 'number' ? opensAt + window : null,
+    };
+    // The post proof's own nullifier — a tombstone must reproduce it
+    const { nullifier: proofNullifier } = proofFields(op.payload.zkProof);
+    if (proofNullifier) record.proofNullifier = proofNullifier;
+    return record;
+  }
+
+  /**
+   * Add a vote to its voter's cross-rumor history.
+   * @private
+   */
+  _indexVote(nullifier, rumorId, vote) {
+    if (!nullifier) return;
+    if (!this._voteHistory.has(nullifier)) this._voteHistory.set(nullifier, []);
+    this._voteHistory.get(nullifier).push({ rumorId, vote });
+  }
+
+  /**
+   * Remove a rumor's votes from its voters' histories.
+   * @private
+   */
+  _unindexVotes(rumorId) {
+    for (const { nullifier } of this._votes.get(rumorId) || []) {
+      const history = this._voteHistory.get(nullifier);
+      if (!history) continue;
+      const kept = history.filter(h => h.rumorId !== rumorId);
+      if (kept.length > 0) this._voteHistory.set(nullifier, kept);
+      else this._voteHistory.delete(nullifier);
+    }
+  }
+
+  /**
+   * Materialize an official proof on its (non-tombstoned) rumor.
+   * @private
+   */
+  _addOfficialProof(op) {
+    const rumorId = op.payload?.rumorId;
+    if (!rumorId || this._tombstones.has(rumorId)) return;
+    if (!this._officialProofs.has(rumorId)) this._officialProofs.set(rumorId, []);
+    this._officialProofs.get(rumorId).push({
+      rumorId,
+      impact: op.payload.impact,
+      statement: op.payload.statement,
+      source: this.officialVerifier?.sourceFor(op.payload.publicKey) ?? null,
+      publicKey: op.payload.publicKey,
+      issuedAt: op.payload.issuedAt,
+      timestamp: opTime(op),
+    });
+  }
+
+  /**
+   * Materialize a dispute on its (non-tombstoned) rumor.
+   * @private
+   */
+  _addDispute(op) {
+    const rumorId = op.payload?.rumorId;
+    if (!rumorId || this._tombstones.has(rumorId)) return;
+    if (!this._disputes.has(rumorId)) this._disputes.set(rumorId, []);
+    this._disputes.get(rumorId).push({
+      rumorId,
+      nullifier: op.payload.nullifier,
+      stakeAmount: op.payload.stakeAmount,
+      reason: op.payload.reason || '',
+      timestamp: opTime(op),
+    });
+  }
+
+  /**
+   * Record a revocation. Only the first one per commitment counts,
+   * so every peer keeps the same record whatever arrives later.
+   * @private
+   */
+  _addRevocation(op) {
+    const commitment = op.payload?.commitment?.toString();
+    if (!commitment || this._revocations.has(commitment)) return;
+    this._revocations.set(commitment, {
+      commitment,
+      reason: op.payload.reason,
+      justification: op.payload.justification,
+      source: this.revocationVerifier?.officialVerifier.sourceFor(op.payload.publicKey) ?? null,
+      publicKey: op.payload.publicKey,
+      revokedAt: op.payload.revokedAt,
+      timestamp: opTime(op),
+    });
+  }
+
+  /**
+   * Total dispute count across all active rumors.
+   * @private
+   */
+  _getDisputeCount() {
+    let total = 0;
+    for (const [, disputes] of this._disputes) {
+      total += disputes.length;
+    }
+    return total;
+  }
+
+  /**
+   * Total official proof count across all active rumors.
+   * @private
+   */
+  _getOfficialProofCount() {
+    let total = 0;
+    for (const [, proofs] of this._officialProofs) {
+      total += proofs.length;
+    }
+    return total;
+  }
+
   /**
    * Total vote count across all active rumors.
    * @private
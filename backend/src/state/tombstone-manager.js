@@ -12,18 +12,42 @@
 //   3. Ensures tombstoned rumors are excluded from scoring
 //   4. Prevents votes on tombstoned rumors
 //   5. Tracks tombstone metadata for audit purposes
+//
+// Authorship is proved, never claimed: a tombstone carries a
+// Semaphore proof in the rumor's post scope, whose nullifier is
+// therefore the one the rumor was posted with. verify() checks that
+// link; the proof itself is verified at ingress by the
+// MembershipProofVerifier.
+//
+// A community_flagged tombstone is the exception: it carries no
+// proof, and holds only for a rumor whose moderation case has
+// reached the flag threshold (see ModerationManager).
 // ─────────────────────────────────────────────────────────────
 
 import { PROTOCOL } from '../config.js';
 import { EventEmitter } from 'events';
+import { proofFields, scopeFor, messageFor } from '../identity/membership-proof-verifier.js';
+
+const { TYPES, TOMBSTONE_REASONS } = PROTOCOL;
 
 /**
  * TombstoneManager handles logical deletion of rumors.
  */
 export class TombstoneManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {(rumorId: string) => string|null} [options.authorOf]
+   *   — the nullifier a rumor was posted with; defaults to registered rumors
+   * @param {(rumorId: string) => boolean} [options.isFlagged]
+   *   — whether a rumor's flags have reached the moderation threshold
+   */
+  constructor(options = {}) {
     super();
 
+    this._authorOf = options.authorOf
+      ?? ((rumorId) => this._rumorAuthors.get(rumorId)?.authorNullifier ?? null);
+    this._isFlagged = options.isFlagged ?? (() => false);
+
     /** @type {Map<string, object>} rumorId → tombstone metadata */
     this._tombstones = new Map();
 
@@ -41,7 +65,7 @@ export class TombstoneManager extends EventEmitter {
    * Called when a new rumor is ingested.
    *
    * @param {string} rumorId
-   * @param {string} authorNullifier — the nullifier hash of the author
+   * @param {string} authorNullifier — the nullifier of the rumor's post proof
    * @param {object} [metadata] — optional extra metadata
    */
   registerRumor(rumorId, authorNullifier, metadata = {}) {
@@ -58,69 +82,85 @@ export class TombstoneManager extends EventEmitter {
 
   // ── Tombstone Operations ───────────────────────────────────
 
+  /**
+   * Check that a tombstone payload proves authorship of its rumor —
+   * or, for a community_flagged one, that the rumor was flagged.
+   * Does not verify the proof itself.
+   *
+   * @param {object} payload — { rumorId, reason, zkProof }
+   * @param {string|null} authorNullifier — the nullifier the rumor was posted with
+   * @returns {string|null} error message, or null if the tombstone holds
+   */
+  verify(payload, authorNullifier) {
+    if (!payload?.rumorId) return 'E201: Missing rumorId in tombstone request';
+    if (!TOMBSTONE_REASONS.includes(payload.reason)) {
+      return `E206: Tombstone reason must be one of ${TOMBSTONE_REASONS.join(', ')}`;
+    }
+    if (payload.reason === 'community_flagged') {
+      return this._isFlagged(payload.rumorId)
+        ? null
+        : 'E208: Rumor has not been flagged past the moderation threshold';
+    }
+
+    const { nullifier, scope } = proofFields(payload.zkProof);
+    if (!nullifier) return 'E202: Missing proof of authorship in tombstone request';
+    if (scope !== scopeFor(TYPES.TOMBSTONE, payload)
+      || String(payload.zkProof.message) !== messageFor(TYPES.TOMBSTONE, payload)) {
+      return 'E207: Tombstone proof is not bound to this rumor';
+    }
+
+    if (!authorNullifier) return 'E204: Rumor not found — cannot tombstone unknown rumor';
+    if (nullifier !== authorNullifier) return 'E205: Tombstone denied — only the author can delete a rumor';
+    return null;
+  }
+
   /**
    * Validate and create a tombstone for a rumor.
    *
    * @param {object} request
    * @param {string} request.rumorId — the rumor to tombstone
-   * @param {string} request.authorNullifier — must match the rumor's author
-   * @param {string} [request.reason] — optional reason for deletion
-   * @param {object} [request.zkProof] — ZK proof of authorship (optional for now)
+   * @param {string} [request.reason='retracted'] — one of PROTOCOL.TOMBSTONE_REASONS
+   * @param {object} request.zkProof — Semaphore proof in the rumor's post scope
    * @returns {object} tombstone operation
    * @throws if validation fails
    */
   createTombstone(request) {
-    const { rumorId, authorNullifier, reason, zkProof } = request;
+    const { rumorId, reason = 'retracted', zkProof } = request;
 
-    // Validate required fields
-    if (!rumorId) {
-      throw new Error('E201: Missing rumorId in tombstone request');
-    }
-    if (!authorNullifier) {
-      throw new Error('E202: Missing authorNullifier in tombstone request');
-    }
-
-    // Check if already tombstoned
-    if (this._tombstones.has(rumorId)) {
+    if (rumorId && this._tombstones.has(rumorId)) {
       throw new Error('E203: Rumor is already tombstoned');
     }
 
-    // Validate authorship — the requester must be the rumor's author
-    const rumorMeta = this._rumorAuthors.get(rumorId);
-    if (!rumorMeta) {
-      throw new Error('E204: Rumor not found — cannot tombstone unknown rumor');
-    }
-
-    if (rumorMeta.authorNullifier !== authorNullifier) {
-      throw new Error('E205: Tombstone denied — only the author can delete a rumor');
-    }
+    const payload = { rumorId, reason, zkProof, timestamp: Date.now() };
+    const error = this.verify(payload, rumorId ? this._authorOf(rumorId) : null);
+    if (error) throw new Error(error);
 
-    // Create the tombstone operation
     const tombstone = {
-      type: PROTOCOL.TYPES.TOMBSTONE,
+      type: TYPES.TOMBSTONE,
       version: PROTOCOL.VERSION,
-      payload: {
-        rumorId,
-        authorNullifier,
-        reason: reason || 'author_requested',
-        zkProof: zkProof || null,
-        timestamp: Date.now(),
-      },
-      timestamp: Date.now(),
+      payload,
+      timestamp: payload.timestamp,
     };
 
-    // Record tombstone
-    this._tombstones.set(rumorId, {
-      ...tombstone.payload,
-      tombstonedAt: Date.now(),
-    });
-
-    this._tombstoneNullifiers.add(`${rumorId}:${authorNullifier}`);
+    this.record(tombstone.payload);
 
     this.emit('tombstone', tombstone);
     return tombstone;
   }
 
+  /**
+   * Record a tombstone accepted elsewhere (e.g. received from a peer).
+   * @param {object} payload — a verified tombstone payload
+   */
+  record(payload) {
+    this._tombstones.set(payload.rumorId, {
+      ...payload,
+      tombstonedAt: Date.now(),
+    });
+    const { nullifier } = proofFields(payload.zkProof);
+    if (nullifier) this._tombstoneNullifiers.add(`${payload.rumorId}:${nullifier}`);
+  }
+
   // ── Queries ────────────────────────────────────────────────
 
   /**
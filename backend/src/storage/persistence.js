@@ -0,0 +1,315 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Persistence Manager
+// Writes server state through the StoreManager (OrbitDB) and
+// rehydrates the in-memory singletons on boot.
+//
+// Write-through sources:
+//   Snapshotter 'op' events        → oplog store
+//   ReputationManager 'update'     → reputation store
+//   MembershipTree mutations       → identities store
+//   used ZK nullifiers             → nullifiers store
+//   email binding hashes           → bindings store
+//   finalized rumor scores         → finalized store
+//   moderation cases               → moderation store
+//   Snapshotter 'snapshot' events  → checkpoints store, once every
+//                                    CHECKPOINT_INTERVAL covered ops
+//   AnonymousReputation 'update'   → notes store
+//
+// Writes are fire-and-forget: a storage failure is logged but
+// never blocks the request that triggered it.
+// ─────────────────────────────────────────────────────────────
+
+import { STORAGE } from '../config.js';
+
+/**
+ * PersistenceManager bridges the server's in-memory state with
+ * the OrbitDB stores exposed by StoreManager.
+ *
+ * Usage:
+ *   const pm = new PersistenceManager(storeManager);
+ *   await pm.hydrate({ snapshotter, membershipTree, reputationManager, ... });
+ *   pm.attach({ snapshotter, reputationManager });
+ *   pm.recordNullifier(scope, nullifier);
+ */
+export class PersistenceManager {
+  /**
+   * @param {import('./stores.js').StoreManager} storeManager — an opened StoreManager
+   */
+  constructor(storeManager) {
+    this._stores = storeManager;
+    this._attached = [];
+
+    /** @type {number} writes that failed since start */
+    this._failedWrites = 0;
+
+    /** @type {number} ops covered by the last persisted checkpoint */
+    this._checkpointedOps = 0;
+  }
+
+  // ── Rehydration ────────────────────────────────────────────
+
+  /**
+   * Load all persisted state into the given singletons.
+   * Must run before attach() so rehydration does not write back.
+   *
+   * @param {object} targets
+   * @param {import('../state/snapshotter.js').Snapshotter} targets.snapshotter
+   * @param {import('../identity/membership-tree.js').MembershipTree} targets.membershipTree
+   * @param {import('../scoring/reputation-manager.js').ReputationManager} targets.reputationManager
+   * @param {Map<string, Set<string>>} targets.usedNullifiers — scope → Set<nullifier>
+   * @param {import('../identity/email-binding.js').EmailBindingRegistry} targets.emailBindings
+   * @param {Map<string, object>} targets.finalizedScores — rumorId → finalized score
+   * @param {Map<string, object>} [targets.moderationCases] — rumorId → moderation case
+   * @param {import('../scoring/anonymous-reputation.js').AnonymousReputation} [targets.anonymousReputation]
+   * @returns {Promise<{ops: number, members: number, users: number, nullifiers: number, bindings: number, migratedBindings: number, finalized: number, moderation: number, checkpoint: string|null, notes: number}>}
+   */
+  async hydrate({
+    snapshotter, membershipTree, reputationManager,
+    usedNullifiers, emailBindings, finalizedScores, moderationCases, anonymousReputation,
+  }) {
+    // Membership tree — replay additions in leaf order, then removals.
+    // Removals keep their original time so a grace window that was
+    // still open before the restart is not extended or cut short.
+    const identities = (await this._stores.getAllIdentities())
+      .map(entry => ({ commitment: entry.key, ...entry.value }))
+      .sort((a, b) => (a.merkleIndex ?? 0) - (b.merkleIndex ?? 0));
+
+    const commitments = identities.map(i => BigInt(i.commitment));
+    if (commitments.length > 0 && membershipTree.getSize() === 0) {
+      membershipTree.addMembers(commitments);
+      for (const identity of identities) {
+        if (identity.removed) {
+          membershipTree.removeMember(membershipTree.indexOf(BigInt(identity.commitment)), {
+            now: identity.removedAt ?? 0,
+          });
+        }
+      }
+    }
+
+    // Nullifiers
+    const nullifiers = await this._stores.getAllNullifiers();
+    for (const { scope, nullifier } of nullifiers) {
+      if (!usedNullifiers.has(scope)) usedNullifiers.set(scope, new Set());
+      usedNullifiers.get(scope).add(nullifier);
+    }
+
+    // Email bindings — re-key legacy raw-email entries and delete the
+    // old keys. The delete hides them from every read, but the store's
+    // log on disk still holds the original PUT entries.
+    const bindings = await this._stores.getAllBindings();
+    const { migrated } = emailBindings.migrate(bindings);
+    for (const { from, key, domain } of migrated) {
+      await this._stores.setBinding(key, domain);
+      await this._stores.deleteBinding(from);
+    }
+
+    // Finalized scores
+    const finalized = await this._stores.getAllFinalizedScores();
+    for (const { key, value } of finalized) {
+      finalizedScores.set(key, value);
+    }
+
+    // Moderation cases
+    const cases = moderationCases ? await this._stores.getAllModerationCases() : [];
+    for (const { key, value } of cases) {
+      moderationCases.set(key, value);
+    }
+
+    // Reputation
+    const reputations = await this._stores.getAllReputations();
+    reputationManager.import(reputations.map(entry => ({
+      nullifierId: entry.key,
+      score: entry.value.score,
+      history: entry.value.history,
+      stakes: entry.value.stakes,
+    })));
+
+    // Anonymous reputation ledger
+    const noteRecords = anonymousReputation ? await this._stores.getAllNoteRecords() : [];
+    anonymousReputation?.import(noteRecords);
+
+    // OpLog — import() rebuilds the materialized view, starting from
+    // the last checkpoint so only later ops are replayed. Older JOIN
+    // ops carried the raw inbox address and DKIM body hash; strip
+    // them so they are never served or synced again (the immutable
+    // log on disk still holds them).
+    const ops = (await this._stores.getAllOps()).map(scrubJoinEmail);
+    const checkpoint = await this._stores.getCheckpoint();
+    if (ops.length > 0 || checkpoint) {
+      snapshotter.import({ opLog: ops, checkpoint });
+      this._checkpointedOps = snapshotter.getCheckpoint()?.opLogLength ?? 0;
+    }
+
+    return {
+      ops: ops.length,
+      members: commitments.length,
+      users: reputations.length,
+      nullifiers: nullifiers.length,
+      bindings: bindings.length,
+      migratedBindings: migrated.length,
+      finalized: finalized.length,
+      moderation: cases.length,
+      checkpoint: checkpoint?.cid ?? null,
+      notes: anonymousReputation?.getStats().notes ?? 0,
+    };
+  }
+
+  // ── Write-through ──────────────────────────────────────────
+
+  /**
+   * Subscribe to state-changing events on the event-emitting singletons.
+   *
+   * @param {object} sources
+   * @param {import('../state/snapshotter.js').Snapshotter} sources.snapshotter
+   * @param {import('../scoring/reputation-manager.js').ReputationManager} sources.reputationManager
+   * @param {import('../scoring/anonymous-reputation.js').AnonymousReputation} [sources.anonymousReputation]
+   */
+  attach({ snapshotter, reputationManager, anonymousReputation }) {
+    const onOp = (entry) => this._write(this._stores.appendOp(entry));
+    const onReputation = (nullifierId) => {
+      const record = reputationManager.exportUser(nullifierId);
+      if (!record) return;
+      this._write(this._stores.setReputation(nullifierId, {
+        score: record.score,
+        history: record.history,
+        stakes: record.stakes,
+      }));
+    };
+
+    const onSnapshot = (snapshot) => {
+      if (snapshot.opLogLength - this._checkpointedOps < STORAGE.CHECKPOINT_INTERVAL) return;
+      this.recordCheckpoint(snapshotter.getCheckpoint());
+    };
+
+    snapshotter.on('op', onOp);
+    snapshotter.on('snapshot', onSnapshot);
+    reputationManager.on('update', onReputation);
+
+    this._attached.push(
+      () => snapshotter.off('op', onOp),
+      () => snapshotter.off('snapshot', onSnapshot),
+      () => reputationManager.off('update', onReputation),
+    );
+
+    if (anonymousReputation) {
+      const onNote = (key) => {
+        const value = anonymousReputation.exportRecord(key);
+        if (value) this._write(this._stores.setNoteRecord(key, value));
+      };
+      anonymousReputation.on('update', onNote);
+      this._attached.push(() => anonymousReputation.off('update', onNote));
+    }
+  }
+
+  /**
+   * Remove all event subscriptions made by attach().
+   */
+  detach() {
+    for (const off of this._attached) off();
+    this._attached = [];
+  }
+
+  /**
+   * Persist a newly added membership tree leaf.
+   * @param {bigint|string} commitment
+   * @param {number} merkleIndex
+   */
+  recordMember(commitment, merkleIndex) {
+    this._write(this._stores.registerIdentity(commitment.toString(), { merkleIndex }));
+  }
+
+  /**
+   * Persist the removal of a membership tree leaf.
+   * @param {bigint|string} commitment — the commitment that occupied the leaf
+   * @param {number} merkleIndex
+   * @param {number} [removedAt] — removal time; starts the old roots' grace window
+   */
+  recordMemberRemoval(commitment, merkleIndex, removedAt = Date.now()) {
+    this._write(this._stores.registerIdentity(commitment.toString(), {
+      merkleIndex,
+      removed: true,
+      removedAt,
+    }));
+  }
+
+  /**
+   * Persist a used ZK nullifier.
+   * @param {string} scope
+   * @param {string} nullifier
+   */
+  recordNullifier(scope, nullifier) {
+    this._write(this._stores.recordNullifier(scope, nullifier));
+  }
+
+  /**
+   * Persist an email binding.
+   * @param {string} key — keyed email hash from EmailBindingRegistry
+   * @param {string} domain
+   */
+  recordBinding(key, domain) {
+    this._write(this._stores.setBinding(key, domain));
+  }
+
+  /**
+   * Persist a finalized rumor score.
+   * @param {string} rumorId
+   * @param {object} finalized
+   */
+  recordFinalized(rumorId, finalized) {
+    this._write(this._stores.setFinalizedScore(rumorId, finalized));
+  }
+
+  /**
+   * Persist a rumor's moderation case.
+   * @param {string} rumorId
+   * @param {object} record
+   */
+  recordModeration(rumorId, record) {
+    this._write(this._stores.setModerationCase(rumorId, record));
+  }
+
+  /**
+   * Persist a snapshot checkpoint so the next boot replays only
+   * the ops after it.
+   * @param {{cid: string, bytes: Uint8Array, opLogLength: number}} checkpoint — from Snapshotter.getCheckpoint()
+   */
+  recordCheckpoint(checkpoint) {
+    if (!checkpoint) return;
+    this._checkpointedOps = checkpoint.opLogLength;
+    this._write(this._stores.setCheckpoint(checkpoint.cid, new TextDecoder().decode(checkpoint.bytes)));
+  }
+
+  /**
+   * Number of writes that failed since start.
+   * @returns {number}
+   */
+  get failedWrites() {
+    return this._failedWrites;
+  }
+
+  // ── Internal ───────────────────────────────────────────────
+
+  /**
+   * Swallow and count a failed background write.
+   * @private
+   */
+  _write(promise) {
+    Promise.resolve(promise).catch((err) => {
+      this._failedWrites++;
+      console.warn(`  [persistence] write failed: ${err.message}`);
+    });
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * Drop the legacy `dkimBinding` (inbox address + body hash) from a JOIN op.
+ * @param {object} op
+ * @returns {object}
+ */
+function scrubJoinEmail(op) {
+  if (!op.payload?.dkimBinding) return op;
+  const { dkimBinding: _binding, ...payload } = op.payload;
+  return { ...op, payload };
+}
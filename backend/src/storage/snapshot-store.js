@@ -0,0 +1,85 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Snapshot Store
+// Keeps encoded snapshots as raw blocks in Helia, addressed by
+// the CID the Snapshotter computed. Peers can then fetch a
+// snapshot by CID over bitswap and verify it by its hash.
+// ─────────────────────────────────────────────────────────────
+
+import { CID } from 'multiformats/cid';
+import { STORAGE } from '../config.js';
+
+/**
+ * SnapshotStore puts and gets snapshot blocks in a Helia blockstore.
+ *
+ * Usage:
+ *   const store = new SnapshotStore(databaseManager.getHelia());
+ *   await store.put(checkpoint.cid, checkpoint.bytes);
+ *   const bytes = await store.get(cid);   // local or from peers
+ */
+export class SnapshotStore {
+  /**
+   * @param {import('helia').Helia} helia — a started Helia node
+   * @param {object} [options]
+   * @param {number} [options.timeout] — ms to wait for a block from the network
+   */
+  constructor(helia, options = {}) {
+    this._helia = helia;
+    this.timeout = options.timeout ?? STORAGE.SNAPSHOT_FETCH_TIMEOUT;
+  }
+
+  /**
+   * Store an encoded snapshot under its CID.
+   * @param {string} cid
+   * @param {Uint8Array} bytes
+   * @returns {Promise<void>}
+   */
+  async put(cid, bytes) {
+    await this._helia.blockstore.put(CID.parse(cid), bytes);
+  }
+
+  /**
+   * Drop a snapshot block that is no longer published.
+   * @param {string} cid
+   * @returns {Promise<void>}
+   */
+  async delete(cid) {
+    await this._helia.blockstore.delete(CID.parse(cid));
+  }
+
+  /**
+   * Whether the snapshot block is held locally.
+   * @param {string} cid
+   * @returns {Promise<boolean>}
+   */
+  async has(cid) {
+    return this._helia.blockstore.has(CID.parse(cid));
+  }
+
+  /**
+   * Get an encoded snapshot, fetching it from peers if it is not
+   * held locally. The caller verifies it with decodeSnapshot().
+   *
+   * @param {string} cid
+   * @returns {Promise<Uint8Array>}
+   * @throws if the block cannot be found within the timeout
+   */
+  async get(cid) {
+    const block = await this._helia.blockstore.get(CID.parse(cid), {
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    return collect(block);
+  }
+}
+
+// ── Module helpers ───────────────────────────────────────────
+
+/**
+ * Helia returns a block either whole or as a stream of chunks.
+ * @returns {Promise<Uint8Array>}
+ */
+async function collect(block) {
+  if (block instanceof Uint8Array) return block;
+  const chunks = [];
+  for await (const chunk of block) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
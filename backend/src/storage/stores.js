@@ -1,10 +1,17 @@
 // ─────────────────────────────────────────────────────────────
 // Afwaah — OrbitDB Store Manager
-// Opens and manages the four core stores:
+// Opens and manages the core stores:
 //   rumors (events)  — append-only rumor ledger
 //   votes  (events)  — append-only vote records
 //   identities (kv)  — commitment → metadata
 //   reputation (kv)  — nullifier-derived ID → trust score
+//   oplog  (events)  — every operation ingested by the Snapshotter
+//   nullifiers (kv)  — scope:nullifier → used-at record
+//   bindings (kv)    — keyed email hash → email domain
+//   finalized (kv)   — rumorId → finalized score
+//   moderation (kv)  — rumorId → moderation case
+//   checkpoints (kv) — 'latest' → newest snapshot checkpoint
+//   notes (kv)       — anonymous reputation ledger records
 // ─────────────────────────────────────────────────────────────
 
 import { STORAGE, PROTOCOL } from '../config.js';
@@ -36,6 +43,20 @@ export class StoreManager {
     this.identities = null;
     /** @type {import('@orbitdb/core').Database | null} */
     this.reputation = null;
+    /** @type {import('@orbitdb/core').Database | null} */
+    this.oplog = null;
+    /** @type {import('@orbitdb/core').Database | null} */
+    this.nullifiers = null;
+    /** @type {import('@orbitdb/core').Database | null} */
+    this.bindings = null;
+    /** @type {import('@orbitdb/core').Database | null} */
+    this.finalized = null;
+    /** @type {import('@orbitdb/core').Database | null} */
+    this.moderation = null;
+    /** @type {import('@orbitdb/core').Database | null} */
+    this.checkpoints = null;
+    /** @type {import('@orbitdb/core').Database | null} */
+    this.notes = null;
 
     this._opened = false;
   }
@@ -43,7 +64,7 @@ export class StoreManager {
   // ── Lifecycle ──────────────────────────────────────────────
 
   /**
-   * Open all four stores.
+   * Open all stores.
    * @returns {Promise<void>}
    */
   async open() {
@@ -65,6 +86,34 @@ export class StoreManager {
       type: 'keyvalue',
     });
 
+    this.oplog = await this._orbitdb.open(STORES.OPLOG, {
+      type: 'events',
+    });
+
+    this.nullifiers = await this._orbitdb.open(STORES.NULLIFIERS, {
+      type: 'keyvalue',
+    });
+
+    this.bindings = await this._orbitdb.open(STORES.BINDINGS, {
+      type: 'keyvalue',
+    });
+
+    this.finalized = await this._orbitdb.open(STORES.FINALIZED, {
+      type: 'keyvalue',
+    });
+
+    this.moderation = await this._orbitdb.open(STORES.MODERATION, {
+      type: 'keyvalue',
+    });
+
+    this.checkpoints = await this._orbitdb.open(STORES.CHECKPOINTS, {
+      type: 'keyvalue',
+    });
+
+    this.notes = await this._orbitdb.open(STORES.NOTES, {
+      type: 'keyvalue',
+    });
+
     this._opened = true;
   }
 
@@ -75,7 +124,11 @@ export class StoreManager {
   async close() {
     if (!this._opened) return;
 
-    const stores = [this.rumors, this.votes, this.identities, this.reputation];
+    const stores = [
+      this.rumors, this.votes, this.identities, this.reputation,
+      this.oplog, this.nullifiers, this.bindings, this.finalized,
+      this.moderation, this.checkpoints, this.notes,
+    ];
     for (const store of stores) {
       if (store) {
         try {
@@ -90,6 +143,13 @@ export class StoreManager {
     this.votes = null;
     this.identities = null;
     this.reputation = null;
+    this.oplog = null;
+    this.nullifiers = null;
+    this.bindings = null;
+    this.finalized = null;
+    this.moderation = null;
+    this.checkpoints = null;
+    this.notes = null;
     this._opened = false;
   }
 
@@ -253,11 +313,183 @@ export class StoreManager {
     return this.reputation.all();
   }
 
+  // ── OpLog (EventLog) ──────────────────────────────────────
+
+  /**
+   * Append an ingested operation to the persistent OpLog.
+   * @param {object} op — { type, payload, timestamp, _ingestIndex, ... }
+   * @returns {Promise<string>} hash of the new entry
+   */
+  async appendOp(op) {
+    this._ensureOpen();
+    return this.oplog.add(op);
+  }
+
+  /**
+   * Get every persisted operation, ordered by ingest index.
+   * @returns {Promise<Array<object>>}
+   */
+  async getAllOps() {
+    this._ensureOpen();
+    const entries = await this.oplog.all();
+    return entries
+      .map(entry => entry.value)
+      .sort((a, b) => (a._ingestIndex ?? 0) - (b._ingestIndex ?? 0));
+  }
+
+  // ── Nullifiers (KVStore) ──────────────────────────────────
+
+  /**
+   * Record a ZK nullifier as used for a scope.
+   * @param {string} scope
+   * @param {string} nullifier
+   * @returns {Promise<string>} hash
+   */
+  async recordNullifier(scope, nullifier) {
+    this._ensureOpen();
+    return this.nullifiers.put(`${scope}:${nullifier}`, {
+      scope: String(scope),
+      nullifier: String(nullifier),
+      recordedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Get all used nullifiers.
+   * @returns {Promise<Array<{scope: string, nullifier: string, recordedAt: number}>>}
+   */
+  async getAllNullifiers() {
+    this._ensureOpen();
+    const entries = await this.nullifiers.all();
+    return entries.map(entry => entry.value);
+  }
+
+  // ── Email bindings (KVStore) ──────────────────────────────
+
+  /**
+   * Store an email binding. Never store a raw email or commitment here.
+   * @param {string} key — keyed hash of the verified inbox
+   * @param {string} domain — the inbox's email domain
+   * @returns {Promise<string>} hash
+   */
+  async setBinding(key, domain) {
+    this._ensureOpen();
+    return this.bindings.put(String(key), String(domain));
+  }
+
+  /**
+   * Delete an email binding (used to drop legacy raw-email keys).
+   * Appends a DEL entry; the earlier PUT stays in the log history.
+   * @param {string} key
+   * @returns {Promise<string>} hash
+   */
+  async deleteBinding(key) {
+    this._ensureOpen();
+    return this.bindings.del(String(key));
+  }
+
+  /**
+   * Get all email bindings.
+   * @returns {Promise<Array<{key: string, value: string, hash: string}>>}
+   */
+  async getAllBindings() {
+    this._ensureOpen();
+    return this.bindings.all();
+  }
+
+  // ── Finalized scores (KVStore) ────────────────────────────
+
+  /**
+   * Store a finalized rumor score.
+   * @param {string} rumorId
+   * @param {object} finalized — { score, consensus, finalizedAt, ... }
+   * @returns {Promise<string>} hash
+   */
+  async setFinalizedScore(rumorId, finalized) {
+    this._ensureOpen();
+    return this.finalized.put(String(rumorId), finalized);
+  }
+
+  /**
+   * Get all finalized rumor scores.
+   * @returns {Promise<Array<{key: string, value: object, hash: string}>>}
+   */
+  async getAllFinalizedScores() {
+    this._ensureOpen();
+    return this.finalized.all();
+  }
+
+  // ── Moderation cases (KVStore) ────────────────────────────
+
+  /**
+   * Store a rumor's moderation case.
+   * @param {string} rumorId
+   * @param {object} record — { status, flags, appeals, ... }
+   * @returns {Promise<string>} hash
+   */
+  async setModerationCase(rumorId, record) {
+    this._ensureOpen();
+    return this.moderation.put(String(rumorId), record);
+  }
+
+  /**
+   * Get all moderation cases.
+   * @returns {Promise<Array<{key: string, value: object, hash: string}>>}
+   */
+  async getAllModerationCases() {
+    this._ensureOpen();
+    return this.moderation.all();
+  }
+
+  // ── Snapshot checkpoints (KVStore) ────────────────────────
+
+  /**
+   * Store the newest snapshot checkpoint, replacing the previous one.
+   * @param {string} cid — snapshot CID
+   * @param {string} data — encoded snapshot (canonical JSON text)
+   * @returns {Promise<string>} hash
+   */
+  async setCheckpoint(cid, data) {
+    this._ensureOpen();
+    return this.checkpoints.put('latest', { cid, data });
+  }
+
+  /**
+   * Get the newest snapshot checkpoint.
+   * @returns {Promise<{cid: string, data: string}|null>}
+   */
+  async getCheckpoint() {
+    this._ensureOpen();
+    return (await this.checkpoints.get('latest')) ?? null;
+  }
+
+  // ── Anonymous reputation ledger (KVStore) ─────────────────
+
+  /**
+   * Store a reputation ledger record.
+   * @param {string} key — 'note:…', 'spent:…', 'genesis:…' or 'escrow:…'
+   * @param {object} value
+   * @returns {Promise<string>} hash
+   */
+  async setNoteRecord(key, value) {
+    this._ensureOpen();
+    return this.notes.put(String(key), value);
+  }
+
+  /**
+   * Get all reputation ledger records.
+   * @returns {Promise<Array<{key: string, value: object, hash: string}>>}
+   */
+  async getAllNoteRecords() {
+    this._ensureOpen();
+    return this.notes.all();
+  }
+
   // ── Event listeners ────────────────────────────────────────
 
   /**
    * Listen for updates on a specific store.
-   * @param {'rumors'|'votes'|'identities'|'reputation'} storeName
+   * @param {'rumors'|'votes'|'identities'|'reputation'|'oplog'|'nullifiers'|'bindings'|'finalized'|'moderation'|'checkpoints'|'notes'} storeName
    * @param {(entry: any) => void} handler
    */
   onUpdate(storeName, handler) {
@@ -268,7 +500,7 @@ export class StoreManager {
 
   /**
    * Listen for peer join on a specific store.
-   * @param {'rumors'|'votes'|'identities'|'reputation'} storeName
+   * @param {'rumors'|'votes'|'identities'|'reputation'|'oplog'|'nullifiers'|'bindings'|'finalized'|'moderation'|'checkpoints'|'notes'} storeName
    * @param {(peerId: any, heads: any) => void} handler
    */
   onPeerJoin(storeName, handler) {
@@ -290,6 +522,13 @@ export class StoreManager {
       votes: this.votes.address,
       identities: this.identities.address,
       reputation: this.reputation.address,
+      oplog: this.oplog.address,
+      nullifiers: this.nullifiers.address,
+      bindings: this.bindings.address,
+      finalized: this.finalized.address,
+      moderation: this.moderation.address,
+      checkpoints: this.checkpoints.address,
+      notes: this.notes.address,
     };
   }
 
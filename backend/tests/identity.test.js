@@ -9,12 +9,27 @@
 //   3. Semaphore identity creation & export/import
 //   4. Merkle tree membership (add, proof, verify)
 //   5. Full flow: email → identity → tree → proof
+//   6. One-email-one-identity bindings (hashed, unlinkable)
+//   7. DKIM key cache and offline verification with fixture keys
 // ─────────────────────────────────────────────────────────────
 
-import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+import { generateKeyPairSync } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { dkimSign } from 'mailauth/lib/dkim/sign.js';
 import { EmailVerifier } from '../src/identity/email-verifier.js';
 import { IdentityManager } from '../src/identity/identity-manager.js';
 import { MembershipTree } from '../src/identity/membership-tree.js';
+import { OfficialVerifier } from '../src/identity/official-verifier.js';
+import { RevocationVerifier } from '../src/identity/revocation-verifier.js';
+import { AdmissionVerifier } from '../src/identity/admission-verifier.js';
+import { AccountVerifier, accountId } from '../src/identity/account-verifier.js';
+import { MembershipProofVerifier, proofFields, scopeFor, messageFor } from '../src/identity/membership-proof-verifier.js';
+import { EmailBindingRegistry } from '../src/identity/email-binding.js';
+import { DkimKeyCache, DkimKeyResolver } from '../src/identity/dkim-key-resolver.js';
+import { Group } from '@semaphore-protocol/group';
 
 // ─── Mock dkimVerify for unit tests ───────────────────────────
 // Real DKIM verification requires DNS lookups for public keys.
@@ -494,6 +509,41 @@ describe('MembershipTree', () => {
     });
   });
 
+  describe('removeMember() epochs', () => {
+    it('should expire pre-revocation roots after the grace window', () => {
+      const id1 = manager.create('epoch-1');
+      const id2 = manager.create('epoch-2');
+      tree.addMember(id1.commitment);
+      tree.addMember(id2.commitment);
+      const oldRoot = tree.getRoot();
+
+      const epoch = tree.removeMember(1, { graceWindow: 1000, now: 5000 });
+      const newRoot = tree.getRoot();
+
+      expect(epoch).toBe(1);
+      expect(tree.getEpoch()).toBe(1);
+      expect(tree.isRootValid(oldRoot, 5999)).toBe(true);
+      expect(tree.isRootValid(oldRoot, 6000)).toBe(false);
+      expect(tree.isRootValid(newRoot, 1e15)).toBe(true);
+      expect(tree.getExpiringRoots().find(r => r.root === oldRoot).expiresAt).toBe(6000);
+    });
+
+    it('should keep the first expiry when removals overlap', () => {
+      for (const seed of ['overlap-1', 'overlap-2', 'overlap-3']) {
+        tree.addMember(manager.create(seed).commitment);
+      }
+      const oldRoot = tree.getRoot();
+
+      tree.removeMember(0, { graceWindow: 1000, now: 0 });
+      const middleRoot = tree.getRoot();
+      tree.removeMember(1, { graceWindow: 1000, now: 500 });
+
+      expect(tree.getEpoch()).toBe(2);
+      expect(tree.isRootValid(oldRoot, 1200)).toBe(false);
+      expect(tree.isRootValid(middleRoot, 1200)).toBe(true);
+    });
+  });
+
   describe('export/import', () => {
     it('should export and import tree state', () => {
       const id1 = manager.create('export-1');
@@ -509,6 +559,19 @@ describe('MembershipTree', () => {
       expect(imported.indexOf(id1.commitment)).toBe(0);
       expect(imported.indexOf(id2.commitment)).toBe(1);
     });
+
+    it('should let a client rebuild the group at a root the tree accepts', () => {
+      const ids = ['client-1', 'client-2', 'client-3'].map(k => manager.create(k));
+      for (const id of ids) tree.addMember(id.commitment);
+      tree.removeMember(1);
+
+      // What a browser does with GET /api/membership/snapshot
+      const clientGroup = Group.import(tree.export());
+
+      expect(clientGroup.root).toBe(tree.getRoot());
+      expect(tree.isRootValid(clientGroup.root)).toBe(true);
+      expect(clientGroup.indexOf(ids[2].commitment)).toBe(2);
+    });
   });
 
   describe('getGroup()', () => {
@@ -590,3 +653,479 @@ describe('Identity Full Flow', () => {
     console.log(`✅ ${students.length} students joined, all proofs valid`);
   });
 });
+
+// ═══════════════════════════════════════════════════════════════
+// TEST SUITE 5: Official Verifier
+// ═══════════════════════════════════════════════════════════════
+
+describe('OfficialVerifier', () => {
+  const manager = new IdentityManager();
+  const registrar = manager.create('registrar-office-key');
+  const impostor = manager.create('impostor-key');
+  let verifier;
+
+  const fields = {
+    rumorId: 'QmExamsPostponed',
+    impact: 'CONFIRMS',
+    statement: 'Mid-term exams are postponed by one week.',
+    issuedAt: 1738800000000,
+  };
+
+  beforeEach(() => {
+    verifier = new OfficialVerifier([
+      { name: "Registrar's Office", publicKey: registrar.publicKey.map(String) },
+    ]);
+  });
+
+  it('should accept a proof signed by a trusted source', () => {
+    const payload = verifier.sign(registrar, fields);
+    const result = verifier.verify(payload);
+
+    expect(result.valid).toBe(true);
+    expect(result.source).toBe("Registrar's Office");
+    expect(result.error).toBeNull();
+  });
+
+  it('should reject a proof from an untrusted key', () => {
+    const payload = verifier.sign(impostor, fields);
+    const result = verifier.verify(payload);
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('E401');
+  });
+
+  it('should reject a proof whose impact was edited after signing', () => {
+    const payload = { ...verifier.sign(registrar, fields), impact: 'CONTRADICTS' };
+    const result = verifier.verify(payload);
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('E402');
+  });
+
+  it('should reject a trusted key paired with another signature', () => {
+    const forged = {
+      ...verifier.sign(impostor, fields),
+      publicKey: registrar.publicKey.map(String),
+    };
+
+    expect(verifier.verify(forged).error).toContain('E402');
+  });
+
+  it('should reject malformed payloads', () => {
+    expect(verifier.verify(null).error).toContain('E400');
+    expect(verifier.verify({ ...fields, impact: 'MAYBE' }).error).toContain('E400');
+    expect(verifier.verify({ ...fields }).error).toContain('E400'); // no signature
+  });
+
+  it('should add, look up, and remove sources', () => {
+    verifier.addSource('Dean of Students', impostor.publicKey);
+    expect(verifier.getSources()).toHaveLength(2);
+    expect(verifier.sourceFor(impostor.publicKey.map(String))).toBe('Dean of Students');
+
+    expect(verifier.removeSource(impostor.publicKey)).toBe(true);
+    expect(verifier.sourceFor(impostor.publicKey)).toBeNull();
+    expect(() => verifier.addSource('', [])).toThrow('E400');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TEST SUITE 5b: Revocation Verifier
+// ═══════════════════════════════════════════════════════════════
+
+describe('RevocationVerifier', () => {
+  const manager = new IdentityManager();
+  const registrar = manager.create('revocation-registrar');
+  const impostor = manager.create('revocation-impostor');
+  const member = manager.create('revoked-member');
+  const verifier = new RevocationVerifier(new OfficialVerifier([
+    { name: "Registrar's Office", publicKey: registrar.publicKey.map(String) },
+  ]));
+
+  const fields = {
+    commitment: member.commitment,
+    reason: 'graduated',
+    justification: 'Degree conferred in the 2026 convocation.',
+    revokedAt: 1738800000000,
+  };
+
+  it('should accept a revocation signed by a trusted source', () => {
+    const payload = verifier.sign(registrar, fields);
+
+    expect(payload.commitment).toBe(member.commitment.toString());
+    expect(verifier.verify(payload)).toEqual({ valid: true, source: "Registrar's Office", error: null });
+  });
+
+  it('should reject untrusted keys and edited justifications', () => {
+    expect(verifier.verify(verifier.sign(impostor, fields)).error).toContain('E801');
+
+    const edited = { ...verifier.sign(registrar, fields), justification: 'Changed later' };
+    expect(verifier.verify(edited).error).toContain('E802');
+  });
+
+  it('should reject malformed revocations', () => {
+    const payload = verifier.sign(registrar, fields);
+
+    expect(verifier.verify(null).error).toContain('E800');
+    expect(verifier.verify({ ...payload, reason: 'disliked' }).error).toContain('E800');
+    expect(verifier.verify({ ...payload, justification: '  ' }).error).toContain('E800');
+    expect(verifier.verify({ ...payload, commitment: 'abc' }).error).toContain('E800');
+  });
+
+  it('should not accept an official proof signature as a revocation', () => {
+    const official = verifier.officialVerifier.sign(registrar, {
+      rumorId: 'r1', impact: 'CONFIRMS', statement: 'x', issuedAt: fields.revokedAt,
+    });
+    const replayed = { ...verifier.sign(registrar, fields), signature: official.signature };
+
+    expect(verifier.verify(replayed).error).toContain('E802');
+  });
+});
+
+describe('AdmissionVerifier', () => {
+  const manager = new IdentityManager();
+  const registrar = manager.create('admission-registrar');
+  const impostor = manager.create('admission-impostor');
+  const member = manager.create('admitted-member');
+  const verifier = new AdmissionVerifier(
+    [{ name: 'SEECS node', publicKey: registrar.publicKey.map(String) }],
+    { allowedDomains: ['seecs.edu.pk'] },
+  );
+
+  const fields = { commitment: member.commitment, domain: 'seecs.edu.pk', admittedAt: 1738800000000 };
+
+  it('should accept an admission signed by a trusted registrar', () => {
+    const payload = verifier.sign(registrar, fields);
+
+    expect(payload.commitment).toBe(member.commitment.toString());
+    expect(verifier.verify(payload)).toEqual({ valid: true, registrar: 'SEECS node', error: null });
+  });
+
+  it('should reject untrusted registrars, other commitments and other domains', () => {
+    expect(verifier.verify(verifier.sign(impostor, fields)).error).toContain('E811');
+
+    const moved = { ...verifier.sign(registrar, fields), commitment: '42' };
+    expect(verifier.verify(moved).error).toContain('E812');
+
+    const outside = verifier.sign(registrar, { ...fields, domain: 'gmail.com' });
+    expect(verifier.verify(outside).error).toContain('E813');
+  });
+
+  it('should reject malformed admissions', () => {
+    const payload = verifier.sign(registrar, fields);
+
+    expect(verifier.verify(null).error).toContain('E810');
+    expect(verifier.verify({ ...payload, commitment: '0xabc' }).error).toContain('E810');
+    expect(verifier.verify({ ...payload, signature: undefined }).error).toContain('E810');
+  });
+
+  it('should not accept a revocation signature as an admission', () => {
+    const revocations = new RevocationVerifier(new OfficialVerifier([
+      { name: 'SEECS node', publicKey: registrar.publicKey.map(String) },
+    ]));
+    const revoke = revocations.sign(registrar, {
+      commitment: member.commitment, reason: 'graduated', justification: 'x', revokedAt: fields.admittedAt,
+    });
+    const replayed = { ...verifier.sign(registrar, fields), signature: revoke.signature };
+
+    expect(verifier.verify(replayed).error).toContain('E812');
+  });
+});
+
+describe('AccountVerifier', () => {
+  const manager = new IdentityManager();
+  const owner = manager.create('account-owner');
+  const other = manager.create('account-other');
+  const verifier = new AccountVerifier();
+
+  const flag = { rumorId: 'QmFlagged', category: 'doxxing', stakeAmount: 4, reason: 'address', timestamp: 1738800000000 };
+
+  it('should accept a flag signed by the owner of its account', () => {
+    const payload = verifier.sign(owner, 'FLAG', flag);
+
+    expect(payload.nullifier).toBe(accountId(owner.commitment));
+    expect(verifier.verify('FLAG', payload)).toEqual({ valid: true, account: payload.nullifier, error: null });
+  });
+
+  it('should reject a signature for someone else\'s account', () => {
+    const stolen = { ...verifier.sign(other, 'FLAG', flag), nullifier: accountId(owner.commitment) };
+    expect(verifier.verify('FLAG', stolen).error).toContain('E822');
+
+    const unsigned = { ...flag, nullifier: accountId(owner.commitment) };
+    expect(verifier.verify('FLAG', unsigned).error).toContain('E820');
+  });
+
+  it('should reject changed fields and a flag replayed as an appeal', () => {
+    const payload = verifier.sign(owner, 'FLAG', flag);
+
+    expect(verifier.verify('FLAG', { ...payload, stakeAmount: 40 }).error).toContain('E823');
+    expect(verifier.verify('APPEAL', payload).error).toContain('E823');
+    expect(verifier.verify('VOTE', payload).error).toContain('E820');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TEST SUITE 5c: Membership Proof Verifier
+// ═══════════════════════════════════════════════════════════════
+
+describe('MembershipProofVerifier', () => {
+  const voteProof = (nullifier, rumorId = 'rumor_1') => ({
+    merkleTreeDepth: 1,
+    merkleTreeRoot: '111',
+    nullifier,
+    message: messageFor('VOTE', { rumorId }),
+    scope: scopeFor('VOTE', { rumorId }),
+    points: ['1', '2', '3', '4', '5', '6', '7', '8'],
+  });
+  let verifyProof;
+  let verifier;
+
+  beforeEach(() => {
+    verifyProof = jest.fn(async () => true);
+    verifier = new MembershipProofVerifier({ verifyProof, isMemberRoot: root => root === '111' });
+  });
+
+  it('should admit a valid proof once per scope', async () => {
+    const payload = { rumorId: 'rumor_1', zkProof: voteProof('42') };
+
+    expect(await verifier.admit('VOTE', payload)).toEqual({
+      valid: true, nullifier: '42', scope: payload.zkProof.scope, error: null,
+    });
+    expect((await verifier.admit('VOTE', payload)).error).toContain('E002');
+    expect((await verifier.admit('VOTE', { rumorId: 'rumor_2', zkProof: voteProof('42', 'rumor_2') })).valid).toBe(true);
+  });
+
+  it('should refuse unknown roots, foreign scopes and failed proofs before recording the nullifier', async () => {
+    const payload = { rumorId: 'rumor_1', zkProof: voteProof('7') };
+
+    expect((await verifier.admit('VOTE', { ...payload, zkProof: { ...payload.zkProof, merkleTreeRoot: '999' } })).error)
+      .toContain('E006');
+    expect((await verifier.admit('VOTE', { ...payload, rumorId: 'rumor_2' })).error).toContain('E017');
+    expect((await verifier.admit('VOTE', { rumorId: 'rumor_1' })).error).toContain('E001');
+    expect(verifyProof).not.toHaveBeenCalled();
+
+    verifyProof.mockResolvedValueOnce(false);
+    expect((await verifier.admit('VOTE', payload)).error).toContain('E001');
+    expect((await verifier.admit('VOTE', payload)).valid).toBe(true);
+  });
+
+  it('should refuse a copy that arrives while the first is being verified', async () => {
+    const payload = { rumorId: 'rumor_1', zkProof: voteProof('8') };
+    const [first, second] = await Promise.all([verifier.admit('VOTE', payload), verifier.admit('VOTE', payload)]);
+
+    expect(first.valid).toBe(true);
+    expect(second.error).toContain('E002');
+    expect(verifyProof).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hold a deferred nullifier until it is spent or released', async () => {
+    const payload = { rumorId: 'rumor_1', zkProof: voteProof('11') };
+    const { scope } = payload.zkProof;
+
+    expect((await verifier.admit('VOTE', payload, { defer: true })).valid).toBe(true);
+    expect((await verifier.admit('VOTE', payload)).error).toContain('E002');
+    verifier.release(scope, '11');
+    expect((await verifier.admit('VOTE', payload, { defer: true })).valid).toBe(true);
+    verifier.spend(scope, '11');
+    verifier.release(scope, '11');
+    expect((await verifier.admit('VOTE', payload)).error).toContain('E002');
+  });
+
+  it('should refuse a vote or post changed under its proof', async () => {
+    const vote = { rumorId: 'rumor_1', vote: 'TRUE', prediction: { TRUE: 0.6, FALSE: 0.3, UNVERIFIED: 0.1 }, stakeAmount: 1 };
+    const payload = { ...vote, zkProof: { ...voteProof('13'), message: messageFor('VOTE', vote) } };
+
+    expect((await verifier.admit('VOTE', { ...payload, vote: 'FALSE' })).error).toContain('E017');
+    expect((await verifier.admit('VOTE', { ...payload, stakeAmount: 2 })).error).toContain('E017');
+    expect((await verifier.admit('VOTE', { ...payload, prediction: { ...vote.prediction, TRUE: 0.7 } })).error).toContain('E017');
+    expect((await verifier.admit('VOTE', payload)).valid).toBe(true);
+
+    const rumor = { id: 'rumor_9', text: 'Exams moved', topic: 'academic', stakeAmount: 5 };
+    const post = { ...rumor, zkProof: { ...voteProof('14'), scope: scopeFor('RUMOR', rumor), message: messageFor('RUMOR', rumor) } };
+    expect((await verifier.admit('RUMOR', { ...post, text: 'Exams cancelled' })).error).toContain('E017');
+    expect((await verifier.admit('RUMOR', { ...post, topic: 'general' })).error).toContain('E017');
+    expect((await verifier.admit('RUMOR', post)).valid).toBe(true);
+  });
+
+  it('should refuse a post or vote with no rumor id to scope', async () => {
+    const zkProof = voteProof('12');
+    expect((await verifier.admit('VOTE', { zkProof })).error).toContain('E017');
+    expect((await verifier.admit('RUMOR', { zkProof })).error).toContain('E017');
+  });
+
+  it('should share the node nullifier store and read both proof field layouts', async () => {
+    const used = new Set(['s:9']);
+    const shared = new MembershipProofVerifier({
+      verifyProof,
+      isMemberRoot: () => true,
+      isNullifierUsed: (scope, n) => used.has(`${scope}:${n}`),
+      markNullifierUsed: (scope, n) => used.add(`${scope}:${n}`),
+    });
+    const legacy = { proof: 'p', merkleRoot: '0xroot', nullifierHash: '9', externalNullifier: 's' };
+
+    expect(proofFields(legacy)).toEqual({ nullifier: '9', root: '0xroot', scope: 's' });
+    expect((await shared.admit('DISPUTE', { zkProof: legacy })).error).toContain('E002');
+    expect((await shared.admit('DISPUTE', { zkProof: { ...legacy, nullifierHash: '10' } })).valid).toBe(true);
+    expect(used.has('s:10')).toBe(true);
+  });
+
+  it('should admit a tombstone only from the nullifier its rumor was posted with', async () => {
+    const author = new MembershipProofVerifier({
+      verifyProof,
+      isMemberRoot: () => true,
+      authorOf: rumorId => (rumorId === 'rumor_1' ? '42' : null),
+    });
+    const tombstone = (nullifier, rumorId = 'rumor_1') => ({
+      rumorId,
+      zkProof: {
+        ...voteProof(nullifier),
+        scope: scopeFor('TOMBSTONE', { rumorId }),
+        message: messageFor('TOMBSTONE', { rumorId }),
+      },
+    });
+
+    expect((await author.admit('TOMBSTONE', tombstone('7'))).error).toContain('E205');
+    expect((await author.admit('TOMBSTONE', tombstone('42', 'rumor_2'))).error).toContain('E204');
+    // The rumor's own post proof cannot be replayed as its tombstone
+    const replayed = tombstone('42');
+    replayed.zkProof.message = '0';
+    expect((await author.admit('TOMBSTONE', replayed)).error).toContain('E017');
+    expect(verifyProof).not.toHaveBeenCalled();
+
+    // Authorship is not spent: the post nullifier stays usable for it
+    expect((await author.admit('TOMBSTONE', tombstone('42'))).valid).toBe(true);
+    expect((await author.admit('TOMBSTONE', tombstone('42'))).valid).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TEST SUITE 6: Email Binding Registry
+// ═══════════════════════════════════════════════════════════════
+
+describe('EmailBindingRegistry', () => {
+  let bindings;
+
+  beforeEach(() => {
+    bindings = new EmailBindingRegistry({ secret: 'test-binding-secret' });
+  });
+
+  it('should allow one identity per email, ignoring case', () => {
+    const { key, domain } = bindings.bind('Student@SEECS.edu.pk');
+
+    expect(domain).toBe('seecs.edu.pk');
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(bindings.has('student@seecs.edu.pk')).toBe(true);
+    expect(() => bindings.bind('student@seecs.edu.pk')).toThrow('E602');
+  });
+
+  it('should key bindings with the secret and expose only counts', () => {
+    const other = new EmailBindingRegistry({ secret: 'another-secret' });
+    expect(bindings.keyFor('a@seecs.edu.pk')).not.toBe(other.keyFor('a@seecs.edu.pk'));
+
+    bindings.bind('a@seecs.edu.pk');
+    bindings.bind('b@student.nust.edu.pk');
+    const stats = bindings.getStats();
+
+    expect(stats).toEqual({ count: 2, byDomain: { 'seecs.edu.pk': 1, 'student.nust.edu.pk': 1 } });
+    expect(JSON.stringify(stats)).not.toContain('a@');
+    expect(() => bindings.setSecret('rotated')).toThrow('E601');
+  });
+
+  it('should migrate legacy email → commitment entries to hashed keys', () => {
+    const hashed = new EmailBindingRegistry({ secret: 'test-binding-secret' }).bind('old@seecs.edu.pk');
+    const { restored, migrated } = bindings.migrate([
+      { key: 'legacy@seecs.edu.pk', value: '123456789' },
+      { key: hashed.key, value: hashed.domain },
+    ]);
+
+    expect(restored).toBe(1);
+    expect(migrated).toEqual([{ from: 'legacy@seecs.edu.pk', key: bindings.keyFor('legacy@seecs.edu.pk'), domain: 'seecs.edu.pk' }]);
+    expect(bindings.has('legacy@seecs.edu.pk')).toBe(true);
+    expect(bindings.has('old@seecs.edu.pk')).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TEST SUITE 7: DKIM Key Resolver (offline, fixture keys)
+// ═══════════════════════════════════════════════════════════════
+
+describe('DkimKeyResolver', () => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const fixtureKey = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+  const name = 'fixture._domainkey.university.edu';
+
+  const UNSIGNED_EML = [
+    'Delivered-To: student123@university.edu',
+    'Received: from mx.university.edu by mail.university.edu',
+    '        for <student123@university.edu>; Thu, 06 Feb 2026 10:00:00 +0000',
+    'From: registrar@university.edu',
+    'To: student123@university.edu',
+    'Subject: Fee Deadline',
+    'Date: Thu, 06 Feb 2026 10:00:00 +0000',
+    'Message-ID: <fixture-001@university.edu>',
+    '',
+    'Fees are due on Friday.',
+    '',
+  ].join('\r\n');
+
+  let signedEml;
+
+  beforeAll(async () => {
+    const { signatures } = await dkimSign(UNSIGNED_EML, {
+      signatureData: [{
+        signingDomain: 'university.edu',
+        selector: 'fixture',
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      }],
+    });
+    signedEml = signatures + UNSIGNED_EML;
+  });
+
+  it('should verify real DKIM crypto offline against a preloaded key', async () => {
+    const keys = new DkimKeyResolver({ offline: true });
+    keys.preload('university.edu', 'fixture', fixtureKey);
+    const verifier = new EmailVerifier(['university.edu'], { resolver: keys.resolver });
+
+    const result = await verifier.verifyEmail(signedEml);
+    expect(result.dkimStatus).toBe('pass');
+    expect(result.deliveredTo).toBe('student123@university.edu');
+
+    const tampered = await verifier.extractDKIM(signedEml.replace('Fee Deadline', 'Exams Cancelled'));
+    expect(tampered.dkimStatus).toBe('fail');
+  });
+
+  it('should not pass offline without a cached key', async () => {
+    const verifier = new EmailVerifier(['university.edu'], {
+      resolver: new DkimKeyResolver({ offline: true }).resolver,
+    });
+    await expect(verifier.verifyEmail(signedEml)).rejects.toThrow('E008');
+  });
+
+  it('should cache DNS answers and fall back to a stale key when DNS fails', async () => {
+    const upstream = jest.fn(async () => [[`v=DKIM1; k=rsa; p=${fixtureKey}`]]);
+    const keys = new DkimKeyResolver({ cache: new DkimKeyCache({ ttl: 0 }), upstream });
+
+    await keys.resolve(name, 'TXT');
+    expect(keys.cache.get(name).source).toBe('dns');
+
+    upstream.mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ETIMEOUT' }));
+    await expect(keys.resolve(name, 'TXT')).resolves.toEqual([[`v=DKIM1; k=rsa; p=${fixtureKey}`]]);
+    expect(upstream).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep rotated-out keys and persist the cache to disk', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'afwaah-dkim-')), 'dkim-keys.json');
+    const keys = new DkimKeyResolver({ cache: new DkimKeyCache({ file }), offline: true });
+    const rotated = jest.fn();
+    keys.on('rotated', rotated);
+
+    keys.preload('university.edu', 'fixture', 'v=DKIM1; k=rsa; p=OLDKEY');
+    keys.preload('university.edu', 'fixture', fixtureKey);
+
+    expect(rotated).toHaveBeenCalledWith(expect.objectContaining({ name, previous: 'v=DKIM1; k=rsa; p=OLDKEY' }));
+
+    const reloaded = new DkimKeyCache({ file });
+    expect(reloaded.get(name).record).toBe(`v=DKIM1; k=rsa; p=${fixtureKey}`);
+    expect(reloaded.list()[0]).toMatchObject({ domain: 'university.edu', selector: 'fixture', rotations: 1 });
+    rmSync(dirname(file), { recursive: true, force: true });
+  });
+});
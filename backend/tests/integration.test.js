@@ -7,16 +7,36 @@
 //   3. TrustPropagator — graph construction, PPR, rumor trust
 //   4. AntiEntropySync — Merkle roots, diff, read-repair
 //   5. Integration — Full pipeline: join → post → vote → score → delete → rescore
+//   6. OpLogScorer — reputation as a pure function of the ordered OpLog
+//   7. FinalizationScheduler — voting windows close into FINALIZE ops
+//   8. TrustGraph — incremental trust graph and per-viewer rumor trust
+//   9. ModerationScheduler — flagged rumors into community tombstones and settlements
 // ─────────────────────────────────────────────────────────────
 
 import { Snapshotter } from '../src/state/snapshotter.js';
+import { decodeSnapshot, mergeCovered } from '../src/state/snapshot-codec.js';
+import { opKey, keyDigest, DIGEST_LENGTH } from '../src/state/op-key.js';
 import { TombstoneManager } from '../src/state/tombstone-manager.js';
+import { scopeFor, messageFor } from '../src/identity/membership-proof-verifier.js';
 import { TrustPropagator } from '../src/scoring/trust-propagator.js';
+import { TrustGraph } from '../src/scoring/trust-graph.js';
 import { AntiEntropySync } from '../src/network/anti-entropy.js';
 import { BTSEngine } from '../src/scoring/bts-engine.js';
 import { RBTSEngine } from '../src/scoring/rbts-engine.js';
 import { CorrelationDampener } from '../src/scoring/correlation-dampener.js';
 import { ReputationManager } from '../src/scoring/reputation-manager.js';
+import { OfficialResolver } from '../src/scoring/official-resolver.js';
+import { DisputeManager } from '../src/scoring/dispute-manager.js';
+import { OpLogScorer, reputationDigest } from '../src/scoring/oplog-scorer.js';
+import { FinalizationScheduler } from '../src/scoring/finalization-scheduler.js';
+import { ModerationScheduler } from '../src/scoring/moderation-scheduler.js';
+import { ClusterAnalytics } from '../src/scoring/cluster-analytics.js';
+import { OfficialVerifier } from '../src/identity/official-verifier.js';
+import { RevocationVerifier } from '../src/identity/revocation-verifier.js';
+import { AdmissionVerifier } from '../src/identity/admission-verifier.js';
+import { AccountVerifier } from '../src/identity/account-verifier.js';
+import { IdentityManager } from '../src/identity/identity-manager.js';
+import { PROTOCOL, SCORING } from '../src/config.js';
 
 // ═══════════════════════════════════════════════════════════════
 // Helpers
@@ -63,19 +83,79 @@ function makeJoinOp(nullifier) {
   };
 }
 
-function makeTombstoneOp(rumorId, authorNullifier, reason = 'author_requested') {
+// The fields of a tombstone proof the TombstoneManager links to its rumor
+function tombstoneProof(rumorId, nullifier) {
+  return {
+    nullifier,
+    scope: scopeFor('TOMBSTONE', { rumorId }),
+    message: messageFor('TOMBSTONE', { rumorId }),
+  };
+}
+
+function makeTombstoneOp(rumorId, authorNullifier, reason = 'retracted') {
   return {
     type: 'TOMBSTONE',
     payload: {
       rumorId,
-      authorNullifier,
       reason,
+      zkProof: tombstoneProof(rumorId, authorNullifier),
       timestamp: Date.now(),
     },
     timestamp: Date.now(),
   };
 }
 
+function makeOfficialOp(payload) {
+  return {
+    type: 'OFFICIAL_PROOF',
+    payload: { ...payload, timestamp: Date.now() },
+    timestamp: Date.now(),
+  };
+}
+
+function makeRevokeOp(payload) {
+  return {
+    type: 'REVOKE',
+    payload: { ...payload, timestamp: Date.now() },
+    timestamp: Date.now(),
+  };
+}
+
+function makeDisputeOp(rumorId, nullifier, stakeAmount = 3, reason = '') {
+  return {
+    type: 'DISPUTE',
+    payload: {
+      rumorId,
+      nullifier,
+      stakeAmount,
+      reason,
+      timestamp: Date.now(),
+    },
+    timestamp: Date.now(),
+  };
+}
+
+function makeFlagOp(rumorId, nullifier, stakeAmount = 4, category = 'doxxing') {
+  return {
+    type: 'FLAG',
+    payload: { rumorId, nullifier, category, stakeAmount, timestamp: Date.now() },
+    timestamp: Date.now(),
+  };
+}
+
+function makeAppealOp(rumorId, nullifier, stakeAmount = 5) {
+  return {
+    type: 'APPEAL',
+    payload: { rumorId, nullifier, stakeAmount, timestamp: Date.now() },
+    timestamp: Date.now(),
+  };
+}
+
+/** Date an op: peers read its time from the payload */
+function at(op, timestamp) {
+  return { ...op, payload: { ...op.payload, timestamp }, timestamp };
+}
+
 // ═══════════════════════════════════════════════════════════════
 // 1. SNAPSHOTTER TESTS
 // ═══════════════════════════════════════════════════════════════
@@ -109,6 +189,17 @@ describe('Snapshotter', () => {
     expect(snapper.getRumor('r1').text).toBe('Test rumor');
   });
 
+  test('emits an op event with the logged entry', () => {
+    const entries = [];
+    snapper.on('op', (entry) => entries.push(entry));
+    snapper.ingest(makeRumorOp('r1', 'Test rumor', 'nul1'));
+    snapper.ingest(makeVoteOp('r1', 'nul2', 'TRUE'));
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0].type).toBe('RUMOR');
+    expect(entries[1]._ingestIndex).toBe(1);
+  });
+
   test('ingests a vote operation', () => {
     snapper.ingest(makeRumorOp('r1', 'Rumor', 'nul1'));
     snapper.ingest(makeVoteOp('r1', 'voter1', 'TRUE'));
@@ -127,6 +218,35 @@ describe('Snapshotter', () => {
     expect(() => snapper.ingest(null)).toThrow('E100');
   });
 
+  test('rejects operations dated further ahead of its clock than the skew allows', () => {
+    const s = new Snapshotter({ clock: () => 10_000, maxClockSkew: 1000 });
+    s.ingest(at(makeRumorOp('r1', 'On time', 'nul1'), 11_000));
+
+    expect(() => s.ingest(at(makeRumorOp('r2', 'Too early', 'nul1'), 11_001))).toThrow('E108');
+    // The payload's time counts, whatever the wrapper says
+    const vote = at(makeVoteOp('r1', 'nul2', 'TRUE'), 20_000);
+    expect(() => s.ingest({ ...vote, timestamp: 1 })).toThrow('E108');
+    expect(s.getOpLog()).toHaveLength(1);
+  });
+
+  test('rejects rumors and votes with no timestamp', () => {
+    const undated = (op) => ({ type: op.type, payload: { ...op.payload, timestamp: undefined } });
+
+    expect(() => snapper.ingest(undated(makeRumorOp('r1', 'Whenever', 'nul1')))).toThrow('E109');
+    expect(() => snapper.ingest(undated(makeVoteOp('r1', 'nul2', 'TRUE')))).toThrow('E109');
+    expect(snapper.getOpLog()).toHaveLength(0);
+  });
+
+  test('tells whether an op is dated within the skew of its clock', () => {
+    const s = new Snapshotter({ clock: () => 10_000, maxClockSkew: 1000 });
+
+    expect(s.isDatedNow(at(makeVoteOp('r1', 'nul1', 'TRUE'), 9_000))).toBe(true);
+    expect(s.isDatedNow(at(makeVoteOp('r1', 'nul1', 'TRUE'), 11_000))).toBe(true);
+    expect(s.isDatedNow(at(makeVoteOp('r1', 'nul1', 'TRUE'), 8_999))).toBe(false);
+    expect(s.isDatedNow(at(makeVoteOp('r1', 'nul1', 'TRUE'), 11_001))).toBe(false);
+    expect(s.isDatedNow({ type: 'VOTE', payload: { rumorId: 'r1' } })).toBe(false);
+  });
+
   test('tracks operations since last snapshot', () => {
     snapper.ingest(makeRumorOp('r1', 'Test', 'nul1'));
     snapper.ingest(makeRumorOp('r2', 'Test2', 'nul2'));
@@ -277,6 +397,368 @@ describe('Snapshotter', () => {
     expect(opLog).toHaveLength(2);
   });
 
+  // ── Official proofs ────────────────────────────────────────
+
+  describe('official proofs', () => {
+    const registrar = new IdentityManager().create('snapshotter-registrar');
+    const verifier = new OfficialVerifier([
+      { name: 'Registrar', publicKey: registrar.publicKey.map(String) },
+    ]);
+    const sign = (rumorId, impact) => verifier.sign(registrar, {
+      rumorId, impact, statement: `Official word on ${rumorId}`, issuedAt: 1000,
+    });
+
+    test('materializes verified proofs on their rumor', () => {
+      const s = new Snapshotter({ officialVerifier: verifier });
+      s.ingest(makeRumorOp('r1', 'Library closes early', 'nul1'));
+      s.ingest(makeOfficialOp(sign('r1', 'CONFIRMS')));
+
+      const proofs = s.getOfficialProofs('r1');
+      expect(proofs).toHaveLength(1);
+      expect(proofs[0].impact).toBe('CONFIRMS');
+      expect(proofs[0].source).toBe('Registrar');
+      expect(s.rebuild().officialProofs).toBe(1);
+    });
+
+    test('rejects proofs that fail verification without logging them', () => {
+      const s = new Snapshotter({ officialVerifier: verifier });
+      const tampered = { ...sign('r1', 'CONFIRMS'), statement: 'Edited' };
+
+      expect(() => s.ingest(makeOfficialOp(tampered))).toThrow('E101');
+      expect(s.getOpLog()).toHaveLength(0);
+    });
+
+    test('tombstoning a rumor drops its proofs, also after rebuild', () => {
+      const s = new Snapshotter({ officialVerifier: verifier });
+      s.ingest(makeRumorOp('r1', 'Test', 'nul1'));
+      s.ingest(makeOfficialOp(sign('r1', 'CONTRADICTS')));
+      s.ingest(makeTombstoneOp('r1', 'nul1'));
+
+      expect(s.getOfficialProofs('r1')).toHaveLength(0);
+      s.rebuild();
+      expect(s.getOfficialProofs('r1')).toHaveLength(0);
+    });
+  });
+
+  // ── Revocations ────────────────────────────────────────────
+
+  describe('revocations', () => {
+    const registrar = new IdentityManager().create('snapshotter-revoker');
+    const revocationVerifier = new RevocationVerifier(new OfficialVerifier([
+      { name: 'Registrar', publicKey: registrar.publicKey.map(String) },
+    ]));
+    const revoke = (commitment, reason = 'expelled') => revocationVerifier.sign(registrar, {
+      commitment, reason, justification: `Disciplinary ruling on ${commitment}`, revokedAt: 1000,
+    });
+
+    test('records the first verified revocation per commitment, also after rebuild', () => {
+      const s = new Snapshotter({ revocationVerifier });
+      s.ingest(makeRevokeOp(revoke('123')));
+      s.ingest(makeRevokeOp(revoke('123', 'abuse')));
+
+      expect(s.isRevoked('123')).toBe(true);
+      expect(s.isRevoked(123n)).toBe(true);
+      expect(s.getRevocations()).toHaveLength(1);
+      expect(s.getRevocations()[0]).toMatchObject({ reason: 'expelled', source: 'Registrar' });
+
+      const snap = s.rebuild();
+      expect(snap.revocations).toBe(1);
+      expect(s.getRevocations()[0].reason).toBe('expelled');
+    });
+
+    test('rejects unsigned or tampered revocations without logging them', () => {
+      const s = new Snapshotter({ revocationVerifier });
+      const tampered = { ...revoke('123'), commitment: '456' };
+
+      expect(() => s.ingest(makeRevokeOp(tampered))).toThrow('E102');
+      expect(s.getOpLog()).toHaveLength(0);
+      expect(s.isRevoked('456')).toBe(false);
+    });
+  });
+
+  // ── Admissions ─────────────────────────────────────────────
+
+  describe('admissions', () => {
+    const registrar = new IdentityManager().create('snapshotter-registrar');
+    const admissionVerifier = new AdmissionVerifier(
+      [{ name: 'Registrar node', publicKey: registrar.publicKey.map(String) }],
+      { allowedDomains: ['seecs.edu.pk'] },
+    );
+    const admit = (commitment) => ({
+      type: 'JOIN',
+      payload: {
+        ...admissionVerifier.sign(registrar, { commitment, domain: 'seecs.edu.pk', admittedAt: 1000 }),
+        nullifier: `user_${commitment}`,
+        timestamp: 1000,
+      },
+      timestamp: 1000,
+    });
+
+    test('logs signed JOINs and registers their reputation', () => {
+      const s = new Snapshotter({ admissionVerifier });
+      s.ingest(admit('123'));
+
+      expect(s.getOpLog()).toHaveLength(1);
+      expect(s.getReputation('user_123')).toBe(10);
+    });
+
+    test('rejects unsigned or re-targeted JOINs without logging them', () => {
+      const s = new Snapshotter({ admissionVerifier });
+      const retargeted = admit('123');
+      retargeted.payload.commitment = '456';
+
+      expect(() => s.ingest(makeJoinOp('user_789'))).toThrow('E105');
+      expect(() => s.ingest(retargeted)).toThrow('E105');
+      expect(s.getOpLog()).toHaveLength(0);
+    });
+  });
+
+  // ── Account ops ────────────────────────────────────────────
+
+  describe('account ops', () => {
+    const member = new IdentityManager().create('snapshotter-flagger');
+    const accountVerifier = new AccountVerifier();
+
+    test('logs flags signed by their account owner and rejects the rest', () => {
+      const s = new Snapshotter({ accountVerifier });
+      const signed = accountVerifier.sign(member, 'FLAG', {
+        rumorId: 'r1', category: 'doxxing', stakeAmount: 4, reason: '', timestamp: 1000,
+      });
+      s.ingest({ type: 'FLAG', payload: signed, timestamp: 1000 });
+
+      expect(() => s.ingest(makeFlagOp('r1', signed.nullifier))).toThrow('E107');
+      expect(() => s.ingest({
+        type: 'APPEAL', payload: { ...signed, stakeAmount: 4 }, timestamp: 1000,
+      })).toThrow('E107');
+      expect(s.getOpLog()).toHaveLength(1);
+    });
+
+    test('logs disputes only with the disputer account\'s signature', () => {
+      const s = new Snapshotter({ accountVerifier });
+      const signed = accountVerifier.sign(member, 'DISPUTE', {
+        rumorId: 'r1', stakeAmount: 3, reason: 'brigaded', timestamp: 2000,
+      });
+
+      expect(() => s.ingest({ type: 'DISPUTE', payload: { ...signed, nullifier: 'user_000000000000' } })).toThrow('E107');
+      s.ingest({ type: 'DISPUTE', payload: signed, timestamp: 2000 });
+      expect(s.getDisputes('r1').map(d => d.nullifier)).toEqual([signed.nullifier]);
+    });
+  });
+
+  // ── Tombstone authorship ───────────────────────────────────
+
+  describe('tombstones', () => {
+    // Posted with a ZK proof whose nullifier is 'post-nul'
+    const provedRumor = (id) => {
+      const op = makeRumorOp(id, 'Library closes early', 'zk_post');
+      op.payload.zkProof = { nullifier: 'post-nul', scope: scopeFor('RUMOR', { id }) };
+      return op;
+    };
+
+    test('records the post proof nullifier on the rumor', () => {
+      const s = new Snapshotter();
+      s.ingest(provedRumor('r1'));
+      s.ingest(makeRumorOp('r2', 'Exams postponed', 'poster'));
+
+      expect(s.getRumor('r1').proofNullifier).toBe('post-nul');
+      expect(s.getRumor('r2')).not.toHaveProperty('proofNullifier');
+    });
+
+    test('accepts only tombstones proved with the author\'s nullifier', () => {
+      const s = new Snapshotter({ tombstoneManager: new TombstoneManager() });
+      s.ingest(provedRumor('r1'));
+      s.ingest(makeRumorOp('r2', 'Exams postponed', 'poster'));
+
+      expect(() => s.ingest(makeTombstoneOp('r1', 'other-nul'))).toThrow('E106: Rejected tombstone — E205');
+      expect(() => s.ingest(makeTombstoneOp('r1', 'post-nul', 'author_requested'))).toThrow('E206');
+      // A rumor posted without a proof has no author to prove
+      expect(() => s.ingest(makeTombstoneOp('r2', 'poster'))).toThrow('E204');
+      expect(s.isTombstoned('r1')).toBe(false);
+
+      s.ingest(makeTombstoneOp('r1', 'post-nul'));
+      expect(s.isTombstoned('r1')).toBe(true);
+      expect(() => s.ingest(makeTombstoneOp('r1', 'post-nul'))).toThrow('E203');
+    });
+
+    test('accepts a community tombstone only for a flagged rumor', () => {
+      const flagged = new Set();
+      const s = new Snapshotter({ tombstoneManager: new TombstoneManager({ isFlagged: id => flagged.has(id) }) });
+      s.ingest(makeRumorOp('r1', 'Exams postponed', 'poster'));
+      const community = { type: 'TOMBSTONE', payload: { rumorId: 'r1', reason: 'community_flagged', timestamp: 5000 }, timestamp: 5000 };
+
+      expect(() => s.ingest(community)).toThrow('E106: Rejected tombstone — E208');
+      flagged.add('r1');
+      s.ingest(community);
+      expect(s.isTombstoned('r1')).toBe(true);
+    });
+  });
+
+  // ── Checkpoints & CIDs ─────────────────────────────────────
+
+  describe('checkpoints', () => {
+    const ops = [
+      makeRumorOp('r1', 'Library closes early', 'poster'),
+      makeRumorOp('r2', 'Exams postponed', 'poster'),
+      makeVoteOp('r1', 'v1', 'TRUE'),
+      makeVoteOp('r2', 'v2', 'FALSE'),
+      makeJoinOp('u1'),
+    ];
+    const later = [makeVoteOp('r1', 'v3', 'FALSE'), makeRumorOp('r3', 'New cafe', 'poster'), makeTombstoneOp('r3', 'poster')];
+
+    test('rebuild replays only ops after the last checkpoint', () => {
+      const s = new Snapshotter({ snapshotInterval: 100 });
+      s.ingestBatch(ops);
+      const first = s.rebuild();
+      expect(first.replayedOps).toBe(5);
+      expect(first.cid).toMatch(/^bagaaiera/);
+
+      s.ingestBatch(later);
+      const second = s.rebuild();
+      expect(second.replayedOps).toBe(3);
+      expect(second.opLogLength).toBe(8);
+      expect(second.cid).not.toBe(first.cid);
+      expect(s.getVotesForRumor('r1')).toHaveLength(2);
+      expect(s.getRumor('r3')).toBeNull();
+
+      // A full walk of the same log yields the same state, and so the same CID
+      const fresh = new Snapshotter({ snapshotInterval: 100 });
+      fresh.import({ opLog: s.getOpLog() });
+      expect(fresh.getCheckpoint().cid).toBe(second.cid);
+    });
+
+    test('the CID does not depend on the order independent ops arrived in', () => {
+      const a = new Snapshotter({ snapshotInterval: 100 });
+      const b = new Snapshotter({ snapshotInterval: 100 });
+      a.ingestBatch(ops);
+      b.ingestBatch([...ops].reverse());
+
+      expect(a.rebuild().cid).toBe(b.rebuild().cid);
+    });
+
+    test('a new node bootstraps from a checkpoint and drops ops it covers', () => {
+      const source = new Snapshotter({ snapshotInterval: 100 });
+      source.ingestBatch(ops);
+      source.rebuild();
+      const { cid, bytes } = source.getCheckpoint();
+
+      const node = new Snapshotter({ snapshotInterval: 100 });
+      const snap = node.loadCheckpoint(bytes, cid);
+      expect(snap.opLogLength).toBe(5);
+      expect(snap.replayedOps).toBe(0);
+      expect(node.getActiveRumors()).toEqual(source.getActiveRumors());
+      expect(node.getBootstrapDigests()).toHaveLength(5);
+
+      expect(node.ingest(ops[2])).toBeNull();
+      expect(node.getOpLog()).toHaveLength(0);
+
+      node.ingest(later[0]);
+      expect(node.rebuild().replayedOps).toBe(1);
+      expect(node.getVotesForRumor('r1')).toHaveLength(2);
+    });
+
+    test('names each covered op once, by its key digest', () => {
+      const s = new Snapshotter({ snapshotInterval: 100 });
+      s.ingestBatch(ops);
+      s.rebuild();
+      s.ingestBatch(later);
+      s.rebuild();
+
+      const { covered } = decodeSnapshot(s.getCheckpoint().bytes);
+      expect(covered).toHaveLength(8 * DIGEST_LENGTH);
+      expect(covered).toBe(mergeCovered('', s.getOpLog().map(op => keyDigest(opKey(op)))));
+      expect(new TextDecoder().decode(s.getCheckpoint().bytes)).not.toContain('VOTE:r1');
+    });
+
+    test('merges digests in order and drops duplicates', () => {
+      const [a, b, c] = ['a', 'b', 'c'].map(ch => ch.repeat(DIGEST_LENGTH));
+      expect(mergeCovered(a + c, [c, b, b])).toBe(a + b + c);
+      expect(mergeCovered('', [])).toBe('');
+    });
+
+    test('loads a version 1 snapshot that lists op keys', () => {
+      const source = new Snapshotter({ snapshotInterval: 100 });
+      source.ingestBatch(ops);
+      source.rebuild();
+      const { covered: _covered, ...current } = JSON.parse(new TextDecoder().decode(source.getCheckpoint().bytes));
+      const v1 = JSON.stringify({ ...current, version: 1, opKeys: ops.map(opKey).sort() });
+
+      const node = new Snapshotter({ snapshotInterval: 100 });
+      node.loadCheckpoint(v1);
+      expect(node.getActiveRumors()).toEqual(source.getActiveRumors());
+      expect(node.getBootstrapDigests()).toHaveLength(5);
+      expect(node.ingest(ops[2])).toBeNull();
+    });
+
+    test('rejects a snapshot that does not match its CID', () => {
+      const source = new Snapshotter({ snapshotInterval: 100 });
+      source.ingestBatch(ops);
+      source.rebuild();
+      const { cid, bytes } = source.getCheckpoint();
+      const tampered = new TextDecoder().decode(bytes).replace('Library closes early', 'Library open all night');
+
+      expect(() => new Snapshotter().loadCheckpoint(tampered, cid)).toThrow('E103');
+    });
+
+    test('export/import carries the checkpoint', () => {
+      const source = new Snapshotter({ snapshotInterval: 100 });
+      source.ingestBatch(ops);
+      source.rebuild();
+      source.ingest(later[0]);
+
+      const copy = new Snapshotter({ snapshotInterval: 100 });
+      copy.import(source.export());
+      expect(copy.getLastSnapshot().replayedOps).toBe(1);
+      expect(copy.getVotesForRumor('r1')).toHaveLength(2);
+    });
+  });
+
+  test('indexes cross-rumor vote history per voter', () => {
+    snapper.ingest(makeRumorOp('r1', 'One', 'poster'));
+    snapper.ingest(makeRumorOp('r2', 'Two', 'poster'));
+    snapper.ingest(makeVoteOp('r1', 'v1', 'TRUE'));
+    snapper.ingest(makeVoteOp('r2', 'v1', 'FALSE'));
+    snapper.ingest(makeVoteOp('r1', 'v2', 'UNVERIFIED'));
+
+    const history = snapper.getVoteHistory(['v1', 'v2', 'nobody']);
+    expect(history.get('v1')).toEqual([{ rumorId: 'r1', vote: 'TRUE' }, { rumorId: 'r2', vote: 'FALSE' }]);
+    expect(history.get('v2')).toEqual([{ rumorId: 'r1', vote: 'UNVERIFIED' }]);
+    expect(history.has('nobody')).toBe(false);
+
+    // Incremental index matches a full rebuild
+    const incremental = snapper.getVoteHistory();
+    snapper.rebuild();
+    expect(snapper.getVoteHistory()).toEqual(incremental);
+  });
+
+  test('tombstoning a rumor removes it from vote history, also after rebuild', () => {
+    snapper.ingest(makeRumorOp('r1', 'One', 'poster'));
+    snapper.ingest(makeRumorOp('r2', 'Two', 'poster'));
+    snapper.ingest(makeVoteOp('r1', 'v1', 'TRUE'));
+    snapper.ingest(makeVoteOp('r2', 'v1', 'FALSE'));
+    snapper.ingest(makeVoteOp('r2', 'v2', 'TRUE'));
+    snapper.ingest(makeTombstoneOp('r2', 'poster'));
+
+    expect(snapper.getVoteHistory().get('v1')).toEqual([{ rumorId: 'r1', vote: 'TRUE' }]);
+    expect(snapper.getVoteHistory().has('v2')).toBe(false);
+
+    snapper.rebuild();
+    expect(snapper.getVoteHistory().get('v1')).toEqual([{ rumorId: 'r1', vote: 'TRUE' }]);
+    expect(snapper.getVoteHistory().has('v2')).toBe(false);
+  });
+
+  test('materializes disputes and drops them with a tombstoned rumor', () => {
+    snapper.ingest(makeRumorOp('r1', 'Test', 'nul1'));
+    snapper.ingest(makeDisputeOp('r1', 'critic', 4, 'brigaded'));
+
+    expect(snapper.getDisputes('r1')).toHaveLength(1);
+    expect(snapper.getDisputes('r1')[0]).toMatchObject({ nullifier: 'critic', stakeAmount: 4, reason: 'brigaded' });
+    expect(snapper.rebuild().disputes).toBe(1);
+
+    snapper.ingest(makeTombstoneOp('r1', 'nul1'));
+    expect(snapper.getDisputes('r1')).toHaveLength(0);
+    expect(snapper.rebuild().disputes).toBe(0);
+  });
+
   test('setReputation updates and clamps score', () => {
     snapper.ingest(makeJoinOp('u1'));
     snapper.setReputation('u1', 500);
@@ -319,13 +801,13 @@ describe('TombstoneManager', () => {
     tm.registerRumor('r1', 'author1');
     const ts = tm.createTombstone({
       rumorId: 'r1',
-      authorNullifier: 'author1',
-      reason: 'mistake',
+      reason: 'duplicate',
+      zkProof: tombstoneProof('r1', 'author1'),
     });
 
     expect(ts.type).toBe('TOMBSTONE');
     expect(ts.payload.rumorId).toBe('r1');
-    expect(ts.payload.reason).toBe('mistake');
+    expect(ts.payload.reason).toBe('duplicate');
     expect(tm.isTombstoned('r1')).toBe(true);
   });
 
@@ -333,39 +815,80 @@ describe('TombstoneManager', () => {
     tm.registerRumor('r1', 'author1');
     expect(() => tm.createTombstone({
       rumorId: 'r1',
-      authorNullifier: 'someone_else',
+      zkProof: tombstoneProof('r1', 'someone_else'),
     })).toThrow('E205');
   });
 
   test('rejects tombstone for already tombstoned rumor', () => {
     tm.registerRumor('r1', 'author1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'author1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'author1') });
 
     expect(() => tm.createTombstone({
       rumorId: 'r1',
-      authorNullifier: 'author1',
+      zkProof: tombstoneProof('r1', 'author1'),
     })).toThrow('E203');
   });
 
   test('rejects tombstone for unknown rumor', () => {
     expect(() => tm.createTombstone({
       rumorId: 'unknown',
-      authorNullifier: 'a',
+      zkProof: tombstoneProof('unknown', 'a'),
     })).toThrow('E204');
   });
 
   test('rejects tombstone without rumorId', () => {
     expect(() => tm.createTombstone({
-      authorNullifier: 'a',
+      zkProof: tombstoneProof('r1', 'a'),
     })).toThrow('E201');
   });
 
-  test('rejects tombstone without authorNullifier', () => {
+  test('rejects tombstone without a proof of authorship', () => {
+    tm.registerRumor('r1', 'author1');
     expect(() => tm.createTombstone({
       rumorId: 'r1',
     })).toThrow('E202');
   });
 
+  test('rejects a reason outside the protocol list', () => {
+    tm.registerRumor('r1', 'author1');
+    expect(() => tm.createTombstone({
+      rumorId: 'r1',
+      reason: 'author_requested',
+      zkProof: tombstoneProof('r1', 'author1'),
+    })).toThrow('E206');
+  });
+
+  test('rejects a proof not bound to the rumor\'s tombstone', () => {
+    tm.registerRumor('r1', 'author1');
+    // The post proof itself: right scope and nullifier, wrong message
+    const postProof = { ...tombstoneProof('r1', 'author1'), message: 'r1' };
+    expect(() => tm.createTombstone({ rumorId: 'r1', zkProof: postProof })).toThrow('E207');
+    // Another rumor's scope
+    expect(() => tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r2', 'author1') })).toThrow('E207');
+    expect(tm.isTombstoned('r1')).toBe(false);
+  });
+
+  test('looks authors up through authorOf when given', () => {
+    const authors = new Map([['r1', 'author1']]);
+    const tm2 = new TombstoneManager({ authorOf: id => authors.get(id) ?? null });
+
+    expect(() => tm2.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'intruder') })).toThrow('E205');
+    const ts = tm2.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'author1') });
+    expect(ts.payload.reason).toBe('retracted');
+    expect(tm2.isTombstoned('r1')).toBe(true);
+  });
+
+  test('a community_flagged tombstone needs no proof, only a flagged rumor', () => {
+    const flagged = new Set();
+    const tm2 = new TombstoneManager({ isFlagged: id => flagged.has(id) });
+    tm2.registerRumor('r1', 'author1');
+
+    expect(tm2.verify({ rumorId: 'r1', reason: 'community_flagged' }, 'author1')).toMatch(/^E208/);
+    flagged.add('r1');
+    expect(tm2.verify({ rumorId: 'r1', reason: 'community_flagged' }, null)).toBeNull();
+    expect(() => tm2.createTombstone({ rumorId: 'r1', reason: 'retracted', zkProof: tombstoneProof('r1', 'intruder') })).toThrow('E205');
+  });
+
   // ── Vote Validation ────────────────────────────────────────
 
   test('validates vote on active rumor', () => {
@@ -375,7 +898,7 @@ describe('TombstoneManager', () => {
 
   test('rejects vote on tombstoned rumor', () => {
     tm.registerRumor('r1', 'author1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'author1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'author1') });
 
     const result = tm.validateVote('r1');
     expect(result.valid).toBe(false);
@@ -387,7 +910,7 @@ describe('TombstoneManager', () => {
   test('filterActive removes tombstoned rumors', () => {
     tm.registerRumor('r1', 'a1');
     tm.registerRumor('r2', 'a2');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'a1') });
 
     const rumors = [{ id: 'r1' }, { id: 'r2' }, { id: 'r3' }];
     const active = tm.filterActive(rumors);
@@ -397,7 +920,7 @@ describe('TombstoneManager', () => {
 
   test('filterActiveVotes removes votes for tombstoned rumors', () => {
     tm.registerRumor('r1', 'a1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'a1') });
 
     const voteMap = new Map([
       ['r1', [{ nullifier: 'v1' }]],
@@ -414,18 +937,18 @@ describe('TombstoneManager', () => {
 
   test('getTombstone returns metadata', () => {
     tm.registerRumor('r1', 'a1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1', reason: 'test' });
+    tm.createTombstone({ rumorId: 'r1', reason: 'duplicate', zkProof: tombstoneProof('r1', 'a1') });
 
     const meta = tm.getTombstone('r1');
     expect(meta).toBeTruthy();
-    expect(meta.reason).toBe('test');
+    expect(meta.reason).toBe('duplicate');
   });
 
   test('getTombstonedIds returns all tombstoned IDs', () => {
     tm.registerRumor('r1', 'a1');
     tm.registerRumor('r2', 'a2');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1' });
-    tm.createTombstone({ rumorId: 'r2', authorNullifier: 'a2' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'a1') });
+    tm.createTombstone({ rumorId: 'r2', zkProof: tombstoneProof('r2', 'a2') });
 
     const ids = tm.getTombstonedIds();
     expect(ids.size).toBe(2);
@@ -436,7 +959,7 @@ describe('TombstoneManager', () => {
   test('tombstoneCount tracks correctly', () => {
     expect(tm.tombstoneCount).toBe(0);
     tm.registerRumor('r1', 'a1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'a1') });
     expect(tm.tombstoneCount).toBe(1);
   });
 
@@ -447,7 +970,7 @@ describe('TombstoneManager', () => {
     tm.on('tombstone', t => events.push(t));
 
     tm.registerRumor('r1', 'a1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'a1') });
 
     expect(events).toHaveLength(1);
     expect(events[0].payload.rumorId).toBe('r1');
@@ -457,7 +980,7 @@ describe('TombstoneManager', () => {
 
   test('export and import preserves tombstones', () => {
     tm.registerRumor('r1', 'a1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'a1') });
 
     const exported = tm.export();
 
@@ -470,7 +993,7 @@ describe('TombstoneManager', () => {
 
   test('clear resets all state', () => {
     tm.registerRumor('r1', 'a1');
-    tm.createTombstone({ rumorId: 'r1', authorNullifier: 'a1' });
+    tm.createTombstone({ rumorId: 'r1', zkProof: tombstoneProof('r1', 'a1') });
     tm.clear();
 
     expect(tm.tombstoneCount).toBe(0);
@@ -1090,8 +1613,8 @@ describe('Integration: Full Pipeline', () => {
     // ── 8. Alice deletes her rumor ───────────────────────────
     const tombstone = tombstoneManager.createTombstone({
       rumorId: 'rumor1',
-      authorNullifier: 'alice',
-      reason: 'false_alarm',
+      reason: 'retracted',
+      zkProof: tombstoneProof('rumor1', 'alice'),
     });
     expect(tombstone.type).toBe('TOMBSTONE');
 
@@ -1290,7 +1813,7 @@ describe('Integration: Full Pipeline', () => {
 
     // Tombstone rumor_x → scores should freeze (no reversal without re-computation)
     tombstoneManager.registerRumor('rumor_x', 'poster');
-    tombstoneManager.createTombstone({ rumorId: 'rumor_x', authorNullifier: 'poster', reason: 'retracted' });
+    tombstoneManager.createTombstone({ rumorId: 'rumor_x', zkProof: tombstoneProof('rumor_x', 'poster'), reason: 'retracted' });
 
     snapshotter.ingest(makeRumorOp('rumor_x', 'test', 'poster'));
     for (const v of votes) {
@@ -1310,6 +1833,116 @@ describe('Integration: Full Pipeline', () => {
     }
   });
 
+  test('official proof resolves a rumor and slashes the wrong side', () => {
+    const registrar = new IdentityManager().create('pipeline-registrar');
+    const verifier = new OfficialVerifier([
+      { name: 'Registrar', publicKey: registrar.publicKey.map(String) },
+    ]);
+    const resolver = new OfficialResolver();
+    snapshotter = new Snapshotter({ snapshotInterval: 50, officialVerifier: verifier });
+
+    for (const u of ['alice', 'bob', 'carol', 'dan']) reputationManager.register(u);
+    snapshotter.ingest(makeRumorOp('exam', 'Finals moved online', 'alice'));
+    snapshotter.ingest(makeVoteOp('exam', 'bob', 'TRUE'));
+    snapshotter.ingest(makeVoteOp('exam', 'carol', 'FALSE'));
+    snapshotter.ingest(makeVoteOp('exam', 'dan', 'UNVERIFIED'));
+
+    // Crowd alone cannot resolve yet — no proof attached
+    expect(resolver.resolve(snapshotter.getVotesForRumor('exam'), snapshotter.getOfficialProofs('exam'))).toBeNull();
+
+    snapshotter.ingest(makeOfficialOp(verifier.sign(registrar, {
+      rumorId: 'exam', impact: 'CONFIRMS', statement: 'Finals will be held online.',
+    })));
+
+    const result = resolver.resolve(
+      snapshotter.getVotesForRumor('exam'),
+      snapshotter.getOfficialProofs('exam'),
+    );
+    expect(result.consensus).toBe('TRUE');
+    expect(result.proof.source).toBe('Registrar');
+
+    reputationManager.applyScores(result, 'exam');
+    expect(reputationManager.getScore('bob')).toBeGreaterThan(10);
+    expect(reputationManager.getScore('carol')).toBeLessThan(10);
+    expect(reputationManager.getScore('dan')).toBe(10);
+  });
+
+  test('vote history from the OpLog lets the dampener catch a bot cluster', () => {
+    const bots = ['bot1', 'bot2', 'bot3', 'bot4'];
+    const humans = ['h1', 'h2'];
+    const pattern = ['TRUE', 'FALSE', 'TRUE', 'TRUE'];
+
+    // Bots vote in lockstep on earlier rumors; humans disagree among themselves
+    pattern.forEach((vote, i) => {
+      const rumorId = `past${i}`;
+      snapshotter.ingest(makeRumorOp(rumorId, `Past rumor ${i}`, 'poster'));
+      for (const b of bots) snapshotter.ingest(makeVoteOp(rumorId, b, vote));
+      snapshotter.ingest(makeVoteOp(rumorId, 'h1', i % 2 ? 'TRUE' : 'FALSE'));
+      snapshotter.ingest(makeVoteOp(rumorId, 'h2', i < 2 ? 'TRUE' : 'UNVERIFIED'));
+    });
+
+    snapshotter.ingest(makeRumorOp('target', 'Hostel fees doubling', 'poster'));
+    for (const b of bots) snapshotter.ingest(makeVoteOp('target', b, 'TRUE'));
+    for (const h of humans) snapshotter.ingest(makeVoteOp('target', h, 'FALSE'));
+
+    const votes = snapshotter.getVotesForRumor('target');
+    const history = snapshotter.getVoteHistory(votes.map(v => v.nullifier));
+
+    // Without history every vote counts fully
+    expect(correlationDampener.dampen(votes, new Map()).every(d => d.weight === 1)).toBe(true);
+
+    const dampened = correlationDampener.dampen(votes, history);
+    const botWeight = dampened
+      .filter(d => bots.includes(d.vote.nullifier))
+      .reduce((sum, d) => sum + d.weight, 0);
+    expect(botWeight).toBeLessThan(1);
+
+    const clusters = correlationDampener.getClusters(votes, history);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].members.sort()).toEqual(bots);
+  });
+
+  test('dispute reopens voting and a flipped re-run rewards the disputer', () => {
+    const disputes = new DisputeManager(reputationManager, { window: 1000 });
+    const scoreRumor = (rumorId) => {
+      const dampened = correlationDampener.dampen(snapshotter.getVotesForRumor(rumorId), new Map());
+      return rbtsEngine.calculate(dampened, rumorId, 0);
+    };
+
+    const early = ['a1', 'a2', 'a3'];
+    const late = ['b1', 'b2', 'b3', 'b4', 'b5'];
+    for (const u of [...early, ...late, 'critic']) reputationManager.register(u);
+
+    // ── 1. A small early crowd finalizes TRUE ────────────────
+    snapshotter.ingest(makeRumorOp('gym', 'Gym closing for a month', 'poster'));
+    for (const u of early) {
+      snapshotter.ingest(makeVoteOp('gym', u, 'TRUE', { TRUE: 0.7, FALSE: 0.2, UNVERIFIED: 0.1 }));
+    }
+    const first = scoreRumor('gym');
+    let finalized = { rumorId: 'gym', score: first.rumorTrustScore, consensus: first.consensus, resolvedBy: 'crowd' };
+    expect(finalized.consensus).toBe('TRUE');
+
+    // ── 2. A member stakes reputation to dispute it ──────────
+    const op = makeDisputeOp('gym', 'critic', 4, 'Only the pool is closing');
+    snapshotter.ingest(op);
+    finalized = disputes.open(finalized, op.payload, 0);
+    expect(disputes.isOpen(finalized, 500)).toBe(true);
+
+    // ── 3. The reopened window brings in more voters ─────────
+    for (const u of late) {
+      snapshotter.ingest(makeVoteOp('gym', u, 'FALSE', { TRUE: 0.3, FALSE: 0.6, UNVERIFIED: 0.1 }));
+    }
+
+    // ── 4. Settle against the re-run ─────────────────────────
+    const rerun = scoreRumor('gym');
+    const settled = disputes.settle(finalized, rerun, { now: 1000, voterCount: 8 });
+
+    expect(settled.upheld).toBe(true);
+    expect(settled.finalized.consensus).toBe('FALSE');
+    expect(reputationManager.getScore('critic')).toBeGreaterThan(10);
+    expect(reputationManager.getUser('critic').stakes.size).toBe(0);
+  });
+
   test('snapshotter + tombstone manager work together on multi-rumor scenario', () => {
     // Post 3 rumors, tombstone 1, verify state
     snapshotter.ingest(makeJoinOp('poster'));
@@ -1327,7 +1960,7 @@ describe('Integration: Full Pipeline', () => {
     snapshotter.ingest(makeVoteOp('r3', 'v3', 'TRUE'));
 
     // Tombstone r2
-    tombstoneManager.createTombstone({ rumorId: 'r2', authorNullifier: 'poster' });
+    tombstoneManager.createTombstone({ rumorId: 'r2', zkProof: tombstoneProof('r2', 'poster') });
     snapshotter.ingest(makeTombstoneOp('r2', 'poster'));
 
     // Verify
@@ -1344,3 +1977,450 @@ describe('Integration: Full Pipeline', () => {
     expect(active).toHaveLength(2);
   });
 });
+
+// ═══════════════════════════════════════════════════════════════
+// 6. OPLOG SCORER TESTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('OpLogScorer', () => {
+  const voters = ['v1', 'v2', 'v3', 'v4', 'v5'];
+  const finalizeOp = (rumorId, round, timestamp) => ({ type: 'FINALIZE', payload: { rumorId, round }, timestamp });
+  const CLOSE = 2000 + PROTOCOL.RUMOR_TOPICS.general.votingWindow;   // r1's voting window closes
+
+  function ops() {
+    return [
+      ...['author', ...voters].map((u, i) => at(makeJoinOp(u), 1000 + i)),
+      at({ ...makeRumorOp('r1', 'Library closes early', 'author'), payload: { id: 'r1', text: 'x', nullifier: 'author', stakeAmount: 5 } }, 2000),
+      ...voters.map((u, i) => at(makeVoteOp('r1', u, i < 4 ? 'TRUE' : 'FALSE', { TRUE: 0.6, FALSE: 0.3, UNVERIFIED: 0.1 }), 3000 + i)),
+    ];
+  }
+
+  function score(opLog) {
+    const snapshotter = new Snapshotter({ snapshotInterval: 100 });
+    const scorer = new OpLogScorer({ snapshotter, reputationManager: new ReputationManager() });
+    for (const op of opLog) snapshotter.ingest(op);
+    return scorer;
+  }
+
+  test('locks stakes on posts and votes and settles them on FINALIZE', () => {
+    const scorer = score(ops());
+    expect(scorer.reputation.getUser('author').stakes.get('post:r1').amount).toBe(5);
+    expect(scorer.reputation.getUser('v1').stakes.get('r1').amount).toBe(1);
+
+    scorer.snapshotter.ingest(finalizeOp('r1', 0, CLOSE));
+
+    const record = scorer.finalizedScores.get('r1');
+    expect(record).toMatchObject({ resolvedBy: 'crowd', finalizedAt: CLOSE, voterCount: 5 });
+    expect(scorer.reputation.getUser('v1').stakes.size).toBe(0);
+    expect(scorer.reputation.getUser('author').stakes.size).toBe(0);
+    expect(scorer.reputation.getUser('v1').history.every(h => h.timestamp <= CLOSE)).toBe(true);
+  });
+
+  test('replaying the same OpLog reproduces the reputation bit for bit', () => {
+    const scorer = score([...ops(), finalizeOp('r1', 0, CLOSE), { type: 'EPOCH', payload: { epoch: 1 }, timestamp: 1 }]);
+    const replayed = OpLogScorer.replay(scorer.snapshotter.getOpLog());
+
+    expect(replayed.reputation.export()).toEqual(scorer.reputation.export());
+    expect(reputationDigest(replayed.reputation)).toBe(reputationDigest(scorer.reputation));
+    expect(replayed.finalizedScores.get('r1')).toEqual(scorer.finalizedScores.get('r1'));
+  });
+
+  test('scores the same votes the same way whatever order they arrived in', () => {
+    const forward = score([...ops(), finalizeOp('r1', 0, CLOSE)]);
+    const log = ops();
+    const reversed = score([...log.slice(0, 7), ...log.slice(7).reverse(), finalizeOp('r1', 0, CLOSE)]);
+
+    for (const u of voters) {
+      expect(reversed.reputation.getScore(u)).toBe(forward.reputation.getScore(u));
+    }
+  });
+
+  test('does not weigh anonymous votes by a stake no peer can check', () => {
+    const finalScore = (stakeOf) => score([
+      at(makeRumorOp('r1', 'Library closes early', 'zk_author'), 2000),
+      ...voters.map((u, i) => {
+        const vote = at(makeVoteOp('r1', `zk_${u}`, i < 2 ? 'TRUE' : 'FALSE'), 3000 + i);
+        vote.payload.stakeAmount = stakeOf(i);
+        return vote;
+      }),
+      finalizeOp('r1', 0, CLOSE),
+    ]).finalizedScores.get('r1').score;
+
+    expect(finalScore(i => (i < 2 ? 25 : 1))).toBe(finalScore(() => 1));
+  });
+
+  test('ignores FINALIZE rounds out of sequence and settles a closed dispute', () => {
+    const scorer = score([...ops(), finalizeOp('r1', 1, 4000)]);
+    expect(scorer.finalizedScores.has('r1')).toBe(false);
+
+    scorer.snapshotter.ingest(finalizeOp('r1', 0, CLOSE));
+    scorer.snapshotter.ingest(at(makeDisputeOp('r1', 'author', 3), CLOSE + 1000));
+    expect(scorer.finalizedScores.get('r1').dispute.openedAt).toBe(CLOSE + 1000);
+
+    const closesAt = scorer.finalizedScores.get('r1').dispute.closesAt;
+    scorer.snapshotter.ingest(finalizeOp('r1', 1, closesAt - 1));
+    expect(scorer.finalizedScores.get('r1').dispute).toBeDefined();
+
+    scorer.snapshotter.ingest(finalizeOp('r1', 1, closesAt));
+    expect(scorer.finalizedScores.get('r1').disputes).toHaveLength(1);
+    expect(scorer.nextRound('r1')).toBe(2);
+  });
+
+  test('ignores a FINALIZE before the voting window closes', () => {
+    const scorer = score([...ops(), finalizeOp('r1', 0, CLOSE - 1)]);
+    expect(scorer.finalizedScores.has('r1')).toBe(false);
+    expect(scorer.reputation.getUser('v1').stakes.has('r1')).toBe(true);
+
+    scorer.snapshotter.ingest(finalizeOp('r1', 0, CLOSE));
+    expect(scorer.finalizedScores.get('r1').finalizedAt).toBe(CLOSE);
+  });
+
+  test('votes cast after the window closes lock nothing and are not counted', () => {
+    const scorer = score([
+      ...ops(),
+      at(makeJoinOp('late'), 1100),
+      at(makeVoteOp('r1', 'late', 'FALSE'), CLOSE),
+    ]);
+    expect(scorer.votingOpen('r1', CLOSE)).toBe(false);
+    expect(scorer.reputation.getUser('late').stakes.size).toBe(0);
+
+    scorer.snapshotter.ingest(finalizeOp('r1', 0, CLOSE));
+    expect(scorer.finalizedScores.get('r1').voterCount).toBe(5);
+    expect(scorer.reputation.getScore('late')).toBe(10);
+  });
+
+  test('dates votes by their payload, not by the op wrapper or when they were logged', () => {
+    const early = { ...at(makeVoteOp('r1', 'late', 'FALSE'), CLOSE - 1), timestamp: CLOSE + 1 };
+    const scorer = score([...ops(), at(makeJoinOp('late'), 1100), early]);
+    expect(scorer.reputation.getUser('late').stakes.get('r1').amount).toBe(1);
+
+    scorer.snapshotter.ingest(finalizeOp('r1', 0, CLOSE));
+    expect(scorer.finalizedScores.get('r1').voterCount).toBe(6);
+  });
+
+  test('a rumor nobody voted on closes UNVERIFIED and returns the post stake', () => {
+    const scorer = score([...ops().slice(0, 7), finalizeOp('r1', 0, CLOSE)]);
+
+    expect(scorer.finalizedScores.get('r1')).toMatchObject({ score: null, consensus: 'UNVERIFIED', voterCount: 0 });
+    expect(scorer.reputation.getUser('author').stakes.size).toBe(0);
+    expect(scorer.reputation.getScore('author')).toBe(10);
+  });
+
+  test('scores with the topic\'s configured engine, ignoring one the FINALIZE op names', () => {
+    const byOp = score([...ops(), { ...finalizeOp('r1', 0, CLOSE), payload: { rumorId: 'r1', round: 0, engine: 'majority' } }]);
+    const plain = score([...ops(), finalizeOp('r1', 0, CLOSE)]);
+
+    expect(plain.finalizedScores.get('r1').engine).toBe('rbts');
+    expect(byOp.finalizedScores.get('r1')).toEqual(plain.finalizedScores.get('r1'));
+    expect(byOp.reputation.export()).toEqual(plain.reputation.export());
+
+    const replayed = OpLogScorer.replay(byOp.snapshotter.getOpLog());
+    expect(replayed.finalizedScores.get('r1')).toEqual(byOp.finalizedScores.get('r1'));
+  });
+
+  test('a tombstone releases every stake on the rumor', () => {
+    const scorer = score([...ops(), at(makeTombstoneOp('r1', 'author'), 4000)]);
+    for (const u of ['author', ...voters]) {
+      expect(scorer.reputation.getUser(u).stakes.size).toBe(0);
+      expect(scorer.reputation.getScore(u)).toBe(10);
+    }
+  });
+
+  describe('moderation', () => {
+    const community = (timestamp) => ({ type: 'TOMBSTONE', payload: { rumorId: 'r1', reason: 'community_flagged', timestamp }, timestamp });
+    const moderate = (timestamp) => ({ type: 'MODERATE', payload: { rumorId: 'r1' }, timestamp });
+    const flags = () => ['v1', 'v2', 'v3'].map((u, i) => at(makeFlagOp('r1', u), 5000 + i));
+
+    test('a community tombstone keeps the author\'s stake until the case settles', () => {
+      const scorer = score([...ops(), ...flags(), community(5002)]);
+      expect(scorer.moderationCases.get('r1')).toMatchObject({ status: 'flagged', flaggedAt: 5002 });
+      expect(scorer.reputation.getUser('v4').stakes.size).toBe(0);
+      expect(scorer.reputation.getUser('author').stakes.has('post:r1')).toBe(true);
+
+      scorer.snapshotter.ingest(moderate(5002 + SCORING.APPEAL_WINDOW - 1));
+      expect(scorer.moderationCases.get('r1').status).toBe('flagged');
+
+      scorer.snapshotter.ingest(moderate(5002 + SCORING.APPEAL_WINDOW));
+      expect(scorer.moderationCases.get('r1').status).toBe('upheld');
+      expect(scorer.reputation.getScore('author')).toBe(5);
+      expect(scorer.reputation.getScore('v1')).toBe(10);
+      expect(scorer.reputation.getUser('v1').stakes.size).toBe(0);
+    });
+
+    test('appeals that outweigh the flags slash the flaggers, and replay reproduces it', () => {
+      const scorer = score([
+        ...ops(), ...flags(), community(5002),
+        ...['author', 'v4', 'v5'].map((u, i) => at(makeAppealOp('r1', u), 6000 + i)),
+        moderate(5002 + SCORING.APPEAL_WINDOW),
+      ]);
+
+      expect(scorer.moderationCases.get('r1').status).toBe('overturned');
+      expect(scorer.reputation.getScore('v1')).toBe(10 - 4 * SCORING.SLASH_MULTIPLIER);
+      expect(scorer.reputation.getScore('author')).toBe(10 + 5 * SCORING.REWARD_MULTIPLIER);
+
+      const replayed = OpLogScorer.replay(scorer.snapshotter.getOpLog());
+      expect(reputationDigest(replayed.reputation)).toBe(reputationDigest(scorer.reputation));
+      expect(replayed.moderationCases.get('r1')).toEqual(scorer.moderationCases.get('r1'));
+    });
+
+    test('an author retracting a rumor still being flagged returns the flag stakes', () => {
+      const scorer = score([...ops(), ...flags().slice(0, 2), at(makeTombstoneOp('r1', 'author'), 5500)]);
+
+      expect(scorer.moderationCases.get('r1').status).toBe('withdrawn');
+      for (const u of ['author', 'v1', 'v2']) {
+        expect(scorer.reputation.getUser(u).stakes.size).toBe(0);
+        expect(scorer.reputation.getScore(u)).toBe(10);
+      }
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 7. FINALIZATION SCHEDULER TESTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('FinalizationScheduler', () => {
+  const SAFETY = PROTOCOL.RUMOR_TOPICS.safety.votingWindow;
+
+  function node() {
+    const snapshotter = new Snapshotter({ snapshotInterval: 100 });
+    const scorer = new OpLogScorer({ snapshotter, reputationManager: new ReputationManager() });
+    snapshotter.ingest(at(makeRumorOp('r1', 'Fire drill at noon', 'author', 'safety'), 1000));
+    snapshotter.ingest(at(makeRumorOp('r2', 'New cafe opening', 'author', 'general'), 2000));
+    return { snapshotter, scorer, closer: new FinalizationScheduler(scorer) };
+  }
+
+  test('gives each rumor the voting window of its topic', () => {
+    const { snapshotter } = node();
+    expect(snapshotter.getRumor('r1')).toMatchObject({ opensAt: 1000, closesAt: 1000 + SAFETY });
+    expect(snapshotter.getRumor('r2').closesAt).toBe(2000 + PROTOCOL.RUMOR_TOPICS.general.votingWindow);
+  });
+
+  test('records one FINALIZE per closed window, timestamped at the close', () => {
+    const { snapshotter, scorer, closer } = node();
+    expect(closer.due(1000 + SAFETY - 1)).toEqual([]);
+
+    const due = closer.due(1000 + SAFETY);
+    expect(due).toEqual([{ type: 'FINALIZE', payload: { rumorId: 'r1', round: 0 }, timestamp: 1000 + SAFETY }]);
+
+    // Another node checking later derives the very same op
+    expect(node().closer.due(1000 + SAFETY + 60_000)).toEqual(due);
+
+    for (const op of due) snapshotter.ingest(op);
+    expect(scorer.finalizedScores.get('r1').finalizedAt).toBe(1000 + SAFETY);
+    expect(closer.due(1000 + SAFETY + 60_000)).toEqual([]);
+  });
+
+  test('closes a dispute window with the next round', () => {
+    const { snapshotter, scorer, closer } = node();
+    snapshotter.ingest(makeJoinOp('challenger'));
+    snapshotter.ingest(at(makeVoteOp('r1', 'voter', 'TRUE'), 2000));
+    for (const op of closer.due(1000 + SAFETY)) snapshotter.ingest(op);
+    snapshotter.ingest(at(makeDisputeOp('r1', 'challenger', 3), 2000 + SAFETY));
+
+    const { closesAt } = scorer.finalizedScores.get('r1').dispute;
+    expect(closer.closesAt('r1')).toBe(closesAt);
+    expect(closer.due(closesAt)).toEqual([{ type: 'FINALIZE', payload: { rumorId: 'r1', round: 1 }, timestamp: closesAt }]);
+
+    for (const op of closer.due(closesAt)) snapshotter.ingest(op);
+    expect(scorer.finalizedScores.get('r1').disputes).toHaveLength(1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 8. TRUST GRAPH TESTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('TrustGraph', () => {
+  const votes = (pairs) => pairs.map(([nullifier, vote]) => ({ nullifier, vote }));
+  const result = (consensus, scores) => ({ consensus, voterScores: new Map(Object.entries(scores)) });
+
+  // Two camps that each agree internally: {A, B} and {C, D}
+  const history = {
+    r1: [votes([['A', 'TRUE'], ['B', 'TRUE'], ['C', 'FALSE']]), result('TRUE', { A: 1, B: 0.5, C: -1 })],
+    r2: [votes([['C', 'TRUE'], ['D', 'TRUE'], ['A', 'FALSE']]), result('TRUE', { C: 1, D: 1, A: -1 })],
+  };
+
+  function graphOf(ids) {
+    const graph = new TrustGraph(new TrustPropagator());
+    for (const id of ids) graph.apply(id, ...history[id]);
+    return graph;
+  }
+
+  function rebuilt(ids) {
+    return new TrustPropagator().buildGraph(
+      new Map(ids.map(id => [id, history[id][0]])),
+      new Map(ids.map(id => [id, history[id][1]])),
+    );
+  }
+
+  test('matches a graph rebuilt from the same finalized rumors', () => {
+    const graph = graphOf(['r1', 'r2']);
+    const expected = rebuilt(['r1', 'r2']);
+
+    expect(graph.nodes).toEqual(expected.nodes);
+    expect(graph.edges).toEqual(expected.edges);
+    expect(graph.outDegree).toEqual(expected.outDegree);
+    expect(graph.getStats().rumorCount).toBe(2);
+  });
+
+  test('removing a rumor takes back exactly its edges and voters', () => {
+    const graph = graphOf(['r1', 'r2']);
+    expect(graph.remove('r2')).toBe(true);
+
+    const expected = rebuilt(['r1']);
+    expect(graph.nodes).toEqual(expected.nodes);
+    expect(graph.edges).toEqual(expected.edges);
+    expect(graph.nodes.has('D')).toBe(false);
+    expect(graph.remove('r2')).toBe(false);
+  });
+
+  test('re-applying a rumor replaces its old contribution', () => {
+    const graph = graphOf(['r1']);
+    graph.apply('r1', history.r1[0], result('FALSE', { A: -1, B: -0.5, C: 1 }));
+
+    expect(graph.edges.size).toBe(0);
+    expect(graph.nodes).toEqual(new Set(['A', 'B', 'C']));
+  });
+
+  test('exports the graph as plain JSON edges', () => {
+    const graph = graphOf(['r1']);
+    const exported = graph.export();
+
+    expect(exported.nodes.sort()).toEqual(['A', 'B', 'C']);
+    expect(exported.edges).toEqual([['A', 'B', 0.75], ['B', 'A', 0.75]]);
+    expect(JSON.parse(JSON.stringify(exported))).toEqual(exported);
+  });
+
+  test('ranks rumors from the viewer\'s own trusted peers', () => {
+    const graph = graphOf(['r1', 'r2']);
+    const open = new Map([
+      ['r3', votes([['B', 'TRUE'], ['D', 'FALSE']])],
+      ['r4', votes([['stranger', 'TRUE']])],
+    ]);
+
+    expect([...graph.peersOf('A').keys()]).toEqual(['B']);
+    expect(graph.rank('A')).toMatchObject({ personalized: true, seeds: 1 });
+    expect(graph.rank('nobody').personalized).toBe(false);
+
+    const forA = graph.rumorTrust('A', open);
+    const forC = graph.rumorTrust('C', open);
+    expect(forA.get('r3').score).toBeGreaterThan(50);
+    expect(forC.get('r3').score).toBeLessThan(50);
+    expect(forA.get('r4')).toEqual({ score: null, weightedVotes: 0 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 9. CLUSTER ANALYTICS TESTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('ClusterAnalytics', () => {
+  // Dampener output for a rumor: each inner array is one cluster
+  const dampened = (...clusters) => clusters.flatMap((members, i) => members.map(nullifier => ({
+    vote: { nullifier, vote: 'TRUE' },
+    weight: members.length > 1 ? 0.1 : 1,
+    clusterId: members.length > 1 ? `c${i}` : nullifier,
+    clusterSize: members.length,
+  })));
+
+  function campaign() {
+    const analytics = new ClusterAnalytics({ minRumors: 3 });
+    analytics.record('r1', dampened(['bot1', 'bot2', 'bot3'], ['alice', 'bob']), 1000);
+    analytics.record('r2', dampened(['bot1', 'bot2'], ['carol']), 2000);
+    analytics.record('r3', dampened(['bot2', 'bot3', 'bot1'], ['alice']), 3000);
+    return analytics;
+  }
+
+  test('flags voters clustered together across enough rumors', () => {
+    const { summary, groups, recent } = campaign().report();
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({
+      members: ['bot1', 'bot2'], rumorCount: 3, firstSeen: 1000, lastSeen: 3000,
+    });
+    expect(groups[0].avgWeight).toBeCloseTo(0.1);
+    expect(summary).toMatchObject({
+      rumorsScored: 3, clusteredRumors: 3, totalVotes: 12, clusteredVotes: 10, persistentGroups: 1, flaggedVoters: 2,
+    });
+
+    expect(recent.map(r => r.rumorId)).toEqual(['r3', 'r2', 'r1']);
+    expect(recent[2].clusters.map(c => c.flagged)).toEqual([true, false]);
+  });
+
+  test('a lower persistence threshold widens the groups', () => {
+    const { groups } = campaign().report({ minRumors: 2 });
+    expect(groups[0].members).toEqual(['bot1', 'bot2', 'bot3']);
+    expect(groups.some(g => g.members.includes('alice'))).toBe(false);
+  });
+
+  test('re-recording or removing a rumor replaces its clusters', () => {
+    const analytics = campaign();
+    analytics.record('r2', dampened(['bot1'], ['bot2']), 2000);
+    expect(analytics.report().groups).toHaveLength(0);
+
+    expect(analytics.remove('r3')).toBe(true);
+    expect(analytics.report().summary.rumorsScored).toBe(2);
+  });
+
+  test('follows the clusters the OpLogScorer dampens on FINALIZE', () => {
+    const snapshotter = new Snapshotter({ snapshotInterval: 100 });
+    const scorer = new OpLogScorer({ snapshotter, reputationManager: new ReputationManager() });
+    const analytics = new ClusterAnalytics();
+    const scored = [];
+    scorer.on('scored', (rumorId, dampenedVotes, at) => {
+      scored.push(rumorId);
+      analytics.record(rumorId, dampenedVotes, at);
+    });
+
+    snapshotter.ingest(at(makeJoinOp('author'), 1000));
+    snapshotter.ingest({ type: 'RUMOR', payload: { id: 'r1', text: 'Gym closes', nullifier: 'author' }, timestamp: 2000 });
+    ['v1', 'v2', 'v3'].forEach((u, i) => snapshotter.ingest(at(makeVoteOp('r1', u, 'TRUE'), 3000 + i)));
+    const close = 2000 + PROTOCOL.RUMOR_TOPICS.general.votingWindow;
+    snapshotter.ingest({ type: 'FINALIZE', payload: { rumorId: 'r1', round: 0 }, timestamp: close });
+
+    expect(scored).toEqual(['r1']);
+    expect(analytics.report().summary).toMatchObject({ rumorsScored: 1, totalVotes: 3 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 9. MODERATION SCHEDULER TESTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('ModerationScheduler', () => {
+  function node() {
+    const snapshotter = new Snapshotter({ snapshotInterval: 100 });
+    const scorer = new OpLogScorer({ snapshotter, reputationManager: new ReputationManager() });
+    for (const u of ['f1', 'f2', 'f3']) snapshotter.ingest(at(makeJoinOp(u), 1000));
+    snapshotter.ingest(at(makeRumorOp('r1', 'Exam leaked', 'author'), 2000));
+    return { snapshotter, scorer, moderator: new ModerationScheduler(scorer) };
+  }
+
+  test('tombstones a flagged rumor at the deciding flag, then settles it when the appeal window closes', () => {
+    const { snapshotter, scorer, moderator } = node();
+    snapshotter.ingest(at(makeFlagOp('r1', 'f1'), 3000));
+    snapshotter.ingest(at(makeFlagOp('r1', 'f2'), 3001));
+    expect(moderator.due(3001)).toEqual([]);
+
+    snapshotter.ingest(at(makeFlagOp('r1', 'f3'), 3002));
+    const removal = moderator.due(9999);
+    expect(removal).toEqual([{
+      type: 'TOMBSTONE',
+      payload: { rumorId: 'r1', reason: 'community_flagged', timestamp: 3002 },
+      timestamp: 3002,
+    }]);
+
+    for (const op of removal) snapshotter.ingest(op);
+    expect(snapshotter.isTombstoned('r1')).toBe(true);
+    expect(moderator.due(3002 + SCORING.APPEAL_WINDOW - 1)).toEqual([]);
+
+    const closesAt = 3002 + SCORING.APPEAL_WINDOW;
+    const settlement = moderator.due(closesAt + 60_000);
+    expect(settlement).toEqual([{ type: 'MODERATE', payload: { rumorId: 'r1' }, timestamp: closesAt }]);
+
+    for (const op of settlement) snapshotter.ingest(op);
+    expect(scorer.moderationCases.get('r1').status).toBe('upheld');
+    expect(moderator.due(closesAt + 60_000)).toEqual([]);
+  });
+});
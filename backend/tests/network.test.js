@@ -2,16 +2,28 @@
 // Afwaah — Phase 2 Tests: P2P Network & Data Layer
 //
 // Tests the libp2p node, gossip controller, database manager,
-// and store manager in isolation and in integration.
+// store manager and anti-entropy sync service in isolation
+// and in integration.
 //
 // Run: npx --node-options="--experimental-vm-modules" jest tests/network.test.js --verbose
 // ─────────────────────────────────────────────────────────────
 
 import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
-import { AfwaahNode, buildNodeConfig } from '../src/network/node.js';
+import { AfwaahNode, buildNodeConfig, buildPeerScoreParams, buildPeerScoreThresholds } from '../src/network/node.js';
 import { GossipController } from '../src/network/gossip-controller.js';
+import { AntiEntropySync } from '../src/network/anti-entropy.js';
+import { SyncService, opKey } from '../src/network/sync-service.js';
 import { DatabaseManager } from '../src/storage/db.js';
 import { StoreManager } from '../src/storage/stores.js';
+import { PersistenceManager } from '../src/storage/persistence.js';
+import { Snapshotter } from '../src/state/snapshotter.js';
+import { ReputationManager } from '../src/scoring/reputation-manager.js';
+import { MembershipTree } from '../src/identity/membership-tree.js';
+import { EmailBindingRegistry } from '../src/identity/email-binding.js';
+import { MembershipProofVerifier, scopeFor, messageFor } from '../src/identity/membership-proof-verifier.js';
+import { AdmissionVerifier } from '../src/identity/admission-verifier.js';
+import { AccountVerifier } from '../src/identity/account-verifier.js';
+import { IdentityManager } from '../src/identity/identity-manager.js';
 import { PROTOCOL, NETWORK, STORAGE } from '../src/config.js';
 
 // Increase timeout — P2P setup can be slow
@@ -43,6 +55,18 @@ describe('AfwaahNode', () => {
     expect(config.services.identify).toBeDefined();
   });
 
+  test('should score invalid messages on every Afwaah topic', () => {
+    const params = buildPeerScoreParams();
+    const thresholds = buildPeerScoreThresholds();
+    for (const topic of Object.values(PROTOCOL.TOPICS)) {
+      expect(params.topics[topic].invalidMessageDeliveriesWeight).toBeLessThan(0);
+      expect(params.topics[topic].invalidMessageDeliveriesDecay).toBe(NETWORK.PEER_SCORE_DECAY);
+    }
+    // Three rejected messages graylist a peer even at the positive score cap
+    const penalty = 3 ** 2 * NETWORK.PEER_INVALID_MESSAGE_WEIGHT;
+    expect(params.topicScoreCap + penalty).toBeLessThan(thresholds.graylistThreshold);
+  });
+
   test('should accept config overrides', () => {
     const config = buildNodeConfig({
       addresses: { listen: ['/ip4/127.0.0.1/tcp/9999'] },
@@ -191,13 +215,11 @@ describe('GossipController', () => {
 
   test('should create a valid join envelope', async () => {
     const payload = {
-      commitment: '0xcommitment123',
-      dkimProof: {
-        domain: 'university.edu',
-        proof: 'base64-dkim',
-        publicSignals: ['sig1'],
-      },
-      merkleIndex: 0,
+      commitment: '123',
+      domain: 'seecs.edu.pk',
+      admittedAt: Date.now(),
+      publicKey: ['1', '2'],
+      signature: { R8: ['3', '4'], S: '5' },
     };
 
     await gc.publishJoin(payload);
@@ -474,7 +496,7 @@ describe('GossipController Validation', () => {
   test('should dispatch valid join to handler', (done) => {
     gc.onJoin((parsed) => {
       expect(parsed.type).toBe('JOIN');
-      expect(parsed.payload.commitment).toBe('0xNewStudent');
+      expect(parsed.payload.commitment).toBe('4242');
       done();
     });
 
@@ -482,14 +504,36 @@ describe('GossipController Validation', () => {
       type: 'JOIN',
       version: '1.0',
       payload: {
-        commitment: '0xNewStudent',
-        dkimProof: { domain: 'university.edu', proof: 'p', publicSignals: [] },
-        merkleIndex: 10,
+        commitment: '4242',
+        domain: 'seecs.edu.pk',
+        admittedAt: Date.now(),
+        publicKey: ['1', '2'],
+        signature: { R8: ['3', '4'], S: '5' },
         timestamp: Date.now(),
       },
     });
   });
 
+  test('should verify JOIN admissions when an admission verifier is set', async () => {
+    const registrar = new IdentityManager().create('gossip-registrar');
+    const admissionVerifier = new AdmissionVerifier(
+      [{ name: 'Registrar node', publicKey: registrar.publicKey.map(String) }],
+      { allowedDomains: ['seecs.edu.pk'] },
+    );
+    const admitted = new GossipController(node, { admissionVerifier });
+    const join = (payload) => new TextEncoder().encode(JSON.stringify({
+      type: 'JOIN', version: '1.0', payload: { ...payload, timestamp: Date.now() },
+    }));
+    const signed = admissionVerifier.sign(registrar, { commitment: 777n, domain: 'seecs.edu.pk' });
+    const stranger = admissionVerifier.sign(new IdentityManager().create('unknown-registrar'), {
+      commitment: 777n, domain: 'seecs.edu.pk',
+    });
+
+    expect((await admitted.validate(PROTOCOL.TOPICS.IDENTITY, join(signed))).result).toBe('accept');
+    expect((await admitted.validate(PROTOCOL.TOPICS.IDENTITY, join({ ...signed, commitment: '778' }))).result).toBe('reject');
+    expect((await admitted.validate(PROTOCOL.TOPICS.IDENTITY, join(stranger))).result).toBe('ignore');
+  });
+
   test('should dispatch valid tombstone to handler', (done) => {
     gc.onTombstone((parsed) => {
       expect(parsed.type).toBe('TOMBSTONE');
@@ -513,6 +557,257 @@ describe('GossipController Validation', () => {
       },
     });
   });
+
+  test('should dispatch valid official proof to handler', (done) => {
+    gc.onOfficialProof((parsed) => {
+      expect(parsed.type).toBe('OFFICIAL_PROOF');
+      expect(parsed.payload.impact).toBe('CONFIRMS');
+      done();
+    });
+
+    simulateMessage(PROTOCOL.TOPICS.OFFICIAL, {
+      type: 'OFFICIAL_PROOF',
+      version: '1.0',
+      payload: {
+        rumorId: 'QmOfficial',
+        impact: 'CONFIRMS',
+        statement: 'The library closes at 6pm on Friday.',
+        issuedAt: Date.now(),
+        publicKey: ['1', '2'],
+        signature: { R8: ['3', '4'], S: '5' },
+        timestamp: Date.now(),
+      },
+    });
+  });
+
+  test('should reject official proof with invalid impact or missing signature', () => {
+    let received = 0;
+    gc._handlers.set(PROTOCOL.TOPICS.OFFICIAL, new Set([() => { received++; }]));
+
+    const base = {
+      rumorId: 'QmOfficialBad',
+      impact: 'CONFIRMS',
+      statement: 'Statement',
+      issuedAt: Date.now(),
+      publicKey: ['1', '2'],
+      signature: { R8: ['3', '4'], S: '5' },
+      timestamp: Date.now(),
+    };
+    simulateMessage(PROTOCOL.TOPICS.OFFICIAL, {
+      type: 'OFFICIAL_PROOF', version: '1.0', payload: { ...base, impact: 'PROBABLY' },
+    });
+    simulateMessage(PROTOCOL.TOPICS.OFFICIAL, {
+      type: 'OFFICIAL_PROOF', version: '1.0', payload: { ...base, signature: undefined },
+    });
+
+    expect(received).toBe(0);
+  });
+
+  test('should dispatch valid dispute and reject one without a stake or signature', () => {
+    const received = [];
+    gc.onDispute((parsed) => received.push(parsed.payload.rumorId));
+
+    const base = {
+      rumorId: 'QmDisputed',
+      nullifier: 'user_123456789012',
+      stakeAmount: 3,
+      reason: 'The vote was brigaded',
+      publicKey: ['1', '2'],
+      signature: { R8: ['3', '4'], S: '5' },
+      timestamp: Date.now(),
+    };
+    simulateMessage(PROTOCOL.TOPICS.DISPUTES, { type: 'DISPUTE', version: '1.0', payload: base });
+    simulateMessage(PROTOCOL.TOPICS.DISPUTES, {
+      type: 'DISPUTE', version: '1.0', payload: { ...base, rumorId: 'QmNoStake', stakeAmount: 0 },
+    });
+    simulateMessage(PROTOCOL.TOPICS.DISPUTES, {
+      type: 'DISPUTE', version: '1.0', payload: { ...base, rumorId: 'QmUnsigned', signature: undefined },
+    });
+
+    expect(received).toEqual(['QmDisputed']);
+  });
+
+  test('should dispatch a valid revocation and reject one without a justification', () => {
+    const received = [];
+    gc.onRevoke((parsed) => received.push(parsed.payload.commitment));
+
+    const base = {
+      commitment: '12345',
+      reason: 'graduated',
+      justification: 'Degree conferred',
+      revokedAt: Date.now(),
+      publicKey: ['1', '2'],
+      signature: { R8: ['3', '4'], S: '5' },
+      timestamp: Date.now(),
+    };
+    simulateMessage(PROTOCOL.TOPICS.REVOCATIONS, { type: 'REVOKE', version: '1.0', payload: base });
+    simulateMessage(PROTOCOL.TOPICS.REVOCATIONS, {
+      type: 'REVOKE', version: '1.0', payload: { ...base, commitment: '678', justification: '' },
+    });
+    simulateMessage(PROTOCOL.TOPICS.REVOCATIONS, {
+      type: 'REVOKE', version: '1.0', payload: { ...base, commitment: '910', reason: 'unpopular' },
+    });
+
+    expect(received).toEqual(['12345']);
+  });
+
+  test('should dispatch a valid voting close and reject one with a bad round or an engine', () => {
+    const received = [];
+    gc.onFinalize((parsed) => received.push(parsed.payload.rumorId));
+
+    const base = { rumorId: 'QmClosed', round: 0, timestamp: Date.now() };
+    simulateMessage(PROTOCOL.TOPICS.FINALIZED, { type: 'FINALIZE', version: '1.0', payload: base });
+    simulateMessage(PROTOCOL.TOPICS.FINALIZED, {
+      type: 'FINALIZE', version: '1.0', payload: { ...base, rumorId: 'QmNegative', round: -1 },
+    });
+    simulateMessage(PROTOCOL.TOPICS.FINALIZED, {
+      type: 'FINALIZE', version: '1.0', payload: { ...base, rumorId: 'QmFraction', round: 0.5 },
+    });
+    simulateMessage(PROTOCOL.TOPICS.FINALIZED, {
+      type: 'FINALIZE', version: '1.0', payload: { ...base, rumorId: 'QmPicked', engine: 'majority' },
+    });
+
+    expect(received).toEqual(['QmClosed']);
+  });
+
+  test('should dispatch valid flags and appeals and reject malformed ones', () => {
+    const received = [];
+    gc.onModeration((parsed) => received.push(`${parsed.type}:${parsed.payload.nullifier}`));
+
+    const signature = { publicKey: ['1', '2'], signature: { R8: ['3', '4'], S: '5' } };
+    const flag = { rumorId: 'QmFlagged', nullifier: 'flagger', category: 'doxxing', stakeAmount: 3, timestamp: Date.now(), ...signature };
+    const appeal = { rumorId: 'QmFlagged', nullifier: 'appellant', stakeAmount: 3, timestamp: Date.now(), ...signature };
+    simulateMessage(PROTOCOL.TOPICS.MODERATION, { type: 'FLAG', version: '1.0', payload: flag });
+    simulateMessage(PROTOCOL.TOPICS.MODERATION, { type: 'APPEAL', version: '1.0', payload: appeal });
+    simulateMessage(PROTOCOL.TOPICS.MODERATION, {
+      type: 'FLAG', version: '1.0', payload: { ...flag, nullifier: 'spammer', category: 'spam' },
+    });
+    simulateMessage(PROTOCOL.TOPICS.MODERATION, {
+      type: 'APPEAL', version: '1.0', payload: { ...appeal, nullifier: 'free-rider', stakeAmount: 0 },
+    });
+    simulateMessage(PROTOCOL.TOPICS.MODERATION, {
+      type: 'FLAG', version: '1.0', payload: { ...flag, nullifier: 'unsigned', signature: undefined },
+    });
+    simulateMessage(PROTOCOL.TOPICS.MODERATION, { type: 'VOTE', version: '1.0', payload: flag });
+
+    expect(received).toEqual(['FLAG:flagger', 'APPEAL:appellant']);
+  });
+
+  test('should verify account signatures on flags when an account verifier is set', async () => {
+    const accountVerifier = new AccountVerifier();
+    const checked = new GossipController(node, { accountVerifier });
+    const member = new IdentityManager().create('gossip-flagger');
+    const encode = (payload) => new TextEncoder().encode(JSON.stringify({ type: 'FLAG', version: '1.0', payload }));
+    const signed = accountVerifier.sign(member, 'FLAG', {
+      rumorId: 'QmFlagged', category: 'doxxing', stakeAmount: 3, reason: '', timestamp: Date.now(),
+    });
+    const impersonating = accountVerifier.sign(new IdentityManager().create('gossip-impostor'), 'FLAG', {
+      rumorId: 'QmFlagged', category: 'doxxing', stakeAmount: 3, reason: '', timestamp: Date.now(),
+    });
+
+    expect((await checked.validate(PROTOCOL.TOPICS.MODERATION, encode(signed))).result).toBe('accept');
+    expect((await checked.validate(PROTOCOL.TOPICS.MODERATION, encode({ ...signed, stakeAmount: 9 }))).result).toBe('reject');
+    expect((await checked.validate(PROTOCOL.TOPICS.MODERATION, encode({
+      ...impersonating, nullifier: signed.nullifier,
+    }))).result).toBe('reject');
+  });
+
+  test('should give gossipsub a verdict for every message', async () => {
+    const encode = (obj) => new TextEncoder().encode(JSON.stringify(obj));
+    const vote = (nullifier) => ({
+      type: 'VOTE',
+      version: '1.0',
+      payload: {
+        rumorId: 'QmVerdict',
+        vote: 'FALSE',
+        prediction: { TRUE: 0.2, FALSE: 0.7, UNVERIFIED: 0.1 },
+        stakeAmount: 1,
+        zkProof: { nullifierHash: nullifier, merkleRoot: 'root' },
+        timestamp: Date.now(),
+      },
+    });
+
+    expect((await gc.validate(PROTOCOL.TOPICS.VOTES, encode(vote('verdict-1')))).result).toBe('accept');
+    expect((await gc.validate(PROTOCOL.TOPICS.VOTES, encode(vote('verdict-1')))).result).toBe('ignore');
+    const bad = await gc.validate(PROTOCOL.TOPICS.VOTES, encode({ ...vote('verdict-2'), version: '0.1' }));
+    expect(bad.result).toBe('reject');
+    expect(bad.error).toMatch(/^E014/);
+    expect((await gc.validate(PROTOCOL.TOPICS.RUMORS, new TextEncoder().encode('not json'))).result).toBe('reject');
+  });
+
+  test('should validate ops received outside gossip by their topic', async () => {
+    const finalize = { type: 'FINALIZE', payload: { rumorId: 'QmSynced', round: 0 }, timestamp: 5000 };
+    const accepted = await gc.validateOp(finalize);
+    expect(accepted.result).toBe('accept');
+    expect(accepted.parsed.payload).toEqual({ rumorId: 'QmSynced', round: 0, timestamp: 5000 });
+
+    const unproved = { type: 'RUMOR', payload: { id: 'QmUnproved', text: 'x', topic: 'general' }, timestamp: 5000 };
+    expect(await gc.validateOp(unproved)).toMatchObject({ result: 'reject', error: 'E001: missing zkProof' });
+    expect((await gc.validateOp({ type: 'EPOCH', payload: { epoch: 3 }, timestamp: 5000 })).result).toBe('reject');
+  });
+
+  test('should register topic validators and count verdicts per peer', async () => {
+    for (const topic of Object.values(PROTOCOL.TOPICS)) {
+      expect(node.pubsub.topicValidators.has(topic)).toBe(true);
+    }
+    const validator = node.pubsub.topicValidators.get(PROTOCOL.TOPICS.FINALIZED);
+    const peerId = { toString: () => 'peer-bad' };
+    const data = new TextEncoder().encode(JSON.stringify({
+      type: 'FINALIZE', version: '1.0', payload: { rumorId: 'QmX', round: -1, timestamp: Date.now() },
+    }));
+
+    expect(await validator(peerId, { topic: PROTOCOL.TOPICS.FINALIZED, data })).toBe('reject');
+    expect(gc.peerStats.get('peer-bad')).toMatchObject({ rejected: 1, accepted: 0, lastError: 'E014: invalid round' });
+  });
+
+  test('should verify ZK proofs before dispatch when a proof verifier is set', async () => {
+    const proofVerifier = new MembershipProofVerifier({
+      verifyProof: async (proof) => proof.points[0] !== 'forged',
+      isMemberRoot: (root) => root === '111',
+    });
+    const verified = new GossipController(node, { proofVerifier });
+    verified.start();
+    const received = [];
+    verified.onVote((parsed) => received.push(parsed.payload));
+
+    const ballot = { rumorId: 'QmVerified', vote: 'TRUE', prediction: { TRUE: 0.6, FALSE: 0.3, UNVERIFIED: 0.1 }, stakeAmount: 1 };
+    const vote = (nullifier, extra = {}) => ({
+      type: 'VOTE',
+      version: '1.0',
+      payload: {
+        ...ballot,
+        nullifier: 'zk_someone_else',
+        zkProof: {
+          merkleTreeDepth: 1,
+          merkleTreeRoot: '111',
+          nullifier,
+          message: messageFor('VOTE', ballot),
+          scope: scopeFor('VOTE', ballot),
+          points: ['p', '0', '0', '0', '0', '0', '0', '0'],
+        },
+        timestamp: Date.now(),
+        ...extra,
+      },
+    });
+    const send = (msgObj) => verified._onGossipMessage({
+      detail: { msg: { topic: PROTOCOL.TOPICS.VOTES, data: new TextEncoder().encode(JSON.stringify(msgObj)) } },
+    });
+
+    send(vote('123456789012345678901'));
+    send(vote('123456789012345678901'));                                      // same nullifier, same scope
+    send(vote('222', { rumorId: 'QmOther' }));                                // proof scoped to another rumor
+    send(vote('444', { vote: 'FALSE' }));                                     // vote changed under the proof
+    const forged = vote('333');
+    forged.payload.zkProof.points[0] = 'forged';
+    send(forged);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(received).toHaveLength(1);
+    expect(received[0].nullifier).toBe('zk_1234567890123456');                // derived, not the sender's claim
+    expect(received[0].zkVerified).toBe(true);
+    expect(verified.rejectedCount).toBe(4);
+    verified.stop();
+  });
 });
 
 // ─────────────────────────────────────────────────────────────
@@ -593,12 +888,16 @@ describe('StoreManager', () => {
     if (db && db.isStarted) await db.stop();
   });
 
-  test('should open all four stores', () => {
+  test('should open all stores', () => {
     expect(sm.isOpen).toBe(true);
     expect(sm.rumors).toBeDefined();
     expect(sm.votes).toBeDefined();
     expect(sm.identities).toBeDefined();
     expect(sm.reputation).toBeDefined();
+    expect(sm.oplog).toBeDefined();
+    expect(sm.nullifiers).toBeDefined();
+    expect(sm.bindings).toBeDefined();
+    expect(sm.finalized).toBeDefined();
   });
 
   test('should expose store addresses', () => {
@@ -738,6 +1037,32 @@ describe('StoreManager', () => {
     expect(all.length).toBeGreaterThanOrEqual(2);
   });
 
+  // ── OpLog & server-state stores ───────────────────────────
+
+  test('should return persisted ops ordered by ingest index', async () => {
+    await sm.appendOp({ type: 'VOTE', payload: { rumorId: 'r1' }, _ingestIndex: 1 });
+    await sm.appendOp({ type: 'RUMOR', payload: { id: 'r1' }, _ingestIndex: 0 });
+
+    const ops = await sm.getAllOps();
+    expect(ops.map(o => o._ingestIndex)).toEqual([0, 1]);
+    expect(ops[0].type).toBe('RUMOR');
+  });
+
+  test('should record nullifiers, bindings and finalized scores', async () => {
+    await sm.recordNullifier('vote_r1', '12345');
+    await sm.setBinding('student@seecs.edu.pk', '999');
+    await sm.setFinalizedScore('r1', { score: 80, consensus: 'TRUE' });
+
+    const nullifiers = await sm.getAllNullifiers();
+    expect(nullifiers).toContainEqual(expect.objectContaining({ scope: 'vote_r1', nullifier: '12345' }));
+
+    const bindings = await sm.getAllBindings();
+    expect(bindings.find(b => b.key === 'student@seecs.edu.pk').value).toBe('999');
+
+    const finalized = await sm.getAllFinalizedScores();
+    expect(finalized.find(f => f.key === 'r1').value.consensus).toBe('TRUE');
+  });
+
   // ── Error handling ────────────────────────────────────────
 
   test('should throw when using stores before open()', async () => {
@@ -748,7 +1073,104 @@ describe('StoreManager', () => {
 });
 
 // ─────────────────────────────────────────────────────────────
-// 6. Integration — Node + DB + Stores working together
+// 6. PersistenceManager — write-through and rehydration
+// ─────────────────────────────────────────────────────────────
+describe('PersistenceManager', () => {
+  /** @type {DatabaseManager} */
+  let db;
+  /** @type {StoreManager} */
+  let sm;
+
+  const freshState = () => ({
+    snapshotter: new Snapshotter({ snapshotInterval: 100 }),
+    membershipTree: new MembershipTree(),
+    reputationManager: new ReputationManager(),
+    usedNullifiers: new Map(),
+    emailBindings: new EmailBindingRegistry({ secret: 'persistence-test' }),
+    finalizedScores: new Map(),
+  });
+
+  beforeAll(async () => {
+    db = new DatabaseManager({ directory: './test-orbitdb-persistence' });
+    await db.start();
+    sm = new StoreManager(db.getOrbitDB());
+    await sm.open();
+  });
+
+  afterAll(async () => {
+    if (sm && sm.isOpen) await sm.close();
+    if (db && db.isStarted) await db.stop();
+  });
+
+  test('should rehydrate a second node from state written by the first', async () => {
+    const before = freshState();
+    const pm = new PersistenceManager(sm);
+    await pm.hydrate(before);
+    pm.attach(before);
+
+    // Mutate every kind of server state
+    before.snapshotter.ingest({
+      type: 'RUMOR',
+      payload: { id: 'persist_r1', text: 'Exams postponed', topic: 'academic', nullifier: 'author' },
+      timestamp: Date.now(),
+    });
+    before.reputationManager.register('voter_1');
+    for (const c of [111n, 222n, 333n]) {
+      pm.recordMember(c, before.membershipTree.addMember(c));
+    }
+    pm.recordMemberRemoval(222n, 1);
+    before.membershipTree.removeMember(1);
+    pm.recordNullifier('vote_persist_r1', '42');
+    const binding = before.emailBindings.bind('student@seecs.edu.pk');
+    pm.recordBinding(binding.key, binding.domain);
+    pm.recordFinalized('persist_r1', { rumorId: 'persist_r1', score: 75, consensus: 'TRUE' });
+    pm.detach();
+
+    // Writes are fire-and-forget — give OrbitDB time to flush
+    await new Promise(r => setTimeout(r, 500));
+    expect(pm.failedWrites).toBe(0);
+
+    const after = freshState();
+    const restored = await new PersistenceManager(sm).hydrate(after);
+
+    expect(restored.ops).toBeGreaterThanOrEqual(1);
+    expect(after.snapshotter.getRumor('persist_r1').text).toBe('Exams postponed');
+    expect(after.reputationManager.getScore('voter_1')).toBe(10);
+    expect(after.membershipTree.getRoot()).toBe(before.membershipTree.getRoot());
+    expect(after.usedNullifiers.get('vote_persist_r1').has('42')).toBe(true);
+    expect(after.emailBindings.has('student@seecs.edu.pk')).toBe(true);
+    expect(after.finalizedScores.get('persist_r1').score).toBe(75);
+  });
+
+  test('should migrate legacy raw-email bindings and scrub JOIN emails', async () => {
+    await sm.setBinding('Legacy@SEECS.edu.pk', '555');
+    await sm.appendOp({
+      type: 'JOIN',
+      payload: {
+        commitment: '555',
+        nullifier: 'user_555',
+        dkimBinding: { email: 'legacy@seecs.edu.pk', bodyHash: 'abc' },
+      },
+      _ingestIndex: 10_000,
+    });
+
+    const state = freshState();
+    const restored = await new PersistenceManager(sm).hydrate(state);
+
+    expect(restored.migratedBindings).toBe(1);
+    expect(state.emailBindings.has('legacy@seecs.edu.pk')).toBe(true);
+
+    const keys = (await sm.getAllBindings()).map(b => b.key);
+    expect(keys.some(k => k.includes('@'))).toBe(false);
+    expect((await sm.getAllBindings()).map(b => b.value)).not.toContain('555');
+
+    const join = state.snapshotter.getOpLog().find(op => op.payload.commitment === '555');
+    expect(join.payload.dkimBinding).toBeUndefined();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// 7. Integration — Node + DB + Stores working together
 // ─────────────────────────────────────────────────────────────
 describe('Phase 2 Integration', () => {
   /** @type {AfwaahNode} */
@@ -900,3 +1322,216 @@ describe('Phase 2 Integration', () => {
     console.log(`  Connected peers: ${peers.length}`);
   });
 });
+
+// ─────────────────────────────────────────────────────────────
+// 8. SyncService — anti-entropy convergence between live nodes
+// ─────────────────────────────────────────────────────────────
+describe('SyncService', () => {
+  /** @type {Array<{node: AfwaahNode, gossip: GossipController, snapshotter: Snapshotter, sync: SyncService}>} */
+  let peers = [];
+
+  // Loopback only, no mDNS — peers connect only when a test dials them
+  async function makePeer(syncConfig = {}, antiEntropy, verifiers = {}) {
+    const node = new AfwaahNode({
+      addresses: { listen: ['/ip4/127.0.0.1/tcp/0'] },
+      peerDiscovery: [],
+    });
+    await node.start();
+    const gossip = new GossipController(node, verifiers);
+    gossip.start();
+    const snapshotter = new Snapshotter({ snapshotInterval: 1000, ...verifiers });
+    const sync = new SyncService(
+      { node, gossip, snapshotter, antiEntropy },
+      { interval: 0, connectDelay: 300, ...syncConfig },
+    );
+    sync.start();
+    const peer = { node, gossip, snapshotter, sync };
+    peers.push(peer);
+    return peer;
+  }
+
+  async function connect(a, b) {
+    await a.node.dial(b.node.getMultiaddrs()[0]);
+  }
+
+  async function waitFor(predicate, timeout = 20000) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (predicate()) return true;
+      await new Promise(r => setTimeout(r, 200));
+    }
+    return predicate();
+  }
+
+  // Ops pass the schema checks synced ops go through (no proof verifier here)
+  function rumorOp(id, text = `Rumor ${id}`) {
+    return {
+      type: 'RUMOR',
+      payload: {
+        id, text, topic: 'general', nullifier: `author_${id}`,
+        zkProof: { nullifierHash: `post_${id}`, merkleRoot: 'root' },
+      },
+      timestamp: 1000,
+    };
+  }
+
+  function voteOp(rumorId, nullifier, vote = 'TRUE') {
+    return {
+      type: 'VOTE',
+      payload: {
+        rumorId, nullifier, vote, prediction: { TRUE: 0.6, FALSE: 0.3, UNVERIFIED: 0.1 }, stakeAmount: 1,
+        zkProof: { nullifierHash: `vote_${rumorId}_${nullifier}`, merkleRoot: 'root' },
+      },
+      timestamp: 2000,
+    };
+  }
+
+  afterEach(async () => {
+    for (const { sync, gossip, node } of peers) {
+      sync.stop();
+      gossip.stop();
+      await node.stop();
+    }
+    peers = [];
+  });
+
+  test('opKey ignores local ingest metadata and gossip timestamps', () => {
+    const op = rumorOp('QmSame');
+    const logged = { ...op, _ingestIndex: 7, _ingestedAt: Date.now() };
+    const gossiped = { ...op, payload: { ...op.payload, timestamp: 12345 } };
+    expect(opKey(logged)).toBe(opKey(op));
+    expect(opKey(gossiped)).toBe(opKey(op));
+    expect(opKey(voteOp('QmSame', 'v1'))).not.toBe(opKey(voteOp('QmSame', 'v2')));
+    expect(opKey({ type: 'REVOKE', payload: { commitment: '42', reason: 'abuse' } }))
+      .toBe(opKey({ type: 'REVOKE', payload: { commitment: '42', reason: 'graduated' } }));
+  });
+
+  test('nodes holding the same ops agree on the root regardless of order', async () => {
+    const a = await makePeer();
+    const b = await makePeer();
+    const ops = [rumorOp('Qm1'), voteOp('Qm1', 'v1'), voteOp('Qm1', 'v2')];
+
+    a.snapshotter.ingestBatch(ops);
+    b.snapshotter.ingestBatch([...ops].reverse());
+
+    expect(a.sync.localRoot).toBe(b.sync.localRoot);
+    a.snapshotter.ingest(rumorOp('Qm2'));
+    expect(a.sync.localRoot).not.toBe(b.sync.localRoot);
+  });
+
+  test('a node that was offline catches up when it connects', async () => {
+    const online = await makePeer();
+    online.snapshotter.ingestBatch([
+      rumorOp('QmStorm'),
+      voteOp('QmStorm', 'v1'),
+      voteOp('QmStorm', 'v2', 'FALSE'),
+      voteOp('QmStorm', 'v3'),
+    ]);
+
+    const laptop = await makePeer();
+    expect(laptop.snapshotter.getRumor('QmStorm')).toBeNull();
+
+    await connect(laptop, online);
+
+    const converged = await waitFor(() => laptop.sync.localRoot === online.sync.localRoot);
+    expect(converged).toBe(true);
+    expect(laptop.snapshotter.getRumor('QmStorm').text).toBe('Rumor QmStorm');
+    expect(laptop.snapshotter.getVotesForRumor('QmStorm')).toHaveLength(3);
+    expect(laptop.sync.getStats().entriesReceived).toBeGreaterThanOrEqual(4);
+  });
+
+  test('three nodes with disjoint ops converge to the same OpLog', async () => {
+    const a = await makePeer();
+    const b = await makePeer();
+    const c = await makePeer();
+
+    a.snapshotter.ingestBatch([rumorOp('QmA'), voteOp('QmA', 'va')]);
+    b.snapshotter.ingest(rumorOp('QmB'));
+    c.snapshotter.ingestBatch([rumorOp('QmC'), voteOp('QmA', 'vc', 'FALSE')]);
+
+    // Line topology: a — b — c
+    await connect(a, b);
+    await connect(b, c);
+
+    const converged = await waitFor(() =>
+      a.sync.localRoot === b.sync.localRoot && b.sync.localRoot === c.sync.localRoot,
+    );
+    expect(converged).toBe(true);
+
+    for (const { snapshotter } of [a, b, c]) {
+      expect(snapshotter.getOpLog()).toHaveLength(5);
+      expect([...snapshotter.getActiveRumors().keys()].sort()).toEqual(['QmA', 'QmB', 'QmC']);
+      expect(snapshotter.getVotesForRumor('QmA')).toHaveLength(2);
+    }
+  });
+
+  test('repeated sync rounds do not duplicate ops', async () => {
+    const a = await makePeer();
+    const b = await makePeer();
+    a.snapshotter.ingestBatch([rumorOp('QmOnce'), voteOp('QmOnce', 'v1')]);
+
+    await connect(b, a);
+    expect(await waitFor(() => b.sync.localRoot === a.sync.localRoot)).toBe(true);
+
+    await b.sync.requestSync();
+    await a.sync.requestSync();
+    await new Promise(r => setTimeout(r, 1000));
+
+    expect(a.snapshotter.getOpLog()).toHaveLength(2);
+    expect(b.snapshotter.getOpLog()).toHaveLength(2);
+    expect(b.sync.hasOp(rumorOp('QmOnce'))).toBe(true);
+  });
+
+  test('drops synced ops that fail the gossip validators', async () => {
+    const online = await makePeer();
+    online.snapshotter.ingestBatch([
+      rumorOp('QmValid'),
+      { type: 'RUMOR', payload: { id: 'QmUnproved', text: 'No proof', topic: 'general', nullifier: 'mallory' }, timestamp: 1000 },
+      { type: 'EPOCH', payload: { epoch: 1 }, timestamp: 1000 },
+    ]);
+
+    const laptop = await makePeer();
+    let rejected = 0;
+    laptop.sync.on('synced', (result) => { rejected += result.rejected; });
+    await connect(laptop, online);
+
+    expect(await waitFor(() => laptop.snapshotter.getRumor('QmValid') !== null)).toBe(true);
+    expect(await waitFor(() => rejected >= 2)).toBe(true);
+    expect(laptop.snapshotter.getRumor('QmUnproved')).toBeNull();
+    expect(laptop.snapshotter.getOpLog().map(op => op.type)).toEqual(['RUMOR']);
+  });
+
+  test('a signed dispute published on one node is logged by another', async () => {
+    const verifiers = { accountVerifier: new AccountVerifier() };
+    const a = await makePeer({}, undefined, verifiers);
+    const b = await makePeer({}, undefined, verifiers);
+    b.gossip.onDispute((parsed) => b.snapshotter.ingest({ type: 'DISPUTE', payload: parsed.payload }));
+    await connect(a, b);
+    expect(await waitFor(() => a.node.pubsub.getSubscribers(PROTOCOL.TOPICS.DISPUTES).length > 0)).toBe(true);
+
+    const disputer = new IdentityManager().create('gossip-disputer');
+    const dispute = verifiers.accountVerifier.sign(disputer, 'DISPUTE', {
+      rumorId: 'QmDisputed', stakeAmount: 3, reason: 'One cluster cast every vote.', timestamp: Date.now(),
+    });
+    await a.gossip.publishDispute({ ...dispute, rumorId: 'QmForged' });
+    await a.gossip.publishDispute(dispute);
+
+    expect(await waitFor(() => b.snapshotter.getDisputes('QmDisputed').length === 1)).toBe(true);
+    expect(b.snapshotter.getDisputes('QmDisputed')[0].nullifier).toBe(dispute.nullifier);
+    expect(b.snapshotter.getDisputes('QmForged')).toHaveLength(0);
+    expect(b.gossip.peerStats.get(a.node.peerId.toString()).rejected).toBe(1);
+  });
+
+  test('catches up over several rounds when the delta exceeds one batch', async () => {
+    const source = await makePeer({}, new AntiEntropySync({ syncCooldown: 0, maxBatchSize: 2 }));
+    const ops = [1, 2, 3, 4, 5].map(i => rumorOp(`QmBatch${i}`));
+    source.snapshotter.ingestBatch(ops);
+
+    const target = await makePeer();
+    await connect(target, source);
+
+    expect(await waitFor(() => target.sync.localRoot === source.sync.localRoot)).toBe(true);
+    expect(target.snapshotter.getActiveRumors().size).toBe(5);
+    expect(target.sync.getStats().syncCount).toBeGreaterThanOrEqual(3);
+  });
+});
@@ -2,7 +2,9 @@
 // Afwaah — Phase 3 Tests: Scoring Engine
 //
 // Tests the CorrelationDampener, BTSEngine, RBTSEngine,
-// and ReputationManager in isolation and in full pipeline.
+// and ReputationManager in isolation and in full pipeline,
+// plus official resolution, disputes, moderation, anonymous reputation,
+// the decay/recovery epoch scheduler and the scoring engine registry.
 //
 // Run: npx --node-options="--experimental-vm-modules" jest tests/scoring.test.js --verbose
 // ─────────────────────────────────────────────────────────────
@@ -11,7 +13,18 @@ import { jest, describe, test, expect, beforeEach } from '@jest/globals';
 import { CorrelationDampener } from '../src/scoring/correlation-dampener.js';
 import { BTSEngine } from '../src/scoring/bts-engine.js';
 import { RBTSEngine } from '../src/scoring/rbts-engine.js';
-import { ReputationManager } from '../src/scoring/reputation-manager.js';
+import { DBTSEngine } from '../src/scoring/dbts-engine.js';
+import { PTSEngine } from '../src/scoring/pts-engine.js';
+import { MajorityEngine } from '../src/scoring/majority-engine.js';
+import { ScoringEngineRegistry } from '../src/scoring/engine-registry.js';
+import { ReputationManager, postActionId } from '../src/scoring/reputation-manager.js';
+import { OfficialResolver } from '../src/scoring/official-resolver.js';
+import { DisputeManager, disputeActionId } from '../src/scoring/dispute-manager.js';
+import { ModerationManager, flagActionId, appealActionId } from '../src/scoring/moderation-manager.js';
+import { AnonymousReputation, hashToField, reputationMessage } from '../src/scoring/anonymous-reputation.js';
+import { EpochScheduler } from '../src/scoring/epoch-scheduler.js';
+import { ScoringSimulator, generateScenario } from '../src/scoring/simulator.js';
+import { SCORING } from '../src/config.js';
 
 // ─────────────────────────────────────────────────────────────
 // Helpers
@@ -201,6 +214,38 @@ describe('CorrelationDampener', () => {
     // W = 1/(1+10*1.0) = 0.0909... × 50 ≈ 4.55
     expect(effectiveVotes).toBeCloseTo(50 / 11, 1);
   });
+
+  test('getClusters reports only multi-voter clusters', () => {
+    const votes = [
+      makeVote('bot1', 'TRUE'),
+      makeVote('bot2', 'TRUE'),
+      makeVote('bot3', 'TRUE'),
+      makeVote('honest', 'FALSE'),
+    ];
+    const botHistory = [
+      { rumorId: 'r1', vote: 'TRUE' },
+      { rumorId: 'r2', vote: 'TRUE' },
+      { rumorId: 'r3', vote: 'FALSE' },
+    ];
+    const history = new Map([
+      ['bot1', [...botHistory]],
+      ['bot2', [...botHistory]],
+      ['bot3', [...botHistory]],
+      ['honest', [
+        { rumorId: 'r1', vote: 'FALSE' },
+        { rumorId: 'r2', vote: 'FALSE' },
+        { rumorId: 'r3', vote: 'TRUE' },
+      ]],
+    ]);
+
+    const clusters = dampener.getClusters(votes, history);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].members.sort()).toEqual(['bot1', 'bot2', 'bot3']);
+    expect(clusters[0].size).toBe(3);
+    expect(clusters[0].weight).toBeCloseTo(1.0 / 11.0, 2);
+
+    expect(dampener.getClusters(votes, new Map())).toEqual([]);
+  });
 });
 
 // ═════════════════════════════════════════════════════════════
@@ -536,6 +581,28 @@ describe('ReputationManager', () => {
     expect(() => rep.lockStake('user1', 100, 'r1', 'vote')).toThrow('E007');
   });
 
+  test('releaseAction() releases every lock on an action', () => {
+    rep.register('user1');
+    rep.register('user2');
+    rep.lockStake('user1', 1, 'rumor1', 'vote');
+    rep.lockStake('user2', 2, 'rumor1', 'vote');
+    rep.lockStake('user2', 5, 'post:rumor2', 'post');
+
+    expect(rep.releaseAction('rumor1')).toBe(2);
+    expect(rep.getUser('user2').stakes.has('post:rumor2')).toBe(true);
+    expect(rep.getScore('user2')).toBe(10);
+  });
+
+  test('forfeitStake() deducts the locked amount', () => {
+    rep.register('user1');
+    rep.lockStake('user1', 5, 'post:rumor1', 'post');
+
+    expect(rep.forfeitStake('user1', 'post:rumor1')).toBe(5);
+    expect(rep.getScore('user1')).toBe(5);
+    expect(rep.getUser('user1').stakes.size).toBe(0);
+    expect(rep.forfeitStake('user1', 'post:rumor1')).toBe(0);
+  });
+
   // ── Scoring ───────────────────────────────────────────────
 
   test('should reward voters with positive BTS scores', () => {
@@ -656,6 +723,19 @@ describe('ReputationManager', () => {
     expect(rep.getScore('u1')).toBe(10); // capped at initial
   });
 
+  test('applyEpochs() decays high scores and lifts low ones toward the initial score', () => {
+    rep.register('high');
+    rep.register('low');
+    rep._users.get('high').score = 100;
+    rep._users.get('low').score = 0;
+
+    rep.applyEpochs(2, 7);
+
+    expect(rep.getScore('high')).toBeCloseTo(100 * 0.99 * 0.99, 6);
+    expect(rep.getScore('low')).toBeCloseTo(0.199, 6);   // (0 + 0.1) · 0.99 + 0.1
+    expect(rep.getUser('high').history.at(-1)).toMatchObject({ type: 'epoch', epoch: 7, epochs: 2 });
+  });
+
   // ── Export / Import ───────────────────────────────────────
 
   test('should export and import user data', () => {
@@ -673,6 +753,40 @@ describe('ReputationManager', () => {
     expect(rep2.getScore('u2')).toBe(10);
   });
 
+  test('should export and import locked stakes', () => {
+    rep.register('u1');
+    rep.lockStake('u1', 2, 'r1', 'vote');
+
+    const rep2 = new ReputationManager();
+    rep2.import(rep.export());
+
+    expect(rep2.getUser('u1').stakes.get('r1').amount).toBe(2);
+    expect(rep2.releaseLock('u1', 'r1')).toBe(true);
+  });
+
+  test('atTime() pins history and lock timestamps', () => {
+    rep.register('u1');
+    rep.atTime(1234, () => rep.lockStake('u1', 1, 'r1', 'vote'));
+    rep.applyScores({ voterScores: new Map([['u1', 0.5]]) }, 'r1');
+
+    const user = rep.getUser('u1');
+    expect(user.history[0].timestamp).toBe(1234);
+    expect(user.history[1].timestamp).not.toBe(1234);
+  });
+
+  test('should emit update events for every mutation', () => {
+    const updates = [];
+    rep.on('update', (id) => updates.push(id));
+
+    rep.register('u1');
+    rep.lockStake('u1', 1, 'r1', 'vote');
+    rep.applyScores({ voterScores: new Map([['u1', 0.5]]) }, 'r1');
+    rep.applyDecay();
+
+    // register, lock, reward, release, decay
+    expect(updates).toEqual(['u1', 'u1', 'u1', 'u1', 'u1']);
+  });
+
   test('should track history through all operations', () => {
     rep.register('u1');
 
@@ -804,3 +918,625 @@ describe('Full Scoring Pipeline', () => {
     expect(selectEngine(3)).toBe('RBTS');
   });
 });
+
+// ═════════════════════════════════════════════════════════════
+// 6. OfficialResolver
+// ═════════════════════════════════════════════════════════════
+describe('OfficialResolver', () => {
+  const resolver = new OfficialResolver();
+  const votes = [
+    makeVote('t1', 'TRUE'),
+    makeVote('t2', 'TRUE'),
+    makeVote('f1', 'FALSE'),
+    makeVote('u1', 'UNVERIFIED'),
+  ];
+
+  test('CONFIRMS resolves TRUE and scores voters by side', () => {
+    const result = resolver.resolve(votes, [{ impact: 'CONFIRMS', issuedAt: 1 }]);
+
+    expect(result.consensus).toBe('TRUE');
+    expect(result.rumorTrustScore).toBe(100);
+    expect(result.voterScores.get('t1')).toBe(1);
+    expect(result.voterScores.get('f1')).toBe(-1);
+    expect(result.voterScores.get('u1')).toBe(0);
+    expect(result.actualProportions.TRUE).toBeCloseTo(0.5);
+  });
+
+  test('CONTRADICTS resolves FALSE', () => {
+    const result = resolver.resolve(votes, [{ impact: 'CONTRADICTS', issuedAt: 1 }]);
+
+    expect(result.consensus).toBe('FALSE');
+    expect(result.rumorTrustScore).toBe(0);
+    expect(result.voterScores.get('t1')).toBe(-1);
+    expect(result.voterScores.get('f1')).toBe(1);
+  });
+
+  test('NEUTRAL proofs and no proofs resolve nothing', () => {
+    expect(resolver.resolve(votes, [{ impact: 'NEUTRAL', issuedAt: 1 }])).toBeNull();
+    expect(resolver.resolve(votes, [])).toBeNull();
+  });
+
+  test('conflicting decisive proofs leave the rumor to the crowd', () => {
+    const proofs = [{ impact: 'CONFIRMS', issuedAt: 1 }, { impact: 'CONTRADICTS', issuedAt: 2 }];
+    expect(resolver.decisiveProof(proofs)).toEqual({ proof: null, conflict: true });
+    expect(resolver.resolve(votes, proofs)).toBeNull();
+  });
+
+  test('picks the latest of several agreeing proofs', () => {
+    const proofs = [
+      { impact: 'CONFIRMS', issuedAt: 1, statement: 'first' },
+      { impact: 'NEUTRAL', issuedAt: 3, statement: 'context' },
+      { impact: 'CONFIRMS', issuedAt: 2, statement: 'second' },
+    ];
+    expect(resolver.decisiveProof(proofs).proof.statement).toBe('second');
+  });
+
+  test('result slashes wrong-side voters through ReputationManager', () => {
+    const rep = new ReputationManager();
+    ['t1', 't2', 'f1', 'u1'].forEach(id => rep.register(id));
+
+    const result = resolver.resolve(votes, [{ impact: 'CONFIRMS', issuedAt: 1 }]);
+    const { rewards, slashes } = rep.applyScores(result, 'r-official');
+
+    expect(rewards.has('t1')).toBe(true);
+    expect(slashes.has('f1')).toBe(true);
+    expect(rep.getScore('f1')).toBeLessThan(SCORING.INITIAL_TRUST_SCORE);
+    expect(rep.getScore('u1')).toBe(SCORING.INITIAL_TRUST_SCORE);
+  });
+});
+
+// ═════════════════════════════════════════════════════════════
+// 7. DisputeManager
+// ═════════════════════════════════════════════════════════════
+describe('DisputeManager', () => {
+  let rep;
+  let dm;
+  const finalized = {
+    rumorId: 'r-disputed',
+    score: 80,
+    consensus: 'TRUE',
+    actualProportions: { TRUE: 0.8, FALSE: 0.2, UNVERIFIED: 0 },
+    voterCount: 5,
+    resolvedBy: 'crowd',
+  };
+
+  beforeEach(() => {
+    rep = new ReputationManager();
+    rep.register('disputer');
+    dm = new DisputeManager(rep, { window: 1000 });
+  });
+
+  test('open() locks the dispute stake and reopens voting for the window', () => {
+    const opened = dm.open(finalized, { nullifier: 'disputer', stakeAmount: 4, reason: 'brigaded' }, 5000);
+
+    expect(opened.dispute).toMatchObject({ nullifier: 'disputer', stakeAmount: 4, openedAt: 5000, closesAt: 6000 });
+    expect(rep.getUser('disputer').stakes.get(disputeActionId('r-disputed'))).toMatchObject({ amount: 4, action: 'dispute' });
+    expect(dm.isOpen(opened, 5999)).toBe(true);
+    expect(dm.isOpen(opened, 6000)).toBe(false);
+    expect(finalized.dispute).toBeUndefined(); // original record untouched
+  });
+
+  test('validate() rejects unfinalized, official, already-disputed and unaffordable disputes', () => {
+    const d = { nullifier: 'disputer', stakeAmount: 4 };
+    expect(dm.validate(undefined, d)).toMatch(/^E500/);
+    expect(dm.validate({ ...finalized, resolvedBy: 'official' }, d)).toMatch(/^E501/);
+    expect(dm.validate(dm.open(finalized, d), d)).toMatch(/^E502/);
+    expect(dm.validate(finalized, { stakeAmount: 4 })).toMatch(/^E503/);
+    expect(dm.validate(finalized, { nullifier: 'disputer', stakeAmount: SCORING.MIN_STAKE_TO_DISPUTE - 1 })).toMatch(/^E504/);
+    expect(dm.validate(finalized, { nullifier: 'disputer' })).toMatch(/^E504/);
+    expect(dm.validate(finalized, { nullifier: 'stranger', stakeAmount: 4 })).toMatch(/^E504/);
+  });
+
+  test('settle() refuses while the window is open', () => {
+    const opened = dm.open(finalized, { nullifier: 'disputer', stakeAmount: 4 }, 5000);
+    expect(() => dm.settle(opened, { consensus: 'FALSE' }, { now: 5500 })).toThrow('E506');
+    expect(() => dm.settle(finalized, { consensus: 'FALSE' }, { now: 9000 })).toThrow('E505');
+  });
+
+  test('upheld dispute refunds, rewards, and replaces the score', () => {
+    const opened = dm.open(finalized, { nullifier: 'disputer', stakeAmount: 4 }, 5000);
+    const rerun = { consensus: 'FALSE', rumorTrustScore: 30, actualProportions: { TRUE: 0.3, FALSE: 0.7, UNVERIFIED: 0 } };
+
+    const { finalized: next, upheld, reward } = dm.settle(opened, rerun, { now: 7000, voterCount: 9 });
+
+    expect(upheld).toBe(true);
+    expect(reward).toBe(4 * SCORING.REWARD_MULTIPLIER);
+    expect(rep.getScore('disputer')).toBe(SCORING.INITIAL_TRUST_SCORE + reward);
+    expect(rep.getUser('disputer').stakes.size).toBe(0);
+    expect(next).toMatchObject({ consensus: 'FALSE', score: 30, voterCount: 9, finalizedAt: 7000 });
+    expect(next.dispute).toBeUndefined();
+    expect(next.disputes[0]).toMatchObject({ status: 'upheld', previousConsensus: 'TRUE', rerunConsensus: 'FALSE' });
+  });
+
+  test('rejected dispute slashes the disputer and keeps the score', () => {
+    const opened = dm.open(finalized, { nullifier: 'disputer', stakeAmount: 4 }, 5000);
+    const rerun = { consensus: 'TRUE', rumorTrustScore: 85, actualProportions: {} };
+
+    const { finalized: next, upheld, penalty } = dm.settle(opened, rerun, { now: 7000 });
+
+    expect(upheld).toBe(false);
+    expect(penalty).toBe(4 * SCORING.SLASH_MULTIPLIER);
+    expect(rep.getScore('disputer')).toBe(SCORING.INITIAL_TRUST_SCORE - penalty);
+    expect(rep.getUser('disputer').stakes.size).toBe(0);
+    expect(next.score).toBe(80);
+    expect(next.disputes[0].status).toBe('rejected');
+  });
+
+  test('a settled rumor can be disputed again, keeping the history', () => {
+    const first = dm.settle(
+      dm.open(finalized, { nullifier: 'disputer', stakeAmount: 3 }, 0),
+      { consensus: 'TRUE' },
+      { now: 2000 },
+    ).finalized;
+
+    rep.register('second');
+    const second = dm.open(first, { nullifier: 'second', stakeAmount: 3 }, 3000);
+    const { finalized: next } = dm.settle(second, { consensus: 'FALSE', rumorTrustScore: 20 }, { now: 5000 });
+
+    expect(next.disputes.map(d => d.status)).toEqual(['rejected', 'upheld']);
+    expect(next.consensus).toBe('FALSE');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// ModerationManager
+// ─────────────────────────────────────────────────────────────
+
+describe('ModerationManager', () => {
+  let rep;
+  let mm;
+  const rumor = { id: 'r-flagged', nullifier: 'author' };
+
+  beforeEach(() => {
+    rep = new ReputationManager();
+    for (const id of ['author', 'f1', 'f2', 'f3', 'a1', 'a2', 'a3']) rep.register(id);
+    rep.lockStake('author', 5, postActionId(rumor.id), 'post');
+    mm = new ModerationManager(rep, { threshold: 6, minFlaggers: 2, appealWindow: 1000 });
+  });
+
+  /** Flag with f1 and f2 (stake 3 each), reaching the threshold at t=200. */
+  function flagged() {
+    const open = mm.flag(undefined, rumor, { nullifier: 'f1', category: 'doxxing', stakeAmount: 3 }, 100);
+    return mm.flag(open, rumor, { nullifier: 'f2', category: 'harassment', stakeAmount: 3 }, 200);
+  }
+
+  test('flag() locks the stake and marks the case flagged once weight and flaggers reach the threshold', () => {
+    const open = mm.flag(undefined, rumor, { nullifier: 'f1', category: 'doxxing', stakeAmount: 5 }, 100);
+    expect(open).toMatchObject({ rumorId: 'r-flagged', author: 'author', status: 'open', openedAt: 100 });
+    expect(mm.isFlagged(open)).toBe(false); // weight 5 < 6, one flagger
+    expect(rep.getUser('f1').stakes.get(flagActionId(rumor.id))).toMatchObject({ amount: 5, action: 'flag' });
+
+    const record = mm.flag(open, rumor, { nullifier: 'f2', category: 'doxxing', stakeAmount: 2 }, 300);
+    expect(record).toMatchObject({ status: 'flagged', flaggedAt: 300, appealClosesAt: 1300 });
+    expect(mm.isFlagged(record)).toBe(true);
+    expect(open.flags).toHaveLength(1); // original case untouched
+  });
+
+  test('one heavy flagger alone cannot remove a rumor', () => {
+    const solo = new ModerationManager(rep, { threshold: 2, minFlaggers: 2 });
+    expect(solo.isFlagged(solo.flag(undefined, rumor, { nullifier: 'f1', category: 'doxxing', stakeAmount: 5 }))).toBe(false);
+  });
+
+  test('validateFlag() rejects bad categories, authors, repeat flaggers, gone rumors and unaffordable stakes', () => {
+    const f = { nullifier: 'f1', category: 'harassment', stakeAmount: 3 };
+    expect(mm.validateFlag(undefined, rumor, { ...f, category: 'spam' })).toMatch(/^E210/);
+    expect(mm.validateFlag(undefined, rumor, { ...f, nullifier: undefined })).toMatch(/^E211/);
+    expect(mm.validateFlag(undefined, null, f)).toMatch(/^E212/);
+    expect(mm.validateFlag(undefined, rumor, { ...f, nullifier: 'author' })).toMatch(/^E213/);
+    expect(mm.validateFlag(flagged(), null, { ...f, nullifier: 'f3' })).toMatch(/^E214/);
+    expect(mm.validateFlag(mm.flag(undefined, rumor, f), rumor, f)).toMatch(/^E215/);
+    expect(mm.validateFlag(undefined, rumor, { ...f, nullifier: 'f3', stakeAmount: SCORING.MIN_STAKE_TO_FLAG - 1 })).toMatch(/^E216/);
+    expect(mm.validateFlag(undefined, rumor, { ...f, nullifier: 'stranger' })).toMatch(/^E216/);
+  });
+
+  test('appeals are taken only while the window is open, once per member', () => {
+    const record = flagged();
+    expect(mm.validateAppeal(undefined, { nullifier: 'a1', stakeAmount: 3 }, 500)).toMatch(/^E217/);
+    expect(mm.validateAppeal(record, { nullifier: 'a1', stakeAmount: 3 }, 1200)).toMatch(/^E218/);
+    expect(mm.validateAppeal(record, { nullifier: 'f1', stakeAmount: 3 }, 500)).toMatch(/^E215/);
+
+    const appealed = mm.appeal(record, { nullifier: 'author', stakeAmount: 3 }, 500);
+    expect(appealed.appeals).toEqual([{ nullifier: 'author', stakeAmount: 3, reason: '', at: 500 }]);
+    expect(rep.getUser('author').stakes.get(appealActionId(rumor.id))).toMatchObject({ amount: 3, action: 'appeal' });
+  });
+
+  test('settle() refuses until the appeal window has closed', () => {
+    expect(() => mm.settle(flagged(), 1199)).toThrow('E219');
+    expect(() => mm.settle(undefined, 5000)).toThrow('E217');
+  });
+
+  test('an unappealed removal returns flag stakes and forfeits the post stake', () => {
+    const { record, overturned } = mm.settle(flagged(), 1200);
+
+    expect(overturned).toBe(false);
+    expect(record).toMatchObject({ status: 'upheld', settledAt: 1200, rewards: {}, slashes: {} });
+    expect(rep.getScore('f1')).toBe(SCORING.INITIAL_TRUST_SCORE);
+    expect(rep.getUser('f1').stakes.size).toBe(0);
+    expect(rep.getScore('author')).toBe(SCORING.INITIAL_TRUST_SCORE - 5);
+    expect(rep.getUser('author').stakes.size).toBe(0);
+  });
+
+  test('a failed appeal rewards flaggers and slashes appellants', () => {
+    const appealed = mm.appeal(flagged(), { nullifier: 'a1', stakeAmount: 4 }, 500);
+    const { record, overturned, rewards, slashes } = mm.settle(appealed, 1200);
+
+    expect(overturned).toBe(false);
+    expect(record.status).toBe('upheld');
+    expect(rewards.get('f1')).toBe(3 * SCORING.REWARD_MULTIPLIER);
+    expect(slashes.get('a1')).toBe(4 * SCORING.SLASH_MULTIPLIER);
+    expect(rep.getScore('a1')).toBe(SCORING.INITIAL_TRUST_SCORE - 4 * SCORING.SLASH_MULTIPLIER);
+    expect(rep.getUser('a1').stakes.size).toBe(0);
+  });
+
+  test('appeals outweighing the flags from as many members overturn the removal', () => {
+    let record = flagged();
+    record = mm.appeal(record, { nullifier: 'a1', stakeAmount: 4 }, 400);
+    record = mm.appeal(record, { nullifier: 'a2', stakeAmount: 4 }, 500);
+    const { record: settled, overturned, rewards, slashes } = mm.settle(record, 1200);
+
+    expect(overturned).toBe(true);
+    expect(settled.status).toBe('overturned');
+    expect(slashes.get('f2')).toBe(3 * SCORING.SLASH_MULTIPLIER);
+    expect(rewards.get('a2')).toBe(4 * SCORING.REWARD_MULTIPLIER);
+    expect(rep.getScore('author')).toBe(SCORING.INITIAL_TRUST_SCORE); // post stake comes back
+    expect(rep.getUser('author').stakes.size).toBe(0);
+  });
+
+  test('withdraw() returns every flag stake on an open case', () => {
+    const open = mm.flag(undefined, rumor, { nullifier: 'f1', category: 'doxxing', stakeAmount: 3 }, 100);
+    expect(mm.withdraw(open).status).toBe('withdrawn');
+    expect(rep.getUser('f1').stakes.size).toBe(0);
+    expect(rep.getScore('f1')).toBe(SCORING.INITIAL_TRUST_SCORE);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// AnonymousReputation
+// ─────────────────────────────────────────────────────────────
+
+describe('AnonymousReputation', () => {
+  const MEMBER_ROOT = '4242';
+  let ledger;
+
+  // Proof verification is the Semaphore verifier's job — these
+  // tests fake it and exercise what the ledger checks itself
+  const memberProof = (scope, nullifier, message) => ({
+    merkleTreeRoot: MEMBER_ROOT, scope: hashToField(scope), nullifier, message,
+  });
+  const noteProof = (score, nullifier, message) => ({
+    merkleTreeRoot: ledger.getLevelGroup(score).getRoot().toString(),
+    scope: hashToField('rep_note'), nullifier, message,
+  });
+  const genesis = (member, note) => ledger.mintGenesis({
+    proof: memberProof('rep_genesis', member, reputationMessage('GENESIS', note)), note,
+  });
+  const stakeFor = ({ action = 'vote', actionNullifier, rumorId = 'r1', amount = 2, changeNote, from = 10, spend }) => ({
+    proof: noteProof(from, spend,
+      reputationMessage('STAKE', actionNullifier, rumorId, action, amount, changeNote)),
+    actionNullifier,
+    scope: hashToField(`${action}_${rumorId}`),
+    voter: `zk_${actionNullifier}`,
+    rumorId, action, amount, changeNote,
+  });
+  const stake = async (params) => {
+    const s = stakeFor(params);
+    await ledger.verifyStake(s);
+    return ledger.lockStake(s);
+  };
+
+  beforeEach(() => {
+    ledger = new AnonymousReputation({
+      verifyProof: async (proof) => proof.valid !== false,
+      isMemberRoot: (root) => root === MEMBER_ROOT,
+    });
+  });
+
+  test('mints one genesis note per member at the initial score', async () => {
+    const note = await genesis('m1', '101');
+    expect(note).toEqual({ commitment: '101', score: SCORING.INITIAL_TRUST_SCORE });
+    expect(ledger.getLevels()).toEqual([
+      expect.objectContaining({ score: SCORING.INITIAL_TRUST_SCORE, size: 1 }),
+    ]);
+
+    await expect(genesis('m1', '102')).rejects.toThrow('E903');
+    await expect(genesis('m2', '101')).rejects.toThrow('E906');
+  });
+
+  test('rejects genesis proofs that are forged, unbound or from another group', async () => {
+    const note = '101';
+    const message = reputationMessage('GENESIS', note);
+    await expect(ledger.mintGenesis({ proof: { ...memberProof('rep_genesis', 'm1', message), valid: false }, note }))
+      .rejects.toThrow('E900');
+    await expect(ledger.mintGenesis({ proof: memberProof('rep_genesis', 'm1', reputationMessage('GENESIS', '999')), note }))
+      .rejects.toThrow('E901');
+    await expect(ledger.mintGenesis({ proof: { ...memberProof('rep_genesis', 'm1', message), merkleTreeRoot: '1' }, note }))
+      .rejects.toThrow('E902');
+    expect(ledger.getStats().notes).toBe(0);
+  });
+
+  test('a stake spends the note, locks the amount and mints the change', async () => {
+    await genesis('m1', '101');
+    const escrow = await stake({ actionNullifier: 'a1', changeNote: '102', spend: 's1' });
+
+    expect(escrow).toMatchObject({ actionNullifier: 'a1', action: 'vote', amount: 2, status: 'locked' });
+    expect(ledger.getNote('102').score).toBe(8);
+
+    // The spent note cannot stake again
+    await expect(ledger.verifyStake(stakeFor({ actionNullifier: 'a2', changeNote: '103', spend: 's1' })))
+      .rejects.toThrow('E903');
+  });
+
+  test('enforces the stake limits against the spent note', async () => {
+    await genesis('m1', '101');
+    // Votes may stake at most 25% of the note, posts need MIN_STAKE_TO_POST
+    await expect(ledger.verifyStake(stakeFor({ actionNullifier: 'a1', amount: 3, changeNote: '102', spend: 's1' })))
+      .rejects.toThrow('E904');
+    await expect(ledger.verifyStake(stakeFor({ action: 'post', actionNullifier: 'a1', amount: 4, changeNote: '102', spend: 's1' })))
+      .rejects.toThrow('E904');
+    await expect(ledger.verifyStake(stakeFor({ action: 'dispute', actionNullifier: 'a1', changeNote: '102', spend: 's1' })))
+      .rejects.toThrow('E904');
+  });
+
+  test('lockStake refuses a stake that was not verified', async () => {
+    await genesis('m1', '101');
+    expect(() => ledger.lockStake(stakeFor({ actionNullifier: 'a1', changeNote: '102', spend: 's1' })))
+      .toThrow('E900');
+  });
+
+  test('settles votes like applyScores and pays out through an unlinkable claim', async () => {
+    await genesis('m1', '101');
+    await genesis('m2', '201');
+    await stake({ actionNullifier: 'a1', changeNote: '102', spend: 's1' });
+    await stake({ actionNullifier: 'a2', changeNote: '202', spend: 's2' });
+
+    const settled = ledger.settle('r1', { voterScores: new Map([['zk_a1', 0.5], ['zk_a2', -1]]) });
+    expect(settled.map(e => e.payout)).toEqual([3, 0]);   // 2 + 0.5·2, 2 − 1·2·1.5 → 0
+
+    const claimFor = (action, note, spend) => {
+      const message = reputationMessage('CLAIM', action, note);
+      return {
+        memberProof: memberProof('vote_r1', action, message),
+        noteProof: noteProof(8, spend, message),
+        note,
+      };
+    };
+
+    const claimed = await ledger.claim(claimFor('a1', '103', 's3'));
+    expect(claimed).toEqual({ commitment: '103', score: 11, payout: 3 });
+    expect(ledger.getEscrow('a1').status).toBe('claimed');
+
+    await expect(ledger.claim(claimFor('a1', '104', 's4'))).rejects.toThrow('E903');
+    await expect(ledger.claim(claimFor('a2', '204', 's5'))).rejects.toThrow('E905');
+  });
+
+  test('a claim must re-prove the action it collects', async () => {
+    await genesis('m1', '101');
+    await stake({ actionNullifier: 'a1', changeNote: '102', spend: 's1' });
+    ledger.settle('r1', { voterScores: new Map([['zk_a1', 1]]) });
+
+    const message = reputationMessage('CLAIM', 'a1', '103');
+    const noteP = noteProof(8, 's2', message);
+    await expect(ledger.claim({ memberProof: memberProof('vote_r2', 'a1', message), noteProof: noteP, note: '103' }))
+      .rejects.toThrow('E901');
+    await expect(ledger.claim({
+      memberProof: memberProof('vote_r1', 'a1', reputationMessage('CLAIM', 'a1', '999')), noteProof: noteP, note: '103',
+    })).rejects.toThrow('E901');
+  });
+
+  test('a post is paid back unless the rumor is judged FALSE', async () => {
+    await genesis('m1', '101');
+    await genesis('m2', '201');
+    await stake({ action: 'post', actionNullifier: 'p1', rumorId: 'r1', amount: 5, changeNote: '102', spend: 's1' });
+    await stake({ action: 'post', actionNullifier: 'p2', rumorId: 'r2', amount: 5, changeNote: '202', spend: 's2' });
+
+    expect(ledger.settle('r1', { consensus: 'TRUE' })[0].payout).toBe(5);
+    expect(ledger.settle('r2', { consensus: 'FALSE' })[0].payout).toBe(0);
+    expect(ledger.settle('r1', { consensus: 'FALSE' })).toEqual([]);
+  });
+
+  test('refund() pays back every stake on a tombstoned rumor', async () => {
+    await genesis('m1', '101');
+    await genesis('m2', '201');
+    await stake({ action: 'post', actionNullifier: 'p1', rumorId: 'r1', amount: 5, changeNote: '102', spend: 's1' });
+    await stake({ actionNullifier: 'a1', rumorId: 'r1', amount: 2, changeNote: '202', spend: 's2' });
+
+    expect(ledger.refund('r1').map(e => e.payout)).toEqual([5, 2]);
+    expect(ledger.settle('r1', { consensus: 'FALSE' })).toEqual([]);
+  });
+
+  test('export and import rebuild the same level groups', async () => {
+    await genesis('m1', '101');
+    await genesis('m2', '201');
+    await stake({ actionNullifier: 'a1', changeNote: '102', spend: 's1' });
+
+    const copy = new AnonymousReputation();
+    copy.import(ledger.export());
+    expect(copy.getLevels()).toEqual(ledger.getLevels());
+    expect(copy.getStats()).toEqual(ledger.getStats());
+    expect(copy.getEscrow('a1')).toEqual(ledger.getEscrow('a1'));
+  });
+});
+
+// ═════════════════════════════════════════════════════════════
+// 8. EpochScheduler
+// ═════════════════════════════════════════════════════════════
+describe('EpochScheduler', () => {
+  const DAY = 1000;
+  let rep, epochs;
+
+  beforeEach(() => {
+    rep = new ReputationManager();
+    rep.register('u1');
+    rep._users.get('u1').score = 100;
+    epochs = new EpochScheduler(rep, { duration: DAY });
+  });
+
+  test('the first epoch is a baseline, later ones decay per epoch elapsed', () => {
+    expect(epochs.due(5 * DAY + 10)).toEqual({ type: 'EPOCH', payload: { epoch: 5 }, timestamp: 5 * DAY });
+    expect(epochs.apply({ epoch: 5 }, 5 * DAY)).toBe(0);
+    expect(rep.getScore('u1')).toBe(100);
+
+    expect(epochs.due(5 * DAY + 999)).toBeNull();
+    expect(epochs.apply({ epoch: 8 }, 8 * DAY)).toBe(3);
+    expect(rep.getScore('u1')).toBeCloseTo(100 * 0.99 ** 3, 6);
+  });
+
+  test('ignores stale, repeated and future epochs', () => {
+    epochs.apply({ epoch: 5 }, 5 * DAY);
+    epochs.apply({ epoch: 6 }, 6 * DAY);
+
+    expect(epochs.apply({ epoch: 6 }, 6 * DAY)).toBe(0);
+    expect(epochs.apply({ epoch: 4 }, 6 * DAY)).toBe(0);
+    expect(epochs.apply({ epoch: 1e9 }, 6 * DAY)).toBe(0);
+    expect(epochs.apply({ epoch: '7' }, 7 * DAY)).toBe(0);
+    expect(rep.getScore('u1')).toBeCloseTo(99, 6);
+  });
+
+  test('resume() picks up the last epoch from the OpLog without applying it', () => {
+    epochs.resume([
+      { type: 'EPOCH', payload: { epoch: 3 } },
+      { type: 'VOTE', payload: { rumorId: 'r1' } },
+      { type: 'EPOCH', payload: { epoch: 4 } },
+      { type: 'EPOCH', payload: { epoch: 99 } },   // ahead of the clock
+    ], 4 * DAY + 1);
+
+    expect(epochs.lastEpoch).toBe(4);
+    expect(rep.getScore('u1')).toBe(100);
+    expect(epochs.getStatus(4 * DAY + 1)).toMatchObject({ epoch: 4, currentEpoch: 4, nextEpochAt: 5 * DAY });
+  });
+});
+
+// ═════════════════════════════════════════════════════════════
+// 9. Scoring Engine Registry
+// ═════════════════════════════════════════════════════════════
+describe('ScoringEngineRegistry', () => {
+  const votes = [
+    makeDV('v1', 'TRUE', { TRUE: 0.7, FALSE: 0.2, UNVERIFIED: 0.1 }),
+    makeDV('v2', 'TRUE', { TRUE: 0.7, FALSE: 0.2, UNVERIFIED: 0.1 }),
+    makeDV('v3', 'TRUE', { TRUE: 0.2, FALSE: 0.7, UNVERIFIED: 0.1 }),
+    makeDV('v4', 'FALSE', { TRUE: 0.3, FALSE: 0.6, UNVERIFIED: 0.1 }),
+    makeDV('v5', 'UNVERIFIED', { TRUE: 0.4, FALSE: 0.3, UNVERIFIED: 0.3 }),
+  ];
+
+  test('every built-in engine returns the common result shape', () => {
+    const registry = new ScoringEngineRegistry();
+    expect(registry.list().map(e => e.name)).toEqual(['bts', 'rbts', 'dbts', 'pts', 'majority']);
+
+    for (const { name } of registry.list()) {
+      const result = registry.calculate(name, votes, 'QmRumor', 'seed');
+      expect(result.engine).toBe(name);
+      expect(result.voterScores.size).toBe(5);
+      expect(result.consensus).toBe('TRUE');
+      expect(result.rumorTrustScore).toBeCloseTo(60);
+    }
+  });
+
+  test('auto picks RBTS below the threshold and BTS from it, per topic', () => {
+    const registry = new ScoringEngineRegistry();
+    expect(registry.configured('safety')).toBe('auto');
+    expect(registry.select('safety', SCORING.RBTS_THRESHOLD - 1)).toBe('rbts');
+    expect(registry.select('safety', SCORING.RBTS_THRESHOLD)).toBe('bts');
+    expect(registry.resolve('pts', 3)).toBe('pts');
+    expect(registry.resolve('no-such-engine', 3)).toBe('rbts');
+    expect(() => registry.calculate('no-such-engine', votes)).toThrow('Unknown scoring engine');
+  });
+
+  test('accepts custom engines with the same interface', () => {
+    const registry = new ScoringEngineRegistry();
+    const flat = { calculate: dv => ({ ...new MajorityEngine().calculate(dv), rumorTrustScore: 50 }) };
+    registry.register('flat', flat, { description: 'test' });
+
+    expect(registry.calculate('flat', votes).rumorTrustScore).toBe(50);
+    expect(() => registry.register('auto', flat)).toThrow();
+    expect(() => registry.register('broken', {})).toThrow();
+  });
+
+  test('majority scores voters for siding with the weighted majority', () => {
+    const { voterScores } = new MajorityEngine().calculate(votes);
+    expect(Object.fromEntries(voterScores)).toEqual({ v1: 1, v2: 1, v3: 1, v4: -1, v5: 0 });
+  });
+
+  test('DBTS penalizes a voter whose prediction diverges from a matching peer', () => {
+    const dbts = new DBTSEngine(0.1);
+    const honest = [0, 1, 2, 3].map(i => makeDV(`v${i}`, 'TRUE', { TRUE: 0.7, FALSE: 0.2, UNVERIFIED: 0.1 }));
+    const base = dbts.calculate(honest, 'QmRumor', 1);
+    const liar = dbts.calculate([...honest.slice(0, 3), makeDV('v3', 'TRUE', { TRUE: 0.1, FALSE: 0.8, UNVERIFIED: 0.1 })], 'QmRumor', 1);
+
+    expect(base.voterScores.get('v3')).toBeCloseTo(2 * 0.7 - (0.49 + 0.04 + 0.01));
+    expect(liar.voterScores.get('v3')).toBeLessThan(base.voterScores.get('v3') - 1);
+    expect(dbts.calculate(honest.slice(0, 2)).voterScores.size).toBe(0);
+  });
+
+  test('PTS pays more for agreeing on an answer the prior finds rare', () => {
+    const pts = new PTSEngine({ TRUE: 0.8, FALSE: 0.1, UNVERIFIED: 0.1 });
+    const allTrue = ['a', 'b', 'c'].map(n => makeDV(n, 'TRUE', {}));
+    const allFalse = ['a', 'b', 'c'].map(n => makeDV(n, 'FALSE', {}));
+
+    expect(pts.calculate(allTrue, 'QmRumor', 1).voterScores.get('a')).toBeCloseTo(1 / 0.8 - 1);
+    expect(pts.calculate(allFalse, 'QmRumor', 1).voterScores.get('a')).toBeCloseTo(1 / 0.1 - 1);
+  });
+});
+
+// ═════════════════════════════════════════════════════════════
+// 10. ScoringSimulator
+// ═════════════════════════════════════════════════════════════
+describe('ScoringSimulator', () => {
+  const scenario = generateScenario({ seed: 7, rumors: 12, population: { honest: 20, lazy: 4, bots: 6, contrarians: 2 } });
+
+  test('generates the same scenario for the same seed', () => {
+    const again = generateScenario({ seed: 7, rumors: 12, population: { honest: 20, lazy: 4, bots: 6, contrarians: 2 } });
+    expect(again.opLog).toEqual(scenario.opLog);
+    expect([...again.truth]).toEqual([...scenario.truth]);
+    expect(generateScenario({ seed: 8, rumors: 12 }).opLog).not.toEqual(scenario.opLog);
+
+    const finalizes = scenario.opLog.filter(op => op.type === 'FINALIZE');
+    expect(finalizes).toHaveLength(12);
+    expect(scenario.roles.size).toBe(32);
+  });
+
+  test('bots lose weight to the dampener and reputation to the scorer', () => {
+    const report = new ScoringSimulator().simulate(scenario);
+    const { bots, honest } = report.influence.byRole;
+
+    expect(report.rumors.finalized).toBe(12);
+    expect(bots.weightShare).toBeLessThan(bots.voteShare);
+    expect(report.reputation.byRole.bots.mean).toBeLessThan(report.reputation.byRole.honest.mean);
+    expect(honest.weightShare).toBeGreaterThan(bots.weightShare);
+    expect(report.changedOutcomes).toEqual([]);
+  });
+
+  test('compares candidate parameters against the defaults', () => {
+    const report = new ScoringSimulator({ CORRELATION_LAMBDA: 40 }).simulate(scenario);
+    expect(report.params.CORRELATION_LAMBDA).toBe(40);
+    expect(report.params.BTS_ALPHA).toBe(SCORING.BTS_ALPHA);
+    expect(report.influence.byRole.bots.weightShare)
+      .toBeLessThan(report.baseline.influence.byRole.bots.weightShare);
+  });
+
+  test('backtests an OpLog against its official proofs', () => {
+    const [first, second] = [...scenario.truth];
+    const proof = ([rumorId, fact], i) => ({
+      type: 'OFFICIAL_PROOF',
+      payload: { rumorId, impact: fact === 'TRUE' ? 'CONFIRMS' : 'CONTRADICTS' },
+      timestamp: scenario.opLog[0].timestamp + i,
+      _ingestIndex: i,
+    });
+    const exported = { opLog: [...scenario.opLog, proof(first, 0), proof(second, 1)] };
+
+    const report = new ScoringSimulator().backtest(exported);
+    expect(report.rumors.withTruth).toBe(2);
+    expect(report.rumors.correct + report.rumors.wrong + report.rumors.undecided).toBe(2);
+    // The proofs are ground truth, not inputs: the crowd decides alone
+    expect(report.rumors.finalized).toBe(12);
+    expect(report.reputation.all).toEqual(new ScoringSimulator().simulate(scenario).reputation.all);
+    expect(report.reputation.byRole).toEqual({});
+  });
+
+  test('rejects unknown parameters and oversized scenarios', () => {
+    expect(() => new ScoringSimulator({ NOT_A_PARAM: 1 })).toThrow('Unknown simulation parameter');
+    expect(() => new ScoringSimulator({ BTS_ALPHA: 'high' })).toThrow('must be a number');
+    expect(() => generateScenario({ population: { honest: 600 } })).toThrow('At most');
+    expect(() => generateScenario({ population: { honest: 0 } })).toThrow('honest voter');
+    expect(() => new ScoringSimulator().backtest({})).toThrow('OpLog');
+  });
+});
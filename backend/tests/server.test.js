@@ -0,0 +1,329 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — API Route Tests
+//
+// Run with:   npm run test:server
+//
+// These tests drive the Express app over HTTP:
+//   1. Ingest — posts and votes admitted through their ZK proofs
+//   2. Reputation notes — a stake settled and claimed into a new note
+//
+// The app is imported as on Vercel, so it neither listens nor
+// opens storage. Semaphore's verifyProof is mocked: proofs are
+// checked for their root, scope, message and nullifier only.
+// ─────────────────────────────────────────────────────────────
+
+import { describe, it, expect, beforeAll, jest } from '@jest/globals';
+import request from 'supertest';
+import { IdentityManager } from '../src/identity/identity-manager.js';
+import { AdmissionVerifier } from '../src/identity/admission-verifier.js';
+import { accountId } from '../src/identity/account-verifier.js';
+import { messageFor } from '../src/identity/membership-proof-verifier.js';
+import { hashToField, reputationMessage } from '../src/scoring/anonymous-reputation.js';
+import { PROTOCOL } from '../src/config.js';
+
+const registrar = new IdentityManager().create('route-test-registrar');
+process.env.VERCEL = '1';
+process.env.AFWAAH_REGISTRARS = JSON.stringify([
+  { name: 'Route test registrar', publicKey: registrar.publicKey.map(String) },
+]);
+
+const verifyProof = jest.fn(async () => true);
+jest.unstable_mockModule('@semaphore-protocol/proof', () => ({ verifyProof }));
+const { default: app } = await import('../src/server.js');
+
+// ═══════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════
+
+let seq = 0;
+const unique = () => String(1000 + ++seq);
+
+const ingest = (op) => request(app).post('/api/state/ingest').send({ op });
+
+/** A proof the mocked verifier accepts against the current group */
+async function memberProof(scope, message = '0', nullifier = unique()) {
+  const { body } = await request(app).get('/api/membership/info');
+  return {
+    merkleTreeDepth: body.depth,
+    merkleTreeRoot: body.root,
+    nullifier,
+    message,
+    scope: hashToField(scope),
+    points: ['1', '2', '3', '4', '5', '6', '7', '8'],
+  };
+}
+
+/** Admit a member through a registrar-signed JOIN */
+async function join() {
+  const commitment = unique();
+  const admission = new AdmissionVerifier().sign(registrar, { commitment, domain: 'seecs.edu.pk' });
+  const payload = { ...admission, nullifier: accountId(commitment), timestamp: Date.now() };
+  const res = await ingest({ type: 'JOIN', payload, timestamp: payload.timestamp });
+  expect(res.status).toBe(200);
+}
+
+/** Mint a genesis note; each call is a different member's */
+async function genesisNote() {
+  const note = unique();
+  const proof = await memberProof('rep_genesis', reputationMessage('GENESIS', note));
+  const res = await request(app).post('/api/reputation/notes/genesis').send({ proof, note });
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Genesis notes start at the initial trust score
+const SCORE = 10;
+
+/** A proof spending a note from the level group at `score` */
+async function noteProof(score, message) {
+  const { body: level } = await request(app).get(`/api/reputation/notes/level/${score}`);
+  return {
+    merkleTreeDepth: 1,
+    merkleTreeRoot: level.root,
+    nullifier: unique(),
+    message,
+    scope: hashToField('rep_note'),
+    points: ['1', '2', '3', '4', '5', '6', '7', '8'],
+  };
+}
+
+/** Payload fields staking a fresh genesis note on an action */
+async function stake(actionNullifier, rumorId, action, amount) {
+  await genesisNote();
+  const changeNote = unique();
+  const message = reputationMessage('STAKE', actionNullifier, rumorId, action, amount, changeNote);
+  return { changeNote, stakeProof: await noteProof(SCORE, message) };
+}
+
+/** A staked post proved in `scope` (its own post scope by default) */
+async function rumorOp(id, { scope = `post_${id}`, nullifier, ...fields } = {}) {
+  const payload = { id, text: `Rumor ${id}`, topic: 'general', stakeAmount: 5, timestamp: Date.now(), ...fields };
+  const zkProof = await memberProof(scope, messageFor('RUMOR', payload), nullifier);
+  Object.assign(payload, { zkProof }, await stake(zkProof.nullifier, id, 'post', payload.stakeAmount));
+  return { type: 'RUMOR', payload, timestamp: payload.timestamp };
+}
+
+/** A staked vote proved in `scope` (the rumor's vote scope by default) */
+async function voteOp(rumorId, { scope = `vote_${rumorId}`, nullifier, ...fields } = {}) {
+  const payload = {
+    rumorId,
+    vote: 'TRUE',
+    prediction: { TRUE: 0.5, FALSE: 0.25, UNVERIFIED: 0.25 },
+    stakeAmount: 1,
+    timestamp: Date.now(),
+    ...fields,
+  };
+  const zkProof = await memberProof(scope, messageFor('VOTE', payload), nullifier);
+  Object.assign(payload, { zkProof }, await stake(zkProof.nullifier, rumorId, 'vote', payload.stakeAmount));
+  return { type: 'VOTE', payload, timestamp: payload.timestamp };
+}
+
+beforeAll(async () => {
+  await join();
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TEST SUITE 1: Ingest
+// ═══════════════════════════════════════════════════════════════
+
+describe('POST /api/state/ingest', () => {
+  it('should log a proved, staked post and vote under their proof nullifiers', async () => {
+    const post = await ingest(await rumorOp('route_1'));
+    expect(post.status).toBe(200);
+    expect(post.body.zkNullifier).toMatch(/^zk_/);
+    expect(post.body.stake).toMatchObject({ action: 'post', amount: 5, status: 'locked' });
+
+    const vote = await ingest(await voteOp('route_1'));
+    expect(vote.status).toBe(200);
+    expect(vote.body.stake).toMatchObject({ action: 'vote', amount: 1 });
+  });
+
+  it('should refuse a proof scoped to another rumor', async () => {
+    await ingest(await rumorOp('route_2'));
+    await ingest(await rumorOp('route_3'));
+
+    const wrongVote = await ingest(await voteOp('route_2', { scope: 'vote_route_3' }));
+    expect(wrongVote.status).toBe(400);
+    expect(wrongVote.body.error).toContain('E017');
+
+    const wrongPost = await ingest(await rumorOp('route_4', { scope: 'vote_route_4' }));
+    expect(wrongPost.status).toBe(400);
+    expect(wrongPost.body.error).toContain('E017');
+  });
+
+  it('should refuse a second vote proved in the same scope', async () => {
+    await ingest(await rumorOp('route_5'));
+
+    expect((await ingest(await voteOp('route_5', { nullifier: '777' }))).status).toBe(200);
+    const again = await ingest(await voteOp('route_5', { nullifier: '777' }));
+    expect(again.status).toBe(400);
+    expect(again.body.error).toContain('E002');
+  });
+
+  it('should refuse a vote or post changed under its proof', async () => {
+    const vote = await voteOp('route_1');
+    vote.payload.vote = 'FALSE';
+    const changedVote = await ingest(vote);
+    expect(changedVote.status).toBe(400);
+    expect(changedVote.body.error).toContain('E017');
+
+    const post = await rumorOp('route_6');
+    post.payload.text = 'Something else entirely';
+    const changedPost = await ingest(post);
+    expect(changedPost.status).toBe(400);
+    expect(changedPost.body.error).toContain('E017');
+  });
+
+  it('should refuse proofs against an unknown root or that fail to verify', async () => {
+    const unknownRoot = await voteOp('route_1');
+    unknownRoot.payload.zkProof.merkleTreeRoot = '999';
+    expect((await ingest(unknownRoot)).body.error).toContain('E006');
+
+    const op = await voteOp('route_1');
+    verifyProof.mockResolvedValueOnce(false);
+    const forged = await ingest(op);
+    expect(forged.status).toBe(400);
+    expect(forged.body.error).toContain('E001');
+  });
+
+  it('should leave the nullifier and note of a refused op unspent', async () => {
+    await ingest(await rumorOp('route_7'));
+    const isNew = async (op) => (await request(app).post('/api/zk/verify-proof').send({ proof: op.payload.zkProof })).body.isNullifierNew;
+    const spent = async () => (await request(app).get('/api/reputation/notes')).body.spent;
+
+    const unstaked = await voteOp('route_7', { nullifier: '888' });
+    delete unstaked.payload.stakeProof;
+    expect((await ingest(unstaked)).body.error).toContain('E007');
+    expect(await isNew(unstaked)).toBe(true);
+
+    // Refused once the window closed: neither the proof nor the note is spent
+    const closed = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 365 * DAY);
+    try {
+      const late = await voteOp('route_7', { nullifier: '889' });
+      const before = await spent();
+      expect((await ingest(late)).status).toBe(409);
+      expect(await isNew(late)).toBe(true);
+      expect(await spent()).toBe(before);
+      expect((await request(app).get('/api/reputation/notes/stake/889')).status).toBe(404);
+    } finally {
+      closed.mockRestore();
+    }
+
+    expect((await ingest(await voteOp('route_7', { nullifier: '888' }))).status).toBe(200);
+    expect(await isNew(unstaked)).toBe(false);
+  });
+
+  it('should leave the nullifier of an op with a refused proof unspent', async () => {
+    await ingest(await rumorOp('route_12'));
+    const isNew = async (op) => (await request(app).post('/api/zk/verify-proof').send({ proof: op.payload.zkProof })).body.isNullifierNew;
+
+    const misscoped = await voteOp('route_12', { scope: 'vote_route_7', nullifier: '911' });
+    expect((await ingest(misscoped)).body.error).toContain('E017');
+    expect(await isNew(misscoped)).toBe(true);
+
+    const forged = await voteOp('route_12', { nullifier: '912' });
+    verifyProof.mockResolvedValueOnce(false);
+    expect((await ingest(forged)).body.error).toContain('E001');
+
+    // The membership proof holds but the stake proof does not
+    const badStake = await voteOp('route_12', { nullifier: '913' });
+    verifyProof.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    expect((await ingest(badStake)).status).toBe(400);
+    expect((await request(app).get('/api/reputation/notes/stake/913')).status).toBe(404);
+    expect(await isNew(badStake)).toBe(true);
+
+    for (const nullifier of ['911', '912', '913']) {
+      expect((await ingest(await voteOp('route_12', { nullifier }))).status).toBe(200);
+    }
+  });
+
+  it('should refuse a post or vote that is undated or dated away from now', async () => {
+    const undated = await rumorOp('route_8', { timestamp: undefined });
+    delete undated.timestamp;
+    const missing = await ingest(undated);
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toContain('E109');
+
+    await ingest(await rumorOp('route_9'));
+    const backdated = await ingest(await voteOp('route_9', { nullifier: '901', timestamp: Date.now() - 10 * MINUTE }));
+    expect(backdated.status).toBe(400);
+    expect(backdated.body.error).toContain('E109');
+    const ahead = await ingest(await voteOp('route_9', { nullifier: '902', timestamp: Date.now() + 10 * MINUTE }));
+    expect(ahead.body.error).toContain('E108');
+
+    // Neither spent its proof
+    expect((await ingest(await voteOp('route_9', { nullifier: '901' }))).status).toBe(200);
+    expect((await ingest(await voteOp('route_9', { nullifier: '902' }))).status).toBe(200);
+  });
+
+  it('should take votes until the window closes and none after, however dated', async () => {
+    const rumor = await rumorOp('route_10');
+    await ingest(rumor);
+    const closesAt = rumor.payload.timestamp + PROTOCOL.RUMOR_TOPICS.general.votingWindow;
+
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(closesAt - 1);
+    try {
+      expect((await ingest(await voteOp('route_10'))).status).toBe(200);
+
+      clock.mockReturnValue(closesAt);
+      const late = await ingest(await voteOp('route_10'));
+      expect(late.status).toBe(409);
+      expect(late.body.error).toContain('Voting closed');
+      const backdated = await ingest(await voteOp('route_10', { timestamp: closesAt - MINUTE }));
+      expect(backdated.status).toBe(409);
+    } finally {
+      clock.mockRestore();
+    }
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TEST SUITE 2: Reputation notes
+// ═══════════════════════════════════════════════════════════════
+
+describe('POST /api/reputation/notes/claim', () => {
+  it('should pay a settled vote stake into a new note', async () => {
+    const rumor = await rumorOp('route_11');
+    await ingest(rumor);
+    const vote = await voteOp('route_11');
+    expect((await ingest(vote)).body.stake.status).toBe('locked');
+    const actionNullifier = vote.payload.zkProof.nullifier;
+
+    const closesAt = rumor.payload.timestamp + PROTOCOL.RUMOR_TOPICS.general.votingWindow;
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(closesAt);
+    try {
+      expect((await request(app).post('/api/scoring/finalize').send({ rumorId: 'route_11' })).status).toBe(200);
+    } finally {
+      clock.mockRestore();
+    }
+    const { body: escrow } = await request(app).get(`/api/reputation/notes/stake/${actionNullifier}`);
+    expect(escrow.status).toBe('settled');
+    expect(escrow.payout).toBeGreaterThan(0);
+
+    // Re-prove the vote's scope and spend the change note it left
+    const claim = async () => {
+      const note = unique();
+      const message = reputationMessage('CLAIM', actionNullifier, note);
+      return request(app).post('/api/reputation/notes/claim').send({
+        memberProof: await memberProof('vote_route_11', message, actionNullifier),
+        noteProof: await noteProof(SCORE - 1, message),
+        note,
+      });
+    };
+    const claimed = await claim();
+    expect(claimed.status).toBe(200);
+    expect(claimed.body).toMatchObject({ score: SCORE - 1 + escrow.payout, payout: escrow.payout });
+    expect((await request(app).get(`/api/reputation/notes/stake/${actionNullifier}`)).body.status).toBe('claimed');
+    expect((await claim()).body.error).toContain('E903');
+  });
+});
+
+describe('POST /api/zk/record-nullifier', () => {
+  it('should not exist: only an admitted op spends a nullifier', async () => {
+    const res = await request(app).post('/api/zk/record-nullifier').send({ scope: 'vote_x', nullifier: '1' });
+    expect(res.status).toBe(404);
+  });
+});
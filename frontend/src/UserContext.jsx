@@ -1,5 +1,6 @@
 import { createContext, useState, useEffect } from 'react';
-import { identityManager, emailVerifier } from './api';
+import { emailVerifier, membershipTree } from './api';
+import { createIdentity, importIdentity } from './zk';
 
 const UserContext = createContext(null);
 export { UserContext };
@@ -32,12 +33,12 @@ export function UserProvider({ children }) {
     if (!emlContent) throw new Error('Please upload or paste your .eml file.');
     setLoading(true);
     try {
-      // Step 1: Create a cryptographic identity (keypair) on the backend
-      const identity = await identityManager.create();
+      // Step 1: Create a cryptographic identity (keypair) in the browser
+      const identity = await createIdentity();
 
-      // Step 2: Verify email + bind to identity + add to tree + register
-      // This single endpoint does DKIM verification + commitment binding.
-      const data = await emailVerifier.verifyAndRegister(emlContent, identity.exportedKey);
+      // Step 2: Verify email + bind to commitment + add to tree + register
+      // Only the commitment is sent — the private key never leaves this device.
+      const data = await emailVerifier.verifyAndRegister(emlContent, identity.commitment);
 
       const nullifier = `user_${data.commitment.substring(0, 12)}`;
 
@@ -48,7 +49,7 @@ export function UserProvider({ children }) {
         nullifier,
         createdAt: Date.now(),
         emailVerified: true,
-        verifiedEmail: data.binding?.email || data.email,
+        verifiedEmail: data.email,
       };
       setUser(userData);
       setLoading(false);
@@ -65,11 +66,11 @@ export function UserProvider({ children }) {
     }
     setLoading(true);
     try {
-      // This call validates the key AND checks membership on the backend
-      const identity = await identityManager.importIdentity(exportedKey.trim());
+      // Validate the key locally, then check its commitment is in the membership tree
+      const identity = await importIdentity(exportedKey.trim());
+      const { index } = await membershipTree.indexOf(identity.commitment);
 
-      // Backend returns { found: true } only if the commitment is in the membership tree
-      if (!identity.found) {
+      if (index === -1) {
         throw new Error('No account found for this recovery key. You must verify your email first to create an account.');
       }
 
@@ -98,12 +99,27 @@ export function UserProvider({ children }) {
     setUser(prev => prev ? { ...prev, ...fields } : prev);
   };
 
+  /**
+   * Mark an author or voter as trusted or distrusted, or clear the mark.
+   * Trust seeds stay on this device with the identity — personal trust
+   * is ranked locally over the public graph (see trust.js).
+   */
+  const setTrustSeed = (nullifier, mark) => {
+    setUser(prev => {
+      if (!prev || !nullifier || nullifier === prev.nullifier) return prev;
+      const trustSeeds = { ...(prev.trustSeeds || {}) };
+      if (mark === 'trust' || mark === 'distrust') trustSeeds[nullifier] = mark;
+      else delete trustSeeds[nullifier];
+      return { ...prev, trustSeeds };
+    });
+  };
+
   const logout = () => {
     setUser(null);
   };
 
   return (
-    <UserContext.Provider value={{ user, loading, verifyAndCreateAccount, restoreAccount, updateUser, logout }}>
+    <UserContext.Provider value={{ user, loading, verifyAndCreateAccount, restoreAccount, updateUser, setTrustSeed, logout }}>
       {children}
     </UserContext.Provider>
   );
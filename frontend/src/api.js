@@ -19,13 +19,10 @@ async function request(path, options = {}) {
 
 // ── Identity ─────────────────────────────────────────────────
 
+// Identities are created and used in the browser — see zk.js.
+// Only commitments, public keys, signatures and proofs are sent.
+
 export const identityManager = {
-  create: (privateKey) =>
-    request('/identity/create', { method: 'POST', body: JSON.stringify({ privateKey }) }),
-  importIdentity: (exportedKey) =>
-    request('/identity/import', { method: 'POST', body: JSON.stringify({ exportedKey }) }),
-  signMessage: (exportedKey, message) =>
-    request('/identity/sign', { method: 'POST', body: JSON.stringify({ exportedKey, message }) }),
   verifySignature: (message, signature, publicKey) =>
     request('/identity/verify-signature', { method: 'POST', body: JSON.stringify({ message, signature, publicKey }) }),
 };
@@ -35,32 +32,26 @@ export const emailVerifier = {
     request('/identity/verify-email', { method: 'POST', body: JSON.stringify({ emlContent }) }),
   getAllowedDomains: () =>
     request('/identity/allowed-domains'),
-  verifyAndRegister: (emlContent, exportedKey) =>
-    request('/identity/verify-and-register', { method: 'POST', body: JSON.stringify({ emlContent, exportedKey }) }),
+  verifyAndRegister: (emlContent, commitment) =>
+    request('/identity/verify-and-register', { method: 'POST', body: JSON.stringify({ emlContent, commitment }) }),
   getBindings: () =>
     request('/identity/bindings'),
+  getDkimKeys: () =>
+    request('/identity/dkim-keys'),
+  preloadDkimKey: (domain, selector) =>
+    request('/identity/dkim-keys/preload', { method: 'POST', body: JSON.stringify({ domain, selector }) }),
 };
 
 // ── ZK Proofs ────────────────────────────────────────────────
 
 export const zkProof = {
-  generateProof: (exportedKey, message, scope) =>
-    request('/zk/generate-proof', { method: 'POST', body: JSON.stringify({ exportedKey, message, scope }) }),
   verifyProof: (proof) =>
     request('/zk/verify-proof', { method: 'POST', body: JSON.stringify({ proof }) }),
-  recordNullifier: (scope, nullifier) =>
-    request('/zk/record-nullifier', { method: 'POST', body: JSON.stringify({ scope, nullifier }) }),
 };
 
 // ── Membership Tree ──────────────────────────────────────────
 
 export const membershipTree = {
-  addMember: (commitment) =>
-    request('/membership/add-member', { method: 'POST', body: JSON.stringify({ commitment }) }),
-  addMembers: (commitments) =>
-    request('/membership/add-members', { method: 'POST', body: JSON.stringify({ commitments }) }),
-  removeMember: (index) =>
-    request('/membership/remove-member', { method: 'POST', body: JSON.stringify({ index }) }),
   generateMerkleProof: (leafIndex) =>
     request('/membership/merkle-proof', { method: 'POST', body: JSON.stringify({ leafIndex }) }),
   verifyMerkleProof: (proof) =>
@@ -71,6 +62,12 @@ export const membershipTree = {
     request('/membership/info'),
   getRootHistory: (n) =>
     request(`/membership/root-history?n=${n || 5}`),
+  getSnapshot: () =>
+    request('/membership/snapshot'),
+  revoke: (revocation) =>
+    request('/membership/revoke', { method: 'POST', body: JSON.stringify({ revocation }) }),
+  getRevocations: () =>
+    request('/membership/revocations'),
 };
 
 // ── Scoring ──────────────────────────────────────────────────
@@ -88,6 +85,8 @@ export const rbtsEngine = {
 export const correlationDampener = {
   dampen: (votes, voteHistory) =>
     request('/scoring/dampen', { method: 'POST', body: JSON.stringify({ votes, voteHistory }) }),
+  getClusters: (rumorId) =>
+    request(`/scoring/clusters/${encodeURIComponent(rumorId)}`),
 };
 
 export const scoreFinalization = {
@@ -99,6 +98,46 @@ export const scoreFinalization = {
     request('/scoring/finalized-all'),
 };
 
+export const simulator = {
+  simulate: (scenario, params) =>
+    request('/scoring/simulate', { method: 'POST', body: JSON.stringify({ scenario, params }) }),
+  backtest: (params, opLog) =>
+    request('/scoring/backtest', { method: 'POST', body: JSON.stringify({ params, opLog }) }),
+};
+
+export const officialProofs = {
+  getSources: () =>
+    request('/official/sources'),
+  verify: (payload) =>
+    request('/official/verify', { method: 'POST', body: JSON.stringify({ payload }) }),
+  getForRumor: (rumorId) =>
+    request(`/official/${encodeURIComponent(rumorId)}`),
+};
+
+// A dispute is a DISPUTE op, signed with zk.js signAccountOp()
+export const disputes = {
+  open: (payload) =>
+    request('/state/ingest', { method: 'POST', body: JSON.stringify({ op: { type: 'DISPUTE', payload } }) }),
+  get: (rumorId) =>
+    request(`/disputes/${encodeURIComponent(rumorId)}`),
+  settle: (rumorId) =>
+    request('/disputes/settle', { method: 'POST', body: JSON.stringify({ rumorId }) }),
+};
+
+// Flags and appeals are FLAG and APPEAL ops, signed with zk.js
+// signAccountOp(); removal and settlement follow on the server's
+// own schedule
+export const moderation = {
+  getAll: () =>
+    request('/moderation'),
+  get: (rumorId) =>
+    request(`/moderation/${encodeURIComponent(rumorId)}`),
+  flag: (payload) =>
+    request('/state/ingest', { method: 'POST', body: JSON.stringify({ op: { type: 'FLAG', payload } }) }),
+  appeal: (payload) =>
+    request('/state/ingest', { method: 'POST', body: JSON.stringify({ op: { type: 'APPEAL', payload } }) }),
+};
+
 // ── P2P Network ──────────────────────────────────────────────
 
 export const network = {
@@ -110,8 +149,6 @@ export const network = {
 // ── Reputation ───────────────────────────────────────────────
 
 export const reputationManager = {
-  register: (nullifierId) =>
-    request('/reputation/register', { method: 'POST', body: JSON.stringify({ nullifierId }) }),
   getScore: (nullifierId) =>
     request(`/reputation/score/${encodeURIComponent(nullifierId)}`),
   getUser: (nullifierId) =>
@@ -120,22 +157,20 @@ export const reputationManager = {
     request('/reputation/all'),
   canStake: (nullifierId, amount, action) =>
     request('/reputation/can-stake', { method: 'POST', body: JSON.stringify({ nullifierId, amount, action }) }),
-  lockStake: (nullifierId, amount, actionId, action) =>
-    request('/reputation/lock-stake', { method: 'POST', body: JSON.stringify({ nullifierId, amount, actionId, action }) }),
-  releaseLock: (nullifierId, actionId) =>
-    request('/reputation/release-lock', { method: 'POST', body: JSON.stringify({ nullifierId, actionId }) }),
-  applyScores: (voterScores, rumorId, stakeAmounts) =>
-    request('/reputation/apply-scores', { method: 'POST', body: JSON.stringify({ voterScores, rumorId, stakeAmounts }) }),
-  applyGroupSlash: (groupNullifiers, basePenalty, rumorId) =>
-    request('/reputation/apply-group-slash', { method: 'POST', body: JSON.stringify({ groupNullifiers, basePenalty, rumorId }) }),
-  applyDecay: (rate) =>
-    request('/reputation/apply-decay', { method: 'POST', body: JSON.stringify({ rate }) }),
-  applyRecovery: (rate) =>
-    request('/reputation/apply-recovery', { method: 'POST', body: JSON.stringify({ rate }) }),
+  getEpoch: () =>
+    request('/reputation/epoch'),
   exportData: () =>
     request('/reputation/export', { method: 'POST' }),
-  importData: (data) =>
-    request('/reputation/import', { method: 'POST', body: JSON.stringify({ data }) }),
+  getNoteLevels: () =>
+    request('/reputation/notes'),
+  getNoteLevel: (score) =>
+    request(`/reputation/notes/level/${encodeURIComponent(score)}`),
+  mintGenesisNote: (proof, note) =>
+    request('/reputation/notes/genesis', { method: 'POST', body: JSON.stringify({ proof, note }) }),
+  getNoteStake: (nullifier) =>
+    request(`/reputation/notes/stake/${encodeURIComponent(nullifier)}`),
+  claimNote: (memberProof, noteProof, note) =>
+    request('/reputation/notes/claim', { method: 'POST', body: JSON.stringify({ memberProof, noteProof, note }) }),
 };
 
 // ── Trust Propagator ─────────────────────────────────────────
@@ -145,6 +180,17 @@ export const trustPropagator = {
     request('/trust/build-graph', { method: 'POST', body: JSON.stringify({ voteHistory, scoreHistory }) }),
   computePPR: (voteHistory, scoreHistory, trustSeeds) =>
     request('/trust/compute-ppr', { method: 'POST', body: JSON.stringify({ voteHistory, scoreHistory, trustSeeds }) }),
+  getRumorTrust: (viewer) =>
+    request(`/trust/rumors${viewer ? `?viewer=${encodeURIComponent(viewer)}` : ''}`),
+  getPeers: (nullifier) => request(`/trust/peers/${encodeURIComponent(nullifier)}`),
+  getGraph: () => request('/trust/graph'),
+};
+
+// ── Analytics ────────────────────────────────────────────────
+
+export const analytics = {
+  getClusters: (minRumors) =>
+    request(`/analytics/clusters${minRumors ? `?minRumors=${minRumors}` : ''}`),
 };
 
 // ── Snapshotter ──────────────────────────────────────────────
@@ -158,6 +204,8 @@ export const snapshotter = {
     request('/state/rebuild', { method: 'POST' }),
   getLastSnapshot: () =>
     request('/state/snapshot'),
+  getCheckpoint: () =>
+    request('/state/checkpoint'),
   getOpLog: () =>
     request('/state/oplog'),
   getInfo: () =>
@@ -171,10 +219,8 @@ export const snapshotter = {
 // ── Tombstone Manager ────────────────────────────────────────
 
 export const tombstoneManager = {
-  registerRumor: (rumorId, authorNullifier, metadata) =>
-    request('/tombstone/register-rumor', { method: 'POST', body: JSON.stringify({ rumorId, authorNullifier, metadata }) }),
-  createTombstone: (rumorId, authorNullifier, reason) =>
-    request('/tombstone/create', { method: 'POST', body: JSON.stringify({ rumorId, authorNullifier, reason }) }),
+  createTombstone: (rumorId, reason, zkProof) =>
+    request('/tombstone/create', { method: 'POST', body: JSON.stringify({ rumorId, reason, zkProof }) }),
   isTombstoned: (rumorId) =>
     request(`/tombstone/check/${encodeURIComponent(rumorId)}`),
   getAll: () =>
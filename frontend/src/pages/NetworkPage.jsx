@@ -72,6 +72,10 @@ export default function NetworkPage() {
             <tr><td>Identity</td><td className="mono">/afwaah/identity/1.0</td><td>New user joins the network</td></tr>
             <tr><td>Tombstones</td><td className="mono">/afwaah/tombstone/1.0</td><td>Rumor is deleted</td></tr>
             <tr><td>Sync</td><td className="mono">/afwaah/sync/1.0</td><td>Periodic consistency check</td></tr>
+            <tr><td>Official</td><td className="mono">/afwaah/official/1.0</td><td>Signed statement confirms or denies a rumor</td></tr>
+            <tr><td>Disputes</td><td className="mono">/afwaah/disputes/1.0</td><td>Staked challenge reopens a finalized rumor</td></tr>
+            <tr><td>Revocations</td><td className="mono">/afwaah/revocations/1.0</td><td>Signed removal of a member; starts a new group epoch</td></tr>
+            <tr><td>Finalized</td><td className="mono">/afwaah/finalized/1.0</td><td>A rumor's voting window closes and it is scored</td></tr>
           </tbody>
         </table>
       </div>
@@ -181,10 +185,32 @@ function P2PStatus() {
           )}
           {peers?.peers?.length > 0 && (
             <div style={{ marginTop: 12, fontSize: 12 }}>
-              <strong>Connected peers:</strong>
-              <div style={{ fontFamily: 'monospace', marginTop: 4 }}>
-                {peers.peers.map((p, i) => <div key={i}>{p}</div>)}
-              </div>
+              <strong>Peer reputation:</strong>
+              <span className="text-muted">
+                {' '}gossipsub score; below {peers.thresholds.graylist} a peer is graylisted and nothing it sends is forwarded
+              </span>
+              <table className="data-table" style={{ marginTop: 4 }}>
+                <thead>
+                  <tr><th>Peer</th><th>Score</th><th>Accepted</th><th>Rejected</th><th>Ignored</th><th>Last error</th><th>State</th></tr>
+                </thead>
+                <tbody>
+                  {peers.peers.map((p) => (
+                    <tr key={p.id}>
+                      <td className="mono" style={{ fontSize: 11 }}>{p.id.substring(0, 20)}...</td>
+                      <td><strong>{p.score.toFixed(1)}</strong></td>
+                      <td>{p.messages.accepted}</td>
+                      <td>{p.messages.rejected}</td>
+                      <td>{p.messages.ignored}</td>
+                      <td className="text-muted" style={{ fontSize: 11 }}>{p.messages.lastError || '—'}</td>
+                      <td>
+                        {p.graylisted ? <span className="tag tag-dark">graylisted</span>
+                          : p.noGossip ? <span className="tag">no gossip</span>
+                          : p.connected ? 'ok' : 'disconnected'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
           )}
           {status.error && (
@@ -1,21 +1,75 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useUser } from '../useUser';
-import { snapshotter, tombstoneManager, zkProof } from '../api';
+import { snapshotter, tombstoneManager, moderation, reputationManager, trustPropagator } from '../api';
+import { actionMessage, claimSettledStakes, generateProof, prepareNoteStake, signAccountOp } from '../zk';
+import { personalTrust, countSeeds } from '../trust';
+
+// Stake limits, as enforced by the backend ReputationManager
+const STAKE_LIMITS = {
+  post: { min: 5, maxFraction: 0.5 },
+  vote: { min: 1, maxFraction: 0.25 },
+  flag: { min: 2, maxFraction: 0.5 },
+};
+
+// How often settled stakes are checked for a payout to claim (ms)
+const CLAIM_INTERVAL = 30000;
+
+/**
+ * Largest whole stake a user with this score may put on an action.
+ * @param {number} score
+ * @param {'post'|'vote'|'flag'} action
+ */
+function maxStakeFor(score, action) {
+  const { min, maxFraction } = STAKE_LIMITS[action];
+  return Math.max(min, Math.floor(score * maxFraction));
+}
+
+/** A 0-100 trust score as a percentage, or a dash when there is none. */
+function formatTrust(score) {
+  return typeof score === 'number' ? `${Math.round(score)}%` : '—';
+}
+
+/**
+ * Membership proof for a post or vote, staking a reputation note
+ * with it. Peers accept neither without both, so a proof that
+ * cannot be made stops the action.
+ * @returns {Promise<{zkProof: object, noteStake: object}>}
+ * @throws if either proof cannot be made
+ */
+async function proveWithStake(user, message, scope, stake) {
+  try {
+    const zkProof = await generateProof(user.exportedKey, message, scope);
+    const noteStake = await prepareNoteStake(user, { ...stake, actionProof: zkProof });
+    return { zkProof, noteStake };
+  } catch (zkErr) {
+    throw new Error(`Could not prove membership: ${zkErr.message}`);
+  }
+}
 
 export default function RumorsPage() {
-  const { user } = useUser();
+  const { user, setTrustSeed } = useUser();
   const [rumors, setRumors] = useState({});
   const [votes, setVotes] = useState({});
+  const [officialProofs, setOfficialProofs] = useState({});
   const [stats, setStats] = useState(null);
+  const [trust, setTrust] = useState(null);
+  const [graph, setGraph] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const viewer = user?.nullifier;
+  const trustSeeds = user?.trustSeeds;
+  const seeds = countSeeds(trustSeeds);
+  const hasSeeds = seeds.trusted + seeds.distrusted > 0;
 
   const loadRumors = async () => {
     setLoading(true); setError('');
+    trustPropagator.getRumorTrust(viewer).then(setTrust).catch(() => {});
+    if (hasSeeds) trustPropagator.getGraph().then(setGraph).catch(() => {});
     try {
       const data = await snapshotter.rebuild();
       setRumors(data.state?.rumors || {});
       setVotes(data.state?.votes || {});
+      setOfficialProofs(data.state?.officialProofs || {});
       setStats({
         activeRumors: data.activeRumors,
         tombstonedRumors: data.tombstonedRumors,
@@ -32,6 +86,7 @@ export default function RumorsPage() {
       if (!active) return;
       setRumors(data.state?.rumors || {});
       setVotes(data.state?.votes || {});
+      setOfficialProofs(data.state?.officialProofs || {});
       setStats({
         activeRumors: data.activeRumors,
         tombstonedRumors: data.tombstonedRumors,
@@ -47,6 +102,39 @@ export default function RumorsPage() {
     return () => { active = false; };
   }, []);
 
+  // Collect stakes on settled rumors back into this member's note
+  useEffect(() => {
+    if (!user) return;
+    const claim = () => claimSettledStakes(user).catch(() => {});
+    claim();
+    const interval = setInterval(claim, CLAIM_INTERVAL);
+    return () => clearInterval(interval);
+  }, [user]);
+
+  // Trust personalized for whoever is signed in
+  useEffect(() => {
+    let active = true;
+    trustPropagator.getRumorTrust(viewer)
+      .then(data => { if (active) setTrust(data); })
+      .catch(() => {});
+    return () => { active = false; };
+  }, [viewer]);
+
+  // With trust seeds, rank the public graph here so the seeds never leave this device
+  useEffect(() => {
+    if (!hasSeeds) return;
+    let active = true;
+    trustPropagator.getGraph()
+      .then(data => { if (active) setGraph(data); })
+      .catch(() => {});
+    return () => { active = false; };
+  }, [hasSeeds]);
+
+  const localTrust = useMemo(
+    () => (hasSeeds && graph ? personalTrust(graph, trustSeeds, votes) : null),
+    [hasSeeds, graph, trustSeeds, votes],
+  );
+
   return (
     <div>
       <div className="page-header">
@@ -115,7 +203,12 @@ export default function RumorsPage() {
               id={id}
               rumor={rumor}
               voteList={votes[id] || []}
+              officialProofs={officialProofs[id] || []}
+              trust={localTrust ? { ...trust?.rumors?.[id], personal: localTrust[id] } : trust?.rumors?.[id]}
+              personalized={!!trust?.personalized}
+              seeded={!!localTrust}
               user={user}
+              onMark={setTrustSeed}
               onVoted={loadRumors}
             />
           ))
@@ -123,6 +216,9 @@ export default function RumorsPage() {
 
       {/* Tombstone management */}
       {user && <TombstoneSection user={user} />}
+
+      {/* Community moderation */}
+      {user && <ModerationSection user={user} />}
     </div>
   );
 }
@@ -133,6 +229,18 @@ function PostRumor({ user, onPosted }) {
   const [topic, setTopic] = useState('general');
   const [posting, setPosting] = useState(false);
   const [error, setError] = useState('');
+  const [stake, setStake] = useState(STAKE_LIMITS.post.min);
+  const [maxStake, setMaxStake] = useState(STAKE_LIMITS.post.min);
+
+  useEffect(() => {
+    reputationManager.getScore(user.nullifier)
+      .then(({ score }) => {
+        const max = maxStakeFor(score, 'post');
+        setMaxStake(max);
+        setStake(s => Math.min(s, max));
+      })
+      .catch(() => {});
+  }, [user.nullifier]);
 
   const topics = ['general', 'academic', 'administration', 'safety', 'events', 'facilities'];
 
@@ -142,28 +250,27 @@ function PostRumor({ user, onPosted }) {
     try {
       const rumorId = `rumor_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`;
 
-      // Generate ZK proof to prove group membership without revealing identity
-      let zkProofData = null;
-      try {
-        zkProofData = await zkProof.generateProof(user.exportedKey, rumorId, `post_${rumorId}`);
-      } catch (zkErr) {
-        console.warn('ZK proof generation skipped:', zkErr.message);
-      }
+      const payload = { id: rumorId, text: text.trim(), topic, stakeAmount: stake, timestamp: Date.now() };
+
+      // Generate ZK proof to prove group membership without revealing identity;
+      // it binds the post's text, topic and stake
+      const { zkProof: zkProofData, noteStake } = await proveWithStake(
+        user, await actionMessage('RUMOR', payload), `post_${rumorId}`, { action: 'post', rumorId, amount: stake },
+      );
 
       const op = {
         type: 'RUMOR',
         payload: {
-          id: rumorId,
-          text: text.trim(),
-          topic,
-          nullifier: zkProofData ? `zk_${zkProofData.nullifier.substring(0, 16)}` : user.nullifier,
-          timestamp: Date.now(),
-          zkProof: zkProofData || undefined,
+          ...payload,
+          nullifier: `zk_${zkProofData.nullifier.substring(0, 16)}`,
+          zkProof: zkProofData,
+          stakeProof: noteStake.stakeProof,
+          changeNote: noteStake.changeNote,
         },
-        timestamp: Date.now(),
+        timestamp: payload.timestamp,
       };
       await snapshotter.ingest(op);
-      await tombstoneManager.registerRumor(rumorId, op.payload.nullifier);
+      noteStake.commit();
       setText('');
       onPosted();
     } catch (err) { setError(err.message); }
@@ -189,6 +296,17 @@ function PostRumor({ user, onPosted }) {
                 {topics.map(t => <option key={t} value={t}>#{t}</option>)}
               </select>
               <span className="text-muted" style={{ fontSize: 12 }}>{text.length}/2000</span>
+              <label className="text-muted" style={{ fontSize: 12 }} title="Locked until the rumor is finalized — lost if it is judged false">
+                Stake{' '}
+                <input
+                  type="number"
+                  min={STAKE_LIMITS.post.min}
+                  max={maxStake}
+                  value={stake}
+                  onChange={e => setStake(Math.min(maxStake, Math.max(STAKE_LIMITS.post.min, Number(e.target.value))))}
+                  style={{ width: 56 }}
+                />
+              </label>
             </div>
             <button className="btn btn-primary" onClick={handlePost} disabled={posting || !text.trim()}>
               {posting ? <><span className="spinner" /> Posting...</> : 'Post Rumor'}
@@ -202,7 +320,7 @@ function PostRumor({ user, onPosted }) {
 }
 
 /* ── Rumor Card (like a social media post) ────────────────── */
-function RumorCard({ id, rumor, voteList, user, onVoted }) {
+function RumorCard({ id, rumor, voteList, officialProofs, trust, personalized, seeded, user, onMark, onVoted }) {
   const [voting, setVoting] = useState(false);
   const [error, setError] = useState('');
   const [showDetails, setShowDetails] = useState(false);
@@ -212,6 +330,8 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
   const [predTrue, setPredTrue] = useState(50);
   const [predFalse, setPredFalse] = useState(30);
   const [predUnsure, setPredUnsure] = useState(20);
+  const [stake, setStake] = useState(STAKE_LIMITS.vote.min);
+  const [maxStake, setMaxStake] = useState(STAKE_LIMITS.vote.min);
 
   // Count votes by type
   const voteCounts = { TRUE: 0, FALSE: 0, UNVERIFIED: 0 };
@@ -222,16 +342,20 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
 
   // Check if current user already voted
   const userVote = user ? voteList.find(v => v.nullifier === user.nullifier) : null;
-
-  // Check if this is the user's own rumor (prevent self-voting)
-  const isOwnRumor = user && rumor.nullifier === user.nullifier;
+  const markOf = (nullifier) => user?.trustSeeds?.[nullifier] || null;
 
   const handleVote = async (voteType) => {
     if (!user || voting || userVote) return;
-    if (isOwnRumor) return;
     if (!user.emailVerified) return;
     // Step 1: open the BTS prediction prompt
     setPendingVote(voteType);
+    reputationManager.getScore(user.nullifier)
+      .then(({ score }) => {
+        const max = maxStakeFor(score, 'vote');
+        setMaxStake(max);
+        setStake(s => Math.min(s, max));
+      })
+      .catch(() => {});
     // Set sensible defaults based on the chosen vote
     if (voteType === 'TRUE')       { setPredTrue(60); setPredFalse(25); setPredUnsure(15); }
     else if (voteType === 'FALSE') { setPredTrue(25); setPredFalse(60); setPredUnsure(15); }
@@ -253,28 +377,27 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
         UNVERIFIED: predUnsure / total,
       };
 
-      // Generate ZK proof — scope = rumorId ensures 1 vote per identity per rumor
-      let zkProofData = null;
-      try {
-        zkProofData = await zkProof.generateProof(user.exportedKey, pendingVote, `vote_${id}`);
-      } catch (zkErr) {
-        console.warn('ZK proof generation skipped:', zkErr.message);
-      }
+      const payload = { rumorId: id, vote: pendingVote, prediction, stakeAmount: stake, timestamp: Date.now() };
+
+      // Generate ZK proof — scope = rumorId ensures 1 vote per identity per rumor;
+      // it binds the vote, prediction and stake
+      const { zkProof: zkProofData, noteStake } = await proveWithStake(
+        user, await actionMessage('VOTE', payload), `vote_${id}`, { action: 'vote', rumorId: id, amount: stake },
+      );
 
       const op = {
         type: 'VOTE',
         payload: {
-          rumorId: id,
-          vote: pendingVote,
-          nullifier: zkProofData ? `zk_${zkProofData.nullifier.substring(0, 16)}` : user.nullifier,
-          prediction,
-          stakeAmount: 1,
-          timestamp: Date.now(),
-          zkProof: zkProofData || undefined,
+          ...payload,
+          nullifier: `zk_${zkProofData.nullifier.substring(0, 16)}`,
+          zkProof: zkProofData,
+          stakeProof: noteStake.stakeProof,
+          changeNote: noteStake.changeNote,
         },
-        timestamp: Date.now(),
+        timestamp: payload.timestamp,
       };
       await snapshotter.ingest(op);
+      noteStake.commit();
       setPendingVote(null);
       onVoted();
     } catch (err) { setError(err.message); }
@@ -291,6 +414,15 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
     return `${Math.floor(diff / 86400000)}d ago`;
   };
 
+  // Voting closes after the topic's window; the server then scores the rumor once
+  const votingClosed = rumor.closesAt != null && now >= rumor.closesAt;
+  const timeLeft = (ts) => {
+    const diff = ts - now;
+    if (diff < 3600000) return `${Math.max(1, Math.ceil(diff / 60000))}m`;
+    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h`;
+    return `${Math.floor(diff / 86400000)}d`;
+  };
+
   return (
     <div className="card rumor-card">
       {/* Header */}
@@ -298,7 +430,17 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
         <div className="avatar-sm">{(rumor.nullifier || 'AN').substring(5, 7).toUpperCase()}</div>
         <div>
           <span className="rumor-author">{rumor.nullifier || 'anonymous'}</span>
+          {markOf(rumor.nullifier) && (
+            <span className={`trust-mark trust-mark-${markOf(rumor.nullifier)}`} title={markOf(rumor.nullifier) === 'trust' ? 'You trust this author' : 'You distrust this author'}>
+              {markOf(rumor.nullifier) === 'trust' ? '✓' : '✗'}
+            </span>
+          )}
           <span className="rumor-time">{timeAgo(rumor.timestamp)}</span>
+          {rumor.closesAt != null && (
+            <span className="rumor-time" title={new Date(rumor.closesAt).toLocaleString()}>
+              · {votingClosed ? 'voting closed' : `voting closes in ${timeLeft(rumor.closesAt)}`}
+            </span>
+          )}
         </div>
         <span className="topic-tag">#{rumor.topic || 'general'}</span>
       </div>
@@ -306,6 +448,20 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
       {/* Content */}
       <div className="rumor-text">{rumor.text}</div>
 
+      {/* Official statements attached to this rumor */}
+      {officialProofs.map((proof, i) => (
+        <div key={i} style={{
+          borderLeft: `3px solid ${proof.impact === 'CONFIRMS' ? 'var(--color-true)' : proof.impact === 'CONTRADICTS' ? 'var(--color-false)' : 'var(--color-unsure)'}`,
+          background: 'var(--bg-alt)', borderRadius: 6, padding: '8px 12px', margin: '10px 0', fontSize: 13,
+        }}>
+          <div style={{ fontWeight: 600, marginBottom: 2 }}>
+            {proof.impact === 'CONFIRMS' ? '✓ Officially confirmed' : proof.impact === 'CONTRADICTS' ? '✗ Officially denied' : '● Official statement'}
+            {proof.source && <span className="text-muted" style={{ fontWeight: 400 }}> — {proof.source}</span>}
+          </div>
+          <div className="text-secondary">{proof.statement}</div>
+        </div>
+      ))}
+
       {/* Vote bar */}
       {totalVotes > 0 && (
         <div className="vote-bar-container">
@@ -335,12 +491,29 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
         </div>
       )}
 
+      {/* Global BTS score next to this viewer's PPR-weighted trust */}
+      {trust && (
+        <div className="trust-scores">
+          <span title="Bayesian Truth Serum score, fixed once voting closes">
+            Global: <strong>{trust.global ? formatTrust(trust.global.score) : 'pending'}</strong>
+            {trust.global && <span className="text-muted"> ({trust.global.consensus})</span>}
+          </span>
+          <span title={seeded
+            ? 'Votes weighted by Personalized PageRank from the people you trust, ranked on this device'
+            : personalized
+              ? 'Votes weighted by Personalized PageRank, starting from voters you agreed with on settled rumors'
+              : 'Votes weighted by PageRank over all voters — agree with others on settled rumors to personalize it'}>
+            {seeded || personalized ? 'For you' : 'Network'}: <strong>{formatTrust(trust.personal?.score)}</strong>
+          </span>
+        </div>
+      )}
+
       {/* Vote buttons */}
       <div className="vote-actions">
         {userVote ? (
           <div className="already-voted">✓ You voted: <strong>{userVote.vote}</strong></div>
-        ) : isOwnRumor ? (
-          <span className="text-muted" style={{ fontSize: 13 }}>You can't vote on your own post</span>
+        ) : votingClosed ? (
+          <span className="text-muted" style={{ fontSize: 13 }}>Voting has closed</span>
         ) : user && !user.emailVerified ? (
           <span className="text-muted" style={{ fontSize: 13 }}>Verify your email to vote</span>
         ) : user ? (
@@ -391,6 +564,14 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
               <span style={{ width: 40, textAlign: 'right', fontSize: 13, fontWeight: 600 }}>{predUnsure}%</span>
             </div>
           </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginTop: 14 }}>
+            <span style={{ width: 80, fontSize: 13, fontWeight: 500 }}>Stake</span>
+            <input type="range" min={STAKE_LIMITS.vote.min} max={maxStake} value={stake} onChange={e => setStake(Number(e.target.value))} style={{ flex: 1 }} />
+            <span style={{ width: 40, textAlign: 'right', fontSize: 13, fontWeight: 600 }}>{stake}</span>
+          </div>
+          <div className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>
+            Reputation locked until the rumor is finalized — a higher stake earns more if your vote holds up and loses more if it doesn't.
+          </div>
           {(predTrue + predFalse + predUnsure) !== 100 && (
             <div style={{ fontSize: 12, color: 'var(--color-unsure)', marginTop: 8 }}>
               Total: {predTrue + predFalse + predUnsure}% — values will be normalized to 100%
@@ -411,10 +592,32 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
       {showDetails && (
         <div className="rumor-details">
           <div><strong>Rumor ID:</strong> <span className="mono">{id}</span></div>
-          <div><strong>Author:</strong> <span className="mono">{rumor.nullifier}</span></div>
+          <div>
+            <strong>Author:</strong> <span className="mono">{rumor.nullifier}</span>
+            {user && rumor.nullifier && rumor.nullifier !== user.nullifier && (
+              <TrustToggle mark={markOf(rumor.nullifier)} onMark={mark => onMark(rumor.nullifier, mark)} />
+            )}
+          </div>
           <div><strong>Topic:</strong> {rumor.topic}</div>
           {rumor.timestamp && <div><strong>Posted:</strong> {new Date(rumor.timestamp).toLocaleString()}</div>}
           {totalVotes > 0 && <div><strong>Votes:</strong> {JSON.stringify(voteCounts)}</div>}
+          {user && totalVotes > 0 && (
+            <div>
+              <strong>Voters:</strong>
+              {voteList.map((v, i) => (
+                <div key={`${v.nullifier}:${i}`} className="voter-row">
+                  <span className="mono">{v.nullifier}</span>
+                  <span className="text-muted">{v.vote}</span>
+                  {v.nullifier !== user.nullifier && (
+                    <TrustToggle mark={markOf(v.nullifier)} onMark={mark => onMark(v.nullifier, mark)} />
+                  )}
+                </div>
+              ))}
+              <div className="text-muted" style={{ fontSize: 12 }}>
+                Trusted and distrusted voters shape your "For you" score. Marks stay on this device.
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -423,11 +626,32 @@ function RumorCard({ id, rumor, voteList, user, onVoted }) {
   );
 }
 
+/* ── Trust / distrust an author or voter ──────────────────── */
+function TrustToggle({ mark, onMark }) {
+  return (
+    <span className="trust-toggle">
+      <button
+        className={`trust-toggle-btn ${mark === 'trust' ? 'active-trust' : ''}`}
+        onClick={() => onMark(mark === 'trust' ? null : 'trust')}
+        title={mark === 'trust' ? 'Stop trusting' : 'Trust'}
+      >✓ Trust</button>
+      <button
+        className={`trust-toggle-btn ${mark === 'distrust' ? 'active-distrust' : ''}`}
+        onClick={() => onMark(mark === 'distrust' ? null : 'distrust')}
+        title={mark === 'distrust' ? 'Stop distrusting' : 'Distrust'}
+      >✗ Distrust</button>
+    </span>
+  );
+}
+
 /* ── Tombstone (Delete Rumor) Section ─────────────────────── */
+// Reasons an author may give; community_flagged is for moderation
+const AUTHOR_TOMBSTONE_REASONS = ['retracted', 'duplicate'];
+
 function TombstoneSection({ user }) {
   const [expanded, setExpanded] = useState(false);
   const [rumorId, setRumorId] = useState('');
-  const [reason, setReason] = useState('');
+  const [reason, setReason] = useState(AUTHOR_TOMBSTONE_REASONS[0]);
   const [result, setResult] = useState(null);
   const [checkResult, setCheckResult] = useState(null);
   const [checkId, setCheckId] = useState('');
@@ -437,12 +661,9 @@ function TombstoneSection({ user }) {
   const handleDelete = async () => {
     setError('');
     try {
-      const data = await tombstoneManager.createTombstone(rumorId, user.nullifier, reason || 'author_requested');
-      await snapshotter.ingest({
-        type: 'TOMBSTONE',
-        payload: { rumorId, authorNullifier: user.nullifier, reason: reason || 'author_requested' },
-        timestamp: Date.now(),
-      });
+      // Proved in the rumor's post scope, so only its author's nullifier matches
+      const zkProof = await generateProof(user.exportedKey, `tombstone_${rumorId}`, `post_${rumorId}`);
+      const data = await tombstoneManager.createTombstone(rumorId, reason, zkProof);
       setResult(data);
     } catch (err) { setError(err.message); }
   };
@@ -473,7 +694,8 @@ function TombstoneSection({ user }) {
           {/* Delete your own rumor */}
           <h4 style={{ marginBottom: 8 }}>Delete Your Rumor</h4>
           <p className="hint" style={{ marginBottom: 12 }}>
-            You can only delete rumors you posted. Enter the rumor ID from the details view.
+            You can only delete rumors you posted with a ZK proof — deleting proves you hold the same identity.
+            Enter the rumor ID from the details view.
           </p>
           <div className="grid-2">
             <div className="form-group">
@@ -482,8 +704,10 @@ function TombstoneSection({ user }) {
                 placeholder="e.g. rumor_1700000000000_abc" />
             </div>
             <div className="form-group">
-              <label>Reason (optional)</label>
-              <input type="text" value={reason} onChange={e => setReason(e.target.value)} placeholder="Why delete?" />
+              <label>Reason</label>
+              <select value={reason} onChange={e => setReason(e.target.value)}>
+                {AUTHOR_TOMBSTONE_REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
             </div>
           </div>
           <button className="btn btn-danger" onClick={handleDelete} disabled={!rumorId}>Delete Rumor</button>
@@ -523,3 +747,104 @@ function TombstoneSection({ user }) {
     </div>
   );
 }
+
+/* ── Community Moderation (Flag / Appeal) Section ─────────── */
+const FLAG_CATEGORIES = ['doxxing', 'harassment', 'illegal_content'];
+
+function ModerationSection({ user }) {
+  const [expanded, setExpanded] = useState(false);
+  const [rumorId, setRumorId] = useState('');
+  const [category, setCategory] = useState(FLAG_CATEGORIES[0]);
+  const [stake, setStake] = useState(STAKE_LIMITS.flag.min);
+  const [reason, setReason] = useState('');
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleFlag = async () => {
+    setError('');
+    try {
+      const payload = await signAccountOp(user, 'FLAG', {
+        rumorId, category, stakeAmount: Number(stake), reason, timestamp: Date.now(),
+      });
+      const data = await moderation.flag(payload);
+      setResult(data.moderation);
+    } catch (err) { setError(err.message); }
+  };
+
+  const handleAppeal = async () => {
+    setError('');
+    try {
+      const payload = await signAccountOp(user, 'APPEAL', {
+        rumorId, stakeAmount: Number(stake), reason, timestamp: Date.now(),
+      });
+      const data = await moderation.appeal(payload);
+      setResult(data.moderation);
+    } catch (err) { setError(err.message); }
+  };
+
+  const handleStatus = async () => {
+    setError('');
+    try { setStatus(await moderation.get(rumorId)); }
+    catch (err) { setError(err.message); }
+  };
+
+  const record = status?.case;
+
+  return (
+    <div className="card collapsible-card" style={{ marginTop: 24 }}>
+      <div className="collapsible-header" onClick={() => setExpanded(!expanded)}>
+        <div className="card-title" style={{ marginBottom: 0 }}>
+          Community Moderation (Flag / Appeal)
+        </div>
+        <span className="collapse-icon">{expanded ? '▲' : '▼'}</span>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: 20 }}>
+          <p className="hint" style={{ marginBottom: 12 }}>
+            Stake reputation to flag a rumor that doxxes, harasses or breaks the law. Once enough members
+            have staked enough, it is removed and can be appealed for 48 hours. Flaggers gain reputation if
+            an appeal fails and lose it if the appeal succeeds.
+          </p>
+          <div className="grid-2">
+            <div className="form-group">
+              <label>Rumor ID</label>
+              <input type="text" value={rumorId} onChange={e => setRumorId(e.target.value)}
+                placeholder="e.g. rumor_1700000000000_abc" />
+            </div>
+            <div className="form-group">
+              <label>Category (for flags)</label>
+              <select value={category} onChange={e => setCategory(e.target.value)}>
+                {FLAG_CATEGORIES.map(c => <option key={c} value={c}>{c.replace('_', ' ')}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Stake (min {STAKE_LIMITS.flag.min})</label>
+              <input type="number" min={STAKE_LIMITS.flag.min} value={stake} onChange={e => setStake(e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label>Reason (optional)</label>
+              <input type="text" value={reason} onChange={e => setReason(e.target.value)} />
+            </div>
+          </div>
+          <div className="inline-row">
+            <button className="btn btn-danger" onClick={handleFlag} disabled={!rumorId}>Flag Rumor</button>
+            <button className="btn btn-secondary" onClick={handleAppeal} disabled={!rumorId}>Appeal Removal</button>
+            <button className="btn btn-secondary" onClick={handleStatus} disabled={!rumorId}>Check Case</button>
+          </div>
+          {result && <div className="result-box success">{JSON.stringify(result, null, 2)}</div>}
+          {status && (
+            <div className={`result-box ${status.flagged ? 'error' : 'success'}`}>
+              {!record ? 'Nobody has flagged this rumor.'
+                : `${record.status} — ${record.flags.length} flag(s), ${record.appeals.length} appeal(s)`
+                  + (record.status === 'flagged' ? `; appeals close ${new Date(record.appealClosesAt).toLocaleString()}` : '')}
+            </div>
+          )}
+
+          {error && <div className="result-box error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { useUser } from '../useUser';
-import { reputationManager, scoreFinalization } from '../api';
+import { reputationManager, scoreFinalization, disputes, simulator } from '../api';
 
 export default function ScoringPage() {
   const { user } = useUser();
@@ -15,6 +15,7 @@ export default function ScoringPage() {
       {user && <MyReputation user={user} />}
       <CommunityScoreboard />
       <FinalizedRumors />
+      <SimulatorPanel />
       <HowScoringWorks />
     </div>
   );
@@ -131,13 +132,35 @@ function FinalizedRumors() {
     catch (err) { setError(err.message); }
   };
 
+  const handleSettle = async (rumorId) => {
+    setError('');
+    try {
+      await disputes.settle(rumorId);
+      await handleFetch();
+    } catch (err) { setError(err.message); }
+  };
+
+  const disputeCell = (id, s) => {
+    if (s.dispute) {
+      return (
+        <>
+          <span className="tag">Open until {new Date(s.dispute.closesAt).toLocaleString()}</span>{' '}
+          <button className="btn-copy" onClick={() => handleSettle(id)}>Settle</button>
+        </>
+      );
+    }
+    const last = s.disputes?.[s.disputes.length - 1];
+    return last ? <span className="tag">{last.status}</span> : <span className="text-muted">—</span>;
+  };
+
   return (
     <div className="card">
       <div className="card-title" style={{ textTransform: 'none', letterSpacing: 0 }}>
         &#128274; Settled Rumors
       </div>
       <p className="hint" style={{ marginBottom: 12 }}>
-        Rumors whose scores have been finalized and permanently locked.
+        Rumors whose voting windows have closed, scored once and locked. A member
+        can stake reputation to dispute a crowd score, which reopens voting for a day.
       </p>
       {!data ? (
         <button className="btn btn-secondary" onClick={handleFetch}>Load Settled Rumors</button>
@@ -145,16 +168,20 @@ function FinalizedRumors() {
         <>
           <table className="data-table">
             <thead>
-              <tr><th>Rumor</th><th>Consensus</th><th>Score</th><th>Voters</th><th>Settled</th></tr>
+              <tr><th>Rumor</th><th>Consensus</th><th>Score</th><th>Engine</th><th>Voters</th><th>Settled</th><th>Dispute</th></tr>
             </thead>
             <tbody>
               {Object.entries(data.scores).map(([id, s]) => (
                 <tr key={id}>
                   <td className="mono" style={{ fontSize: 11 }}>{id.length > 24 ? id.substring(0, 24) + '...' : id}</td>
                   <td><span className="tag tag-dark">{s.consensus}</span></td>
-                  <td><strong>{typeof s.score === 'number' ? s.score.toFixed(1) : s.score}</strong></td>
+                  <td><strong>{typeof s.score === 'number' ? s.score.toFixed(1) : '—'}</strong></td>
+                  <td className="text-muted" style={{ fontSize: 12 }}>
+                    {s.resolvedBy === 'official' ? 'official' : s.engine ? s.engine.toUpperCase() : '—'}
+                  </td>
                   <td>{s.voterCount}</td>
                   <td className="text-muted" style={{ fontSize: 12 }}>{new Date(s.finalizedAt).toLocaleDateString()}</td>
+                  <td style={{ fontSize: 12 }}>{disputeCell(id, s)}</td>
                 </tr>
               ))}
             </tbody>
@@ -171,6 +198,154 @@ function FinalizedRumors() {
   );
 }
 
+/* ── Scoring Simulator ────────────────────────────────────── */
+const SIM_ROLES = ['honest', 'lazy', 'bots', 'contrarians'];
+const SIM_PARAMS = [
+  ['BTS_ALPHA', 'BTS alpha'],
+  ['CORRELATION_LAMBDA', 'Dampening lambda'],
+  ['CLUSTER_THRESHOLD', 'Cluster threshold'],
+  ['SLASH_MULTIPLIER', 'Slash multiplier'],
+  ['REWARD_MULTIPLIER', 'Reward multiplier'],
+  ['DECAY_RATE', 'Decay rate'],
+];
+
+function SimulatorPanel() {
+  const [mode, setMode] = useState('synthetic');
+  const [population, setPopulation] = useState({ honest: 40, lazy: 10, bots: 10, contrarians: 5 });
+  const [rumors, setRumors] = useState(30);
+  const [seed, setSeed] = useState(1);
+  const [params, setParams] = useState({});
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRun = async () => {
+    setLoading(true); setError('');
+    // Blank fields keep the node's defaults
+    const overrides = Object.fromEntries(
+      Object.entries(params).filter(([, v]) => v !== '').map(([k, v]) => [k, Number(v)]),
+    );
+    try {
+      setReport(mode === 'synthetic'
+        ? await simulator.simulate({ population, rumors, seed }, overrides)
+        : await simulator.backtest(overrides));
+    } catch (err) { setError(err.message); }
+    setLoading(false);
+  };
+
+  const pct = (x) => (typeof x === 'number' ? `${(x * 100).toFixed(1)}%` : '—');
+  const num = (x) => (typeof x === 'number' ? x.toFixed(2) : '—');
+  const roles = report ? Object.keys(report.reputation.byRole) : [];
+
+  return (
+    <div className="card">
+      <div className="card-title" style={{ textTransform: 'none', letterSpacing: 0 }}>
+        Scoring Simulator
+      </div>
+      <p className="hint" style={{ marginBottom: 12 }}>
+        Try scoring parameters before they ship. A synthetic run scores honest, lazy, bot and
+        contrarian voters with known truth; a backtest replays this node&apos;s OpLog, judged
+        against official proofs. Both are compared with the current defaults.
+      </p>
+      <div className="btn-group" style={{ marginBottom: 12 }}>
+        <button className={`btn ${mode === 'synthetic' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setMode('synthetic')}>
+          Synthetic Population
+        </button>
+        <button className={`btn ${mode === 'backtest' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setMode('backtest')}>
+          Backtest This Node
+        </button>
+      </div>
+      {mode === 'synthetic' && (
+        <div className="grid-2">
+          {SIM_ROLES.map(role => (
+            <div className="form-group" key={role}>
+              <label>{role} voters</label>
+              <input type="number" min={0} value={population[role]}
+                onChange={e => setPopulation({ ...population, [role]: Number(e.target.value) })} />
+            </div>
+          ))}
+          <div className="form-group">
+            <label>Rumors</label>
+            <input type="number" min={1} max={200} value={rumors} onChange={e => setRumors(Number(e.target.value))} />
+          </div>
+          <div className="form-group">
+            <label>Seed</label>
+            <input type="number" value={seed} onChange={e => setSeed(Number(e.target.value))} />
+          </div>
+        </div>
+      )}
+      <div className="grid-2">
+        {SIM_PARAMS.map(([key, label]) => (
+          <div className="form-group" key={key}>
+            <label>{label}</label>
+            <input type="number" step="any" placeholder="default"
+              value={params[key] ?? ''} onChange={e => setParams({ ...params, [key]: e.target.value })} />
+          </div>
+        ))}
+      </div>
+      <button className="btn btn-primary" onClick={handleRun} disabled={loading}>
+        {loading ? <><span className="spinner" /> Running...</> : 'Run Simulation'}
+      </button>
+      {report && (
+        <>
+          <div className="stats-row" style={{ marginTop: 16 }}>
+            <div className="stat-card">
+              <div className="stat-value">{pct(report.rumors.accuracy)}</div>
+              <div className="stat-label">Accuracy (was {pct(report.baseline.rumors.accuracy)})</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{pct(report.influence.byRole.bots?.weightShare)}</div>
+              <div className="stat-label">Bot Weight (was {pct(report.baseline.influence.byRole.bots?.weightShare)})</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{report.changedOutcomes.length}</div>
+              <div className="stat-label">Outcomes Changed</div>
+            </div>
+          </div>
+          <div className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>
+            {report.rumors.finalized} of {report.rumors.total} rumors finalized, {report.rumors.withTruth} with
+            known truth: {report.rumors.correct} correct, {report.rumors.wrong} wrong, {report.rumors.undecided} undecided.
+          </div>
+          {roles.length > 0 ? (
+            <table className="data-table">
+              <thead>
+                <tr><th>Role</th><th>Votes</th><th>Weight</th><th>Mean Reputation</th><th>Median</th><th>Was</th></tr>
+              </thead>
+              <tbody>
+                {roles.map(role => (
+                  <tr key={role}>
+                    <td>{role}</td>
+                    <td>{pct(report.influence.byRole[role]?.voteShare ?? 0)}</td>
+                    <td>{pct(report.influence.byRole[role]?.weightShare ?? 0)}</td>
+                    <td><strong>{num(report.reputation.byRole[role].mean)}</strong></td>
+                    <td>{num(report.reputation.byRole[role].median)}</td>
+                    <td className="text-muted">{num(report.baseline.reputation.byRole[role]?.mean)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-muted" style={{ fontSize: 13 }}>
+              Reputation: mean {num(report.reputation.all.mean)}, median {num(report.reputation.all.median)}
+              {' '}(was {num(report.baseline.reputation.all.mean)}) across {report.reputation.all.count} members.
+            </div>
+          )}
+          {report.changedOutcomes.length > 0 && (
+            <div style={{ marginTop: 12, fontSize: 13 }}>
+              {report.changedOutcomes.map(c => (
+                <div key={c.rumorId} className="mono" style={{ fontSize: 12 }}>
+                  {c.rumorId}: {c.baseline ?? '—'} &rarr; {c.candidate}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+      {error && <div className="result-box error">{error}</div>}
+    </div>
+  );
+}
+
 /* ── How Scoring Works ────────────────────────────────────── */
 function HowScoringWorks() {
   return (
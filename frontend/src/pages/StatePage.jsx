@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { snapshotter, config } from '../api';
+import { snapshotter, config, analytics } from '../api';
 
 export default function StatePage() {
   return (
@@ -10,6 +10,7 @@ export default function StatePage() {
       </div>
 
       <SystemOverview />
+      <ClusterPanel />
       <OpLogViewer />
       <ConfigViewer />
     </div>
@@ -70,6 +71,123 @@ function SystemOverview() {
   );
 }
 
+/* ── Coordinated Voting ───────────────────────────────────── */
+function ClusterPanel() {
+  const [report, setReport] = useState(null);
+  const [minRumors, setMinRumors] = useState(3);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleFetch = async () => {
+    setLoading(true); setError('');
+    try { setReport(await analytics.getClusters(minRumors)); }
+    catch (err) { setError(err.message); }
+    setLoading(false);
+  };
+
+  const short = (nullifier) => (nullifier.length > 16 ? `${nullifier.substring(0, 14)}…` : nullifier);
+  const summary = report?.summary;
+
+  return (
+    <div className="card">
+      <div className="card-title" style={{ textTransform: 'none', letterSpacing: 0 }}>
+        Coordinated Voting
+      </div>
+      <p className="hint" style={{ marginBottom: 12 }}>
+        Voters the correlation dampener grouped together when rumors were scored. Groups that
+        keep voting in lockstep across rumors are flagged.
+      </p>
+      {!report ? (
+        <button className="btn btn-secondary" onClick={handleFetch} disabled={loading}>
+          {loading ? <><span className="spinner" /> Loading...</> : 'Load Cluster Analytics'}
+        </button>
+      ) : (
+        <>
+          <div className="stats-row">
+            <div className="stat-card">
+              <div className="stat-value">{summary.persistentGroups}</div>
+              <div className="stat-label">Flagged Groups</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{summary.flaggedVoters}</div>
+              <div className="stat-label">Flagged Voters</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{summary.clusteredRumors}/{summary.rumorsScored}</div>
+              <div className="stat-label">Rumors with Clusters</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{Math.round(summary.clusteredShare * 100)}%</div>
+              <div className="stat-label">Clustered Votes</div>
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10, margin: '12px 0', fontSize: 13 }}>
+            <span className="text-secondary">Flag pairs clustered on at least</span>
+            <input type="number" min={1} value={minRumors} onChange={e => setMinRumors(Math.max(1, Number(e.target.value)))} style={{ width: 60 }} />
+            <span className="text-secondary">rumors</span>
+          </div>
+
+          {report.groups.length > 0 ? (
+            <table className="data-table">
+              <thead>
+                <tr><th>Members</th><th>Rumors</th><th>Weight</th><th>Last Seen</th></tr>
+              </thead>
+              <tbody>
+                {report.groups.map((g, i) => (
+                  <tr key={i}>
+                    <td className="mono" style={{ fontSize: 12 }} title={g.members.join('\n')}>
+                      {g.members.slice(0, 4).map(short).join(', ')}{g.size > 4 && ` +${g.size - 4} more`}
+                    </td>
+                    <td>{g.rumorCount}</td>
+                    <td>{g.avgWeight.toFixed(2)}</td>
+                    <td className="text-muted" style={{ fontSize: 12, whiteSpace: 'nowrap' }}>{new Date(g.lastSeen).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-muted" style={{ fontSize: 13 }}>No persistent groups at this threshold.</div>
+          )}
+
+          {report.recent.length > 0 && (
+            <>
+              <div className="text-secondary" style={{ fontSize: 13, margin: '16px 0 8px', fontWeight: 600 }}>Recently scored rumors with clusters</div>
+              <table className="data-table">
+                <thead>
+                  <tr><th>Rumor</th><th>Clusters</th><th>Voters</th></tr>
+                </thead>
+                <tbody>
+                  {report.recent.map(r => (
+                    <tr key={r.rumorId}>
+                      <td style={{ fontSize: 12, maxWidth: 300, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {r.topic && <span className="tag tag-dark">#{r.topic}</span>} {r.text || r.rumorId}
+                      </td>
+                      <td style={{ fontSize: 12 }}>
+                        {r.clusters.map((c, i) => (
+                          <span key={i} className={`tag ${c.flagged ? 'tag-danger' : 'tag-dark'}`} title={c.members.join('\n')} style={{ marginRight: 4 }}>
+                            {c.size} × {c.weight.toFixed(2)}
+                          </span>
+                        ))}
+                      </td>
+                      <td>{r.voterCount}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <button className="btn btn-secondary" onClick={handleFetch} disabled={loading} style={{ marginTop: 12 }}>
+            &#8635; Refresh
+          </button>
+        </>
+      )}
+      {error && <div className="result-box error">{error}</div>}
+    </div>
+  );
+}
+
 /* ── Operation Log ────────────────────────────────────────── */
 function OpLogViewer() {
   const [opLog, setOpLog] = useState(null);
@@ -0,0 +1,106 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Client-side personal trust
+// Ranks voters with Personalized PageRank over the public trust
+// graph (GET /api/trust/graph), restarting the walk at the
+// authors and voters this user has marked trusted. The marks
+// (trust seeds) live with the identity in local storage and
+// never leave the device — the server only serves the graph.
+//
+// Distrusted nullifiers are cut out of the graph before ranking,
+// so trust neither reaches them nor flows on through them, and
+// their votes carry no weight.
+//
+// Mirrors TrustPropagator.computePPR / getRumorTrust on the
+// backend, so with the same seeds both give the same numbers.
+// ─────────────────────────────────────────────────────────────
+
+const DAMPING_FACTOR = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-6;
+
+/**
+ * Personalized PageRank over an exported trust graph.
+ *
+ * @param {{nodes: string[], edges: Array<[string, string, number]>}} graph
+ * @param {Map<string, number>} [seeds] — personalization weights; uniform if empty
+ * @returns {Map<string, number>} nullifier → PPR score
+ */
+export function computePPR(graph, seeds = new Map()) {
+  const { nodes, edges } = graph;
+  const scores = new Map();
+  if (nodes.length === 0) return scores;
+
+  const outDegree = new Map();
+  for (const [source, , weight] of edges) outDegree.set(source, (outDegree.get(source) || 0) + weight);
+
+  // Restart distribution: the seeds in the graph, normalized, else uniform
+  let seedTotal = 0;
+  for (const node of nodes) seedTotal += seeds.get(node) || 0;
+  const restart = node => (seedTotal > 0 ? (seeds.get(node) || 0) / seedTotal : 1 / nodes.length);
+
+  for (const node of nodes) scores.set(node, 1 / nodes.length);
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const next = new Map();
+    for (const node of nodes) next.set(node, (1 - DAMPING_FACTOR) * restart(node));
+    for (const [source, target, weight] of edges) {
+      const share = (scores.get(source) || 0) * (weight / (outDegree.get(source) || 1));
+      next.set(target, next.get(target) + DAMPING_FACTOR * share);
+    }
+
+    let maxDiff = 0;
+    for (const node of nodes) maxDiff = Math.max(maxDiff, Math.abs(next.get(node) - scores.get(node)));
+    for (const [node, score] of next) scores.set(node, score);
+    if (maxDiff < TOLERANCE) break;
+  }
+  return scores;
+}
+
+/**
+ * Trust each rumor earns from this user's point of view: the
+ * PPR-weighted share of TRUE votes (0-100), or null when none of
+ * its voters carry weight.
+ *
+ * @param {{nodes: string[], edges: Array<[string, string, number]>}} graph
+ * @param {Object<string, 'trust'|'distrust'>} trustSeeds — nullifier → mark
+ * @param {Object<string, Array<{nullifier: string, vote: string}>>} votesByRumor
+ * @returns {Object<string, {score: number|null, weightedVotes: number}>}
+ */
+export function personalTrust(graph, trustSeeds, votesByRumor) {
+  const distrusted = new Set(Object.keys(trustSeeds).filter(n => trustSeeds[n] === 'distrust'));
+  const seeds = new Map(Object.keys(trustSeeds).filter(n => trustSeeds[n] === 'trust').map(n => [n, 1]));
+
+  const scores = computePPR({
+    nodes: graph.nodes.filter(n => !distrusted.has(n)),
+    edges: graph.edges.filter(([source, target]) => !distrusted.has(source) && !distrusted.has(target)),
+  }, seeds);
+
+  const trust = {};
+  for (const [rumorId, votes] of Object.entries(votesByRumor)) {
+    let trueWeight = 0;
+    let totalWeight = 0;
+    let weightedVotes = 0;
+    for (const v of votes) {
+      const weight = scores.get(v.nullifier) || 0;
+      if (weight <= 0) continue;
+      weightedVotes++;
+      totalWeight += weight;
+      if (v.vote === 'TRUE') trueWeight += weight;
+    }
+    trust[rumorId] = { score: weightedVotes > 0 ? (trueWeight / totalWeight) * 100 : null, weightedVotes };
+  }
+  return trust;
+}
+
+/**
+ * Count a user's marks.
+ * @param {Object<string, 'trust'|'distrust'>} [trustSeeds]
+ * @returns {{trusted: number, distrusted: number}}
+ */
+export function countSeeds(trustSeeds = {}) {
+  const marks = Object.values(trustSeeds);
+  return {
+    trusted: marks.filter(m => m === 'trust').length,
+    distrusted: marks.filter(m => m === 'distrust').length,
+  };
+}
@@ -0,0 +1,326 @@
+// ─────────────────────────────────────────────────────────────
+// Afwaah — Client-side identity & ZK proofs
+// Identities are created, restored and used entirely in the
+// browser. The backend only ever sees commitments, public keys,
+// signatures and proofs — never the exported private key.
+//
+// Proofs are generated against the group exported by
+// GET /api/membership/snapshot. Every client downloads the
+// whole group, so the server cannot tell who is proving.
+// ─────────────────────────────────────────────────────────────
+
+import { membershipTree, reputationManager } from './api';
+
+// Semaphore pulls in the proving circuits — load it on first use
+let _semaphore;
+function lazySemaphore() {
+  if (!_semaphore) _semaphore = import('@semaphore-protocol/core');
+  return _semaphore;
+}
+
+/**
+ * Convert an arbitrary string to a field element.
+ * Must match the backend's mapping so message/scope agree.
+ * @param {string} str
+ * @returns {string}
+ */
+export function hashToField(str) {
+  let hash = 0n;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5n) - hash + BigInt(str.charCodeAt(i))) & ((1n << 250n) - 1n);
+  }
+  return hash.toString();
+}
+
+/**
+ * Decimal strings pass through, any other string is hashed.
+ * @param {string|number|bigint} value
+ * @returns {string}
+ */
+function toField(value) {
+  return typeof value === 'string' && !/^\d+$/.test(value)
+    ? hashToField(value) : value.toString();
+}
+
+function describe(identity) {
+  return {
+    commitment: identity.commitment.toString(),
+    publicKey: identity.publicKey.toString(),
+    exportedKey: identity.export(),
+  };
+}
+
+// ── Identity ─────────────────────────────────────────────────
+
+/**
+ * Create a new random identity in the browser.
+ * @returns {Promise<{commitment: string, publicKey: string, exportedKey: string}>}
+ */
+export async function createIdentity() {
+  const { Identity } = await lazySemaphore();
+  return describe(new Identity());
+}
+
+/**
+ * Restore an identity from its exported recovery key.
+ * @param {string} exportedKey
+ * @returns {Promise<{commitment: string, publicKey: string, exportedKey: string}>}
+ * @throws if the key is not a valid exported identity
+ */
+export async function importIdentity(exportedKey) {
+  const { Identity } = await lazySemaphore();
+  try {
+    return describe(Identity.import(exportedKey));
+  } catch {
+    throw new Error('Invalid recovery key — the key format is not recognized. Please check and try again.');
+  }
+}
+
+/**
+ * Sign a message with the identity's EdDSA key.
+ * The result can be checked with identityManager.verifySignature().
+ *
+ * @param {string} exportedKey
+ * @param {string} message
+ * @returns {Promise<{signature: string, publicKey: string[]}>}
+ */
+export async function signMessage(exportedKey, message) {
+  const { Identity } = await lazySemaphore();
+  const identity = Identity.import(exportedKey);
+  const signature = identity.signMessage(message);
+  return {
+    // BigInt-safe serialization — the backend parses it back
+    signature: JSON.stringify(signature, (_k, v) => typeof v === 'bigint' ? v.toString() : v),
+    publicKey: identity.publicKey.map(p => p.toString()),
+  };
+}
+
+/** Payload fields an account op signs, as in the backend's AccountVerifier */
+const ACCOUNT_FIELDS = {
+  DISPUTE: ['rumorId', 'nullifier', 'stakeAmount', 'reason', 'timestamp'],
+  FLAG: ['rumorId', 'nullifier', 'category', 'stakeAmount', 'reason', 'timestamp'],
+  APPEAL: ['rumorId', 'nullifier', 'stakeAmount', 'reason', 'timestamp'],
+};
+
+/**
+ * Sign an op that stakes the user's reputation account, so peers
+ * can check the account is the signer's own.
+ *
+ * @param {{nullifier: string, exportedKey: string}} user
+ * @param {'DISPUTE'|'FLAG'|'APPEAL'} type
+ * @param {object} payload
+ * @returns {Promise<object>} the payload with nullifier, publicKey and signature
+ */
+export async function signAccountOp(user, type, payload) {
+  const fields = { ...payload, nullifier: user.nullifier };
+  const message = await reputationMessage(type, ...ACCOUNT_FIELDS[type].map(f => fields[f] ?? ''));
+  const { signature, publicKey } = await signMessage(user.exportedKey, message);
+  return { ...fields, publicKey, signature: JSON.parse(signature) };
+}
+
+// ── ZK Proofs ────────────────────────────────────────────────
+
+/**
+ * Generate a Semaphore V4 proof of membership in the current group.
+ *
+ * @param {string} exportedKey
+ * @param {string} message — e.g. from actionMessage()
+ * @param {string} scope — e.g. `vote_<rumorId>`; one nullifier per scope
+ * @returns {Promise<object>} proof with BigInts serialized as strings
+ */
+export async function generateProof(exportedKey, message, scope) {
+  const snapshot = await membershipTree.getSnapshot();
+  if (!snapshot.size) {
+    throw new Error('No members in the group yet. Register your identity first.');
+  }
+
+  const { Identity, Group, generateProof: prove } = await lazySemaphore();
+  const identity = Identity.import(exportedKey);
+  const group = Group.import(snapshot.group);
+
+  if (group.indexOf(identity.commitment) === -1) {
+    throw new Error('This identity is not a member of the group.');
+  }
+
+  const proof = await prove(identity, group, toField(message), toField(scope));
+
+  return {
+    merkleTreeDepth: proof.merkleTreeDepth,
+    merkleTreeRoot: proof.merkleTreeRoot.toString(),
+    nullifier: proof.nullifier.toString(),
+    message: proof.message.toString(),
+    scope: proof.scope.toString(),
+    points: proof.points,
+  };
+}
+
+/** Prediction keys in the order the backend hashes them */
+const VOTE_VALUES = ['TRUE', 'FALSE', 'UNVERIFIED'];
+
+/**
+ * The message a post or vote proof binds, as computed by the
+ * backend's messageFor(): the fields the action is scored on, so
+ * they cannot be changed under the proof.
+ *
+ * @param {'RUMOR'|'VOTE'} type
+ * @param {object} payload — the op payload, without its proofs
+ * @returns {Promise<string>}
+ */
+export async function actionMessage(type, payload) {
+  const field = (v) => v ?? '';
+  return type === 'RUMOR'
+    ? reputationMessage('RUMOR', payload.id, field(payload.text), field(payload.topic), field(payload.stakeAmount))
+    : reputationMessage('VOTE', payload.rumorId, field(payload.vote),
+      ...VOTE_VALUES.map(v => field(payload.prediction?.[v])), field(payload.stakeAmount));
+}
+
+// ── Reputation notes ─────────────────────────────────────────
+
+/**
+ * The message a reputation proof binds, as computed by the
+ * backend's reputationMessage(): sha256 of the JSON fields,
+ * truncated to 31 bytes.
+ *
+ * @param {'GENESIS'|'STAKE'|'CLAIM'} kind
+ * @param {...(string|number)} fields
+ * @returns {Promise<string>}
+ */
+export async function reputationMessage(kind, ...fields) {
+  const data = new TextEncoder().encode(JSON.stringify([kind, ...fields.map(String)]));
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  const hex = [...digest].map(b => b.toString(16).padStart(2, '0')).join('');
+  return BigInt('0x' + hex.slice(0, 62)).toString();
+}
+
+/**
+ * Create a one-time note identity to hold reputation.
+ * Keep the exported key: it is the only way to spend the note.
+ * @returns {Promise<{commitment: string, publicKey: string, exportedKey: string}>}
+ */
+export async function createNote() {
+  return createIdentity();
+}
+
+/**
+ * Prove ownership of a note by spending it against its level group.
+ *
+ * @param {string} noteKey — the note's exported key
+ * @param {number} score — the note's score (its level group)
+ * @param {string} message — from reputationMessage()
+ * @returns {Promise<object>} proof with BigInts serialized as strings
+ */
+export async function generateNoteProof(noteKey, score, message) {
+  const level = await reputationManager.getNoteLevel(score);
+  const { Identity, Group, generateProof: prove } = await lazySemaphore();
+  const identity = Identity.import(noteKey);
+  const group = Group.import(level.group);
+
+  if (group.indexOf(identity.commitment) === -1) {
+    throw new Error('This note is not in the level group for its score.');
+  }
+
+  const proof = await prove(identity, group, message, hashToField('rep_note'));
+
+  return {
+    merkleTreeDepth: proof.merkleTreeDepth,
+    merkleTreeRoot: proof.merkleTreeRoot.toString(),
+    nullifier: proof.nullifier.toString(),
+    message: proof.message.toString(),
+    scope: proof.scope.toString(),
+    points: proof.points,
+  };
+}
+
+const noteStorageKey = (commitment) => `afwaah_note_${commitment}`;
+const stakesStorageKey = (commitment) => `afwaah_stakes_${commitment}`;
+
+function readStakes(user) {
+  return JSON.parse(localStorage.getItem(stakesStorageKey(user.commitment)) || '[]');
+}
+
+function forgetStake(user, actionNullifier) {
+  const stakes = readStakes(user).filter(s => s.actionNullifier !== actionNullifier);
+  localStorage.setItem(stakesStorageKey(user.commitment), JSON.stringify(stakes));
+}
+
+/**
+ * Stake from this member's reputation note for a ZK-proved post or
+ * vote. The member's genesis note is minted on first use. Call
+ * commit() once the op is accepted to keep the change note; the
+ * stake is then remembered until claimSettledStakes() collects it.
+ *
+ * @param {{commitment: string, exportedKey: string}} user
+ * @param {object} stake
+ * @param {'post'|'vote'} stake.action
+ * @param {string} stake.rumorId
+ * @param {number} stake.amount
+ * @param {{nullifier: string}} stake.actionProof — the op's membership proof
+ * @returns {Promise<{stakeProof: object, changeNote: string, commit: () => void}>}
+ */
+export async function prepareNoteStake(user, { action, rumorId, amount, actionProof }) {
+  const storageKey = noteStorageKey(user.commitment);
+  let note = JSON.parse(localStorage.getItem(storageKey) || 'null');
+  if (!note) {
+    const fresh = await createNote();
+    const message = await reputationMessage('GENESIS', fresh.commitment);
+    const proof = await generateProof(user.exportedKey, message, 'rep_genesis');
+    const minted = await reputationManager.mintGenesisNote(proof, fresh.commitment);
+    note = { key: fresh.exportedKey, score: minted.score };
+    localStorage.setItem(storageKey, JSON.stringify(note));
+  }
+
+  const change = await createNote();
+  const message = await reputationMessage('STAKE', actionProof.nullifier, rumorId, action, amount, change.commitment);
+  const stakeProof = await generateNoteProof(note.key, note.score, message);
+
+  return {
+    stakeProof,
+    changeNote: change.commitment,
+    commit: () => {
+      localStorage.setItem(storageKey, JSON.stringify({ key: change.exportedKey, score: note.score - amount }));
+      const stakes = [...readStakes(user), { actionNullifier: actionProof.nullifier, scope: `${action}_${rumorId}` }];
+      localStorage.setItem(stakesStorageKey(user.commitment), JSON.stringify(stakes));
+    },
+  };
+}
+
+let _claiming = null;
+
+/**
+ * Collect this member's settled stakes into their note. Each claim
+ * re-proves the action's scope, which only its author can, and
+ * spends the current note for a new one holding the payout. Stakes
+ * still locked are kept for the next call; slashed ones are dropped.
+ *
+ * @param {{commitment: string, exportedKey: string}} user
+ * @returns {Promise<number>} the total paid out
+ */
+export function claimSettledStakes(user) {
+  if (!_claiming) _claiming = claimEach(user).finally(() => { _claiming = null; });
+  return _claiming;
+}
+
+async function claimEach(user) {
+  const storageKey = noteStorageKey(user.commitment);
+  let paid = 0;
+  for (const { actionNullifier, scope } of readStakes(user)) {
+    const escrow = await reputationManager.getNoteStake(actionNullifier).catch(() => null);
+    if (!escrow || escrow.status === 'locked') continue;
+    if (escrow.status === 'claimed' || !(escrow.payout > 0)) {
+      forgetStake(user, actionNullifier);
+      continue;
+    }
+
+    const note = JSON.parse(localStorage.getItem(storageKey));
+    const fresh = await createNote();
+    const message = await reputationMessage('CLAIM', actionNullifier, fresh.commitment);
+    const memberProof = await generateProof(user.exportedKey, message, scope);
+    const noteProof = await generateNoteProof(note.key, note.score, message);
+    const claimed = await reputationManager.claimNote(memberProof, noteProof, fresh.commitment);
+
+    localStorage.setItem(storageKey, JSON.stringify({ key: fresh.exportedKey, score: claimed.score }));
+    forgetStake(user, actionNullifier);
+    paid += claimed.payout;
+  }
+  return paid;
+}